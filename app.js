@@ -84,7 +84,11 @@ import emailsRoutes from './routes/emails.js';
 import settingsRoutes from './routes/settings.js';
 import githubRoutes from './routes/github.js';
 import analyticsRoutes from './routes/analytics.js';
+import webhooksRoutes from './routes/webhooks.js';
+import leaderboardsRoutes from './routes/leaderboards.js';
+import credentialsRoutes from './routes/credentials.js';
 import * as scheduledTasks from './utils/scheduledTasks.js';
+import BadgeService from './services/badgeService.js';
 
 // Initialize express app
 const app = express();
@@ -114,7 +118,15 @@ app.use(cors({
 }));
 
 app.use(compression()); // Compress responses
-app.use(express.json({ limit: '10mb' })); // Parse JSON bodies
+app.use(express.json({
+  limit: '10mb',
+  // Webhook signatures are computed over the exact bytes received
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/v1/webhooks')) {
+      req.rawBody = buf;
+    }
+  }
+})); // Parse JSON bodies
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 app.use(morgan('combined', { stream: { write: message => logger.info(message.trim()) } }));
 
@@ -279,6 +291,27 @@ try {
   logger.error(`Error registering analytics routes: ${error.message}`);
 }
 
+try {
+  app.use('/api/v1/webhooks', webhooksRoutes);
+  logger.info('Webhook routes registered');
+} catch (error) {
+  logger.error(`Error registering webhook routes: ${error.message}`);
+}
+
+try {
+  app.use('/api/v1/leaderboards', leaderboardsRoutes);
+  logger.info('Leaderboard routes registered');
+} catch (error) {
+  logger.error(`Error registering leaderboard routes: ${error.message}`);
+}
+
+try {
+  app.use('/api/v1/credentials', credentialsRoutes);
+  logger.info('Credential routes registered');
+} catch (error) {
+  logger.error(`Error registering credential routes: ${error.message}`);
+}
+
 // Swagger Documentation
 app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerDocs));
 
@@ -303,6 +336,9 @@ try {
   logger.error(`Error starting scheduled tasks: ${error.message}`);
 }
 
+// Evaluate badges when domain events are published
+BadgeService.registerEventHandlers();
+
 // Socket.io connection handler
 io.on('connection', (socket) => {
   logger.info(`User connected: ${socket.id}`);
@@ -35,6 +35,17 @@ const config = {
   redis: {
     url: process.env.REDIS_URL
   },
+  encryption: {
+    // Comma separated "keyId:secret" pairs; old keys stay listed until rotated out
+    keys: process.env.TOKEN_ENCRYPTION_KEYS,
+    currentKeyId: process.env.TOKEN_ENCRYPTION_KEY_ID
+  },
+  openBadges: {
+    // PEM encoded RSA private key used to sign badge assertions ("\n" for newlines)
+    privateKey: process.env.OPEN_BADGES_PRIVATE_KEY,
+    issuerName: process.env.OPEN_BADGES_ISSUER_NAME || 'OpenElevate',
+    issuerEmail: process.env.OPEN_BADGES_ISSUER_EMAIL
+  },
   oauth: {
     google: {
       clientID: process.env.GOOGLE_CLIENT_ID,
@@ -2,9 +2,9 @@ import passport from 'passport';
 import { Strategy as JwtStrategy, ExtractJwt } from 'passport-jwt';
 import { Strategy as GoogleStrategy } from 'passport-google-oauth20';
 import { Strategy as GitHubStrategy } from 'passport-github2';
-import crypto from 'crypto';
 import config from './index.js';
 import User from '../models/User.js';
+import AccountLinkService from '../services/accountLinkService.js';
 import { logger } from '../utils/logger.js';
 
 // JWT Strategy Configuration
@@ -27,14 +27,9 @@ passport.use(new JwtStrategy(jwtOptions, async (jwtPayload, done) => {
       return done(null, false, { message: 'User not found' });
     }
     
-    // Check if token was issued before password change
-    if (user.passwordChangedAt) {
-      const changedTimestamp = parseInt(user.passwordChangedAt.getTime() / 1000, 10);
-      
-      // If password was changed after token was issued
-      if (jwtPayload.iat < changedTimestamp) {
-        return done(null, false, { message: 'Please log in again' });
-      }
+    // Check if token was issued before a password change or forced logout
+    if (user.isTokenIssuedBeforeInvalidation(jwtPayload.iat)) {
+      return done(null, false, { message: 'Please log in again' });
     }
     
     return done(null, user);
@@ -52,35 +47,31 @@ const googleClientSecret = config.oauth.google.clientSecret || 'dummy-google-cli
 passport.use(new GoogleStrategy({
   clientID: googleClientID,
   clientSecret: googleClientSecret,
-  callbackURL: `${config.serverUrl}/api/v1/auth/google/callback`
-}, async (accessToken, refreshToken, profile, done) => {
+  callbackURL: `${config.serverUrl}/api/v1/auth/google/callback`,
+  passReqToCallback: true
+}, async (req, accessToken, refreshToken, profile, done) => {
   try {
-    // Check if user exists with this Google ID
-    let user = await User.findOne({ 'oauth.google.id': profile.id });
+    const email = profile.emails[0].value;
     
-    if (!user) {
-      // Create new user if doesn't exist
-      user = await User.create({
+    // Log in, link to the signed-in user, offer a merge or create a new user
+    const { user, info } = await AccountLinkService.resolveOAuthLogin(req, 'google', {
+      providerData: {
+        id: profile.id,
+        email,
+        name: profile.displayName
+      },
+      email,
+      emailVerified: profile.emails[0].verified !== false, // Google verified this email
+      newUser: {
         name: profile.displayName,
-        email: profile.emails[0].value,
-        password: crypto.randomBytes(16).toString('hex'), // Random password
-        oauth: {
-          google: {
-            id: profile.id,
-            email: profile.emails[0].value,
-            name: profile.displayName
-          }
-        },
-        emailVerified: true, // Google verified this email
-        profileImage: profile.photos[0]?.value || null
-      });
-      
-      logger.info(`New user registered via Google: ${user.email}`);
-    } else {
-      logger.info(`User logged in via Google: ${user.email}`);
-    }
+        avatarUrl: profile.photos?.[0]?.value || ''
+      },
+      profileDefaults: {
+        avatarUrl: profile.photos?.[0]?.value
+      }
+    });
     
-    return done(null, user);
+    return done(null, user, info);
   } catch (error) {
     logger.error(`Google auth error: ${error.message}`);
     return done(error);
@@ -101,6 +92,8 @@ passport.use(new GitHubStrategy({
   // Explicitly hardcode the callback URL to match what's set in GitHub settings
   callbackURL: `${config.serverUrl}/api/v1/auth/github/callback`, // Use server URL from config
   scope: ['user', 'repo', 'read:org', 'read:user', 'user:email'],
+  // Keep GitHub's verified flags so only verified emails can trigger a merge
+  allRawEmails: true,
   // Add proper error handling
   passReqToCallback: true
 }, async (req, accessToken, refreshToken, profile, done) => {
@@ -108,75 +101,16 @@ passport.use(new GitHubStrategy({
   logger.info(`GitHub OAuth callback processing with profile ID: ${profile.id}`);
   try {
     // GitHub might not provide email, handle that case
-    const email = profile.emails && profile.emails[0] ? profile.emails[0].value : `${profile.username}@github.com`;
-    
-    // First check if user exists with this GitHub ID
-    let user = await User.findOne({ 'oauth.github.id': profile.id });
-    
-    // If no user found with GitHub ID, check if user exists with the same email
-    if (!user) {
-      user = await User.findOne({ email: email });
-    }
+    const primaryEmail = profile.emails?.find(e => e.primary) || profile.emails?.[0];
+    const email = primaryEmail ? primaryEmail.value : `${profile.username}@github.com`;
     
     // Calculate token expiry (use GitHub's default token expiry or set your own)    
     const tokenExpiry = new Date();
     tokenExpiry.setDate(tokenExpiry.getDate() + 60); // Default to 60 days if not specified
     
-    if (!user) {
-      // Create new user if doesn't exist with either GitHub ID or email
-      user = await User.create({
-        name: profile.displayName || profile.username,
-        email: email,
-        password: crypto.randomBytes(16).toString('hex'), // Random password
-        oauth: {
-          github: {
-            id: profile.id,
-            username: profile.username,
-            name: profile.displayName,
-            accessToken: accessToken,
-            refreshToken: refreshToken || null,
-            tokenScope: 'user,repo,read:org,read:user,user:email',
-            tokenExpiry: tokenExpiry
-          }
-        },
-        emailVerified: true, // GitHub verified this
-        avatarUrl: profile.photos[0]?.value || null,
-        socialLinks: {
-          github: `https://github.com/${profile.username}`
-        }
-      });
-      
-      // Update user's skills based on GitHub programming languages (can be done later with the service)
-      logger.info(`New user registered via GitHub: ${user.email}`);
-    } else if (user.oauth?.github?.id) {
-      // Update existing user's GitHub OAuth data
-      user.oauth.github = {
-        ...user.oauth.github,
-        accessToken: accessToken,
-        refreshToken: refreshToken || null,
-        tokenScope: 'user,repo,read:org,read:user,user:email',
-        tokenExpiry: tokenExpiry
-      };
-      
-      // Update profile information
-      if (!user.avatarUrl && profile.photos && profile.photos[0]) {
-        user.avatarUrl = profile.photos[0].value;
-      }
-      
-      if (!user.socialLinks.github) {
-        user.socialLinks.github = `https://github.com/${profile.username}`;
-      }
-      
-      await user.save({ validateBeforeSave: false });
-      logger.info(`User logged in via GitHub: ${user.email}`);
-    } else {
-      // This is an existing user found by email but doesn't have GitHub OAuth data yet
-      // Link GitHub to this existing account
-      if (!user.oauth) {
-        user.oauth = {};
-      }
-      
-      user.oauth.github = {
+    // Log in, link to the signed-in user, offer a merge or create a new user
+    const { user, info } = await AccountLinkService.resolveOAuthLogin(req, 'github', {
+      providerData: {
         id: profile.id,
         username: profile.username,
         name: profile.displayName,
@@ -184,26 +118,23 @@ passport.use(new GitHubStrategy({
         refreshToken: refreshToken || null,
         tokenScope: 'user,repo,read:org,read:user,user:email',
         tokenExpiry: tokenExpiry
-      };
-      
-      // Update profile information if needed
-      if (!user.avatarUrl && profile.photos && profile.photos[0]) {
-        user.avatarUrl = profile.photos[0].value;
-      }
-      
-      if (!user.socialLinks) {
-        user.socialLinks = {};
-      }
-      
-      if (!user.socialLinks.github) {
-        user.socialLinks.github = `https://github.com/${profile.username}`;
+      },
+      email,
+      emailVerified: Boolean(primaryEmail?.verified),
+      newUser: {
+        name: profile.displayName || profile.username,
+        avatarUrl: profile.photos?.[0]?.value || '',
+        socialLinks: {
+          github: `https://github.com/${profile.username}`
+        }
+      },
+      profileDefaults: {
+        avatarUrl: profile.photos?.[0]?.value,
+        githubUrl: `https://github.com/${profile.username}`
       }
-      
-      await user.save({ validateBeforeSave: false });
-      logger.info(`Existing user linked with GitHub: ${user.email}`);
-    }
+    });
     
-    return done(null, user);
+    return done(null, user, info);
   } catch (error) {
     logger.error(`GitHub auth error: ${error.message}`);
     return done(error);
@@ -0,0 +1,59 @@
+import { createClient } from 'redis';
+import config from './index.js';
+import { logger } from '../utils/logger.js';
+
+// After a failed connection, wait this long before trying again
+const RETRY_COOLDOWN = 60 * 1000; // 1 minute
+
+let client = null;
+let connecting = null;
+let retryAfter = 0;
+
+/**
+ * Get a connected Redis client, connecting on first use.
+ * Returns null when Redis is not configured or currently unavailable, so
+ * callers can fall back to MongoDB.
+ */
+export const getRedisClient = async () => {
+  if (!config.redis.url) return null;
+
+  if (client) {
+    if (client.isOpen) return client.isReady ? client : null;
+    // Gave up reconnecting; start over with a new client
+    client = null;
+  }
+
+  if (connecting) return connecting;
+  if (Date.now() < retryAfter) return null;
+
+  connecting = (async () => {
+    const redisClient = createClient({
+      url: config.redis.url,
+      socket: {
+        connectTimeout: 5000,
+        // Stop after a few attempts instead of queueing commands forever
+        reconnectStrategy: retries => (retries >= 3 ? false : Math.min(retries * 500, 2000))
+      }
+    });
+
+    redisClient.on('error', error => logger.warn(`Redis error: ${error.message}`));
+
+    try {
+      await redisClient.connect();
+      client = redisClient;
+      logger.info('Redis connected');
+      return client;
+    } catch (error) {
+      logger.warn(`Redis unavailable, falling back to MongoDB: ${error.message}`);
+      retryAfter = Date.now() + RETRY_COOLDOWN;
+      if (redisClient.isOpen) redisClient.destroy();
+      return null;
+    } finally {
+      connecting = null;
+    }
+  })();
+
+  return connecting;
+};
+
+export default getRedisClient;
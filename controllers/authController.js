@@ -1,4 +1,5 @@
 import User from '../models/User.js';
+import SessionService from '../services/sessionService.js';
 import { validateLogin, validateRegistration } from '../utils/validators.js';
 import jwt from 'jsonwebtoken';
 import { ApiError } from '../middleware/errorHandler.js';
@@ -125,53 +126,35 @@ export const getMe = asyncHandler(async (req, res) => {
 });
 
 /**
- * @desc    Logout user (invalidate token)
+ * @desc    Logout user (revoke the current session)
  * @route   POST /auth/logout
  * @access  Private
  */
 export const logout = asyncHandler(async (req, res) => {
-  // In a real implementation, you might want to blacklist the token
-  // For simplicity, we'll just send a success response since JWT 
-  // invalidation typically happens on the client
+  if (req.sessionId) {
+    await SessionService.revokeSession(req.sessionId, 'logout');
+  }
+
   res.status(200).json({ success: true, message: 'Logged out successfully' });
 });
 
 /**
- * @desc    Refresh token
+ * @desc    Rotate refresh token and issue a new access token
  * @route   POST /auth/refresh
  * @access  Public
  */
 export const refreshToken = asyncHandler(async (req, res) => {
-  // Get the refresh token from request
   const { refreshToken } = req.body;
   
   if (!refreshToken) {
     throw new ApiError(400, 'Refresh token is required');
   }
   
-  try {
-    // Verify refresh token
-    const decoded = jwt.verify(refreshToken, config.jwtRefreshSecret);
-    
-    // Find user
-    const user = await User.findById(decoded.id);
-    if (!user) {
-      throw new ApiError(404, 'User not found');
-    }
-    
-    // Generate new access token
-    const token = jwt.sign(
-      { id: user._id, role: user.role },
-      config.jwtSecret,
-      { expiresIn: config.jwtExpiresIn }
-    );
-    
-    res.status(200).json({
-      success: true,
-      token
-    });
-  } catch (error) {
-    logger.error(`Token refresh error: ${error.message}`);
-    throw new ApiError(401, 'Invalid or expired refresh token');
-  }
-});
\ No newline at end of file
+  const tokens = await SessionService.rotateSession(refreshToken, req);
+  
+  res.status(200).json({
+    success: true,
+    token: tokens.token,
+    refreshToken: tokens.refreshToken
+  });
+});
@@ -5,6 +5,7 @@ import Badge from '../models/Badge.js';
 import { asyncHandler } from '../utils/asyncHandler.js';
 import { ApiError } from '../middleware/errorHandler.js';
 import { logger } from '../utils/logger.js';
+import { can, hasPermission } from '../utils/permissions.js';
 import mongoose from 'mongoose';
 
 /**
@@ -144,12 +145,12 @@ export const updateContribution = asyncHandler(async (req, res) => {
   }
   
   // Check if user is authorized to update
-  if (contribution.userId.toString() !== req.user.id && req.user.role !== 'admin') {
+  if (!can(req.user, 'contribution.update', contribution, req.apiToken)) {
     throw new ApiError(403, 'Not authorized to update this contribution');
   }
   
   // User can only update certain fields if contribution is pending
-  if (contribution.status !== 'pending' && req.user.role !== 'admin') {
+  if (contribution.status !== 'pending' && !hasPermission(req.user, 'contribution.update.any', req.apiToken)) {
     throw new ApiError(400, 'Cannot update contribution after verification');
   }
   
@@ -161,7 +162,7 @@ export const updateContribution = asyncHandler(async (req, res) => {
   if (issueUrl) contribution.issueUrl = issueUrl;
   
   // Only admin can update status
-  if (status && req.user.role === 'admin') {
+  if (status && hasPermission(req.user, 'contribution.status.set', req.apiToken)) {
     contribution.status = status;
   }
   
@@ -189,7 +190,7 @@ export const deleteContribution = asyncHandler(async (req, res) => {
   }
   
   // Check if user is authorized to delete
-  if (contribution.userId.toString() !== req.user.id && req.user.role !== 'admin') {
+  if (!can(req.user, 'contribution.delete', contribution, req.apiToken)) {
     throw new ApiError(403, 'Not authorized to delete this contribution');
   }
   
@@ -1,16 +1,18 @@
 import GitHubService from '../services/githubService.js';
 import GithubAnalytics from '../models/GithubAnalytics.js';
 import User from '../models/User.js';
+import AccountLinkService from '../services/accountLinkService.js';
 import { asyncHandler } from '../utils/asyncHandler.js';
 import { ApiError } from '../middleware/errorHandler.js';
 import { logger } from '../utils/logger.js';
+import { hasPermission } from '../utils/permissions.js';
 
 // Get current user's GitHub analytics
 export const getCurrentUserGithubAnalytics = asyncHandler(async (req, res) => {
   const userId = req.user.id;
   
   // Check if user has GitHub connected
-  const user = await User.findById(userId);
+  const user = await User.findById(userId).select('+oauth.github.accessToken');
   if (!user.oauth || !user.oauth.github || !user.oauth.github.accessToken) {
     throw new ApiError(400, 'GitHub account not connected');
   }
@@ -67,7 +69,7 @@ export const refreshGithubAnalytics = asyncHandler(async (req, res) => {
   const userId = req.user.id;
   
   // Check if user has GitHub connected
-  const user = await User.findById(userId);
+  const user = await User.findById(userId).select('+oauth.github.accessToken');
   if (!user.oauth || !user.oauth.github || !user.oauth.github.accessToken) {
     throw new ApiError(400, 'GitHub account not connected');
   }
@@ -118,15 +120,9 @@ export const disconnectGithub = asyncHandler(async (req, res) => {
     throw new ApiError(400, 'GitHub account not connected');
   }
   
-  // Remove GitHub connection
-  user.oauth.github = {};
-  await user.save({ validateBeforeSave: false });
-  
-  // Mark analytics as disconnected but don't delete
-  await GithubAnalytics.findOneAndUpdate(
-    { userId }, 
-    { $set: { disconnectedAt: new Date() } }
-  );
+  // Remove GitHub connection (refused if it is the user's only login method)
+  // and mark analytics as disconnected but don't delete
+  await AccountLinkService.unlink(user, 'github');
   
   logger.info(`User ${userId} disconnected GitHub account`);
   
@@ -138,8 +134,8 @@ export const disconnectGithub = asyncHandler(async (req, res) => {
 
 // Get GitHub analytics for a specific user (admin or mentor only)
 export const getUserGithubAnalytics = asyncHandler(async (req, res) => {
-  // Check if requesting user is admin or mentor
-  if (req.user.role !== 'admin' && req.user.role !== 'mentor') {
+  // Check if requesting user may read other users' analytics (admins and mentors)
+  if (!hasPermission(req.user, 'github.analytics.read.any', req.apiToken)) {
     throw new ApiError(403, 'Not authorized to access this resource');
   }
   
@@ -171,7 +167,7 @@ export const refreshAllUsersAnalytics = async () => {
     // Find all users with GitHub connected
     const users = await User.find({
       'oauth.github.accessToken': { $exists: true, $ne: null }
-    });
+    }).select('+oauth.github.accessToken');
     
     logger.info(`Found ${users.length} users with GitHub connected`);
     
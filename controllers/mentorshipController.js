@@ -3,6 +3,7 @@ import User from '../models/User.js';
 import { asyncHandler } from '../utils/asyncHandler.js';
 import { ApiError } from '../middleware/errorHandler.js';
 import { logger } from '../utils/logger.js';
+import { can } from '../utils/permissions.js';
 
 // Get Mentorship model or define it if not already defined elsewhere
 let Mentorship;
@@ -159,9 +160,7 @@ export const getMentorshipById = asyncHandler(async (req, res) => {
   }
   
   // Check if user is part of this mentorship
-  if (mentorship.mentorId._id.toString() !== req.user.id && 
-      mentorship.menteeId._id.toString() !== req.user.id && 
-      req.user.role !== 'admin') {
+  if (!can(req.user, 'mentorship.read', mentorship, req.apiToken)) {
     throw new ApiError(401, 'Not authorized to view this mentorship');
   }
   
@@ -3,6 +3,7 @@ import User from '../models/User';
 import { validateProject, validateProjectUpdate } from '../utils/validators';
 import { errorHandler } from '../utils/errorHandler';
 import logger from '../config/winston';
+import { can } from '../utils/permissions.js';
 
 /**
  * Create a new project
@@ -16,11 +17,10 @@ export const createProject = async (req, res) => {
       return res.status(400).json({ success: false, message: error.details[0].message });
     }
 
-    // Only verified clients or admins can create projects
-    if (req.user.role !== 'client' && req.user.role !== 'admin') {
+    if (!can(req.user, 'project.create')) {
       return res.status(403).json({ 
         success: false, 
-        message: 'Only verified clients or admins can create projects' 
+        message: 'Not authorized to create projects' 
       });
     }
 
@@ -174,8 +174,8 @@ export const updateProject = async (req, res) => {
       return res.status(404).json({ success: false, message: 'Project not found' });
     }
 
-    // Check if user is authorized to update (creator or admin)
-    if (project.creatorId.toString() !== req.user.id && req.user.role !== 'admin') {
+    // Check if user is authorized to update (owner, project team or admin)
+    if (!can(req.user, 'project.update', project)) {
       return res.status(403).json({ 
         success: false, 
         message: 'Not authorized to update this project' 
@@ -242,8 +242,8 @@ export const deleteProject = async (req, res) => {
       return res.status(404).json({ success: false, message: 'Project not found' });
     }
 
-    // Check if user is authorized to delete (creator or admin)
-    if (project.creatorId.toString() !== req.user.id && req.user.role !== 'admin') {
+    // Check if user is authorized to delete (owner or admin)
+    if (!can(req.user, 'project.delete', project)) {
       return res.status(403).json({ 
         success: false, 
         message: 'Not authorized to delete this project' 
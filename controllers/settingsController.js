@@ -2,6 +2,7 @@ import mongoose from 'mongoose';
 import { asyncHandler } from '../utils/asyncHandler.js';
 import { ApiError } from '../middleware/errorHandler.js';
 import { logger } from '../utils/logger.js';
+import { hasPermission } from '../utils/permissions.js';
 
 // Get Settings model or define it if not already defined elsewhere
 let Settings;
@@ -143,15 +144,15 @@ initializeDefaultSettings();
 export const getAllSettings = asyncHandler(async (req, res) => {
   const { category } = req.query;
   
-  // Determine if user is admin
-  const isAdmin = req.user && req.user.role === 'admin';
+  // Determine if user can see private settings
+  const canReadPrivate = hasPermission(req.user, 'settings.read.private', req.apiToken);
   
   // Build filter
   const filter = {};
   if (category) filter.category = category;
   
   // Non-admins can only see public settings
-  if (!isAdmin) {
+  if (!canReadPrivate) {
     filter.isPublic = true;
   }
   
@@ -177,8 +178,7 @@ export const getSettingByKey = asyncHandler(async (req, res) => {
   }
   
   // Check if user can access this setting
-  const isAdmin = req.user && req.user.role === 'admin';
-  if (!setting.isPublic && !isAdmin) {
+  if (!setting.isPublic && !hasPermission(req.user, 'settings.read.private', req.apiToken)) {
     throw new ApiError(403, 'Not authorized to view this setting');
   }
   
@@ -3,6 +3,8 @@ import { validateUserUpdate } from '../utils/validators.js';
 import { asyncHandler } from '../utils/asyncHandler.js';
 import { ApiError } from '../middleware/errorHandler.js';
 import { logger } from '../utils/logger.js';
+import { hasPermission } from '../utils/permissions.js';
+import LeaderboardService from '../services/leaderboardService.js';
 
 /**
  * @desc    Get all users with optional filtering
@@ -88,7 +90,7 @@ export const getUserById = asyncHandler(async (req, res) => {
  */
 export const updateUser = asyncHandler(async (req, res) => {
   // Only allow users to update their own profile (unless admin)
-  if (req.user.id !== req.params.id && req.user.role !== 'admin') {
+  if (req.user.id !== req.params.id && !hasPermission(req.user, 'user.update.any', req.apiToken)) {
     throw new ApiError(403, 'Not authorized to update this profile');
   }
 
@@ -163,32 +165,17 @@ export const getUserBadges = asyncHandler(async (req, res) => {
  * @access  Public
  */
 export const getUserLeaderboardPosition = asyncHandler(async (req, res) => {
-  // Find all users sorted by contribution points (or another metric)
-  const users = await User.find()
-    .select('_id name level contributions')
-    .sort({ contributions: -1 });
+  const user = await User.findById(req.params.id).select('_id');
   
-  // Find the user's position
-  const userIndex = users.findIndex(user => user._id.toString() === req.params.id);
-  
-  if (userIndex === -1) {
+  if (!user) {
     throw new ApiError(404, 'User not found');
   }
   
-  const position = userIndex + 1;
-  
-  // Get users around the target user
-  const startIndex = Math.max(0, userIndex - 2);
-  const endIndex = Math.min(users.length, userIndex + 3);
-  const nearbyUsers = users.slice(startIndex, endIndex);
+  // Ranked by points from the leaderboard snapshots
+  const position = await LeaderboardService.getUserPosition(user._id, { neighbors: 2 });
   
   res.status(200).json({
     success: true,
-    data: {
-      position,
-      total: users.length,
-      percentile: Math.round((1 - position / users.length) * 100),
-      nearbyUsers
-    }
+    data: position
   });
 });
\ No newline at end of file
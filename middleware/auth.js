@@ -2,8 +2,12 @@ import jwt from 'jsonwebtoken';
 import { asyncHandler } from '../utils/asyncHandler.js';
 import { ApiError } from './errorHandler.js';
 import User from '../models/User.js';
+import Settings from '../models/Settings.js';
+import SessionService from '../services/sessionService.js';
+import ApiTokenService, { ADMIN_SCOPE } from '../services/apiTokenService.js';
 import config from '../config/index.js';
 import { logger } from '../utils/logger.js';
+import { hasPermission, can } from '../utils/permissions.js';
 
 export const authMiddleware = asyncHandler(async (req, res, next) => {
   // This is the main auth middleware used throughout the application
@@ -59,10 +63,32 @@ export const authMiddleware = asyncHandler(async (req, res, next) => {
     return next(new ApiError(401, 'Not authorized to access this route'));
   }
   
+  // Personal access tokens only work on routes their scopes cover
+  if (ApiTokenService.isApiToken(token)) {
+    const { user, apiToken } = await ApiTokenService.authenticate(token, req);
+    
+    const requiredScope = ApiTokenService.getRequiredScope(req);
+    if (!requiredScope) {
+      return next(new ApiError(403, 'API tokens cannot be used for this route'));
+    }
+    if (!ApiTokenService.hasScope(apiToken, requiredScope)) {
+      return next(new ApiError(403, `API token is missing the required scope: ${requiredScope}`));
+    }
+    
+    req.user = user;
+    req.apiToken = apiToken;
+    return next();
+  }
+  
   try {
     // Verify token
     const decoded = jwt.verify(token, config.jwtSecret);
     
+    // Refresh tokens are only exchanged at /auth/refresh-token
+    if (decoded.type === 'refresh') {
+      return next(new ApiError(401, 'Not authorized to access this route'));
+    }
+    
     // Find user from token
     const user = await User.findById(decoded.id).select('-password');
     
@@ -70,6 +96,20 @@ export const authMiddleware = asyncHandler(async (req, res, next) => {
       return next(new ApiError(401, 'User not found'));
     }
     
+    // Reject tokens issued before a password change or forced logout
+    if (user.isTokenIssuedBeforeInvalidation(decoded.iat)) {
+      return next(new ApiError(401, 'Credentials changed recently. Please log in again'));
+    }
+    
+    // Tokens bound to a session stop working once that session is revoked
+    if (decoded.sid) {
+      const sessionActive = await SessionService.isSessionActive(decoded.sid, user._id);
+      if (!sessionActive) {
+        return next(new ApiError(401, 'Session has been revoked. Please log in again'));
+      }
+      req.sessionId = decoded.sid;
+    }
+    
     // Add user to request object
     req.user = user;
     next();
@@ -81,8 +121,21 @@ export const authMiddleware = asyncHandler(async (req, res, next) => {
 // Alias for backward compatibility
 export const protect = authMiddleware;
 
+// Admins must enroll in 2FA before using admin rights when the setting is on
+const checkAdminTwoFactor = async (user) => {
+  if (user.role !== 'admin' || user.twoFactor?.enabled) {
+    return null;
+  }
+  
+  const twoFactorRequired = await Settings.getValue('requireTwoFactorForAdmins', false);
+  return twoFactorRequired
+    ? new ApiError(403, 'Two-factor authentication must be enabled for admin accounts')
+    : null;
+};
+
+// Role-based check, kept for older code. New routes should use requirePermission.
 export const authorize = (...roles) => {
-  return (req, res, next) => {
+  return asyncHandler(async (req, res, next) => {
     if (!req.user) {
       return next(new ApiError(401, 'Not authorized to access this route'));
     }
@@ -93,24 +146,73 @@ export const authorize = (...roles) => {
       );
     }
     
+    // Admin rights through an API token need the admin scope as well
+    if (req.apiToken && req.user.role === 'admin' && !ApiTokenService.hasScope(req.apiToken, ADMIN_SCOPE)) {
+      return next(new ApiError(403, `API token is missing the required scope: ${ADMIN_SCOPE}`));
+    }
+    
+    const twoFactorError = await checkAdminTwoFactor(req.user);
+    if (twoFactorError) {
+      return next(twoFactorError);
+    }
+    
     next();
-  };
+  });
 };
 
-export const checkOwnership = (model) => asyncHandler(async (req, res, next) => {
+// Require at least one of the given permissions (see utils/permissions.js)
+export const requirePermission = (...permissions) => {
+  return asyncHandler(async (req, res, next) => {
+    if (!req.user) {
+      return next(new ApiError(401, 'Not authorized to access this route'));
+    }
+    
+    if (!permissions.some(permission => hasPermission(req.user, permission, req.apiToken))) {
+      return next(new ApiError(403, 'You do not have permission to perform this action'));
+    }
+    
+    const twoFactorError = await checkAdminTwoFactor(req.user);
+    if (twoFactorError) {
+      return next(twoFactorError);
+    }
+    
+    next();
+  });
+};
+
+// Block unverified users when admins require email verification
+export const requireVerifiedEmail = asyncHandler(async (req, res, next) => {
+  if (!req.user) {
+    return next(new ApiError(401, 'Not authorized to access this route'));
+  }
+  
+  if (req.user.emailVerified) {
+    return next();
+  }
+  
+  const verificationRequired = await Settings.getValue('requireEmailVerification', false);
+  if (verificationRequired) {
+    return next(new ApiError(403, 'Please verify your email address before performing this action'));
+  }
+  
+  next();
+});
+
+// Load the document in req.params.id and check the user may perform the
+// action on it (e.g. checkOwnership(Project, 'update') checks 'project.update').
+// The document is passed on as req.resource.
+export const checkOwnership = (model, action = 'update') => asyncHandler(async (req, res, next) => {
   const document = await model.findById(req.params.id);
   
   if (!document) {
     return next(new ApiError(404, 'Resource not found'));
   }
   
-  // Check if user is owner or admin
-  if (
-    document.user?.toString() !== req.user.id && 
-    req.user.role !== 'admin'
-  ) {
+  const permission = `${model.modelName.toLowerCase()}.${action}`;
+  if (!can(req.user, permission, document, req.apiToken)) {
     return next(new ApiError(403, 'Not authorized to modify this resource'));
   }
   
+  req.resource = document;
   next();
-});
\ No newline at end of file
+});
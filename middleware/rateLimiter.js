@@ -44,4 +44,20 @@ export const aiLimiter = rateLimit({
   handler: (req, res, next, options) => {
     next(new ApiError(429, 'AI request limit reached, please try again later'));
   },
+});
+
+// Verification email rate limiter (3 requests in 60 minutes per user)
+export const verificationEmailLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 60 minutes
+  max: 3, // Limit each user to 3 verification emails per window
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => (req.user ? req.user.id : req.ip),
+  message: {
+    success: false,
+    error: 'Too many verification emails requested, please try again later',
+  },
+  handler: (req, res, next, options) => {
+    next(new ApiError(429, 'Too many verification emails requested, please try again later'));
+  },
 });
\ No newline at end of file
@@ -216,8 +216,7 @@ AnalyticsSchema.statics.updatePlatformMetrics = async function() {
   const totalMentorships = await Mentorship.countDocuments();
   
   // Count badges awarded
-  const users = await User.find({}, 'badges');
-  const totalBadgesAwarded = users.reduce((total, user) => total + user.badges.length, 0);
+  const totalBadgesAwarded = await mongoose.model('UserBadge').countDocuments({ status: 'active' });
   
   // Get active users
   const now = new Date();
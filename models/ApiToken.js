@@ -0,0 +1,69 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+
+const ApiTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Please add a token name'],
+    trim: true,
+    maxlength: [100, 'Token name cannot be more than 100 characters']
+  },
+  // SHA-256 hash of the token; the token itself is only shown once
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  // First characters of the token, to help users recognize it
+  tokenPrefix: {
+    type: String,
+    required: true
+  },
+  scopes: {
+    type: [String],
+    default: []
+  },
+  // Null means the token never expires
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedIp: {
+    type: String,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Hash a token for storage and lookup
+ApiTokenSchema.statics.hashToken = function(token) {
+  return crypto
+    .createHash('sha256')
+    .update(token)
+    .digest('hex');
+};
+
+// Check if the token can still be used
+ApiTokenSchema.methods.isActive = function() {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+};
+
+const ApiToken = mongoose.model('ApiToken', ApiTokenSchema);
+
+export default ApiToken;
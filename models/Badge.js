@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { validateRule, conditionsToRule } from '../utils/badgeRules.js';
 
 const BadgeSchema = new mongoose.Schema({
   title: {
@@ -17,11 +18,16 @@ const BadgeSchema = new mongoose.Schema({
     type: String,
     required: [true, 'Please add an icon URL for this badge']
   },
+  // Rule expression deciding who earns the badge (see utils/badgeRules.js)
+  rule: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  // Legacy single condition, used when a badge has no rule
   conditions: {
     type: {
       type: String,
-      enum: ['contribution_count', 'project_count', 'time_active', 'skill_level', 'special'],
-      required: [true, 'Please specify badge condition type']
+      enum: ['contribution_count', 'project_count', 'time_active', 'skill_level', 'special']
     },
     count: {
       type: Number,
@@ -48,11 +54,60 @@ const BadgeSchema = new mongoose.Schema({
   isActive: {
     type: Boolean,
     default: true
+  },
+  // Badges of the same series are tiers of one ladder (e.g. 1, 10 and 50 contributions)
+  series: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    default: null,
+    match: [/^[a-z0-9_-]+$/, 'Series can only contain letters, numbers, dashes and underscores']
+  },
+  // Position in the series, starting at 1
+  tier: {
+    type: Number,
+    min: [1, 'Tier must be at least 1'],
+    default: null
+  },
+  // Display name of the tier (e.g. Bronze, Silver, Gold)
+  tierName: {
+    type: String,
+    trim: true,
+    maxlength: [30, 'Tier name cannot be more than 30 characters']
   }
 }, {
   timestamps: true
 });
 
+// Each tier of a series is a single badge
+BadgeSchema.index(
+  { series: 1, tier: 1 },
+  { unique: true, partialFilterExpression: { series: { $type: 'string' } } }
+);
+
+BadgeSchema.pre('validate', function() {
+  if (Boolean(this.series) !== Boolean(this.tier)) {
+    this.invalidate(this.series ? 'tier' : 'series', 'Series badges need both a series and a tier');
+  }
+
+  if (this.rule === null || this.rule === undefined) {
+    if (!this.conditions?.type) {
+      this.invalidate('rule', 'Please add a rule for this badge');
+    }
+    return;
+  }
+
+  const errors = validateRule(this.rule);
+  if (errors.length) {
+    this.invalidate('rule', `Invalid badge rule: ${errors.join('; ')}`);
+  }
+});
+
+// Rule used to evaluate the badge, falling back to the legacy condition
+BadgeSchema.methods.getRule = function() {
+  return this.rule || conditionsToRule(this.conditions);
+};
+
 // Predefined badge types and automatic creator
 BadgeSchema.statics.createDefaultBadges = async function() {
   const defaultBadges = [
@@ -60,43 +115,40 @@ BadgeSchema.statics.createDefaultBadges = async function() {
       title: 'First Contribution',
       description: 'Made your first contribution to an open-source project',
       iconUrl: '/badges/first-contribution.svg',
-      conditions: {
-        type: 'contribution_count',
-        count: 1
-      },
+      rule: { fact: 'contributions', op: '>=', value: 1 },
       rarity: 'common',
-      pointsAwarded: 10
+      pointsAwarded: 10,
+      series: 'contributions',
+      tier: 1,
+      tierName: 'Bronze'
     },
     {
       title: 'Code Warrior',
       description: 'Made 10 contributions to open-source projects',
       iconUrl: '/badges/code-warrior.svg',
-      conditions: {
-        type: 'contribution_count',
-        count: 10
-      },
+      rule: { fact: 'contributions', op: '>=', value: 10, params: { status: ['merged', 'approved'] } },
       rarity: 'uncommon',
-      pointsAwarded: 50
+      pointsAwarded: 50,
+      series: 'contributions',
+      tier: 2,
+      tierName: 'Silver'
     },
     {
       title: 'Open Source Hero',
       description: 'Made 50 contributions to open-source projects',
       iconUrl: '/badges/os-hero.svg',
-      conditions: {
-        type: 'contribution_count',
-        count: 50
-      },
+      rule: { fact: 'contributions', op: '>=', value: 50, params: { status: ['merged', 'approved'] } },
       rarity: 'rare',
-      pointsAwarded: 200
+      pointsAwarded: 200,
+      series: 'contributions',
+      tier: 3,
+      tierName: 'Gold'
     },
     {
       title: 'Project Starter',
       description: 'Created your first open-source project',
       iconUrl: '/badges/project-starter.svg',
-      conditions: {
-        type: 'project_count',
-        count: 1
-      },
+      rule: { fact: 'projects_created', op: '>=', value: 1 },
       rarity: 'uncommon',
       pointsAwarded: 100
     },
@@ -104,12 +156,30 @@ BadgeSchema.statics.createDefaultBadges = async function() {
       title: 'Mentor',
       description: 'Became a mentor to help others grow',
       iconUrl: '/badges/mentor.svg',
-      conditions: {
-        type: 'special',
-        specialCondition: 'become_mentor'
+      rule: {
+        any: [
+          { fact: 'is_mentor', op: '==', value: true },
+          { fact: 'mentorships', op: '>=', value: 1, params: { role: 'mentor', mentorshipStatus: ['active', 'completed'] } }
+        ]
       },
       rarity: 'rare',
       pointsAwarded: 150
+    },
+    {
+      title: 'Mentorship Graduate',
+      description: 'Completed a mentorship with every goal met',
+      iconUrl: '/badges/mentorship-graduate.svg',
+      rule: { fact: 'mentorships', op: '>=', value: 1, params: { role: 'mentee', mentorshipStatus: 'completed', goalsMet: true } },
+      rarity: 'uncommon',
+      pointsAwarded: 75
+    },
+    {
+      title: 'Trusted Mentor',
+      description: 'Rated 4.5 or higher by at least 5 mentees',
+      iconUrl: '/badges/trusted-mentor.svg',
+      rule: { fact: 'mentor_rating', op: '>=', value: 4.5, params: { minReviews: 5 } },
+      rarity: 'epic',
+      pointsAwarded: 250
     }
   ];
   
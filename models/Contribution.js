@@ -1,4 +1,23 @@
 import mongoose from 'mongoose';
+import ScoringService from '../services/scoringService.js';
+import { logger } from '../utils/logger.js';
+import { publish } from '../utils/eventBus.js';
+
+/**
+ * Write a GitHub PR or issue link in one form ("https://github.com/owner/repo/pull/1"),
+ * so the same PR or issue is recognized however its link was entered
+ * @param {string} link - Link with or without scheme, "www." or trailing slash
+ * @returns {string} - Normalized link (other values are returned unchanged)
+ */
+const normalizeLink = (link) => {
+  if (typeof link !== 'string') return link;
+
+  const match = /^(?:https?:\/\/)?(?:www\.)?github\.com\/([a-zA-Z0-9_.-]+)\/([a-zA-Z0-9_.-]+)\/(pull|issues)\/(\d+)\/?$/i.exec(link.trim());
+  if (!match) return link;
+
+  const [, owner, repo, kind, number] = match;
+  return `https://github.com/${owner}/${repo}/${kind}/${number}`.toLowerCase();
+};
 
 const ContributionSchema = new mongoose.Schema({
   userId: {
@@ -29,6 +48,8 @@ const ContributionSchema = new mongoose.Schema({
   link: {
     type: String,
     required: [true, 'Please add a link to the contribution (PR, issue, etc.)'],
+    // Also applied to query filters, so lookups by link match any form
+    set: normalizeLink,
     match: [
       /^(https?:\/\/)?(www\.)?github\.com\/([a-zA-Z0-9_-]+)\/([a-zA-Z0-9_-]+)\/(pull|issues)\/\d+\/?$/,
       'Please add a valid GitHub PR or issue URL'
@@ -39,6 +60,8 @@ const ContributionSchema = new mongoose.Schema({
     enum: ['open', 'merged', 'closed', 'approved'],
     default: 'open'
   },
+  // GitHub labels of the PR or issue, used for label bonuses
+  labels: [String],
   points: {
     type: Number,
     default: 0
@@ -51,48 +74,122 @@ const ContributionSchema = new mongoose.Schema({
   verifiedAt: {
     type: Date,
     default: null
+  },
+  // Where the contribution came from: reported by the user or tracked from GitHub
+  source: {
+    type: String,
+    enum: ['manual', 'github_webhook'],
+    default: 'manual'
+  },
+  // Automatic check of the contribution against the GitHub API
+  verification: {
+    status: {
+      type: String,
+      enum: ['pending', 'verified', 'flagged', 'error'],
+      default: 'pending'
+    },
+    // Why the contribution was flagged for manual review
+    reasons: [String],
+    checkedAt: Date,
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    // Set when a mentor resolves a flagged contribution
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reviewedAt: Date
+  },
+  // Data recorded from GitHub during verification
+  github: {
+    author: String,
+    state: String,
+    merged: Boolean,
+    mergedAt: Date,
+    additions: Number,
+    deletions: Number,
+    changedFiles: Number,
+    reviewCount: Number
   }
 }, {
   timestamps: true
 });
 
-// Update user's points after saving contribution
+// Used by the verification job to find unchecked contributions
+ContributionSchema.index({ 'verification.status': 1, createdAt: 1 });
+
+ContributionSchema.statics.normalizeLink = normalizeLink;
+
+// Normalize links stored before links were normalized on save
+ContributionSchema.statics.normalizeStoredLinks = async function() {
+  const cursor = this.find().select('link').lean().cursor();
+  const operations = [];
+  let checked = 0;
+
+  for await (const contribution of cursor) {
+    checked++;
+    const link = normalizeLink(contribution.link);
+    if (link !== contribution.link) {
+      // A filter by link would be normalized too, so match on the ID only
+      operations.push({ updateOne: { filter: { _id: contribution._id }, update: { $set: { link } } } });
+    }
+  }
+
+  if (operations.length) {
+    await this.bulkWrite(operations);
+  }
+
+  return { checked, normalized: operations.length };
+};
+
+// Score the contribution when it is created or its status, type or labels change
+ContributionSchema.pre('save', async function() {
+  if (!this.isNew && !this.isModified('status') && !this.isModified('type') && !this.isModified('labels')) {
+    return;
+  }
+
+  const previousPoints = this.isNew ? 0 : this.points;
+  this.points = await ScoringService.scoreContribution(this);
+  this.$locals.pointsDelta = this.points - previousPoints;
+});
+
+// Collect the domain events this save causes; they are published once it succeeds
+ContributionSchema.pre('save', function() {
+  const events = [];
+
+  if (this.isNew) {
+    events.push('contribution.created');
+  }
+  if (this.isModified('status') && this.status === 'merged') {
+    events.push('contribution.merged');
+  }
+  if ((this.isModified('verifiedBy') && this.verifiedBy) ||
+      (this.isModified('verification.status') && this.verification?.status === 'verified')) {
+    events.push('contribution.verified');
+  }
+
+  this.$locals.events = events;
+});
+
+// Record the score change in the points ledger. Routes can set
+// $locals.actorId to the user whose action changed the score.
 ContributionSchema.post('save', async function() {
+  const delta = this.$locals.pointsDelta;
+  this.$locals.pointsDelta = 0;
+
   try {
-    // Calculate points based on contribution type and status
-    let points = 0;
-    
-    // Base points for different contribution types
-    switch (this.type) {
-      case 'PR':
-        points = 10;
-        break;
-      case 'issue':
-        points = 3;
-        break;
-      case 'review':
-        points = 5;
-        break;
-      case 'documentation':
-        points = 7;
-        break;
-      case 'other':
-        points = 2;
-        break;
-    }
-    
-    // Bonus points for merged/approved contributions
-    if (this.status === 'merged' || this.status === 'approved') {
-      points *= 2;
-    }
-    
-    // Update the contribution's points
-    this.points = points;
-    await this.save();
-    
-    // Update User model to reflect the contribution (this would be handled in a service/controller)
+    await ScoringService.recordScoreChange(this, delta, { actorId: this.$locals.actorId });
   } catch (err) {
-    console.error('Error updating points:', err);
+    logger.error(`Error updating points of user ${this.userId}: ${err.message}`);
+  }
+
+  const events = this.$locals.events || [];
+  this.$locals.events = [];
+
+  for (const event of events) {
+    publish(event, { userId: this.userId, contributionId: this._id, projectId: this.projectId });
   }
 });
 
@@ -104,6 +104,11 @@ const GithubAnalyticsSchema = new mongoose.Schema({
   lastUpdated: {
     type: Date,
     default: Date.now
+  },
+  // Set when the user unlinks GitHub; the analytics are kept but no longer refreshed
+  disconnectedAt: {
+    type: Date,
+    default: null
   }
 }, {
   timestamps: true
@@ -118,7 +123,7 @@ GithubAnalyticsSchema.statics.createOrUpdate = async function(userId, data) {
   
   const analytics = await this.findOneAndUpdate(
     { userId, githubId },
-    { ...data, lastUpdated: Date.now() },
+    { ...data, lastUpdated: Date.now(), disconnectedAt: null },
     { new: true, upsert: true }
   );
   
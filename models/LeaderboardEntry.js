@@ -0,0 +1,42 @@
+import mongoose from 'mongoose';
+
+// One user's place on one leaderboard in a snapshot
+const LeaderboardEntrySchema = new mongoose.Schema({
+  // LeaderboardSnapshot the entry belongs to
+  generation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LeaderboardSnapshot',
+    required: true
+  },
+  // Board key, e.g. "weekly:global" or "all_time:skill:javascript"
+  board: {
+    type: String,
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  points: {
+    type: Number,
+    required: true
+  },
+  // Users with the same points share a rank
+  rank: {
+    type: Number,
+    required: true
+  },
+  // 1-based place in the sorted board, unique per board
+  position: {
+    type: Number,
+    required: true
+  }
+});
+
+LeaderboardEntrySchema.index({ generation: 1, board: 1, position: 1 });
+LeaderboardEntrySchema.index({ generation: 1, board: 1, userId: 1 });
+
+const LeaderboardEntry = mongoose.model('LeaderboardEntry', LeaderboardEntrySchema);
+
+export default LeaderboardEntry;
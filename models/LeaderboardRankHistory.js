@@ -0,0 +1,42 @@
+import mongoose from 'mongoose';
+
+// Keep a little over a year of daily ranks
+const HISTORY_RETENTION_SECONDS = 400 * 24 * 60 * 60;
+
+// A user's rank on a leaderboard at the last rebuild of a day (UTC)
+const LeaderboardRankHistorySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  board: {
+    type: String,
+    required: true
+  },
+  // Start of the day (UTC)
+  date: {
+    type: Date,
+    required: true
+  },
+  rank: {
+    type: Number,
+    required: true
+  },
+  points: {
+    type: Number,
+    required: true
+  },
+  // Number of users on the board
+  total: {
+    type: Number,
+    required: true
+  }
+});
+
+LeaderboardRankHistorySchema.index({ userId: 1, board: 1, date: 1 }, { unique: true });
+LeaderboardRankHistorySchema.index({ date: 1 }, { expireAfterSeconds: HISTORY_RETENTION_SECONDS });
+
+const LeaderboardRankHistory = mongoose.model('LeaderboardRankHistory', LeaderboardRankHistorySchema);
+
+export default LeaderboardRankHistory;
@@ -0,0 +1,23 @@
+import mongoose from 'mongoose';
+
+// A completed leaderboard rebuild stored in MongoDB (used when Redis is not configured).
+// Readers use the newest snapshot; its entries share its _id as their generation.
+const LeaderboardSnapshotSchema = new mongoose.Schema({
+  generatedAt: {
+    type: Date,
+    required: true,
+    index: true
+  },
+  boards: {
+    type: Number,
+    default: 0
+  },
+  entries: {
+    type: Number,
+    default: 0
+  }
+});
+
+const LeaderboardSnapshot = mongoose.model('LeaderboardSnapshot', LeaderboardSnapshotSchema);
+
+export default LeaderboardSnapshot;
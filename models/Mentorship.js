@@ -1,4 +1,22 @@
 import mongoose from 'mongoose';
+import Settings from './Settings.js';
+
+export const MENTORSHIP_STATUSES = ['waitlisted', 'pending', 'active', 'paused', 'completed', 'rejected', 'expired', 'cancelled'];
+
+// Statuses each status can move to; the last four are final
+export const MENTORSHIP_TRANSITIONS = {
+  waitlisted: ['pending', 'rejected', 'cancelled'],
+  pending: ['active', 'rejected', 'expired', 'cancelled'],
+  active: ['paused', 'completed', 'cancelled'],
+  paused: ['active', 'completed', 'cancelled'],
+  completed: [],
+  rejected: [],
+  expired: [],
+  cancelled: []
+};
+
+// Statuses that take one of the mentor's slots
+export const OPEN_MENTORSHIP_STATUSES = ['pending', 'active', 'paused'];
 
 const MentorshipSchema = new mongoose.Schema({
   mentorId: {
@@ -11,98 +29,94 @@ const MentorshipSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  // Only changed through MentorshipLifecycleService, which records each transition
   status: {
     type: String,
-    enum: ['pending', 'active', 'completed', 'cancelled'],
+    enum: MENTORSHIP_STATUSES,
     default: 'pending'
   },
-  focusAreas: {
-    type: [String],
-    required: [true, 'Please specify focus areas for mentorship'],
-    validate: [arrayLimit, 'Cannot specify more than 5 focus areas']
-  },
+  skills: [{
+    type: String
+  }],
   goals: {
     type: String,
-    required: [true, 'Please specify goals for this mentorship'],
+    required: [true, 'Please provide mentorship goals'],
     maxlength: [500, 'Goals cannot be more than 500 characters']
   },
-  duration: {
-    type: Number, // Duration in weeks
-    required: [true, 'Please specify mentorship duration'],
+  // Planned length in weeks; sets the end date when the mentorship starts
+  durationWeeks: {
+    type: Number,
     min: [1, 'Duration must be at least 1 week'],
     max: [52, 'Duration cannot exceed 52 weeks (1 year)']
   },
+  // Request time, then the time the mentor accepted
   startDate: {
     type: Date,
-    default: null // Set when status changes to active
+    default: Date.now
   },
+  // Planned end while active or paused (completed automatically once passed), actual end afterwards
   endDate: {
-    type: Date,
-    default: null // Calculated based on startDate and duration
-  },
-  meetingFrequency: {
-    type: String,
-    enum: ['weekly', 'biweekly', 'monthly', 'as-needed'],
-    default: 'biweekly'
+    type: Date
   },
+  // Unanswered pending requests expire at this time
+  expiresAt: Date,
   notes: {
     type: String,
     maxlength: [1000, 'Notes cannot be more than 1000 characters']
   },
-  feedbacks: [
-    {
-      from: {
-        type: mongoose.Schema.Types.ObjectId,
-        ref: 'User',
-        required: true
-      },
-      rating: {
-        type: Number,
-        required: true,
-        min: 1,
-        max: 5
-      },
-      comment: {
-        type: String,
-        maxlength: [500, 'Feedback comment cannot be more than 500 characters']
-      },
-      createdAt: {
-        type: Date,
-        default: Date.now
-      }
+  lastInteraction: {
+    type: Date,
+    default: Date.now
+  },
+  // Set while every milestone of the mentorship's goals is complete
+  goalsCompletedAt: Date,
+  transitions: [{
+    _id: false,
+    from: {
+      type: String,
+      enum: MENTORSHIP_STATUSES
+    },
+    to: {
+      type: String,
+      enum: MENTORSHIP_STATUSES,
+      required: true
+    },
+    // Null for automatic transitions
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    reason: {
+      type: String,
+      maxlength: [500, 'Reason cannot be more than 500 characters']
+    },
+    at: {
+      type: Date,
+      default: Date.now
     }
-  ]
+  }]
 }, {
   timestamps: true
 });
 
-// Validate array length
-function arrayLimit(val) {
-  return val.length <= 5;
-}
+MentorshipSchema.index({ mentorId: 1, status: 1 });
+MentorshipSchema.index({ menteeId: 1, status: 1 });
+// Used by the expiry and automatic completion jobs
+MentorshipSchema.index({ status: 1, expiresAt: 1 });
+MentorshipSchema.index({ status: 1, endDate: 1 });
 
-// Set end date when mentorship becomes active
-MentorshipSchema.pre('save', function(next) {
-  if (this.status === 'active' && !this.startDate) {
-    this.startDate = new Date();
-    
-    // Calculate end date based on duration (in weeks)
-    const endDate = new Date(this.startDate);
-    endDate.setDate(endDate.getDate() + (this.duration * 7));
-    this.endDate = endDate;
-  }
-  next();
-});
+// Check if the mentorship may move to a status
+MentorshipSchema.methods.canTransitionTo = function(status) {
+  return (MENTORSHIP_TRANSITIONS[this.status] || []).includes(status);
+};
 
-// Check if mentorship should be marked as completed based on end date
-MentorshipSchema.methods.checkCompletion = function() {
-  if (this.status === 'active' && this.endDate && new Date() > this.endDate) {
-    this.status = 'completed';
-    return true;
-  }
-  return false;
+// Time a request made pending now expires unless the mentor answers
+MentorshipSchema.statics.getRequestExpiry = async function(from = new Date()) {
+  const days = await Settings.getValue('mentorshipRequestExpiryDays', 14);
+  return new Date(from.getTime() + days * 24 * 60 * 60 * 1000);
 };
 
 const Mentorship = mongoose.model('Mentorship', MentorshipSchema);
 
-export default Mentorship;
\ No newline at end of file
+export default Mentorship;
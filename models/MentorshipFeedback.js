@@ -0,0 +1,124 @@
+import mongoose from 'mongoose';
+
+// What a piece of feedback is about: a held session, a completed milestone or the whole mentorship
+export const FEEDBACK_CONTEXTS = ['session', 'milestone', 'completion'];
+
+// Aspects of a mentor that mentees score separately
+export const FEEDBACK_DIMENSIONS = ['communication', 'expertise', 'availability'];
+
+export const MODERATION_STATUSES = ['visible', 'flagged', 'hidden'];
+
+const score = (label) => ({
+  type: Number,
+  min: [1, `${label} must be at least 1`],
+  max: [5, `${label} cannot be more than 5`]
+});
+
+const MentorshipFeedbackSchema = new mongoose.Schema({
+  mentorshipId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Mentorship',
+    required: true,
+    immutable: true
+  },
+  fromId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    immutable: true
+  },
+  toId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    immutable: true
+  },
+  // Role of the author; mentee feedback makes up the mentor's rating
+  role: {
+    type: String,
+    enum: ['mentor', 'mentee'],
+    required: true,
+    immutable: true
+  },
+  context: {
+    type: String,
+    enum: FEEDBACK_CONTEXTS,
+    required: true,
+    immutable: true
+  },
+  // Session or milestone the feedback is about (none for completion feedback)
+  refId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null,
+    immutable: true
+  },
+  rating: {
+    ...score('Rating'),
+    required: [true, 'Please provide a rating']
+  },
+  // Only given by mentees
+  scores: {
+    communication: score('Communication score'),
+    expertise: score('Expertise score'),
+    availability: score('Availability score')
+  },
+  comment: {
+    type: String,
+    maxlength: [1000, 'Comment cannot be more than 1000 characters']
+  },
+  // Moderation applies to the comment; the rating always counts
+  moderation: {
+    status: {
+      type: String,
+      enum: MODERATION_STATUSES,
+      default: 'visible'
+    },
+    reports: [{
+      _id: false,
+      by: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      reason: {
+        type: String,
+        maxlength: [500, 'Reason cannot be more than 500 characters']
+      },
+      at: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    moderatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    moderatedAt: Date,
+    note: {
+      type: String,
+      maxlength: [500, 'Note cannot be more than 500 characters']
+    }
+  }
+}, {
+  timestamps: true
+});
+
+// One piece of feedback per author for each session, milestone and completion
+MentorshipFeedbackSchema.index({ mentorshipId: 1, fromId: 1, context: 1, refId: 1 }, { unique: true });
+// Used to compute mentor ratings and list reviews
+MentorshipFeedbackSchema.index({ toId: 1, role: 1, createdAt: -1 });
+// Used by the moderation queue
+MentorshipFeedbackSchema.index({ 'moderation.status': 1, updatedAt: 1 });
+
+// The feedback as shown to users other than its author and moderators
+MentorshipFeedbackSchema.methods.toPublicJSON = function() {
+  const { moderation, ...feedback } = this.toJSON();
+  return {
+    ...feedback,
+    comment: moderation.status === 'visible' ? feedback.comment : undefined,
+    commentHidden: moderation.status !== 'visible' && Boolean(feedback.comment)
+  };
+};
+
+const MentorshipFeedback = mongoose.model('MentorshipFeedback', MentorshipFeedbackSchema);
+
+export default MentorshipFeedback;
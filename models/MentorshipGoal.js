@@ -0,0 +1,136 @@
+import mongoose from 'mongoose';
+
+// Work that can be linked to a milestone as evidence of progress
+export const EVIDENCE_TYPES = ['contribution', 'project', 'badge'];
+
+const maxItems = (max, message) => ({
+  validator: value => value.length <= max,
+  message
+});
+
+const ChecklistItemSchema = new mongoose.Schema({
+  text: {
+    type: String,
+    required: [true, 'Please add the checklist item text'],
+    trim: true,
+    maxlength: [200, 'Checklist items cannot be more than 200 characters']
+  },
+  done: {
+    type: Boolean,
+    default: false
+  },
+  doneAt: Date,
+  doneBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+});
+
+const EvidenceSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: EVIDENCE_TYPES,
+    required: true
+  },
+  // Contribution, Project or Badge ID, depending on the type
+  refId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // Title of the linked item when it was added, kept if it is deleted later
+  title: String,
+  note: {
+    type: String,
+    maxlength: [300, 'Note cannot be more than 300 characters']
+  },
+  addedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const MilestoneSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Please add a milestone title'],
+    trim: true,
+    maxlength: [200, 'Title cannot be more than 200 characters']
+  },
+  description: {
+    type: String,
+    maxlength: [1000, 'Description cannot be more than 1000 characters']
+  },
+  targetDate: Date,
+  checklist: {
+    type: [ChecklistItemSchema],
+    validate: maxItems(30, 'A milestone cannot have more than 30 checklist items')
+  },
+  evidence: {
+    type: [EvidenceSchema],
+    validate: maxItems(20, 'A milestone cannot have more than 20 pieces of evidence')
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  completedAt: Date,
+  completedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true }
+});
+
+// Share of checklist items done (null without a checklist)
+MilestoneSchema.virtual('checklistProgress').get(function() {
+  if (!this.checklist?.length) return null;
+  return Math.round((this.checklist.filter(item => item.done).length / this.checklist.length) * 100) / 100;
+});
+
+const MentorshipGoalSchema = new mongoose.Schema({
+  mentorshipId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Mentorship',
+    required: true,
+    immutable: true
+  },
+  title: {
+    type: String,
+    required: [true, 'Please add a goal title'],
+    trim: true,
+    maxlength: [200, 'Title cannot be more than 200 characters']
+  },
+  description: {
+    type: String,
+    maxlength: [1000, 'Description cannot be more than 1000 characters']
+  },
+  milestones: {
+    type: [MilestoneSchema],
+    validate: maxItems(20, 'A goal cannot have more than 20 milestones')
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true }
+});
+
+MentorshipGoalSchema.index({ mentorshipId: 1, createdAt: 1 });
+
+// Percentage of milestones completed (0 without milestones)
+MentorshipGoalSchema.virtual('percentComplete').get(function() {
+  if (!this.milestones?.length) return 0;
+  return Math.round((this.milestones.filter(milestone => milestone.completedAt).length / this.milestones.length) * 100);
+});
+
+const MentorshipGoal = mongoose.model('MentorshipGoal', MentorshipGoalSchema);
+
+export default MentorshipGoal;
@@ -0,0 +1,107 @@
+import mongoose from 'mongoose';
+import { isTimeZone } from '../utils/availability.js';
+
+export const SESSION_STATUSES = ['proposed', 'confirmed', 'done', 'missed', 'cancelled'];
+
+const MentorshipSessionSchema = new mongoose.Schema({
+  mentorshipId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Mentorship',
+    required: true,
+    immutable: true
+  },
+  // Participant who proposed the current time; the other one confirms it
+  proposedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  scheduledAt: {
+    type: Date,
+    required: [true, 'Please propose a time for the session']
+  },
+  // Time zone the session was planned in, used when showing the time
+  timezone: {
+    type: String,
+    default: 'UTC',
+    validate: [isTimeZone, 'Please provide a valid IANA time zone (e.g. Europe/Berlin)']
+  },
+  // Duration in minutes
+  duration: {
+    type: Number,
+    default: 60,
+    min: [15, 'Duration must be at least 15 minutes'],
+    max: [480, 'Duration cannot be more than 8 hours']
+  },
+  agenda: {
+    type: String,
+    maxlength: [1000, 'Agenda cannot be more than 1000 characters']
+  },
+  meetingUrl: {
+    type: String,
+    maxlength: [500, 'Meeting URL cannot be more than 500 characters']
+  },
+  status: {
+    type: String,
+    enum: SESSION_STATUSES,
+    default: 'proposed'
+  },
+  mentorNotes: {
+    type: String,
+    maxlength: [2000, 'Notes cannot be more than 2000 characters']
+  },
+  menteeNotes: {
+    type: String,
+    maxlength: [2000, 'Notes cannot be more than 2000 characters']
+  },
+  // Earlier times of the session, oldest first
+  reschedules: [{
+    from: Date,
+    to: Date,
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reason: String,
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  confirmedAt: Date,
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  cancelledAt: Date,
+  cancellationReason: {
+    type: String,
+    maxlength: [500, 'Reason cannot be more than 500 characters']
+  },
+  // Set when the attendance (done or missed) was recorded
+  completedAt: Date,
+  reminderSentAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true }
+});
+
+MentorshipSessionSchema.index({ mentorshipId: 1, scheduledAt: 1 });
+// Used by the reminder job
+MentorshipSessionSchema.index({ status: 1, reminderSentAt: 1, scheduledAt: 1 });
+
+// Calendar revision, increased on every reschedule so calendar apps update the event
+MentorshipSessionSchema.virtual('sequence').get(function() {
+  return this.reschedules?.length || 0;
+});
+
+MentorshipSessionSchema.virtual('endsAt').get(function() {
+  return this.scheduledAt && new Date(this.scheduledAt.getTime() + this.duration * 60 * 1000);
+});
+
+const MentorshipSession = mongoose.model('MentorshipSession', MentorshipSessionSchema);
+
+export default MentorshipSession;
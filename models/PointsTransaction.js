@@ -0,0 +1,94 @@
+import mongoose from 'mongoose';
+
+// Why a user's points changed
+export const POINTS_SOURCES = ['contribution', 'badge', 'mentorship', 'admin_adjustment'];
+
+const PointsTransactionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    immutable: true
+  },
+  // Points added (positive) or removed (negative)
+  amount: {
+    type: Number,
+    required: true,
+    immutable: true
+  },
+  source: {
+    type: String,
+    enum: POINTS_SOURCES,
+    required: true,
+    immutable: true
+  },
+  // Document the points are for (contribution, badge or mentorship)
+  referenceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'referenceModel',
+    immutable: true
+  },
+  referenceModel: {
+    type: String,
+    enum: ['Contribution', 'Badge', 'Mentorship'],
+    immutable: true
+  },
+  // Project the points were earned in, for per-project leaderboards
+  projectId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    default: null,
+    immutable: true
+  },
+  // User who caused the change; empty for automatic awards
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+    immutable: true
+  },
+  reason: {
+    type: String,
+    maxlength: [500, 'Reason cannot be more than 500 characters'],
+    immutable: true
+  },
+  // Set for awards that must only be paid once (e.g. "badge-award:<awardId>");
+  // recording the same key again is a no-op
+  idempotencyKey: {
+    type: String,
+    immutable: true
+  },
+  // When the points were earned, for the weekly and monthly leaderboards.
+  // Later than createdAt only for corrections of earlier points (e.g. rescoring).
+  effectiveAt: {
+    type: Date,
+    default: Date.now,
+    immutable: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+PointsTransactionSchema.index({ userId: 1, createdAt: -1 });
+PointsTransactionSchema.index({ referenceId: 1, source: 1 });
+PointsTransactionSchema.index({ createdAt: -1 });
+PointsTransactionSchema.index({ effectiveAt: -1 });
+PointsTransactionSchema.index({ idempotencyKey: 1 }, { unique: true, sparse: true });
+
+// Ledger entries are never changed or removed; corrections are new entries
+PointsTransactionSchema.pre('save', function() {
+  if (!this.isNew) {
+    throw new Error('Points transactions cannot be modified');
+  }
+});
+
+PointsTransactionSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  function() {
+    throw new Error('Points transactions cannot be modified');
+  }
+);
+
+const PointsTransaction = mongoose.model('PointsTransaction', PointsTransactionSchema);
+
+export default PointsTransaction;
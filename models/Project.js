@@ -1,4 +1,64 @@
 import mongoose from 'mongoose';
+import { encryptField, decryptField } from '../utils/encryption.js';
+
+// Project team roles, from least to most privileged
+export const PROJECT_ROLES = ['contributor', 'triager', 'maintainer', 'owner'];
+
+const ProjectMemberSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  role: {
+    type: String,
+    enum: PROJECT_ROLES,
+    default: 'contributor'
+  },
+  addedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const ProjectInvitationSchema = new mongoose.Schema({
+  // Either an existing user or an email address for someone not registered yet
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  role: {
+    type: String,
+    enum: PROJECT_ROLES.filter(role => role !== 'owner'),
+    default: 'contributor'
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'declined', 'revoked'],
+    default: 'pending'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  respondedAt: Date
+}, {
+  timestamps: true
+});
 
 const ProjectSchema = new mongoose.Schema({
   title: {
@@ -58,6 +118,25 @@ const ProjectSchema = new mongoose.Schema({
       ref: 'User'
     }
   ],
+  // GitHub webhook that tracks contributions automatically
+  githubWebhook: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    // Secret GitHub signs deliveries with; encrypted at rest
+    secret: {
+      type: String,
+      select: false,
+      get: decryptField,
+      set: encryptField
+    },
+    configuredAt: Date,
+    lastDeliveryAt: Date
+  },
+  // Project team; the owner is also kept in creatorId
+  members: [ProjectMemberSchema],
+  invitations: [ProjectInvitationSchema],
   featuredIssues: [
     {
       title: String,
@@ -85,7 +164,18 @@ const ProjectSchema = new mongoose.Schema({
   ]
 }, {
   timestamps: true,
-  toJSON: { virtuals: true },
+  toJSON: {
+    virtuals: true,
+    // Invitations (invitee emails) are only exposed through the team routes,
+    // and the webhook secret never leaves the server
+    transform(doc, ret) {
+      delete ret.invitations;
+      if (ret.githubWebhook) {
+        delete ret.githubWebhook.secret;
+      }
+      return ret;
+    }
+  },
   toObject: { virtuals: true }
 });
 
@@ -106,6 +196,21 @@ ProjectSchema.virtual('contributions', {
   justOne: false
 });
 
+// Normalize an ObjectId, a populated document or a string to a string ID
+const toId = (value) => (value?._id ?? value)?.toString();
+
+// Get the team role of a user ('owner', 'maintainer', 'triager', 'contributor' or null).
+// Projects created before teams existed only know their creator, who is the owner.
+ProjectSchema.methods.getMemberRole = function(userOrId) {
+  const userId = toId(userOrId);
+  if (!userId) return null;
+
+  const member = (this.members || []).find(m => toId(m.userId) === userId);
+  if (member) return member.role;
+
+  return toId(this.creatorId) === userId ? 'owner' : null;
+};
+
 // Get contributor count
 ProjectSchema.virtual('contributorCount').get(function() {
   return this.contributors.length;
@@ -0,0 +1,224 @@
+import mongoose from 'mongoose';
+import { logger } from '../utils/logger.js';
+
+const SettingsSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  value: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  description: {
+    type: String,
+    required: false
+  },
+  isPublic: {
+    type: Boolean,
+    default: false
+  },
+  category: {
+    type: String,
+    required: true,
+    enum: ['general', 'email', 'appearance', 'security', 'advanced']
+  },
+  lastModifiedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  lastModifiedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Platform defaults, also used as fallback values when a setting is missing
+SettingsSchema.statics.getDefaultSettings = function() {
+  return [
+    {
+      key: 'siteName',
+      value: 'OpenElevate',
+      description: 'Site name displayed across the platform',
+      isPublic: true,
+      category: 'general'
+    },
+    {
+      key: 'siteDescription',
+      value: 'Elevating your open source journey',
+      description: 'Site description for SEO and branding',
+      isPublic: true,
+      category: 'general'
+    },
+    {
+      key: 'contactEmail',
+      value: 'contact@openelevate.org',
+      description: 'Primary contact email for the site',
+      isPublic: true,
+      category: 'email'
+    },
+    {
+      key: 'maintenanceMode',
+      value: false,
+      description: 'Enable maintenance mode',
+      isPublic: false,
+      category: 'advanced'
+    },
+    {
+      key: 'signupEnabled',
+      value: true,
+      description: 'Allow new user registrations',
+      isPublic: true,
+      category: 'security'
+    },
+    {
+      key: 'requireEmailVerification',
+      value: false,
+      description: 'Require a verified email before creating projects, contributions or mentorship requests',
+      isPublic: true,
+      category: 'security'
+    },
+    {
+      key: 'requireTwoFactorForAdmins',
+      value: false,
+      description: 'Require two-factor authentication for accounts with the admin role',
+      isPublic: false,
+      category: 'security'
+    },
+    {
+      key: 'maxFailedLoginAttempts',
+      value: 5,
+      description: 'Failed login attempts before an account is temporarily locked',
+      isPublic: false,
+      category: 'security'
+    },
+    {
+      key: 'accountLockoutMinutes',
+      value: 15,
+      description: 'How long an account stays locked after too many failed logins',
+      isPublic: false,
+      category: 'security'
+    },
+    {
+      key: 'loginBackoffBaseSeconds',
+      value: 1,
+      description: 'Delay after the first failed login, doubled with each further failure',
+      isPublic: false,
+      category: 'security'
+    },
+    {
+      key: 'primaryColor',
+      value: '#4A90E2',
+      description: 'Primary theme color',
+      isPublic: true,
+      category: 'appearance'
+    },
+    {
+      key: 'secondaryColor',
+      value: '#50E3C2',
+      description: 'Secondary theme color',
+      isPublic: true,
+      category: 'appearance'
+    },
+    {
+      key: 'maxProjectsPerUser',
+      value: 10,
+      description: 'Maximum number of projects a regular user can create',
+      isPublic: true,
+      category: 'general'
+    },
+    {
+      key: 'maxMentorshipsPerMentor',
+      value: 5,
+      description: 'Pending and active mentorships per mentor, unless the mentor sets their own maximum',
+      isPublic: true,
+      category: 'general'
+    },
+    {
+      key: 'contributionScoringRules',
+      value: {
+        // Points per contribution type
+        basePoints: { PR: 10, issue: 3, review: 5, documentation: 7, other: 2 },
+        // Multiplier per contribution status
+        statusMultipliers: { open: 1, closed: 1, merged: 2, approved: 2 },
+        // Multiplier per project difficulty
+        difficultyMultipliers: { beginner: 1, intermediate: 1.5, advanced: 2 },
+        // Bonus for a user's first merged or approved contribution to a project
+        firstContributionBonus: 5,
+        // Extra base points per GitHub label (matched case-insensitively)
+        labelBonuses: { bug: 2, security: 5, 'good first issue': 1 }
+      },
+      description: 'Rules used to score contributions. Run "npm run recompute-points" after changing them to rescore existing contributions',
+      isPublic: true,
+      category: 'general'
+    },
+    {
+      key: 'mentorshipCompletionPoints',
+      value: { mentor: 25, mentee: 15 },
+      description: 'Points awarded to the mentor and the mentee when a mentorship is completed (once per mentor and mentee pair)',
+      isPublic: true,
+      category: 'general'
+    },
+    {
+      key: 'badgeTierNotifyThreshold',
+      value: 0.8,
+      description: 'Share of the next badge tier (0-1) a user must reach to be told they are close to it',
+      isPublic: true,
+      category: 'general'
+    },
+    {
+      key: 'mentorshipRequestExpiryDays',
+      value: 14,
+      description: 'Days a mentor has to answer a mentorship request before it expires',
+      isPublic: true,
+      category: 'general'
+    },
+    {
+      key: 'mentorshipSessionReminderHours',
+      value: 24,
+      description: 'How many hours before a confirmed mentorship session both participants get a reminder email',
+      isPublic: true,
+      category: 'general'
+    },
+    {
+      key: 'mentorRatingPriorWeight',
+      value: 5,
+      description: 'How many platform-average ratings each mentor rating is blended with, so mentors with few reviews stay near the average',
+      isPublic: true,
+      category: 'general'
+    },
+    {
+      key: 'featuredProjectsCount',
+      value: 6,
+      description: 'Number of featured projects to show on homepage',
+      isPublic: true,
+      category: 'general'
+    }
+  ];
+};
+
+// Create any default settings that don't exist yet
+SettingsSchema.statics.createDefaultSettings = async function() {
+  for (const setting of this.getDefaultSettings()) {
+    const exists = await this.findOne({ key: setting.key });
+    if (!exists) {
+      await this.create(setting);
+      logger.info(`Default setting created: ${setting.key}`);
+    }
+  }
+};
+
+// Read a setting value, falling back to its default (or the given fallback)
+SettingsSchema.statics.getValue = async function(key, fallback = null) {
+  const setting = await this.findOne({ key }).lean();
+  if (setting) return setting.value;
+  
+  const defaultSetting = this.getDefaultSettings().find(s => s.key === key);
+  return defaultSetting ? defaultSetting.value : fallback;
+};
+
+const Settings = mongoose.model('Settings', SettingsSchema);
+
+export default Settings;
@@ -3,6 +3,17 @@ import bcrypt from 'bcryptjs';
 import jwt from 'jsonwebtoken';
 import crypto from 'crypto';
 import config from '../config/index.js';
+import { encryptField, decryptField } from '../utils/encryption.js';
+import { TIME_PATTERN, isTimeZone, toMinutes } from '../utils/availability.js';
+import { matchCodeStep } from '../utils/totp.js';
+
+// OAuth tokens are encrypted at rest and decrypted transparently on read
+const encryptedTokenField = {
+  type: String,
+  select: false,
+  get: decryptField,
+  set: encryptField
+};
 
 const UserSchema = new mongoose.Schema({
   name: {
@@ -26,6 +37,11 @@ const UserSchema = new mongoose.Schema({
     minlength: [8, 'Password must be at least 8 characters'],
     select: false
   },
+  // False for accounts created through OAuth until the user sets a password
+  passwordLoginEnabled: {
+    type: Boolean,
+    default: true
+  },
   role: {
     type: String,
     enum: ['developer', 'client', 'mentor', 'admin'],
@@ -44,22 +60,138 @@ const UserSchema = new mongoose.Schema({
     enum: ['beginner', 'intermediate', 'advanced'],
     default: 'beginner'
   },
+  // ISO 3166-1 alpha-2 code, used for country leaderboards
+  country: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z]{2}$/, 'Country must be a two-letter ISO country code']
+  },
+  // Badges currently held, kept in sync with the active UserBadge awards
   badges: [
     {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Badge'
     }
   ],
+  // Next badge tiers the user was already told they are close to
+  notifiedBadgeTiers: {
+    type: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Badge'
+      }
+    ],
+    select: false
+  },
   contributions: [
     {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Contribution'
     }
   ],
+  // Running total of contribution points, kept in sync by the scoring service
+  points: {
+    type: Number,
+    default: 0
+  },
   isMentor: {
     type: Boolean,
     default: false
   },
+  // Weekly times the user is usually available, used to match mentors and mentees
+  availability: {
+    timezone: {
+      type: String,
+      default: 'UTC',
+      validate: [isTimeZone, 'Please provide a valid IANA time zone (e.g. Europe/Berlin)']
+    },
+    windows: [{
+      _id: false,
+      // 0 = Sunday
+      day: {
+        type: Number,
+        required: true,
+        min: 0,
+        max: 6
+      },
+      start: {
+        type: String,
+        required: true,
+        match: [TIME_PATTERN, 'Times must be given as HH:mm']
+      },
+      end: {
+        type: String,
+        required: true,
+        match: [TIME_PATTERN, 'Times must be given as HH:mm'],
+        validate: {
+          validator: function(value) {
+            return !TIME_PATTERN.test(this.start) || toMinutes(value) > toMinutes(this.start);
+          },
+          message: 'A window must end after it starts'
+        }
+      }
+    }]
+  },
+  mentorProfile: {
+    // Active and pending mentees at a time; falls back to the maxMentorshipsPerMentor setting
+    maxMentees: {
+      type: Number,
+      min: [1, 'Maximum mentees must be at least 1'],
+      max: [50, 'Maximum mentees cannot be more than 50']
+    },
+    // Areas the mentor takes requests for; any area when empty
+    focusAreas: {
+      type: [String],
+      default: []
+    },
+    // Requests beyond capacity are waitlisted instead of refused
+    waitlistEnabled: {
+      type: Boolean,
+      default: false
+    },
+    vacations: [{
+      start: {
+        type: Date,
+        required: true
+      },
+      end: {
+        type: Date,
+        required: true,
+        validate: {
+          validator: function(value) {
+            return value > this.start;
+          },
+          message: 'A vacation must end after it starts'
+        }
+      },
+      note: {
+        type: String,
+        maxlength: [200, 'Note cannot be more than 200 characters']
+      }
+    }]
+  },
+  // Computed from mentee feedback by MentorRatingService; score is a Bayesian average
+  mentorRating: {
+    score: {
+      type: Number,
+      default: null
+    },
+    average: {
+      type: Number,
+      default: null
+    },
+    count: {
+      type: Number,
+      default: 0
+    },
+    dimensions: {
+      communication: { type: Number, default: null },
+      expertise: { type: Number, default: null },
+      availability: { type: Number, default: null }
+    },
+    updatedAt: Date
+  },
   isClient: {
     type: Boolean,
     default: false
@@ -84,6 +216,19 @@ const UserSchema = new mongoose.Schema({
   },
   resetPasswordToken: String,
   resetPasswordExpire: Date,
+  passwordChangedAt: Date,
+  // Set when an admin forces a logout; tokens issued earlier are rejected
+  tokensRevokedAt: Date,
+  // Brute-force protection: consecutive failed logins and the resulting lock
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lastFailedLoginAt: Date,
+  // Logins are refused until this time (back-off delay or full lockout)
+  lockUntil: Date,
+  // Set only for full lockouts, so back-off delays don't show up as locked accounts
+  lockedAt: Date,
   oauth: {
     google: {
       id: String,
@@ -94,8 +239,8 @@ const UserSchema = new mongoose.Schema({
       id: String,
       username: String,
       name: String,
-      accessToken: String,
-      refreshToken: String,
+      accessToken: encryptedTokenField,
+      refreshToken: encryptedTokenField,
       tokenScope: String,
       tokenExpiry: Date
     }
@@ -103,30 +248,112 @@ const UserSchema = new mongoose.Schema({
   emailVerified: {
     type: Boolean,
     default: false
+  },
+  emailVerificationToken: String,
+  emailVerificationExpire: Date,
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    // Base32 TOTP secret, set once enrollment is confirmed
+    secret: {
+      type: String,
+      select: false
+    },
+    // Secret awaiting confirmation with a first code
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    // SHA-256 hashes of unused one-time recovery codes
+    recoveryCodes: {
+      type: [String],
+      select: false
+    },
+    // Time step of the last accepted TOTP code, so codes cannot be replayed
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    enabledAt: Date
+  },
+  // OAuth login waiting for the owner of the matching email to confirm a merge
+  pendingOAuthLink: {
+    type: {
+      provider: String,
+      providerData: mongoose.Schema.Types.Mixed,
+      profileDefaults: mongoose.Schema.Types.Mixed,
+      tokenHash: String,
+      expiresAt: Date
+    },
+    select: false
   }
 }, {
   timestamps: true,
-  toJSON: { virtuals: true },
+  toJSON: {
+    virtuals: true,
+    // Never send credentials to clients, even when they were explicitly selected
+    transform(doc, ret) {
+      delete ret.password;
+      delete ret.pendingOAuthLink;
+      if (ret.oauth?.github) {
+        delete ret.oauth.github.accessToken;
+        delete ret.oauth.github.refreshToken;
+      }
+      if (ret.twoFactor) {
+        delete ret.twoFactor.secret;
+        delete ret.twoFactor.pendingSecret;
+        delete ret.twoFactor.recoveryCodes;
+        delete ret.twoFactor.lastUsedStep;
+      }
+      return ret;
+    }
+  },
   toObject: { virtuals: true }
 });
 
 // Encrypt password using bcrypt
-UserSchema.pre('save', async function(next) {
+UserSchema.pre('save', async function() {
   if (!this.isModified('password')) {
-    next();
+    return;
   }
   
   const salt = await bcrypt.genSalt(10);
   this.password = await bcrypt.hash(this.password, salt);
+  
+  // Stamp password changes on existing users so older tokens stop working.
+  // Back-dated by a second so a token signed right after saving stays valid.
+  if (!this.isNew) {
+    this.passwordChangedAt = Date.now() - 1000;
+  }
 });
 
-// Sign JWT and return
-UserSchema.methods.getSignedJwtToken = function() {
-  return jwt.sign({ id: this._id }, config.jwtSecret, {
+// Sign JWT and return (bound to a session when one is given)
+UserSchema.methods.getSignedJwtToken = function(sessionId) {
+  const payload = { id: this._id };
+  if (sessionId) payload.sid = sessionId;
+
+  return jwt.sign(payload, config.jwtSecret, {
     expiresIn: config.jwtExpiresIn
   });
 };
 
+// Check if a token issued at the given time (JWT iat, in seconds) predates
+// a password change or a forced logout
+UserSchema.methods.isTokenIssuedBeforeInvalidation = function(issuedAt) {
+  const invalidationTimes = [this.passwordChangedAt, this.tokensRevokedAt]
+    .filter(Boolean)
+    .map(date => parseInt(date.getTime() / 1000, 10));
+  
+  return invalidationTimes.some(timestamp => issuedAt < timestamp);
+};
+
+// Check if logins are currently refused for this account
+UserSchema.methods.isLoginLocked = function() {
+  return Boolean(this.lockUntil && this.lockUntil > Date.now());
+};
+
 // Match user entered password to hashed password in database
 UserSchema.methods.matchPassword = async function(enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
@@ -149,6 +376,78 @@ UserSchema.methods.getResetPasswordToken = function() {
   return resetToken;
 };
 
+// Generate and hash email verification token
+UserSchema.methods.getEmailVerificationToken = function() {
+  // Generate token
+  const verificationToken = crypto.randomBytes(20).toString('hex');
+
+  // Hash token and set to emailVerificationToken field
+  this.emailVerificationToken = crypto
+    .createHash('sha256')
+    .update(verificationToken)
+    .digest('hex');
+
+  // Set expire
+  this.emailVerificationExpire = Date.now() + 24 * 60 * 60 * 1000; // 24 hours
+
+  return verificationToken;
+};
+
+// Generate one-time 2FA recovery codes, storing only their hashes
+UserSchema.methods.generateRecoveryCodes = function(count = 10) {
+  const codes = [];
+  
+  for (let i = 0; i < count; i++) {
+    const code = crypto.randomBytes(5).toString('hex');
+    codes.push(`${code.slice(0, 5)}-${code.slice(5)}`);
+  }
+  
+  this.twoFactor.recoveryCodes = codes.map(code => crypto
+    .createHash('sha256')
+    .update(code)
+    .digest('hex'));
+  
+  return codes;
+};
+
+// Consume a 2FA recovery code; returns false if it is unknown or already used
+UserSchema.methods.useRecoveryCode = function(code) {
+  const hashedCode = crypto
+    .createHash('sha256')
+    .update(String(code).trim().toLowerCase())
+    .digest('hex');
+  
+  const remaining = this.twoFactor.recoveryCodes || [];
+  if (!remaining.includes(hashedCode)) {
+    return false;
+  }
+  
+  this.twoFactor.recoveryCodes = remaining.filter(c => c !== hashedCode);
+  return true;
+};
+
+// Consume a TOTP code; returns false if it is invalid or its time step was already used
+UserSchema.methods.useTotpCode = function(code, secret = this.twoFactor.secret) {
+  const step = matchCodeStep(secret, code, { lastUsedStep: this.twoFactor.lastUsedStep });
+  if (step === null) {
+    return false;
+  }
+  
+  this.twoFactor.lastUsedStep = step;
+  return true;
+};
+
+// List the ways this user can log in ('password', 'google', 'github')
+UserSchema.methods.getLoginMethods = function() {
+  const methods = [];
+  
+  if (this.passwordLoginEnabled !== false) methods.push('password');
+  if (this.oauth?.google?.id) methods.push('google');
+  if (this.oauth?.github?.id) methods.push('github');
+  
+  return methods;
+};
+
 // Calculate profile completeness
 UserSchema.methods.calculateProfileCompleteness = function() {
   let completeness = 0;
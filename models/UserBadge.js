@@ -0,0 +1,86 @@
+import mongoose from 'mongoose';
+
+// What caused an award: a domain event, a manual award or the migration from User.badges
+export const AWARD_SOURCES = ['event', 'manual', 'migration'];
+
+const UserBadgeSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    immutable: true
+  },
+  badgeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Badge',
+    required: true,
+    immutable: true
+  },
+  awardedAt: {
+    type: Date,
+    default: Date.now,
+    immutable: true
+  },
+  // User who awarded the badge; empty for automatic awards
+  awardedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+    immutable: true
+  },
+  reason: {
+    type: String,
+    maxlength: [500, 'Reason cannot be more than 500 characters'],
+    immutable: true
+  },
+  source: {
+    type: String,
+    enum: AWARD_SOURCES,
+    default: 'event',
+    immutable: true
+  },
+  // Domain event whose evaluation awarded the badge (e.g. 'contribution.merged')
+  sourceEvent: {
+    type: String,
+    default: null,
+    immutable: true
+  },
+  // Points paid for the award, reversed when it is revoked
+  pointsAwarded: {
+    type: Number,
+    default: 0,
+    immutable: true
+  },
+  status: {
+    type: String,
+    enum: ['active', 'revoked'],
+    default: 'active'
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  revocationReason: {
+    type: String,
+    maxlength: [500, 'Revocation reason cannot be more than 500 characters']
+  }
+}, {
+  timestamps: true
+});
+
+// A user holds a badge at most once; revoked awards stay as history
+UserBadgeSchema.index(
+  { userId: 1, badgeId: 1 },
+  { unique: true, partialFilterExpression: { status: 'active' } }
+);
+UserBadgeSchema.index({ userId: 1, awardedAt: -1 });
+UserBadgeSchema.index({ badgeId: 1, status: 1 });
+
+const UserBadge = mongoose.model('UserBadge', UserBadgeSchema);
+
+export default UserBadge;
@@ -0,0 +1,60 @@
+import mongoose from 'mongoose';
+
+const WebhookDeliverySchema = new mongoose.Schema({
+  // X-GitHub-Delivery header, used for replay protection
+  deliveryId: {
+    type: String,
+    required: true
+  },
+  provider: {
+    type: String,
+    enum: ['github'],
+    default: 'github'
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  action: String,
+  projectId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    index: true
+  },
+  repository: String,
+  sender: String,
+  signatureValid: {
+    type: Boolean,
+    default: false
+  },
+  status: {
+    type: String,
+    enum: ['processing', 'processed', 'ignored', 'rejected', 'failed'],
+    default: 'processing',
+    index: true
+  },
+  message: String,
+  // Contributions created or updated by this delivery
+  contributionIds: [
+    {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Contribution'
+    }
+  ],
+  processedAt: Date
+}, {
+  timestamps: true
+});
+
+// A signed delivery is only processed once; rejected attempts don't block the real one
+WebhookDeliverySchema.index(
+  { provider: 1, deliveryId: 1 },
+  { unique: true, partialFilterExpression: { signatureValid: true } }
+);
+
+// Keep the delivery log for 90 days
+WebhookDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+const WebhookDelivery = mongoose.model('WebhookDelivery', WebhookDeliverySchema);
+
+export default WebhookDelivery;
@@ -1,13 +1,15 @@
 import express from 'express';
-import { authMiddleware, authorize } from '../middleware/auth.js';
+import { authMiddleware, requirePermission } from '../middleware/auth.js';
 import { asyncHandler } from '../utils/asyncHandler.js';
 import Analytics from '../models/Analytics.js';
 import User from '../models/User.js';
 import Project from '../models/Project.js';
 import Contribution from '../models/Contribution.js';
 import Badge from '../models/Badge.js';
+import UserBadge from '../models/UserBadge.js';
 import GithubAnalytics from '../models/GithubAnalytics.js';
 import { logger } from '../utils/logger.js';
+import { can } from '../utils/permissions.js';
 
 const router = express.Router();
 
@@ -27,7 +29,7 @@ const router = express.Router();
  *       500:
  *         description: Server error
  */
-router.get('/platform', authMiddleware, authorize('admin'), asyncHandler(async (req, res) => {
+router.get('/platform', authMiddleware, requirePermission('analytics.platform.read'), asyncHandler(async (req, res) => {
   // Get or create the analytics document
   const analytics = await Analytics.getOrCreate();
   
@@ -53,7 +55,7 @@ router.get('/platform', authMiddleware, authorize('admin'), asyncHandler(async (
  *       500:
  *         description: Server error
  */
-router.post('/refresh', authMiddleware, authorize('admin'), asyncHandler(async (req, res) => {
+router.post('/refresh', authMiddleware, requirePermission('analytics.refresh'), asyncHandler(async (req, res) => {
   // Refresh all analytics data
   const analytics = await Analytics.refresh();
   
@@ -131,14 +133,6 @@ router.get('/dashboard', authMiddleware, asyncHandler(async (req, res) => {
 router.get('/user/:id', authMiddleware, asyncHandler(async (req, res) => {
   const { id } = req.params;
   
-  // Check if user is requesting their own data or is an admin
-  if (req.user.id !== id && req.user.role !== 'admin') {
-    return res.status(401).json({
-      success: false,
-      message: 'Not authorized to view this user\'s analytics'
-    });
-  }
-  
   // Get user
   const user = await User.findById(id);
   if (!user) {
@@ -148,6 +142,14 @@ router.get('/user/:id', authMiddleware, asyncHandler(async (req, res) => {
     });
   }
   
+  // Check if user is requesting their own data or is an admin
+  if (!can(req.user, 'analytics.user.read', user, req.apiToken)) {
+    return res.status(401).json({
+      success: false,
+      message: 'Not authorized to view this user\'s analytics'
+    });
+  }
+  
   // Get user's contributions
   const contributions = await Contribution.find({ userId: id });
   
@@ -157,11 +159,14 @@ router.get('/user/:id', authMiddleware, asyncHandler(async (req, res) => {
   // Get user's GitHub analytics if available
   const githubAnalytics = await GithubAnalytics.findOne({ userId: id });
   
+  // Get user's current badge awards
+  const badgeAwards = await UserBadge.find({ userId: id, status: 'active' }).select('awardedAt');
+  
   // Compile user analytics
   const userAnalytics = {
     contributionCount: contributions.length,
     projectCount: projects.length,
-    badgeCount: user.badges.length,
+    badgeCount: badgeAwards.length,
     contributionsByStatus: {
       pending: contributions.filter(c => c.status === 'pending').length,
       inProgress: contributions.filter(c => c.status === 'in_progress').length,
@@ -170,7 +175,7 @@ router.get('/user/:id', authMiddleware, asyncHandler(async (req, res) => {
     },
     contributionTimeline: generateTimeline(contributions, 'createdAt'),
     projectTimeline: generateTimeline(projects, 'createdAt'),
-    badgeTimeline: generateTimeline(user.badges, 'awardedAt'),
+    badgeTimeline: generateTimeline(badgeAwards, 'awardedAt'),
     githubInsights: githubAnalytics ? {
       totalCommits: githubAnalytics.contributions?.totalCommits || 0,
       totalRepositories: githubAnalytics.repositories?.totalCount || 0,
@@ -254,17 +259,18 @@ router.get('/badges', authMiddleware, asyncHandler(async (req, res) => {
   // Get all badges
   const badges = await Badge.find();
   
-  // Get all users with badges
-  const users = await User.find({ 'badges.0': { $exists: true } }, 'badges');
+  // Count current awards per badge
+  const awardCounts = await UserBadge.aggregate([
+    { $match: { status: 'active' } },
+    { $group: { _id: '$badgeId', count: { $sum: 1 }, users: { $addToSet: '$userId' } } }
+  ]);
   
-  // Count badge occurrences
   const badgeCounts = {};
-  users.forEach(user => {
-    user.badges.forEach(badge => {
-      const badgeId = badge.badgeId.toString();
-      badgeCounts[badgeId] = (badgeCounts[badgeId] || 0) + 1;
-    });
+  awardCounts.forEach(({ _id, count }) => {
+    badgeCounts[_id.toString()] = count;
   });
+  const totalAwards = awardCounts.reduce((total, { count }) => total + count, 0);
+  const usersWithBadges = new Set(awardCounts.flatMap(({ users }) => users.map(String))).size;
   
   // Count badges by rarity
   const rarityDistribution = {
@@ -292,11 +298,10 @@ router.get('/badges', authMiddleware, asyncHandler(async (req, res) => {
   // Compile badge analytics
   const badgeAnalytics = {
     totalBadges: badges.length,
-    totalAwards: users.reduce((total, user) => total + user.badges.length, 0),
+    totalAwards,
     rarityDistribution,
     mostAwardedBadges,
-    averageBadgesPerUser: users.length > 0 ? 
-      users.reduce((total, user) => total + user.badges.length, 0) / users.length : 0
+    averageBadgesPerUser: usersWithBadges > 0 ? totalAwards / usersWithBadges : 0
   };
   
   res.status(200).json({
@@ -368,7 +373,7 @@ router.get('/contributions', authMiddleware, asyncHandler(async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.get('/geographic', authMiddleware, authorize('admin'), asyncHandler(async (req, res) => {
+router.get('/geographic', authMiddleware, requirePermission('analytics.platform.read'), asyncHandler(async (req, res) => {
   // Get all users with location data
   const users = await User.find({ location: { $exists: true, $ne: '' } }, 'location');
   
@@ -4,11 +4,19 @@ import bcrypt from 'bcryptjs';
 import crypto from 'crypto';
 import passport from 'passport';
 import { authMiddleware } from '../middleware/auth.js';
+import { authLimiter, verificationEmailLimiter } from '../middleware/rateLimiter.js';
 import User from '../models/User.js';
-import { sendEmail } from '../utils/email.js';
+import Settings from '../models/Settings.js';
+import SessionService from '../services/sessionService.js';
+import AccountLinkService, { OAUTH_PROVIDERS } from '../services/accountLinkService.js';
+import LoginProtectionService from '../services/loginProtectionService.js';
+import ApiTokenService, { API_TOKEN_SCOPES } from '../services/apiTokenService.js';
+import { sendEmail, sendVerificationEmail } from '../utils/email.js';
 import { asyncHandler } from '../utils/asyncHandler.js';
+import { generateSecret, buildOtpauthUri } from '../utils/totp.js';
 import { ApiError } from '../middleware/errorHandler.js';
 import { logger } from '../utils/logger.js';
+import { publish } from '../utils/eventBus.js';
 import config from '../config/index.js';
 
 const router = express.Router();
@@ -82,18 +90,27 @@ router.post('/register', [
     isClient: role === 'client'
   });
 
-  // Generate auth token
-  const token = user.getSignedJwtToken();
+  // Start a session and generate auth tokens
+  const { token, refreshToken } = await SessionService.createSession(user, req);
 
-  // Update lastActive
+  // Update lastActive and issue an email verification token
   user.lastActive = Date.now();
+  const verificationToken = user.getEmailVerificationToken();
   await user.save();
 
   logger.info(`New user registered: ${user.email}`);
 
+  // Registration succeeds even if the email can't be sent; the user can resend it
+  try {
+    await sendVerificationEmail(user, verificationToken);
+  } catch (error) {
+    logger.error(`Error sending verification email to ${user.email}: ${error.message}`);
+  }
+
   res.status(201).json({
     success: true,
     token,
+    refreshToken,
     user: {
       id: user._id,
       name: user.name,
@@ -102,11 +119,27 @@ router.post('/register', [
       isMentor: user.isMentor,
       isClient: user.isClient,
       avatarUrl: user.avatarUrl,
+      emailVerified: user.emailVerified,
       createdAt: user.createdAt
     }
   });
 }));
 
+/**
+ * Refuse a login attempt while the account is in back-off or locked out
+ */
+const sendLoginLockedResponse = (res, lockedOut, retryAfter) => {
+  res.set('Retry-After', String(retryAfter));
+
+  return res.status(429).json({
+    success: false,
+    message: lockedOut
+      ? 'Account temporarily locked due to too many failed login attempts'
+      : 'Too many failed login attempts, please wait before trying again',
+    retryAfter
+  });
+};
+
 /**
  * @swagger
  * /auth/login:
@@ -134,6 +167,8 @@ router.post('/register', [
  *         description: Login successful
  *       401:
  *         description: Invalid credentials
+ *       429:
+ *         description: Too many failed attempts; retry after the Retry-After header
  *       500:
  *         description: Server error
  */
@@ -149,26 +184,50 @@ router.post('/login', [
 
   const { email, password } = req.body;
 
-  // Find user
+  // Find user (accounts without password login can only use their providers)
   const user = await User.findOne({ email }).select('+password');
-  if (!user) {
+  if (!user || !user.passwordLoginEnabled) {
     return res.status(401).json({
       success: false, 
       message: 'Invalid credentials'
     });
   }
 
+  // Don't even check the password during back-off or lockout
+  if (user.isLoginLocked()) {
+    return sendLoginLockedResponse(res, Boolean(user.lockedAt), LoginProtectionService.getRetryAfter(user));
+  }
+
   // Match password
   const isMatch = await user.matchPassword(password);
   if (!isMatch) {
+    const { locked, retryAfter } = await LoginProtectionService.recordFailure(user);
+    if (locked) {
+      return sendLoginLockedResponse(res, true, retryAfter);
+    }
+
     return res.status(401).json({
       success: false, 
       message: 'Invalid credentials'
     });
   }
 
-  // Generate auth token
-  const token = user.getSignedJwtToken();
+  // With 2FA enabled, the session is only started by /auth/login/2fa
+  if (user.twoFactor?.enabled) {
+    logger.info(`Password verified, awaiting 2FA code for: ${user.email}`);
+
+    return res.status(200).json({
+      success: true,
+      mfaRequired: true,
+      mfaToken: SessionService.signMfaPendingToken(user),
+      message: 'Two-factor authentication code required'
+    });
+  }
+
+  await LoginProtectionService.recordSuccess(user);
+
+  // Start a session and generate auth tokens
+  const { token, refreshToken } = await SessionService.createSession(user, req);
 
   // Update lastActive
   user.lastActive = Date.now();
@@ -176,9 +235,15 @@ router.post('/login', [
 
   logger.info(`User logged in: ${user.email}`);
 
+  // Let admins know they need to enroll before using admin routes
+  const twoFactorSetupRequired = user.role === 'admin'
+    && await Settings.getValue('requireTwoFactorForAdmins', false);
+
   res.status(200).json({
     success: true,
     token,
+    refreshToken,
+    twoFactorSetupRequired,
     user: {
       id: user._id,
       name: user.name,
@@ -187,6 +252,7 @@ router.post('/login', [
       isMentor: user.isMentor,
       isClient: user.isClient,
       avatarUrl: user.avatarUrl,
+      emailVerified: user.emailVerified,
       createdAt: user.createdAt
     }
   });
@@ -194,57 +260,162 @@ router.post('/login', [
 
 /**
  * @swagger
- * /auth/logout:
- *   get:
- *     summary: Logout current user (client-side only)
+ * /auth/login/2fa:
+ *   post:
+ *     summary: Complete a login with a two-factor code or recovery code
  *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - mfaToken
+ *             properties:
+ *               mfaToken:
+ *                 type: string
+ *                 description: Token returned by /auth/login
+ *               code:
+ *                 type: string
+ *                 description: 6-digit code from the authenticator app
+ *               recoveryCode:
+ *                 type: string
+ *                 description: One-time recovery code (instead of code)
  *     responses:
  *       200:
- *         description: Logout successful
+ *         description: Login successful
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Invalid code or expired login token
+ *       429:
+ *         description: Too many failed attempts; retry after the Retry-After header
+ *       500:
+ *         description: Server error
  */
-router.get('/logout', (req, res) => {
-  // JWT is stateless so actual logout happens on the client side
-  // This endpoint exists for API consistency
+router.post('/login/2fa', authLimiter, [
+  check('mfaToken', 'Two-factor login token is required').notEmpty(),
+  check('code').optional().isString(),
+  check('recoveryCode').optional().isString()
+], asyncHandler(async (req, res) => {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  const { mfaToken, code, recoveryCode } = req.body;
+
+  if (!code && !recoveryCode) {
+    return res.status(400).json({
+      success: false,
+      message: 'A two-factor code or recovery code is required'
+    });
+  }
+
+  const userId = SessionService.verifyMfaPendingToken(mfaToken);
+  const user = await User.findById(userId).select('+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep');
+
+  if (!user || !user.twoFactor?.enabled) {
+    throw new ApiError(401, 'Invalid or expired two-factor login token. Please log in again');
+  }
+
+  // Failed codes count towards the same lockout as failed passwords
+  if (user.isLoginLocked()) {
+    return sendLoginLockedResponse(res, Boolean(user.lockedAt), LoginProtectionService.getRetryAfter(user));
+  }
+
+  const isValid = code
+    ? user.useTotpCode(code)
+    : user.useRecoveryCode(recoveryCode);
+
+  if (!isValid) {
+    const { locked, retryAfter } = await LoginProtectionService.recordFailure(user);
+    if (locked) {
+      return sendLoginLockedResponse(res, true, retryAfter);
+    }
+
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid two-factor code'
+    });
+  }
+
+  await LoginProtectionService.recordSuccess(user);
+
+  // Start a session and generate auth tokens
+  const { token, refreshToken } = await SessionService.createSession(user, req);
+
+  // Update lastActive (and persist the consumed code)
+  user.lastActive = Date.now();
+  await user.save({ validateBeforeSave: false });
+
+  logger.info(`User logged in with 2FA${recoveryCode ? ' recovery code' : ''}: ${user.email}`);
+
   res.status(200).json({
     success: true,
-    message: 'Logged out successfully'
+    token,
+    refreshToken,
+    recoveryCodesRemaining: user.twoFactor.recoveryCodes.length,
+    user: {
+      id: user._id,
+      name: user.name,
+      email: user.email,
+      role: user.role,
+      isMentor: user.isMentor,
+      isClient: user.isClient,
+      avatarUrl: user.avatarUrl,
+      emailVerified: user.emailVerified,
+      createdAt: user.createdAt
+    }
   });
-});
+}));
 
 /**
  * @swagger
- * /auth/me:
- *   get:
- *     summary: Get current logged in user's profile
+ * /auth/2fa/setup:
+ *   post:
+ *     summary: Start two-factor enrollment and get an otpauth URI
  *     tags: [Authentication]
  *     security:
  *       - bearerAuth: []
  *     responses:
  *       200:
- *         description: User profile data
+ *         description: Secret and otpauth URI for the authenticator app
+ *       400:
+ *         description: Two-factor authentication already enabled
  *       401:
  *         description: Not authorized
  */
-router.get('/me', authMiddleware, asyncHandler(async (req, res) => {
-  const user = await User.findById(req.user.id)
-    .populate('badges')
-    .populate('contributions');
+router.post('/2fa/setup', authMiddleware, asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id);
 
-  // Update lastActive
-  user.lastActive = Date.now();
+  if (user.twoFactor?.enabled) {
+    return res.status(400).json({
+      success: false,
+      message: 'Two-factor authentication is already enabled'
+    });
+  }
+
+  const secret = generateSecret();
+  user.twoFactor.pendingSecret = secret;
   await user.save({ validateBeforeSave: false });
 
   res.status(200).json({
     success: true,
-    data: user
+    data: {
+      secret,
+      otpauthUri: buildOtpauthUri({ secret, accountName: user.email })
+    }
   });
 }));
 
 /**
  * @swagger
- * /auth/update-profile:
- *   put:
- *     summary: Update user profile
+ * /auth/2fa/confirm:
+ *   post:
+ *     summary: Confirm two-factor enrollment with a first code
  *     tags: [Authentication]
  *     security:
  *       - bearerAuth: []
@@ -254,49 +425,21 @@ router.get('/me', authMiddleware, asyncHandler(async (req, res) => {
  *         application/json:
  *           schema:
  *             type: object
+ *             required:
+ *               - code
  *             properties:
- *               name:
- *                 type: string
- *               bio:
- *                 type: string
- *               skills:
- *                 type: array
- *                 items:
- *                   type: string
- *               level:
- *                 type: string
- *                 enum: [beginner, intermediate, advanced]
- *               socialLinks:
- *                 type: object
- *                 properties:
- *                   github:
- *                     type: string
- *                   linkedin:
- *                     type: string
- *                   twitter:
- *                     type: string
- *                   website:
- *                     type: string
- *               avatarUrl:
+ *               code:
  *                 type: string
  *     responses:
  *       200:
- *         description: Profile updated successfully
+ *         description: Two-factor enabled, recovery codes returned once
  *       400:
- *         description: Invalid input
+ *         description: Invalid code or no enrollment in progress
  *       401:
  *         description: Not authorized
  */
-router.put('/update-profile', authMiddleware, [
-  check('name').optional().notEmpty().withMessage('Name cannot be empty'),
-  check('bio').optional().isLength({ max: 500 }).withMessage('Bio cannot be more than 500 characters'),
-  check('skills').optional().isArray().withMessage('Skills must be an array'),
-  check('level').optional().isIn(['beginner', 'intermediate', 'advanced']).withMessage('Level must be beginner, intermediate, or advanced'),
-  check('socialLinks.github').optional().isURL().withMessage('GitHub link must be a valid URL'),
-  check('socialLinks.linkedin').optional().isURL().withMessage('LinkedIn link must be a valid URL'),
-  check('socialLinks.twitter').optional().isURL().withMessage('Twitter link must be a valid URL'),
-  check('socialLinks.website').optional().isURL().withMessage('Website link must be a valid URL'),
-  check('avatarUrl').optional().isURL().withMessage('Avatar URL must be a valid URL')
+router.post('/2fa/confirm', authMiddleware, [
+  check('code', 'Two-factor code is required').notEmpty()
 ], asyncHandler(async (req, res) => {
   // Validate request
   const errors = validationResult(req);
@@ -304,55 +447,43 @@ router.put('/update-profile', authMiddleware, [
     return res.status(400).json({ success: false, errors: errors.array() });
   }
 
-  const {
-    name,
-    bio,
-    skills,
-    level,
-    socialLinks,
-    avatarUrl
-  } = req.body;
-
-  const updateData = {};
+  const user = await User.findById(req.user.id).select('+twoFactor.pendingSecret +twoFactor.lastUsedStep');
 
-  // Only update fields that were actually passed
-  if (name) updateData.name = name;
-  if (bio !== undefined) updateData.bio = bio;
-  if (skills) updateData.skills = skills;
-  if (level) updateData.level = level;
-  if (socialLinks) {
-    updateData.socialLinks = { ...req.user.socialLinks };
-    if (socialLinks.github !== undefined) updateData.socialLinks.github = socialLinks.github;
-    if (socialLinks.linkedin !== undefined) updateData.socialLinks.linkedin = socialLinks.linkedin;
-    if (socialLinks.twitter !== undefined) updateData.socialLinks.twitter = socialLinks.twitter;
-    if (socialLinks.website !== undefined) updateData.socialLinks.website = socialLinks.website;
+  if (!user.twoFactor?.pendingSecret) {
+    return res.status(400).json({
+      success: false,
+      message: 'No two-factor enrollment in progress'
+    });
   }
-  if (avatarUrl) updateData.avatarUrl = avatarUrl;
 
-  // Update user
-  const updatedUser = await User.findByIdAndUpdate(
-    req.user.id,
-    updateData,
-    { new: true, runValidators: true }
-  );
+  if (!user.useTotpCode(req.body.code, user.twoFactor.pendingSecret)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid two-factor code'
+    });
+  }
 
-  // Recalculate profile completeness
-  updatedUser.profileCompleteness = updatedUser.calculateProfileCompleteness();
-  await updatedUser.save({ validateBeforeSave: false });
+  user.twoFactor.secret = user.twoFactor.pendingSecret;
+  user.twoFactor.pendingSecret = undefined;
+  user.twoFactor.enabled = true;
+  user.twoFactor.enabledAt = new Date();
+  const recoveryCodes = user.generateRecoveryCodes();
+  await user.save({ validateBeforeSave: false });
 
-  logger.info(`User profile updated: ${updatedUser.email}`);
+  logger.info(`Two-factor authentication enabled for: ${user.email}`);
 
   res.status(200).json({
     success: true,
-    data: updatedUser
+    message: 'Two-factor authentication enabled. Store these recovery codes safely; they will not be shown again.',
+    data: { recoveryCodes }
   });
 }));
 
 /**
  * @swagger
- * /auth/change-password:
- *   put:
- *     summary: Change user password
+ * /auth/2fa/disable:
+ *   post:
+ *     summary: Disable two-factor authentication
  *     tags: [Authentication]
  *     security:
  *       - bearerAuth: []
@@ -363,26 +494,27 @@ router.put('/update-profile', authMiddleware, [
  *           schema:
  *             type: object
  *             required:
- *               - currentPassword
- *               - newPassword
+ *               - password
+ *               - code
  *             properties:
- *               currentPassword:
+ *               password:
  *                 type: string
  *                 format: password
- *               newPassword:
+ *               code:
  *                 type: string
- *                 format: password
  *     responses:
  *       200:
- *         description: Password changed successfully
+ *         description: Two-factor authentication disabled
  *       400:
- *         description: Invalid input
+ *         description: Invalid input or two-factor not enabled
  *       401:
- *         description: Current password is incorrect
+ *         description: Invalid password or code
+ *       403:
+ *         description: Two-factor authentication is mandatory for this account
  */
-router.put('/change-password', authMiddleware, [
-  check('currentPassword', 'Current password is required').exists(),
-  check('newPassword', 'New password must be at least 8 characters').isLength({ min: 8 })
+router.post('/2fa/disable', authMiddleware, [
+  check('password', 'Password is required').notEmpty(),
+  check('code', 'Two-factor code is required').notEmpty()
 ], asyncHandler(async (req, res) => {
   // Validate request
   const errors = validationResult(req);
@@ -390,37 +522,74 @@ router.put('/change-password', authMiddleware, [
     return res.status(400).json({ success: false, errors: errors.array() });
   }
 
-  const { currentPassword, newPassword } = req.body;
+  const user = await User.findById(req.user.id).select('+password +twoFactor.secret +twoFactor.lastUsedStep');
 
-  // Get user with password
-  const user = await User.findById(req.user.id).select('+password');
+  if (!user.twoFactor?.enabled) {
+    return res.status(400).json({
+      success: false,
+      message: 'Two-factor authentication is not enabled'
+    });
+  }
 
-  // Check current password
-  const isMatch = await user.matchPassword(currentPassword);
-  if (!isMatch) {
+  if (user.role === 'admin' && await Settings.getValue('requireTwoFactorForAdmins', false)) {
+    throw new ApiError(403, 'Two-factor authentication is mandatory for admin accounts');
+  }
+
+  const isMatch = await user.matchPassword(req.body.password);
+  if (!isMatch || !user.useTotpCode(req.body.code)) {
     return res.status(401).json({
-      success: false, 
-      message: 'Current password is incorrect'
+      success: false,
+      message: 'Invalid password or two-factor code'
     });
   }
 
-  // Update password
-  user.password = newPassword;
-  await user.save();
+  user.twoFactor = { enabled: false };
+  await user.save({ validateBeforeSave: false });
 
-  logger.info(`User changed password: ${user.email}`);
+  logger.info(`Two-factor authentication disabled for: ${user.email}`);
 
   res.status(200).json({
     success: true,
-    message: 'Password changed successfully'
+    message: 'Two-factor authentication disabled'
   });
 }));
 
 /**
  * @swagger
- * /auth/forgot-password:
+ * /auth/logout:
  *   post:
- *     summary: Request password reset email
+ *     summary: Logout current user and revoke the current session
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Logout successful
+ *       401:
+ *         description: Not authorized
+ */
+const logout = asyncHandler(async (req, res) => {
+  // Revoking the session invalidates both its refresh token and access tokens
+  if (req.sessionId) {
+    await SessionService.revokeSession(req.sessionId, 'logout');
+    logger.info(`Session ${req.sessionId} revoked on logout by: ${req.user.email}`);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Logged out successfully'
+  });
+});
+
+router.post('/logout', authMiddleware, logout);
+// Kept for clients still using the original GET endpoint
+router.get('/logout', authMiddleware, logout);
+
+/**
+ * @swagger
+ * /auth/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for a new access and refresh token
  *     tags: [Authentication]
  *     requestBody:
  *       required: true
@@ -429,21 +598,20 @@ router.put('/change-password', authMiddleware, [
  *           schema:
  *             type: object
  *             required:
- *               - email
+ *               - refreshToken
  *             properties:
- *               email:
+ *               refreshToken:
  *                 type: string
- *                 format: email
  *     responses:
  *       200:
- *         description: Reset email sent
- *       404:
- *         description: User not found
- *       500:
- *         description: Server error
+ *         description: New token pair issued
+ *       400:
+ *         description: Refresh token missing
+ *       401:
+ *         description: Invalid, expired or reused refresh token
  */
-router.post('/forgot-password', [
-  check('email', 'Please include a valid email').isEmail()
+router.post('/refresh', [
+  check('refreshToken', 'Refresh token is required').notEmpty()
 ], asyncHandler(async (req, res) => {
   // Validate request
   const errors = validationResult(req);
@@ -451,7 +619,488 @@ router.post('/forgot-password', [
     return res.status(400).json({ success: false, errors: errors.array() });
   }
 
-  const { email } = req.body;
+  const { token, refreshToken } = await SessionService.rotateSession(req.body.refreshToken, req);
+
+  res.status(200).json({
+    success: true,
+    token,
+    refreshToken
+  });
+}));
+
+/**
+ * @swagger
+ * /auth/sessions:
+ *   get:
+ *     summary: List the active sessions (devices) of the current user
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of active sessions
+ *       401:
+ *         description: Not authorized
+ */
+router.get('/sessions', authMiddleware, asyncHandler(async (req, res) => {
+  const sessions = await SessionService.getActiveSessions(req.user.id);
+
+  res.status(200).json({
+    success: true,
+    count: sessions.length,
+    data: sessions.map(session => ({
+      id: session._id,
+      device: session.device,
+      ipAddress: session.ipAddress,
+      userAgent: session.userAgent,
+      lastUsedAt: session.lastUsedAt,
+      createdAt: session.createdAt,
+      expiresAt: session.expiresAt,
+      current: session._id.toString() === req.sessionId
+    }))
+  });
+}));
+
+/**
+ * @swagger
+ * /auth/sessions/{id}:
+ *   delete:
+ *     summary: Terminate one of the current user's sessions
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Session ID
+ *     responses:
+ *       200:
+ *         description: Session terminated
+ *       401:
+ *         description: Not authorized
+ *       404:
+ *         description: Session not found
+ */
+router.delete('/sessions/:id', authMiddleware, asyncHandler(async (req, res) => {
+  const sessions = await SessionService.getActiveSessions(req.user.id);
+  const session = sessions.find(s => s._id.toString() === req.params.id);
+
+  if (!session) {
+    return res.status(404).json({
+      success: false,
+      message: 'Session not found'
+    });
+  }
+
+  await SessionService.revokeSession(session, 'terminated_by_user');
+
+  logger.info(`Session ${session._id} terminated by user: ${req.user.email}`);
+
+  res.status(200).json({
+    success: true,
+    message: 'Session terminated successfully'
+  });
+}));
+
+/**
+ * @swagger
+ * /auth/tokens:
+ *   get:
+ *     summary: List the personal access tokens of the current user
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Tokens (without their secret values) and the available scopes
+ *       401:
+ *         description: Not authorized
+ */
+router.get('/tokens', authMiddleware, asyncHandler(async (req, res) => {
+  const tokens = await ApiTokenService.getUserTokens(req.user.id);
+
+  res.status(200).json({
+    success: true,
+    count: tokens.length,
+    availableScopes: API_TOKEN_SCOPES,
+    data: tokens.map(apiToken => ({
+      id: apiToken._id,
+      name: apiToken.name,
+      tokenPrefix: apiToken.tokenPrefix,
+      scopes: apiToken.scopes,
+      expiresAt: apiToken.expiresAt,
+      lastUsedAt: apiToken.lastUsedAt,
+      lastUsedIp: apiToken.lastUsedIp,
+      revokedAt: apiToken.revokedAt,
+      active: apiToken.isActive(),
+      createdAt: apiToken.createdAt
+    }))
+  });
+}));
+
+/**
+ * @swagger
+ * /auth/tokens:
+ *   post:
+ *     summary: Create a personal access token for scripts and integrations
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - scopes
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: CI contribution sync
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: [projects:read, contributions:write]
+ *               expiresInDays:
+ *                 type: integer
+ *                 description: Lifetime in days (the token never expires if omitted)
+ *     responses:
+ *       201:
+ *         description: Token created; its value is only returned this once
+ *       400:
+ *         description: Invalid input or unknown scopes
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: Admin scope requested by a non-admin
+ */
+router.post('/tokens', authMiddleware, [
+  check('name', 'Token name is required').trim().notEmpty(),
+  check('scopes', 'At least one scope is required').isArray({ min: 1 }),
+  check('expiresInDays', 'Expiry must be between 1 and 365 days').optional().isInt({ min: 1, max: 365 })
+], asyncHandler(async (req, res) => {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  const { name, scopes, expiresInDays } = req.body;
+
+  const { token, apiToken } = await ApiTokenService.createToken(req.user, {
+    name,
+    scopes,
+    expiresInDays: expiresInDays ? Number(expiresInDays) : null
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Token created. Copy it now, it will not be shown again.',
+    token,
+    data: {
+      id: apiToken._id,
+      name: apiToken.name,
+      tokenPrefix: apiToken.tokenPrefix,
+      scopes: apiToken.scopes,
+      expiresAt: apiToken.expiresAt,
+      createdAt: apiToken.createdAt
+    }
+  });
+}));
+
+/**
+ * @swagger
+ * /auth/tokens/{id}:
+ *   delete:
+ *     summary: Revoke one of the current user's personal access tokens
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Token ID
+ *     responses:
+ *       200:
+ *         description: Token revoked
+ *       401:
+ *         description: Not authorized
+ *       404:
+ *         description: Token not found
+ */
+router.delete('/tokens/:id', authMiddleware, asyncHandler(async (req, res) => {
+  await ApiTokenService.revokeToken(req.user.id, req.params.id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Token revoked successfully'
+  });
+}));
+
+/**
+ * @swagger
+ * /auth/me:
+ *   get:
+ *     summary: Get current logged in user's profile
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: User profile data
+ *       401:
+ *         description: Not authorized
+ */
+router.get('/me', authMiddleware, asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id)
+    .populate('badges')
+    .populate('contributions');
+
+  // Update lastActive
+  user.lastActive = Date.now();
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    success: true,
+    data: user
+  });
+}));
+
+/**
+ * @swagger
+ * /auth/update-profile:
+ *   put:
+ *     summary: Update user profile
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               bio:
+ *                 type: string
+ *               skills:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               level:
+ *                 type: string
+ *                 enum: [beginner, intermediate, advanced]
+ *               country:
+ *                 type: string
+ *                 description: Two-letter ISO country code, e.g. DE
+ *               socialLinks:
+ *                 type: object
+ *                 properties:
+ *                   github:
+ *                     type: string
+ *                   linkedin:
+ *                     type: string
+ *                   twitter:
+ *                     type: string
+ *                   website:
+ *                     type: string
+ *               avatarUrl:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Profile updated successfully
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Not authorized
+ */
+router.put('/update-profile', authMiddleware, [
+  check('name').optional().notEmpty().withMessage('Name cannot be empty'),
+  check('bio').optional().isLength({ max: 500 }).withMessage('Bio cannot be more than 500 characters'),
+  check('skills').optional().isArray().withMessage('Skills must be an array'),
+  check('level').optional().isIn(['beginner', 'intermediate', 'advanced']).withMessage('Level must be beginner, intermediate, or advanced'),
+  check('country').optional().isISO31661Alpha2().withMessage('Country must be a two-letter ISO country code'),
+  check('socialLinks.github').optional().isURL().withMessage('GitHub link must be a valid URL'),
+  check('socialLinks.linkedin').optional().isURL().withMessage('LinkedIn link must be a valid URL'),
+  check('socialLinks.twitter').optional().isURL().withMessage('Twitter link must be a valid URL'),
+  check('socialLinks.website').optional().isURL().withMessage('Website link must be a valid URL'),
+  check('avatarUrl').optional().isURL().withMessage('Avatar URL must be a valid URL')
+], asyncHandler(async (req, res) => {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  const {
+    name,
+    bio,
+    skills,
+    level,
+    country,
+    socialLinks,
+    avatarUrl
+  } = req.body;
+
+  const updateData = {};
+
+  // Only update fields that were actually passed
+  if (name) updateData.name = name;
+  if (bio !== undefined) updateData.bio = bio;
+  if (skills) updateData.skills = skills;
+  if (level) updateData.level = level;
+  if (country) updateData.country = country.toUpperCase();
+  if (socialLinks) {
+    updateData.socialLinks = { ...req.user.socialLinks };
+    if (socialLinks.github !== undefined) updateData.socialLinks.github = socialLinks.github;
+    if (socialLinks.linkedin !== undefined) updateData.socialLinks.linkedin = socialLinks.linkedin;
+    if (socialLinks.twitter !== undefined) updateData.socialLinks.twitter = socialLinks.twitter;
+    if (socialLinks.website !== undefined) updateData.socialLinks.website = socialLinks.website;
+  }
+  if (avatarUrl) updateData.avatarUrl = avatarUrl;
+
+  // Update user
+  const updatedUser = await User.findByIdAndUpdate(
+    req.user.id,
+    updateData,
+    { new: true, runValidators: true }
+  );
+
+  // Recalculate profile completeness
+  updatedUser.profileCompleteness = updatedUser.calculateProfileCompleteness();
+  await updatedUser.save({ validateBeforeSave: false });
+
+  publish('profile.updated', { userId: updatedUser._id });
+
+  logger.info(`User profile updated: ${updatedUser.email}`);
+
+  res.status(200).json({
+    success: true,
+    data: updatedUser
+  });
+}));
+
+/**
+ * @swagger
+ * /auth/change-password:
+ *   put:
+ *     summary: Change user password
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - currentPassword
+ *               - newPassword
+ *             properties:
+ *               currentPassword:
+ *                 type: string
+ *                 format: password
+ *               newPassword:
+ *                 type: string
+ *                 format: password
+ *     responses:
+ *       200:
+ *         description: Password changed successfully
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Current password is incorrect
+ */
+router.put('/change-password', authMiddleware, [
+  check('currentPassword', 'Current password is required').exists(),
+  check('newPassword', 'New password must be at least 8 characters').isLength({ min: 8 })
+], asyncHandler(async (req, res) => {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  const { currentPassword, newPassword } = req.body;
+
+  // Get user with password
+  const user = await User.findById(req.user.id).select('+password');
+
+  // Check current password
+  const isMatch = await user.matchPassword(currentPassword);
+  if (!isMatch) {
+    return res.status(401).json({
+      success: false, 
+      message: 'Current password is incorrect'
+    });
+  }
+
+  // Update password (stamps passwordChangedAt, invalidating existing tokens)
+  user.password = newPassword;
+  await user.save();
+
+  // End every session and start a fresh one for this device
+  await SessionService.revokeAllSessions(user._id, 'password_changed');
+  const { token, refreshToken } = await SessionService.createSession(user, req);
+
+  logger.info(`User changed password: ${user.email}`);
+
+  res.status(200).json({
+    success: true,
+    message: 'Password changed successfully',
+    token,
+    refreshToken
+  });
+}));
+
+/**
+ * @swagger
+ * /auth/forgot-password:
+ *   post:
+ *     summary: Request password reset email
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *     responses:
+ *       200:
+ *         description: Reset email sent
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/forgot-password', [
+  check('email', 'Please include a valid email').isEmail()
+], asyncHandler(async (req, res) => {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  const { email } = req.body;
 
   // Find user
   const user = await User.findOne({ email });
@@ -529,7 +1178,9 @@ router.post('/forgot-password', [
  *                 format: password
  *     responses:
  *       200:
- *         description: Password reset successful
+ *         description: >
+ *           Password reset successful. With 2FA enabled, returns mfaRequired
+ *           and an mfaToken for /auth/login/2fa instead of tokens.
  *       400:
  *         description: Invalid or expired token
  *       500:
@@ -545,57 +1196,230 @@ router.put('/reset-password/:token', [
   }
 
   // Get hashed token
-  const resetPasswordToken = crypto
+  const resetPasswordToken = crypto
+    .createHash('sha256')
+    .update(req.params.token)
+    .digest('hex');
+
+  // Find user with token and valid expiry
+  const user = await User.findOne({
+    resetPasswordToken,
+    resetPasswordExpire: { $gt: Date.now() }
+  });
+
+  if (!user) {
+    return res.status(400).json({
+      success: false, 
+      message: 'Invalid or expired token'
+    });
+  }
+
+  // Set new password (this also enables password login for OAuth-only accounts)
+  user.password = req.body.password;
+  user.passwordLoginEnabled = true;
+  user.resetPasswordToken = undefined;
+  user.resetPasswordExpire = undefined;
+  await user.save();
+
+  // Proving ownership of the email lifts any login lockout
+  await LoginProtectionService.unlock(user._id);
+
+  logger.info(`User reset password: ${user.email}`);
+
+  // End every existing session and start a new one
+  await SessionService.revokeAllSessions(user._id, 'password_reset');
+
+  // Reading the reset email isn't a second factor; the session is only started by /auth/login/2fa
+  if (user.twoFactor?.enabled) {
+    return res.status(200).json({
+      success: true,
+      mfaRequired: true,
+      mfaToken: SessionService.signMfaPendingToken(user),
+      message: 'Password reset successful. Two-factor authentication code required'
+    });
+  }
+
+  const { token, refreshToken } = await SessionService.createSession(user, req);
+
+  res.status(200).json({
+    success: true,
+    message: 'Password reset successful',
+    token,
+    refreshToken
+  });
+}));
+
+/**
+ * @swagger
+ * /auth/verify-email/{token}:
+ *   get:
+ *     summary: Verify email address with token
+ *     tags: [Authentication]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Email verification token
+ *     responses:
+ *       200:
+ *         description: Email verified successfully
+ *       400:
+ *         description: Invalid or expired token
+ *       500:
+ *         description: Server error
+ */
+router.get('/verify-email/:token', asyncHandler(async (req, res) => {
+  // Get hashed token
+  const emailVerificationToken = crypto
     .createHash('sha256')
     .update(req.params.token)
     .digest('hex');
 
   // Find user with token and valid expiry
   const user = await User.findOne({
-    resetPasswordToken,
-    resetPasswordExpire: { $gt: Date.now() }
+    emailVerificationToken,
+    emailVerificationExpire: { $gt: Date.now() }
   });
 
   if (!user) {
     return res.status(400).json({
-      success: false, 
+      success: false,
       message: 'Invalid or expired token'
     });
   }
 
-  // Set new password
-  user.password = req.body.password;
-  user.resetPasswordToken = undefined;
-  user.resetPasswordExpire = undefined;
-  await user.save();
-
-  logger.info(`User reset password: ${user.email}`);
+  user.emailVerified = true;
+  user.emailVerificationToken = undefined;
+  user.emailVerificationExpire = undefined;
+  await user.save({ validateBeforeSave: false });
 
-  // Generate new auth token
-  const token = user.getSignedJwtToken();
+  logger.info(`User verified email: ${user.email}`);
 
   res.status(200).json({
     success: true,
-    message: 'Password reset successful',
-    token
+    message: 'Email verified successfully'
   });
 }));
 
+/**
+ * @swagger
+ * /auth/resend-verification:
+ *   post:
+ *     summary: Resend the email verification link to the current user
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Verification email sent
+ *       400:
+ *         description: Email already verified
+ *       401:
+ *         description: Not authorized
+ *       429:
+ *         description: Too many verification emails requested
+ *       500:
+ *         description: Server error
+ */
+router.post('/resend-verification', authMiddleware, verificationEmailLimiter, asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id);
+
+  if (user.emailVerified) {
+    return res.status(400).json({
+      success: false,
+      message: 'Email is already verified'
+    });
+  }
+
+  const verificationToken = user.getEmailVerificationToken();
+  await user.save({ validateBeforeSave: false });
+
+  try {
+    await sendVerificationEmail(user, verificationToken);
+
+    logger.info(`Verification email resent to: ${user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Verification email sent'
+    });
+  } catch (error) {
+    logger.error(`Error sending verification email: ${error.message}`);
+
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpire = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    throw new ApiError(500, 'Could not send verification email');
+  }
+}));
+
+/**
+ * Finish an OAuth callback: redirect to the frontend with tokens, a 2FA
+ * challenge, a merge offer, a link confirmation or an error
+ */
+const completeOAuthCallback = async (req, res, user, info = {}) => {
+  const callbackUrl = `${config.frontendUrl}/oauth-callback`;
+
+  if (info.mergeToken) {
+    const params = new URLSearchParams({
+      mergeToken: info.mergeToken,
+      provider: info.provider,
+      email: info.email,
+      loginMethods: info.loginMethods.join(',')
+    });
+    return res.redirect(`${callbackUrl}?${params.toString()}`);
+  }
+
+  if (info.error) {
+    return res.redirect(`${callbackUrl}?error=${encodeURIComponent(info.error)}`);
+  }
+
+  if (!user) {
+    return res.redirect('/login');
+  }
+
+  // The user is already signed in on the frontend; no new session needed
+  if (info.linked) {
+    return res.redirect(`${callbackUrl}?linked=${info.linked}`);
+  }
+
+  // Accounts with 2FA finish signing in with /auth/login/2fa
+  if (user.twoFactor?.enabled) {
+    return res.redirect(`${callbackUrl}?mfaToken=${SessionService.signMfaPendingToken(user)}`);
+  }
+
+  // Start a session and generate auth tokens
+  const { token, refreshToken } = await SessionService.createSession(user, req);
+
+  // Redirect to frontend with tokens
+  res.redirect(`${callbackUrl}?token=${token}&refreshToken=${refreshToken}`);
+};
+
 /**
  * @swagger
  * /auth/google:
  *   get:
  *     summary: Authenticate with Google
  *     tags: [Authentication]
+ *     parameters:
+ *       - in: query
+ *         name: state
+ *         schema:
+ *           type: string
+ *         description: Link state from /auth/link/google (only when linking an account)
  *     responses:
  *       302:
  *         description: Redirects to Google authentication
  */
-router.get('/google',
+router.get('/google', (req, res, next) => {
   passport.authenticate('google', {
-    scope: ['profile', 'email']
-  })
-);
+    scope: ['profile', 'email'],
+    state: req.query.state
+  })(req, res, next);
+});
 
 /**
  * @swagger
@@ -605,18 +1429,25 @@ router.get('/google',
  *     tags: [Authentication]
  *     responses:
  *       302:
- *         description: Redirects to frontend with token
+ *         description: Redirects to frontend with token, merge offer or link result
  */
-router.get('/google/callback',
-  passport.authenticate('google', { session: false, failureRedirect: '/login' }),
-  (req, res) => {
-    // Generate JWT token
-    const token = req.user.getSignedJwtToken();
-    
-    // Redirect to frontend with token
-    res.redirect(`${config.frontendUrl}/oauth-callback?token=${token}`);
-  }
-);
+router.get('/google/callback', (req, res, next) => {
+  passport.authenticate('google', {
+    session: false,
+    failureRedirect: '/login'
+  }, async (err, user, info) => {
+    if (err) {
+      logger.error(`Google OAuth error: ${err.message}`);
+      return res.status(500).json({ success: false, error: 'Authentication failed' });
+    }
+
+    try {
+      await completeOAuthCallback(req, res, user, info);
+    } catch (error) {
+      next(error);
+    }
+  })(req, res, next);
+});
 
 /**
  * @swagger
@@ -624,6 +1455,12 @@ router.get('/google/callback',
  *   get:
  *     summary: Authenticate with GitHub
  *     tags: [Authentication]
+ *     parameters:
+ *       - in: query
+ *         name: state
+ *         schema:
+ *           type: string
+ *         description: Link state from /auth/link/github (only when linking an account)
  *     responses:
  *       302:
  *         description: Redirects to GitHub authentication
@@ -639,7 +1476,8 @@ router.get('/github', (req, res, next) => {
   
   passport.authenticate('github', {
     scope: ['user:email'],
-    callbackURL: callbackURL
+    callbackURL: callbackURL,
+    state: req.query.state
   })(req, res, next);
 });
 
@@ -651,7 +1489,7 @@ router.get('/github', (req, res, next) => {
  *     tags: [Authentication]
  *     responses:
  *       302:
- *         description: Redirects to frontend with token
+ *         description: Redirects to frontend with token, merge offer or link result
  */
 router.get('/github/callback', (req, res, next) => {
   // Log the callback for debugging
@@ -663,22 +1501,266 @@ router.get('/github/callback', (req, res, next) => {
     callbackURL: callbackURL,
     session: false, 
     failureRedirect: '/login' 
-  }, (err, user) => {
+  }, async (err, user, info) => {
     if (err) {
       console.error('GitHub OAuth error:', err);
       return res.status(500).json({ success: false, error: 'Authentication failed' });
     }
     
-    if (!user) {
-      return res.redirect('/login');
+    try {
+      await completeOAuthCallback(req, res, user, info);
+    } catch (error) {
+      next(error);
     }
-    
-    // Generate JWT token
-    const token = user.getSignedJwtToken();
-    
-    // Redirect to frontend with token
-    res.redirect(`${config.frontendUrl}/oauth-callback?token=${token}`);
   })(req, res, next);
 });
 
-export default router;
\ No newline at end of file
+/**
+ * @swagger
+ * /auth/login-methods:
+ *   get:
+ *     summary: List the login methods linked to the current user
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Linked login methods (password, google, github)
+ *       401:
+ *         description: Not authorized
+ */
+router.get('/login-methods', authMiddleware, asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      loginMethods: user.getLoginMethods(),
+      google: user.oauth?.google?.id ? { email: user.oauth.google.email } : null,
+      github: user.oauth?.github?.id ? { username: user.oauth.github.username } : null
+    }
+  });
+}));
+
+/**
+ * @swagger
+ * /auth/link/password:
+ *   post:
+ *     summary: Add password login to an account created through OAuth
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               password:
+ *                 type: string
+ *                 format: password
+ *     responses:
+ *       200:
+ *         description: Password login enabled
+ *       400:
+ *         description: Invalid input or password login already enabled
+ *       401:
+ *         description: Not authorized
+ */
+router.post('/link/password', authMiddleware, [
+  check('password', 'Password must be at least 8 characters').isLength({ min: 8 })
+], asyncHandler(async (req, res) => {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  const user = await User.findById(req.user.id);
+
+  if (user.passwordLoginEnabled) {
+    return res.status(400).json({
+      success: false,
+      message: 'Password login is already enabled. Use change-password instead.'
+    });
+  }
+
+  user.password = req.body.password;
+  user.passwordLoginEnabled = true;
+  await user.save();
+
+  // Saving the password invalidates older tokens, so start a fresh session
+  await SessionService.revokeAllSessions(user._id, 'password_changed');
+  const { token, refreshToken } = await SessionService.createSession(user, req);
+
+  logger.info(`User enabled password login: ${user.email}`);
+
+  res.status(200).json({
+    success: true,
+    message: 'Password login enabled',
+    token,
+    refreshToken,
+    data: { loginMethods: user.getLoginMethods() }
+  });
+}));
+
+/**
+ * @swagger
+ * /auth/link/{provider}:
+ *   post:
+ *     summary: Get the URL that links a Google or GitHub account to the current user
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [google, github]
+ *     responses:
+ *       200:
+ *         description: URL to open to start the provider's OAuth flow
+ *       400:
+ *         description: Unknown or already linked provider
+ *       401:
+ *         description: Not authorized
+ */
+router.post('/link/:provider', authMiddleware, asyncHandler(async (req, res) => {
+  const { provider } = req.params;
+
+  if (!OAUTH_PROVIDERS.includes(provider)) {
+    return res.status(400).json({
+      success: false,
+      message: `Provider must be one of: ${OAUTH_PROVIDERS.join(', ')}`
+    });
+  }
+
+  if (req.user.oauth?.[provider]?.id) {
+    return res.status(400).json({
+      success: false,
+      message: `A ${provider} account is already linked`
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      linkUrl: AccountLinkService.buildLinkUrl(req.user, provider)
+    }
+  });
+}));
+
+/**
+ * @swagger
+ * /auth/link/{method}:
+ *   delete:
+ *     summary: Unlink a login method (google, github or password) from the current user
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: method
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [google, github, password]
+ *     responses:
+ *       200:
+ *         description: Login method removed
+ *       400:
+ *         description: Method not linked or it is the only login method left
+ *       401:
+ *         description: Not authorized
+ */
+router.delete('/link/:method', authMiddleware, asyncHandler(async (req, res) => {
+  const { method } = req.params;
+
+  if (![...OAUTH_PROVIDERS, 'password'].includes(method)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Method must be one of: google, github, password'
+    });
+  }
+
+  const user = await User.findById(req.user.id);
+  const loginMethods = await AccountLinkService.unlink(user, method);
+
+  res.status(200).json({
+    success: true,
+    message: `${method} login removed`,
+    data: { loginMethods }
+  });
+}));
+
+/**
+ * @swagger
+ * /auth/merge:
+ *   post:
+ *     summary: Merge an OAuth login into the existing account with the same email
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - mergeToken
+ *               - password
+ *             properties:
+ *               mergeToken:
+ *                 type: string
+ *                 description: Token from the OAuth callback redirect
+ *               password:
+ *                 type: string
+ *                 format: password
+ *                 description: Password of the existing account
+ *     responses:
+ *       200:
+ *         description: Accounts merged and user logged in
+ *       400:
+ *         description: Invalid or expired merge token
+ *       401:
+ *         description: Invalid credentials
+ */
+router.post('/merge', authLimiter, [
+  check('mergeToken', 'Merge token is required').notEmpty(),
+  check('password', 'Password is required').notEmpty()
+], asyncHandler(async (req, res) => {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  const user = await AccountLinkService.completeMerge(req.body.mergeToken, req.body.password);
+
+  // Accounts with 2FA still need the second step
+  if (user.twoFactor?.enabled) {
+    return res.status(200).json({
+      success: true,
+      mfaRequired: true,
+      mfaToken: SessionService.signMfaPendingToken(user),
+      message: 'Accounts merged. Two-factor authentication code required'
+    });
+  }
+
+  // Start a session and generate auth tokens
+  const { token, refreshToken } = await SessionService.createSession(user, req);
+
+  res.status(200).json({
+    success: true,
+    message: 'Accounts merged successfully',
+    token,
+    refreshToken,
+    data: { loginMethods: user.getLoginMethods() }
+  });
+}));
+
+export default router;
@@ -1,13 +1,33 @@
 import express from 'express';
 import { check, validationResult } from 'express-validator';
-import { authMiddleware, authorize } from '../middleware/auth.js';
+import { authMiddleware, requirePermission } from '../middleware/auth.js';
 import { asyncHandler } from '../utils/asyncHandler.js';
 import Badge from '../models/Badge.js';
 import User from '../models/User.js';
+import UserBadge from '../models/UserBadge.js';
+import BadgeService from '../services/badgeService.js';
+import BadgeRuleService from '../services/badgeRuleService.js';
+import { validateRule, RULE_FACTS, RULE_OPERATORS } from '../utils/badgeRules.js';
 import { logger } from '../utils/logger.js';
 
 const router = express.Router();
 
+// Report every problem of a rule expression as a validation error
+const ruleCheck = (field) => check(field).custom(rule => {
+  const errors = validateRule(rule);
+  if (errors.length) {
+    throw new Error(errors.join('; '));
+  }
+  return true;
+});
+
+// Optional series fields of a badge
+const seriesChecks = [
+  check('series').optional({ values: 'null' }).matches(/^[a-zA-Z0-9_-]+$/).withMessage('Series can only contain letters, numbers, dashes and underscores'),
+  check('tier').optional({ values: 'null' }).isInt({ min: 1 }).withMessage('Tier must be a positive integer'),
+  check('tierName').optional().isString().isLength({ max: 30 }).withMessage('Tier name cannot be more than 30 characters')
+];
+
 /**
  * @swagger
  * /badges:
@@ -25,6 +45,11 @@ const router = express.Router();
  *         schema:
  *           type: boolean
  *         description: Filter by active status
+ *       - in: query
+ *         name: series
+ *         schema:
+ *           type: string
+ *         description: Only the tiers of a badge series, lowest first
  *     responses:
  *       200:
  *         description: List of badges
@@ -32,14 +57,16 @@ const router = express.Router();
  *         description: Server error
  */
 router.get('/', asyncHandler(async (req, res) => {
-  const { rarity, isActive } = req.query;
+  const { rarity, isActive, series } = req.query;
   
   // Build filter
   const filter = {};
   if (rarity) filter.rarity = rarity;
   if (isActive !== undefined) filter.isActive = isActive === 'true';
+  if (series) filter.series = String(series).toLowerCase();
   
-  const badges = await Badge.find(filter).sort({ pointsAwarded: -1 });
+  // A series is listed in tier order
+  const badges = await Badge.find(filter).sort(series ? { tier: 1 } : { pointsAwarded: -1 });
   
   res.status(200).json({
     success: true,
@@ -48,6 +75,120 @@ router.get('/', asyncHandler(async (req, res) => {
   });
 }));
 
+/**
+ * @swagger
+ * /badges/rules/facts:
+ *   get:
+ *     summary: List the facts and operators available in badge rules
+ *     tags: [Badges]
+ *     responses:
+ *       200:
+ *         description: Facts with their value type and supported params
+ */
+router.get('/rules/facts', (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: {
+      operators: RULE_OPERATORS,
+      facts: Object.entries(RULE_FACTS).map(([name, fact]) => ({
+        name,
+        kind: fact.kind,
+        params: fact.params,
+        required: fact.required || [],
+        events: fact.events,
+        description: fact.description
+      }))
+    }
+  });
+});
+
+/**
+ * @swagger
+ * /badges/dry-run:
+ *   post:
+ *     summary: Check which users would qualify for a badge rule (admin only)
+ *     description: >
+ *       Evaluates a rule against all users without awarding anything. Pass a
+ *       new rule to try it before saving, or a badgeId to evaluate a badge's
+ *       current rule (or a new rule for it) and compare with its holders.
+ *     tags: [Badges]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               rule:
+ *                 type: object
+ *                 description: Rule expression (see POST /badges)
+ *               badgeId:
+ *                 type: string
+ *               limit:
+ *                 type: integer
+ *                 description: Maximum qualifying users listed (default 50)
+ *     responses:
+ *       200:
+ *         description: Number of qualifying users and a sample with their fact values
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Badge not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/dry-run', authMiddleware, requirePermission('badge.manage'), [
+  check('badgeId').optional().isMongoId().withMessage('Invalid badge ID'),
+  check('rule').if(check('badgeId').not().exists()).exists().withMessage('Rule or badge ID is required'),
+  ruleCheck('rule').optional(),
+  check('limit').optional().isInt({ min: 1, max: 500 }).withMessage('Limit must be between 1 and 500')
+], asyncHandler(async (req, res) => {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+  
+  const { badgeId, limit = 50 } = req.body;
+  let { rule } = req.body;
+  
+  if (badgeId) {
+    const badge = await Badge.findById(badgeId);
+    
+    if (!badge) {
+      return res.status(404).json({
+        success: false,
+        message: 'Badge not found'
+      });
+    }
+    
+    rule = rule || badge.getRule();
+    
+    if (!rule) {
+      return res.status(400).json({
+        success: false,
+        message: 'This badge has no rule that can be evaluated'
+      });
+    }
+  }
+  
+  const result = await BadgeRuleService.dryRun(rule, { badgeId, limit });
+  
+  res.status(200).json({
+    success: true,
+    data: {
+      rule,
+      ...result
+    }
+  });
+}));
+
 /**
  * @swagger
  * /badges/{id}:
@@ -103,7 +244,7 @@ router.get('/:id', asyncHandler(async (req, res) => {
  *               - title
  *               - description
  *               - iconUrl
- *               - conditions
+ *               - rule
  *             properties:
  *               title:
  *                 type: string
@@ -111,8 +252,18 @@ router.get('/:id', asyncHandler(async (req, res) => {
  *                 type: string
  *               iconUrl:
  *                 type: string
+ *               rule:
+ *                 type: object
+ *                 description: >
+ *                   Rule expression deciding who earns the badge. Combine
+ *                   conditions with {"all": [...]}, {"any": [...]} and
+ *                   {"not": ...}; a condition compares a fact, e.g.
+ *                   {"fact": "merged_prs", "op": ">=", "value": 5,
+ *                   "params": {"since": "2026-01-01"}}. See
+ *                   GET /badges/rules/facts for the available facts.
  *               conditions:
  *                 type: object
+ *                 description: Legacy single condition, used when no rule is given
  *                 properties:
  *                   type:
  *                     type: string
@@ -130,6 +281,15 @@ router.get('/:id', asyncHandler(async (req, res) => {
  *                 type: number
  *               isActive:
  *                 type: boolean
+ *               series:
+ *                 type: string
+ *                 description: Series the badge is a tier of (e.g. contributions)
+ *               tier:
+ *                 type: integer
+ *                 description: Position in the series, starting at 1 (required with series)
+ *               tierName:
+ *                 type: string
+ *                 description: Display name of the tier (e.g. Bronze)
  *     responses:
  *       201:
  *         description: Badge created successfully
@@ -140,15 +300,18 @@ router.get('/:id', asyncHandler(async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.post('/', authMiddleware, authorize('admin'), [
+router.post('/', authMiddleware, requirePermission('badge.manage'), [
   check('title').notEmpty().withMessage('Title is required').isLength({ max: 50 }).withMessage('Title cannot be more than 50 characters'),
   check('description').notEmpty().withMessage('Description is required').isLength({ max: 200 }).withMessage('Description cannot be more than 200 characters'),
   check('iconUrl').notEmpty().withMessage('Icon URL is required'),
-  check('conditions.type').isIn(['contribution_count', 'project_count', 'time_active', 'skill_level', 'special']).withMessage('Invalid condition type'),
+  check('rule').if(check('conditions').not().exists()).exists().withMessage('Rule is required'),
+  ruleCheck('rule').optional(),
+  check('conditions.type').optional().isIn(['contribution_count', 'project_count', 'time_active', 'skill_level', 'special']).withMessage('Invalid condition type'),
   check('conditions.count').optional().isNumeric().withMessage('Count must be a number'),
   check('rarity').optional().isIn(['common', 'uncommon', 'rare', 'epic', 'legendary']).withMessage('Invalid rarity value'),
   check('pointsAwarded').optional().isNumeric().withMessage('Points awarded must be a number'),
-  check('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+  check('isActive').optional().isBoolean().withMessage('isActive must be a boolean'),
+  ...seriesChecks
 ], asyncHandler(async (req, res) => {
   // Validate request
   const errors = validationResult(req);
@@ -195,6 +358,9 @@ router.post('/', authMiddleware, authorize('admin'), [
  *                 type: string
  *               iconUrl:
  *                 type: string
+ *               rule:
+ *                 type: object
+ *                 description: Rule expression (see POST /badges)
  *               conditions:
  *                 type: object
  *               rarity:
@@ -203,6 +369,15 @@ router.post('/', authMiddleware, authorize('admin'), [
  *                 type: number
  *               isActive:
  *                 type: boolean
+ *               series:
+ *                 type: string
+ *                 description: Series the badge is a tier of (e.g. contributions)
+ *               tier:
+ *                 type: integer
+ *                 description: Position in the series, starting at 1 (required with series)
+ *               tierName:
+ *                 type: string
+ *                 description: Display name of the tier (e.g. Bronze)
  *     responses:
  *       200:
  *         description: Badge updated successfully
@@ -215,15 +390,17 @@ router.post('/', authMiddleware, authorize('admin'), [
  *       500:
  *         description: Server error
  */
-router.put('/:id', authMiddleware, authorize('admin'), [
+router.put('/:id', authMiddleware, requirePermission('badge.manage'), [
   check('title').optional().notEmpty().withMessage('Title cannot be empty').isLength({ max: 50 }).withMessage('Title cannot be more than 50 characters'),
   check('description').optional().notEmpty().withMessage('Description cannot be empty').isLength({ max: 200 }).withMessage('Description cannot be more than 200 characters'),
   check('iconUrl').optional().notEmpty().withMessage('Icon URL cannot be empty'),
+  ruleCheck('rule').optional(),
   check('conditions.type').optional().isIn(['contribution_count', 'project_count', 'time_active', 'skill_level', 'special']).withMessage('Invalid condition type'),
   check('conditions.count').optional().isNumeric().withMessage('Count must be a number'),
   check('rarity').optional().isIn(['common', 'uncommon', 'rare', 'epic', 'legendary']).withMessage('Invalid rarity value'),
   check('pointsAwarded').optional().isNumeric().withMessage('Points awarded must be a number'),
-  check('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+  check('isActive').optional().isBoolean().withMessage('isActive must be a boolean'),
+  ...seriesChecks
 ], asyncHandler(async (req, res) => {
   // Validate request
   const errors = validationResult(req);
@@ -232,7 +409,7 @@ router.put('/:id', authMiddleware, authorize('admin'), [
   }
   
   // Find badge
-  let badge = await Badge.findById(req.params.id);
+  const badge = await Badge.findById(req.params.id);
   
   if (!badge) {
     return res.status(404).json({
@@ -241,11 +418,9 @@ router.put('/:id', authMiddleware, authorize('admin'), [
     });
   }
   
-  // Update badge
-  badge = await Badge.findByIdAndUpdate(req.params.id, req.body, {
-    new: true,
-    runValidators: true
-  });
+  // Update badge (saved rather than updated in place so the rule is validated)
+  badge.set(req.body);
+  await badge.save();
   
   logger.info(`Badge updated: ${badge.title}`);
   
@@ -280,7 +455,7 @@ router.put('/:id', authMiddleware, authorize('admin'), [
  *       500:
  *         description: Server error
  */
-router.delete('/:id', authMiddleware, authorize('admin'), asyncHandler(async (req, res) => {
+router.delete('/:id', authMiddleware, requirePermission('badge.manage'), asyncHandler(async (req, res) => {
   const badge = await Badge.findById(req.params.id);
   
   if (!badge) {
@@ -290,14 +465,15 @@ router.delete('/:id', authMiddleware, authorize('admin'), asyncHandler(async (re
     });
   }
   
-  // Remove badge from all users who have it
+  // Remove badge from all users who have it, along with its awards
   await User.updateMany(
     { badges: badge._id },
     { $pull: { badges: badge._id } }
   );
+  await UserBadge.deleteMany({ badgeId: badge._id });
   
   // Delete badge
-  await badge.remove();
+  await badge.deleteOne();
   
   logger.info(`Badge deleted: ${badge.title}`);
   
@@ -323,7 +499,7 @@ router.delete('/:id', authMiddleware, authorize('admin'), asyncHandler(async (re
  *       500:
  *         description: Server error
  */
-router.post('/create-default', authMiddleware, authorize('admin'), asyncHandler(async (req, res) => {
+router.post('/create-default', authMiddleware, requirePermission('badge.manage'), asyncHandler(async (req, res) => {
   await Badge.createDefaultBadges();
   
   logger.info('Default badges created');
@@ -339,7 +515,76 @@ router.post('/create-default', authMiddleware, authorize('admin'), asyncHandler(
  * /badges/user/{userId}:
  *   get:
  *     summary: Get all badges for a specific user
+ *     description: >
+ *       Returns the user's current badge awards, newest first, and their
+ *       progress in each badge series: the highest tier held and how far they
+ *       are toward the next one (e.g. 7 of 10 contributions).
+ *     tags: [Badges]
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: List of the user's awards with their badge, and series progress
+ *       400:
+ *         description: Invalid user ID
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/user/:userId', [
+  check('userId').isMongoId().withMessage('Invalid user ID')
+], asyncHandler(async (req, res) => {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+  
+  const user = await User.findById(req.params.userId).select('_id');
+  
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+  }
+  
+  const [awards, progress] = await Promise.all([
+    BadgeService.getUserBadges(user._id),
+    BadgeService.getSeriesProgress(user._id)
+  ]);
+  
+  res.status(200).json({
+    success: true,
+    count: awards.length,
+    progress,
+    data: awards.map(award => ({
+      _id: award._id,
+      badge: award.badgeId,
+      awardedAt: award.awardedAt,
+      awardedBy: award.awardedBy,
+      reason: award.reason,
+      source: award.source,
+      sourceEvent: award.sourceEvent
+    }))
+  });
+}));
+
+/**
+ * @swagger
+ * /badges/user/{userId}/history:
+ *   get:
+ *     summary: Get a user's full badge award history
+ *     description: Includes revoked awards with who revoked them, when and why
  *     tags: [Badges]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: userId
@@ -349,14 +594,26 @@ router.post('/create-default', authMiddleware, authorize('admin'), asyncHandler(
  *         description: User ID
  *     responses:
  *       200:
- *         description: List of user's badges
+ *         description: All awards of the user, newest first
+ *       400:
+ *         description: Invalid user ID
+ *       401:
+ *         description: Not authorized
  *       404:
  *         description: User not found
  *       500:
  *         description: Server error
  */
-router.get('/user/:userId', asyncHandler(async (req, res) => {
-  const user = await User.findById(req.params.userId).populate('badges');
+router.get('/user/:userId/history', authMiddleware, requirePermission('badge.revoke'), [
+  check('userId').isMongoId().withMessage('Invalid user ID')
+], asyncHandler(async (req, res) => {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+  
+  const user = await User.findById(req.params.userId).select('_id');
   
   if (!user) {
     return res.status(404).json({
@@ -365,10 +622,12 @@ router.get('/user/:userId', asyncHandler(async (req, res) => {
     });
   }
   
+  const awards = await BadgeService.getUserBadges(user._id, { includeRevoked: true });
+  
   res.status(200).json({
     success: true,
-    count: user.badges.length,
-    data: user.badges
+    count: awards.length,
+    data: awards
   });
 }));
 
@@ -398,6 +657,9 @@ router.get('/user/:userId', asyncHandler(async (req, res) => {
  *             properties:
  *               badgeId:
  *                 type: string
+ *               reason:
+ *                 type: string
+ *                 description: Why the badge is awarded, kept with the award
  *     responses:
  *       200:
  *         description: Badge awarded successfully
@@ -410,8 +672,9 @@ router.get('/user/:userId', asyncHandler(async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.post('/award/:userId', authMiddleware, authorize('admin', 'mentor'), [
-  check('badgeId').notEmpty().withMessage('Badge ID is required').isMongoId().withMessage('Invalid badge ID')
+router.post('/award/:userId', authMiddleware, requirePermission('badge.award'), [
+  check('badgeId').notEmpty().withMessage('Badge ID is required').isMongoId().withMessage('Invalid badge ID'),
+  check('reason').optional().isString().trim().isLength({ max: 500 }).withMessage('Reason cannot be more than 500 characters')
 ], asyncHandler(async (req, res) => {
   // Validate request
   const errors = validationResult(req);
@@ -419,7 +682,7 @@ router.post('/award/:userId', authMiddleware, authorize('admin', 'mentor'), [
     return res.status(400).json({ success: false, errors: errors.array() });
   }
   
-  const { badgeId } = req.body;
+  const { badgeId, reason } = req.body;
   
   // Find user
   const user = await User.findById(req.params.userId);
@@ -439,25 +702,114 @@ router.post('/award/:userId', authMiddleware, authorize('admin', 'mentor'), [
     });
   }
   
-  // Check if user already has the badge
-  if (user.badges.includes(badgeId)) {
+  // Award badge; nothing is created when the user already has it
+  const award = await BadgeService.awardBadge(user._id, badge, { awardedBy: req.user._id, reason });
+  
+  if (!award) {
     return res.status(400).json({
       success: false,
       message: 'User already has this badge'
     });
   }
   
-  // Award badge
-  user.badges.push(badgeId);
-  await user.save();
-  
   logger.info(`Badge "${badge.title}" awarded to user: ${user.email}`);
   
   res.status(200).json({
     success: true,
     message: `Badge "${badge.title}" awarded to ${user.name}`,
-    data: badge
+    data: award
+  });
+}));
+
+/**
+ * @swagger
+ * /badges/revoke/{userId}:
+ *   post:
+ *     summary: Revoke a badge from a user
+ *     description: >
+ *       Marks the user's award as revoked and takes back its points. The award
+ *       stays in the user's badge history with who revoked it and why, and
+ *       keeps the badge from being awarded to the user again automatically.
+ *     tags: [Badges]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - badgeId
+ *               - reason
+ *             properties:
+ *               badgeId:
+ *                 type: string
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Badge revoked successfully
+ *       400:
+ *         description: Invalid input or user doesn't have the badge
+ *       401:
+ *         description: Not authorized
+ *       404:
+ *         description: User or badge not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/revoke/:userId', authMiddleware, requirePermission('badge.revoke'), [
+  check('badgeId').notEmpty().withMessage('Badge ID is required').isMongoId().withMessage('Invalid badge ID'),
+  check('reason').isString().trim().isLength({ min: 1, max: 500 }).withMessage('Reason is required and cannot be more than 500 characters')
+], asyncHandler(async (req, res) => {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+  
+  const { badgeId, reason } = req.body;
+  
+  // Find user
+  const user = await User.findById(req.params.userId);
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+  }
+  
+  // Find badge
+  const badge = await Badge.findById(badgeId);
+  if (!badge) {
+    return res.status(404).json({
+      success: false,
+      message: 'Badge not found'
+    });
+  }
+  
+  const award = await BadgeService.revokeBadge(user._id, badge, { revokedBy: req.user._id, reason });
+  
+  if (!award) {
+    return res.status(400).json({
+      success: false,
+      message: 'User does not have this badge'
+    });
+  }
+  
+  res.status(200).json({
+    success: true,
+    message: `Badge "${badge.title}" revoked from ${user.name}`,
+    data: award
   });
 }));
 
-export default router;
\ No newline at end of file
+export default router;
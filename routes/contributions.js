@@ -1,14 +1,16 @@
 import express from 'express';
 import { check, validationResult } from 'express-validator';
-import { authMiddleware, authorize, checkOwnership } from '../middleware/auth.js';
+import { authMiddleware, requirePermission, requireVerifiedEmail } from '../middleware/auth.js';
 import { asyncHandler } from '../utils/asyncHandler.js';
 import { ApiError } from '../middleware/errorHandler.js';
 import Contribution from '../models/Contribution.js';
 import User from '../models/User.js';
 import Project from '../models/Project.js';
-import Badge from '../models/Badge.js';
 import { logger } from '../utils/logger.js';
 import { sendContributionStatusEmail } from '../utils/email.js';
+import { can, canVerifyContribution } from '../utils/permissions.js';
+import ContributionVerificationService from '../services/contributionVerificationService.js';
+import ScoringService from '../services/scoringService.js';
 
 const router = express.Router();
 
@@ -50,10 +52,12 @@ const router = express.Router();
  *         description: Invalid input
  *       401:
  *         description: Not authorized
+ *       403:
+ *         description: Email verification required
  *       500:
  *         description: Server error
  */
-router.post('/', authMiddleware, [
+router.post('/', authMiddleware, requireVerifiedEmail, [
   check('projectId', 'Project ID is required').not().isEmpty().isMongoId(),
   check('type').isIn(['PR', 'issue', 'review', 'documentation', 'other']).withMessage('Invalid contribution type'),
   check('title').notEmpty().withMessage('Title is required').isLength({ max: 100 }).withMessage('Title cannot be more than 100 characters'),
@@ -99,27 +103,7 @@ router.post('/', authMiddleware, [
     $push: { contributions: contribution._id }
   });
 
-  // Check for badge eligibility - First Contribution
-  const contributionCount = await Contribution.countDocuments({ userId: req.user.id });
-  if (contributionCount === 1) {
-    // Find the 'First Contribution' badge
-    const firstContributionBadge = await Badge.findOne({
-      title: 'First Contribution',
-      'conditions.type': 'contribution_count',
-      'conditions.count': 1
-    });
-
-    if (firstContributionBadge) {
-      // Add badge to user if not already awarded
-      const user = await User.findById(req.user.id);
-      if (!user.badges.includes(firstContributionBadge._id)) {
-        user.badges.push(firstContributionBadge._id);
-        await user.save();
-        logger.info(`First Contribution badge awarded to user: ${user.email}`);
-      }
-    }
-  }
-
+  // Badges are evaluated from the contribution.created event
   logger.info(`New contribution created: ${contribution.title} by user: ${req.user.email}`);
 
   res.status(201).json({
@@ -220,6 +204,71 @@ router.get('/', asyncHandler(async (req, res) => {
   });
 }));
 
+/**
+ * @swagger
+ * /contributions/flagged:
+ *   get:
+ *     summary: List contributions flagged by automatic verification (mentors and admins)
+ *     tags: [Contributions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: projectId
+ *         schema:
+ *           type: string
+ *         description: Filter by project ID
+ *       - in: query
+ *         name: reviewed
+ *         schema:
+ *           type: boolean
+ *         description: Include flags a mentor already resolved (default false)
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *         description: Number of items per page
+ *     responses:
+ *       200:
+ *         description: Flagged contributions with the reasons
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: Forbidden
+ *       500:
+ *         description: Server error
+ */
+router.get('/flagged', authMiddleware, requirePermission('contribution.verify'), asyncHandler(async (req, res) => {
+  const { projectId, reviewed, page = 1, limit = 10 } = req.query;
+
+  const filter = { 'verification.status': 'flagged' };
+  if (projectId) filter.projectId = projectId;
+  if (reviewed !== 'true') filter['verification.reviewedAt'] = null;
+
+  const startIndex = (Number(page) - 1) * Number(limit);
+  const total = await Contribution.countDocuments(filter);
+
+  const contributions = await Contribution.find(filter)
+    .sort({ 'verification.checkedAt': -1 })
+    .skip(startIndex)
+    .limit(Number(limit))
+    .populate('userId', 'name email avatarUrl')
+    .populate('projectId', 'title githubLink thumbnailUrl');
+
+  res.status(200).json({
+    success: true,
+    count: contributions.length,
+    total,
+    totalPages: Math.ceil(total / Number(limit)),
+    data: contributions
+  });
+}));
+
 /**
  * @swagger
  * /contributions/{id}:
@@ -325,8 +374,8 @@ router.put('/:id', authMiddleware, [
     });
   }
 
-  // Check if user is the contributor or an admin
-  if (contribution.userId.toString() !== req.user.id && req.user.role !== 'admin') {
+  // Check if user may update this contribution (contributor or admin)
+  if (!can(req.user, 'contribution.update', contribution, req.apiToken)) {
     return res.status(401).json({
       success: false,
       message: 'Not authorized to update this contribution'
@@ -340,6 +389,11 @@ router.put('/:id', authMiddleware, [
   if (type) contribution.type = type;
   if (link) contribution.link = link;
   
+  // A different link or type has to be checked against GitHub again
+  if (contribution.isModified('link') || contribution.isModified('type')) {
+    contribution.verification = { status: 'pending', reasons: [], attempts: 0 };
+  }
+  
   await contribution.save();
   
   logger.info(`Contribution updated: ${contribution.title} by user: ${req.user.email}`);
@@ -355,6 +409,9 @@ router.put('/:id', authMiddleware, [
  * /contributions/{id}/verify:
  *   put:
  *     summary: Verify a contribution (change status)
+ *     description: >
+ *       Mentors and admins verify any contribution; project owners and
+ *       maintainers verify their project's contributions, except their own.
  *     tags: [Contributions]
  *     security:
  *       - bearerAuth: []
@@ -389,7 +446,7 @@ router.put('/:id', authMiddleware, [
  *       500:
  *         description: Server error
  */
-router.put('/:id/verify', authMiddleware, authorize('admin', 'mentor'), [
+router.put('/:id/verify', authMiddleware, [
   check('status').isIn(['open', 'merged', 'closed', 'approved']).withMessage('Invalid status value')
 ], asyncHandler(async (req, res) => {
   // Validate request
@@ -410,41 +467,29 @@ router.put('/:id/verify', authMiddleware, authorize('admin', 'mentor'), [
     });
   }
 
+  // Mentors and admins verify any contribution, project owners and maintainers
+  // their project's, except their own
+  const project = await Project.findById(contribution.projectId);
+  if (!canVerifyContribution(req.user, contribution, project, req.apiToken)) {
+    return res.status(401).json({
+      success: false,
+      message: 'Not authorized to verify this contribution'
+    });
+  }
+
   // Update status
   contribution.status = status;
   contribution.verifiedBy = req.user.id;
   contribution.verifiedAt = Date.now();
   
-  await contribution.save();
-  
-  // Update points based on contribution type and status
-  let points = 0;
-  
-  // Base points for different contribution types
-  switch (contribution.type) {
-    case 'PR':
-      points = 10;
-      break;
-    case 'issue':
-      points = 3;
-      break;
-    case 'review':
-      points = 5;
-      break;
-    case 'documentation':
-      points = 7;
-      break;
-    case 'other':
-      points = 2;
-      break;
-  }
-  
-  // Bonus points for merged/approved contributions
-  if (status === 'merged' || status === 'approved') {
-    points *= 2;
+  // A manual decision resolves a flag raised by automatic verification
+  if (contribution.verification?.status === 'flagged') {
+    contribution.verification.reviewedBy = req.user.id;
+    contribution.verification.reviewedAt = Date.now();
   }
   
-  contribution.points = points;
+  // Points are rescored on save when the status changes
+  contribution.$locals.actorId = req.user._id;
   await contribution.save();
   
   // Send notification email to the user
@@ -458,50 +503,6 @@ router.put('/:id/verify', authMiddleware, authorize('admin', 'mentor'), [
     logger.error(`Error sending contribution status email: ${error.message}`);
   }
   
-  // Check for badges based on contribution count
-  try {
-    const contributionCount = await Contribution.countDocuments({ 
-      userId: contribution.userId,
-      status: { $in: ['merged', 'approved'] }
-    });
-    
-    if (contributionCount === 10) {
-      // Find the 'Code Warrior' badge
-      const badge = await Badge.findOne({
-        title: 'Code Warrior',
-        'conditions.type': 'contribution_count',
-        'conditions.count': 10
-      });
-      
-      if (badge) {
-        const user = await User.findById(contribution.userId);
-        if (user && !user.badges.includes(badge._id)) {
-          user.badges.push(badge._id);
-          await user.save();
-          logger.info(`Code Warrior badge awarded to user: ${user.email}`);
-        }
-      }
-    } else if (contributionCount === 50) {
-      // Find the 'Open Source Hero' badge
-      const badge = await Badge.findOne({
-        title: 'Open Source Hero',
-        'conditions.type': 'contribution_count',
-        'conditions.count': 50
-      });
-      
-      if (badge) {
-        const user = await User.findById(contribution.userId);
-        if (user && !user.badges.includes(badge._id)) {
-          user.badges.push(badge._id);
-          await user.save();
-          logger.info(`Open Source Hero badge awarded to user: ${user.email}`);
-        }
-      }
-    }
-  } catch (error) {
-    logger.error(`Error checking badge eligibility: ${error.message}`);
-  }
-  
   logger.info(`Contribution verified: ${contribution.title}, Status: ${status}`);
 
   res.status(200).json({
@@ -510,6 +511,69 @@ router.put('/:id/verify', authMiddleware, authorize('admin', 'mentor'), [
   });
 }));
 
+/**
+ * @swagger
+ * /contributions/{id}/auto-verify:
+ *   post:
+ *     summary: Check a contribution against GitHub now
+ *     description: >
+ *       Confirms the PR or issue exists in the project's repository and was
+ *       authored (or, for reviews, reviewed) by the contributor's linked GitHub
+ *       account, and records merge state, additions/deletions and review count.
+ *       Mismatches flag the contribution for manual review. Contributions are
+ *       also checked periodically in the background.
+ *     tags: [Contributions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Contribution ID
+ *     responses:
+ *       200:
+ *         description: Verification result
+ *       401:
+ *         description: Not authorized
+ *       404:
+ *         description: Contribution not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/auto-verify', authMiddleware, asyncHandler(async (req, res) => {
+  const contribution = await Contribution.findById(req.params.id);
+
+  if (!contribution) {
+    return res.status(404).json({
+      success: false,
+      message: 'Contribution not found'
+    });
+  }
+
+  // The contributor (the outcome comes from GitHub), or anyone who may verify it
+  const project = await Project.findById(contribution.projectId);
+  if (!can(req.user, 'contribution.update', contribution, req.apiToken)
+    && !canVerifyContribution(req.user, contribution, project, req.apiToken)) {
+    return res.status(401).json({
+      success: false,
+      message: 'Not authorized to verify this contribution'
+    });
+  }
+
+  await ContributionVerificationService.verifyContribution(contribution);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      status: contribution.status,
+      verification: contribution.verification,
+      github: contribution.github
+    }
+  });
+}));
+
 /**
  * @swagger
  * /contributions/{id}:
@@ -545,8 +609,8 @@ router.delete('/:id', authMiddleware, asyncHandler(async (req, res) => {
     });
   }
 
-  // Check if user is the contributor or an admin
-  if (contribution.userId.toString() !== req.user.id && req.user.role !== 'admin') {
+  // Check if user may delete this contribution (contributor or admin)
+  if (!can(req.user, 'contribution.delete', contribution, req.apiToken)) {
     return res.status(401).json({
       success: false,
       message: 'Not authorized to delete this contribution'
@@ -558,8 +622,14 @@ router.delete('/:id', authMiddleware, asyncHandler(async (req, res) => {
     $pull: { contributions: contribution._id }
   });
 
+  // Take back the contribution's points
+  await ScoringService.recordScoreChange(contribution, -contribution.points, {
+    actorId: req.user._id,
+    reason: 'Contribution deleted'
+  });
+
   // Delete contribution
-  await contribution.remove();
+  await contribution.deleteOne();
   
   logger.info(`Contribution deleted: ${contribution.title} by user: ${req.user.email}`);
 
@@ -0,0 +1,251 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { check, validationResult } from 'express-validator';
+import { authMiddleware } from '../middleware/auth.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import Badge from '../models/Badge.js';
+import OpenBadgesService from '../services/openBadgesService.js';
+
+const router = express.Router();
+
+// Open Badges documents are served as plain JSON-LD, without the API envelope
+const sendDocument = (res, document, status = 200) => {
+  res.status(status).type('application/ld+json').send(JSON.stringify(document));
+};
+
+/**
+ * @swagger
+ * /credentials/issuer:
+ *   get:
+ *     summary: Get the Open Badges issuer profile of the platform
+ *     tags: [Credentials]
+ *     responses:
+ *       200:
+ *         description: Issuer profile (JSON-LD)
+ */
+router.get('/issuer', (req, res) => {
+  sendDocument(res, OpenBadgesService.buildIssuer());
+});
+
+/**
+ * @swagger
+ * /credentials/issuer/key:
+ *   get:
+ *     summary: Get the public key that signs badge assertions
+ *     tags: [Credentials]
+ *     responses:
+ *       200:
+ *         description: Cryptographic key (JSON-LD)
+ */
+router.get('/issuer/key', (req, res) => {
+  sendDocument(res, OpenBadgesService.buildPublicKey());
+});
+
+/**
+ * @swagger
+ * /credentials/issuer/revocations:
+ *   get:
+ *     summary: Get the list of revoked badge assertions
+ *     tags: [Credentials]
+ *     responses:
+ *       200:
+ *         description: Revocation list (JSON-LD)
+ *       500:
+ *         description: Server error
+ */
+router.get('/issuer/revocations', asyncHandler(async (req, res) => {
+  sendDocument(res, await OpenBadgesService.buildRevocationList());
+}));
+
+/**
+ * @swagger
+ * /credentials/badges/{badgeId}:
+ *   get:
+ *     summary: Get the Open Badges badge class of a badge
+ *     tags: [Credentials]
+ *     parameters:
+ *       - in: path
+ *         name: badgeId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Badge ID
+ *     responses:
+ *       200:
+ *         description: Badge class (JSON-LD)
+ *       404:
+ *         description: Badge not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/badges/:badgeId', asyncHandler(async (req, res) => {
+  const badge = mongoose.Types.ObjectId.isValid(req.params.badgeId)
+    ? await Badge.findById(req.params.badgeId)
+    : null;
+
+  if (!badge) {
+    return res.status(404).json({
+      success: false,
+      message: 'Badge not found'
+    });
+  }
+
+  sendDocument(res, OpenBadgesService.buildBadgeClass(badge));
+}));
+
+/**
+ * @swagger
+ * /credentials/assertions/{awardId}:
+ *   get:
+ *     summary: Get the hosted Open Badges assertion of a badge award
+ *     description: Revoked awards answer 410 with the revocation reason
+ *     tags: [Credentials]
+ *     parameters:
+ *       - in: path
+ *         name: awardId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Award ID
+ *     responses:
+ *       200:
+ *         description: Assertion (JSON-LD)
+ *       404:
+ *         description: Assertion not found
+ *       410:
+ *         description: Assertion revoked
+ *       500:
+ *         description: Server error
+ */
+router.get('/assertions/:awardId', asyncHandler(async (req, res) => {
+  const { award, user } = await OpenBadgesService.getAward(req.params.awardId);
+
+  if (award.status === 'revoked') {
+    return sendDocument(res, {
+      id: OpenBadgesService.getAssertionUrl(award._id),
+      revoked: true,
+      revocationReason: award.revocationReason || 'Revoked by the issuer'
+    }, 410);
+  }
+
+  sendDocument(res, OpenBadgesService.buildAssertion(award, user));
+}));
+
+/**
+ * @swagger
+ * /credentials/assertions/{awardId}/signed:
+ *   get:
+ *     summary: Get the signed Open Badges assertion (JWS) of a badge award
+ *     tags: [Credentials]
+ *     parameters:
+ *       - in: path
+ *         name: awardId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Award ID
+ *     responses:
+ *       200:
+ *         description: Signed assertion as a compact JWS
+ *       404:
+ *         description: Assertion not found
+ *       410:
+ *         description: Assertion revoked
+ *       500:
+ *         description: Server error
+ */
+router.get('/assertions/:awardId/signed', asyncHandler(async (req, res) => {
+  const { award, user } = await OpenBadgesService.getAward(req.params.awardId);
+
+  if (award.status === 'revoked') {
+    return res.status(410).json({
+      success: false,
+      message: 'This badge award has been revoked'
+    });
+  }
+
+  res.status(200).type('text/plain').send(OpenBadgesService.signAssertion(award, user));
+}));
+
+/**
+ * @swagger
+ * /credentials/verify:
+ *   post:
+ *     summary: Verify a badge assertion
+ *     description: >
+ *       Confirms that an assertion was issued by this platform, that a signed
+ *       assertion's signature is authentic and that the award has not been
+ *       revoked. Optionally checks the recipient's email against it.
+ *     tags: [Credentials]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - assertion
+ *             properties:
+ *               assertion:
+ *                 type: string
+ *                 description: Signed assertion (JWS), assertion URL or award ID
+ *               email:
+ *                 type: string
+ *                 description: Email the badge is expected to be issued to
+ *     responses:
+ *       200:
+ *         description: Verification result (valid, revoked, reason, assertion and badge class)
+ *       400:
+ *         description: Invalid input
+ *       500:
+ *         description: Server error
+ */
+router.post('/verify', [
+  check('assertion').isString().trim().notEmpty().withMessage('Assertion is required'),
+  check('email').optional().isEmail().withMessage('Please include a valid email')
+], asyncHandler(async (req, res) => {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  const result = await OpenBadgesService.verify(req.body.assertion, { email: req.body.email });
+
+  res.status(200).json({
+    success: true,
+    data: result
+  });
+}));
+
+/**
+ * @swagger
+ * /credentials/me:
+ *   get:
+ *     summary: Export the current user's badges as Open Badges assertions
+ *     description: >
+ *       Returns the hosted assertion URL, the assertion and a signed copy of
+ *       each badge the user holds, ready to import into LinkedIn, Badgr or a
+ *       portfolio.
+ *     tags: [Credentials]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: The user's assertions
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/me', authMiddleware, asyncHandler(async (req, res) => {
+  const credentials = await OpenBadgesService.exportUserBadges(req.user._id);
+
+  res.status(200).json({
+    success: true,
+    count: credentials.length,
+    data: credentials
+  });
+}));
+
+export default router;
@@ -1,6 +1,6 @@
 import express from 'express';
 import { check, validationResult } from 'express-validator';
-import { authMiddleware, authorize } from '../middleware/auth.js';
+import { authMiddleware, requirePermission } from '../middleware/auth.js';
 import { asyncHandler } from '../utils/asyncHandler.js';
 import { sendEmail } from '../utils/email.js';
 import User from '../models/User.js';
@@ -334,7 +334,7 @@ router.post('/newsletter/unsubscribe', [
  *       500:
  *         description: Server error
  */
-router.post('/notification', authMiddleware, authorize('admin'), [
+router.post('/notification', authMiddleware, requirePermission('email.send'), [
   check('userId').notEmpty().withMessage('User ID is required').isMongoId().withMessage('Invalid user ID format'),
   check('subject').notEmpty().withMessage('Subject is required').trim().escape(),
   check('message').notEmpty().withMessage('Message is required').trim()
@@ -411,7 +411,7 @@ router.post('/notification', authMiddleware, authorize('admin'), [
  *       500:
  *         description: Server error
  */
-router.post('/bulk', authMiddleware, authorize('admin'), [
+router.post('/bulk', authMiddleware, requirePermission('email.send'), [
   check('recipients').isArray().withMessage('Recipients must be an array').notEmpty().withMessage('Recipients are required'),
   check('subject').notEmpty().withMessage('Subject is required').trim().escape(),
   check('message').notEmpty().withMessage('Message is required').trim()
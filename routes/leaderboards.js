@@ -0,0 +1,237 @@
+import express from 'express';
+import { check, validationResult } from 'express-validator';
+import { authMiddleware } from '../middleware/auth.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import User from '../models/User.js';
+import LeaderboardService, { LEADERBOARD_WINDOWS, LEADERBOARD_SCOPES } from '../services/leaderboardService.js';
+
+const router = express.Router();
+
+// Query parameters shared by all leaderboard endpoints
+const boardChecks = [
+  check('window').optional().isIn(LEADERBOARD_WINDOWS).withMessage(`Window must be one of: ${LEADERBOARD_WINDOWS.join(', ')}`),
+  check('scope').optional().isIn(LEADERBOARD_SCOPES).withMessage(`Scope must be one of: ${LEADERBOARD_SCOPES.join(', ')}`),
+  check('value').optional().isString().trim().isLength({ min: 1, max: 100 }).withMessage('Value must be between 1 and 100 characters')
+];
+
+/**
+ * @swagger
+ * /leaderboards:
+ *   get:
+ *     summary: Get a leaderboard
+ *     description: >
+ *       Ranks users by the points they earned in a time window, globally or
+ *       within a project, skill or country. Served from snapshots rebuilt
+ *       hourly; users with the same points share a rank.
+ *     tags: [Leaderboards]
+ *     parameters:
+ *       - in: query
+ *         name: window
+ *         schema:
+ *           type: string
+ *           enum: [all_time, monthly, weekly]
+ *           default: all_time
+ *         description: Time window (calendar month or week starting Monday, UTC)
+ *       - in: query
+ *         name: scope
+ *         schema:
+ *           type: string
+ *           enum: [global, project, skill, country]
+ *           default: global
+ *         description: Which users and points are ranked
+ *       - in: query
+ *         name: value
+ *         schema:
+ *           type: string
+ *         description: Project ID, skill or two-letter country code (required unless scope is global)
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *         description: Number of items per page
+ *     responses:
+ *       200:
+ *         description: Leaderboard page
+ *       400:
+ *         description: Invalid input
+ *       500:
+ *         description: Server error
+ */
+router.get('/', [
+  ...boardChecks,
+  check('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  check('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], asyncHandler(async (req, res) => {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  const { window, scope, value, page = 1, limit = 20 } = req.query;
+  const leaderboard = await LeaderboardService.getLeaderboard({ window, scope, value, page, limit });
+
+  res.status(200).json({
+    success: true,
+    count: leaderboard.entries.length,
+    total: leaderboard.total,
+    totalPages: Math.ceil(leaderboard.total / Number(limit)),
+    data: leaderboard
+  });
+}));
+
+/**
+ * @swagger
+ * /leaderboards/me:
+ *   get:
+ *     summary: Get the current user's place on a leaderboard
+ *     description: >
+ *       Returns the user's rank (null when they have no points in the window)
+ *       and the users directly above and below them. For the country scope the
+ *       user's own country is used when no value is given.
+ *     tags: [Leaderboards]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: window
+ *         schema:
+ *           type: string
+ *           enum: [all_time, monthly, weekly]
+ *       - in: query
+ *         name: scope
+ *         schema:
+ *           type: string
+ *           enum: [global, project, skill, country]
+ *       - in: query
+ *         name: value
+ *         schema:
+ *           type: string
+ *         description: Project ID, skill or two-letter country code
+ *       - in: query
+ *         name: neighbors
+ *         schema:
+ *           type: integer
+ *           default: 2
+ *         description: Users to include above and below (0-10)
+ *     responses:
+ *       200:
+ *         description: Rank, percentile and neighbors
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/me', authMiddleware, [
+  ...boardChecks,
+  check('neighbors').optional().isInt({ min: 0, max: 10 }).withMessage('Neighbors must be between 0 and 10')
+], asyncHandler(async (req, res) => {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  const { window, scope, neighbors = 2 } = req.query;
+  let { value } = req.query;
+
+  if (scope === 'country' && !value) {
+    if (!req.user.country) {
+      return res.status(400).json({
+        success: false,
+        message: 'Set a country on your profile or pass a country code as value'
+      });
+    }
+    value = req.user.country;
+  }
+
+  const position = await LeaderboardService.getUserPosition(req.user._id, { window, scope, value, neighbors });
+
+  res.status(200).json({
+    success: true,
+    data: position
+  });
+}));
+
+/**
+ * @swagger
+ * /leaderboards/users/{userId}/history:
+ *   get:
+ *     summary: Get a user's daily rank on a leaderboard
+ *     tags: [Leaderboards]
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *       - in: query
+ *         name: window
+ *         schema:
+ *           type: string
+ *           enum: [all_time, monthly, weekly]
+ *       - in: query
+ *         name: scope
+ *         schema:
+ *           type: string
+ *           enum: [global, project, skill, country]
+ *       - in: query
+ *         name: value
+ *         schema:
+ *           type: string
+ *         description: Project ID, skill or two-letter country code
+ *       - in: query
+ *         name: days
+ *         schema:
+ *           type: integer
+ *           default: 30
+ *         description: Number of days to return (1-365)
+ *     responses:
+ *       200:
+ *         description: Rank at the end of each day the user was ranked, oldest first
+ *       400:
+ *         description: Invalid input
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/users/:userId/history', [
+  check('userId').isMongoId().withMessage('Invalid user ID'),
+  ...boardChecks,
+  check('days').optional().isInt({ min: 1, max: 365 }).withMessage('Days must be between 1 and 365')
+], asyncHandler(async (req, res) => {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  const user = await User.findById(req.params.userId).select('name avatarUrl');
+
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+  }
+
+  const { window, scope, value, days = 30 } = req.query;
+  const history = await LeaderboardService.getRankHistory(user._id, { window, scope, value, days });
+
+  res.status(200).json({
+    success: true,
+    count: history.history.length,
+    data: { user, ...history }
+  });
+}));
+
+export default router;
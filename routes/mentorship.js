@@ -1,65 +1,36 @@
 import express from 'express';
 import { check, validationResult } from 'express-validator';
-import { authMiddleware, authorize } from '../middleware/auth.js';
+import { authMiddleware, requirePermission, requireVerifiedEmail } from '../middleware/auth.js';
 import { asyncHandler } from '../utils/asyncHandler.js';
 import User from '../models/User.js';
+import Mentorship from '../models/Mentorship.js';
 import { ApiError } from '../middleware/errorHandler.js';
 import { logger } from '../utils/logger.js';
-import mongoose from 'mongoose';
+import { can } from '../utils/permissions.js';
+import { isTimeZone, TIME_PATTERN } from '../utils/availability.js';
+import MentorAvailabilityService from '../services/mentorAvailabilityService.js';
+import MentorshipSessionService from '../services/mentorshipSessionService.js';
+import MentorshipGoalService from '../services/mentorshipGoalService.js';
+import MentorshipLifecycleService from '../services/mentorshipLifecycleService.js';
+import MentorshipFeedbackService from '../services/mentorshipFeedbackService.js';
+import MentorshipFeedback, { MODERATION_STATUSES } from '../models/MentorshipFeedback.js';
+import mentorshipSessionsRoutes from './mentorshipSessions.js';
+import mentorshipGoalsRoutes from './mentorshipGoals.js';
+import mentorshipFeedbackRoutes from './mentorshipFeedback.js';
 
 const router = express.Router();
 
-// Define Mentorship schema if it doesn't exist elsewhere
-const MentorshipSchema = new mongoose.Schema({
-  mentorId: {
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'User',
-    required: true
-  },
-  menteeId: {
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'User',
-    required: true
-  },
-  status: {
-    type: String,
-    enum: ['pending', 'active', 'completed', 'rejected'],
-    default: 'pending'
-  },
-  skills: [{
-    type: String
-  }],
-  goals: {
-    type: String,
-    required: [true, 'Please provide mentorship goals'],
-    maxlength: [500, 'Goals cannot be more than 500 characters']
-  },
-  startDate: {
-    type: Date,
-    default: Date.now
-  },
-  endDate: {
-    type: Date
-  },
-  notes: {
-    type: String,
-    maxlength: [1000, 'Notes cannot be more than 1000 characters']
-  },
-  lastInteraction: {
-    type: Date,
-    default: Date.now
-  }
-}, {
-  timestamps: true
-});
-
-const Mentorship = mongoose.models.Mentorship || mongoose.model('Mentorship', MentorshipSchema);
-
 /**
  * @swagger
  * /mentorship:
  *   post:
  *     summary: Request mentorship from a mentor
+ *     description: >
+ *       Requests to a mentor without open slots are waitlisted when the mentor
+ *       allows it, and refused otherwise. Mentors on vacation don't take
+ *       requests, and mentors with focus areas only take requests whose skills
+ *       include one of them. Pending requests expire when the mentor doesn't
+ *       answer within mentorshipRequestExpiryDays (default 14).
  *     tags: [Mentorship]
  *     security:
  *       - bearerAuth: []
@@ -81,22 +52,30 @@ const Mentorship = mongoose.models.Mentorship || mongoose.model('Mentorship', Me
  *                 type: array
  *                 items:
  *                   type: string
+ *               durationWeeks:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 52
+ *                 description: Planned length; the mentorship completes automatically once it has run this long
  *     responses:
  *       201:
- *         description: Mentorship request created successfully
+ *         description: Mentorship request created (pending or waitlisted)
  *       400:
- *         description: Invalid input
+ *         description: Invalid input, or the mentor doesn't take the request
  *       401:
  *         description: Not authorized
+ *       403:
+ *         description: Email verification required
  *       404:
  *         description: Mentor not found
  *       500:
  *         description: Server error
  */
-router.post('/', authMiddleware, [
+router.post('/', authMiddleware, requireVerifiedEmail, [
   check('mentorId').notEmpty().withMessage('Mentor ID is required').isMongoId().withMessage('Invalid mentor ID format'),
   check('goals').notEmpty().withMessage('Mentorship goals are required').isLength({ max: 500 }).withMessage('Goals cannot be more than 500 characters'),
-  check('skills').optional().isArray().withMessage('Skills must be an array')
+  check('skills').optional().isArray().withMessage('Skills must be an array'),
+  check('durationWeeks').optional().isInt({ min: 1, max: 52 }).withMessage('Duration must be between 1 and 52 weeks')
 ], asyncHandler(async (req, res) => {
   // Validate request
   const errors = validationResult(req);
@@ -104,7 +83,7 @@ router.post('/', authMiddleware, [
     return res.status(400).json({ success: false, errors: errors.array() });
   }
 
-  const { mentorId, goals, skills = [] } = req.body;
+  const { mentorId, goals, skills = [], durationWeeks } = req.body;
 
   // Check if mentee is trying to mentor themselves
   if (mentorId === req.user.id) {
@@ -114,110 +93,814 @@ router.post('/', authMiddleware, [
     });
   }
 
-  // Check if mentor exists and is a mentor
-  const mentor = await User.findById(mentorId);
-  if (!mentor) {
+  // Check if mentor exists and is a mentor
+  const mentor = await User.findById(mentorId);
+  if (!mentor) {
+    return res.status(404).json({
+      success: false,
+      message: 'Mentor not found'
+    });
+  }
+
+  if (!mentor.isMentor) {
+    return res.status(400).json({
+      success: false,
+      message: 'The selected user is not a mentor'
+    });
+  }
+
+  // Check if a mentorship already exists between these users
+  const existingMentorship = await Mentorship.findOne({
+    mentorId,
+    menteeId: req.user.id,
+    status: { $in: ['waitlisted', 'pending', 'active', 'paused'] }
+  });
+
+  if (existingMentorship) {
+    return res.status(400).json({
+      success: false,
+      message: 'You already have a pending or active mentorship with this mentor'
+    });
+  }
+
+  // Check capacity, vacations and focus areas (throws if the mentor doesn't take the request)
+  const status = await MentorAvailabilityService.checkRequest(mentor, skills);
+
+  // Create mentorship request
+  const mentorship = await Mentorship.create({
+    mentorId,
+    menteeId: req.user.id,
+    goals,
+    skills,
+    durationWeeks,
+    startDate: new Date(),
+    status,
+    expiresAt: status === 'pending' ? await Mentorship.getRequestExpiry() : undefined,
+    transitions: [{ from: null, to: status, by: req.user._id }]
+  });
+
+  await MentorshipLifecycleService.notify(mentorship, { by: req.user._id });
+
+  logger.info(`New mentorship request created by: ${req.user.email} for mentor: ${mentor.email} (${status})`);
+
+  res.status(201).json({
+    success: true,
+    message: status === 'waitlisted'
+      ? 'The mentor has no open slots right now; your request is on the waitlist'
+      : 'Mentorship request sent',
+    data: mentorship
+  });
+}));
+
+/**
+ * @swagger
+ * /mentorship:
+ *   get:
+ *     summary: Get all mentorships for current user
+ *     tags: [Mentorship]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *         description: Filter by mentorship status
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *         description: Filter by user role (mentor or mentee)
+ *     responses:
+ *       200:
+ *         description: List of mentorships
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/', authMiddleware, asyncHandler(async (req, res) => {
+  const { status, role } = req.query;
+  
+  // Build filter
+  const filter = {};
+  if (status) filter.status = status;
+  
+  // Filter by role (mentor or mentee)
+  if (role === 'mentor') {
+    filter.mentorId = req.user.id;
+  } else if (role === 'mentee') {
+    filter.menteeId = req.user.id;
+  } else {
+    // If no role specified, get all mentorships where user is involved
+    filter.$or = [
+      { mentorId: req.user.id },
+      { menteeId: req.user.id }
+    ];
+  }
+  
+  const mentorships = await Mentorship.find(filter)
+    .populate('mentorId', 'name email avatarUrl')
+    .populate('menteeId', 'name email avatarUrl')
+    .sort('-createdAt');
+  
+  res.status(200).json({
+    success: true,
+    count: mentorships.length,
+    data: mentorships
+  });
+}));
+
+/**
+ * @swagger
+ * /mentorship/stats:
+ *   get:
+ *     summary: Get mentorship statistics
+ *     tags: [Mentorship]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Mentorship statistics
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/stats', authMiddleware, requirePermission('mentorship.stats.read'), asyncHandler(async (req, res) => {
+  // Get total mentorship count
+  const totalMentorships = await Mentorship.countDocuments();
+  
+  // Get mentorship counts by status
+  const statusCounts = await Mentorship.aggregate([
+    { $group: { _id: '$status', count: { $sum: 1 } } }
+  ]);
+  
+  // Format status counts into an object
+  const statusCountsObj = {};
+  statusCounts.forEach(status => {
+    statusCountsObj[status._id] = status.count;
+  });
+  
+  // Get active mentors count
+  const activeMentors = await User.countDocuments({ isMentor: true });
+  
+  // Get average mentorship duration for completed mentorships
+  const completedMentorships = await Mentorship.find({ status: 'completed' });
+  let averageDurationDays = 0;
+  
+  if (completedMentorships.length > 0) {
+    const totalDurationMs = completedMentorships.reduce((sum, mentorship) => {
+      const start = new Date(mentorship.startDate).getTime();
+      const end = new Date(mentorship.endDate).getTime();
+      return sum + (end - start);
+    }, 0);
+    
+    averageDurationDays = Math.round(totalDurationMs / (1000 * 60 * 60 * 24) / completedMentorships.length);
+  }
+  
+  // Get new mentorships in the last 30 days
+  const thirtyDaysAgo = new Date();
+  thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
+  const newMentorshipsLast30Days = await Mentorship.countDocuments({
+    createdAt: { $gte: thirtyDaysAgo }
+  });
+  
+  // Get session attendance across all mentorships
+  const sessions = await MentorshipSessionService.getAttendanceStats();
+  
+  res.status(200).json({
+    success: true,
+    data: {
+      totalMentorships,
+      byStatus: statusCountsObj,
+      activeMentors,
+      averageDurationDays,
+      newMentorshipsLast30Days,
+      sessions
+    }
+  });
+}));
+
+/**
+ * @swagger
+ * /mentorship/mentors:
+ *   get:
+ *     summary: Get available mentors
+ *     description: >
+ *       Each mentor comes with their weekly availability, focus areas,
+ *       capacity (open slots, waitlist and vacation) and rating from mentee
+ *       feedback (a Bayesian average with per-dimension scores).
+ *     tags: [Mentorship]
+ *     parameters:
+ *       - in: query
+ *         name: skills
+ *         schema:
+ *           type: string
+ *         description: Filter by skills (comma-separated)
+ *       - in: query
+ *         name: focusAreas
+ *         schema:
+ *           type: string
+ *         description: Only mentors taking requests for one of these focus areas (comma-separated)
+ *       - in: query
+ *         name: hasCapacity
+ *         schema:
+ *           type: boolean
+ *         description: Only mentors with open slots who aren't on vacation
+ *       - in: query
+ *         name: overlapsWithMe
+ *         schema:
+ *           type: boolean
+ *         description: >
+ *           Only mentors whose weekly availability overlaps yours, best match
+ *           first (requires authentication and your availability)
+ *       - in: query
+ *         name: minOverlap
+ *         schema:
+ *           type: integer
+ *         description: Minimum overlapping minutes per week for overlapsWithMe (default 60)
+ *       - in: query
+ *         name: minRating
+ *         schema:
+ *           type: number
+ *         description: Only mentors rated at least this (1-5)
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [recent, rating]
+ *         description: Last active first (default) or best rated first
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *         description: Number of items per page
+ *     responses:
+ *       200:
+ *         description: List of available mentors
+ *       400:
+ *         description: Invalid input or no availability set
+ *       401:
+ *         description: Not authorized (overlapsWithMe)
+ *       500:
+ *         description: Server error
+ */
+router.get('/mentors', (req, res, next) => {
+  // Matching availability needs to know who is asking
+  if (req.query.overlapsWithMe === 'true') return authMiddleware(req, res, next);
+  next();
+}, [
+  check('hasCapacity').optional().isBoolean().withMessage('hasCapacity must be a boolean'),
+  check('overlapsWithMe').optional().isBoolean().withMessage('overlapsWithMe must be a boolean'),
+  check('minOverlap').optional().isInt({ min: 15, max: 7 * 24 * 60 }).withMessage('Minimum overlap must be between 15 minutes and a week'),
+  check('minRating').optional().isFloat({ min: 1, max: 5 }).withMessage('Minimum rating must be between 1 and 5'),
+  check('sort').optional().isIn(['recent', 'rating']).withMessage('Sort must be either recent or rating')
+], asyncHandler(async (req, res) => {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  const { skills, focusAreas, hasCapacity, overlapsWithMe, minOverlap = 60, minRating, sort, page = 1, limit = 10 } = req.query;
+  const toList = (value) => (value ? value.split(',').map(item => item.trim()).filter(Boolean) : undefined);
+
+  if (overlapsWithMe === 'true' && !req.user.availability?.windows?.length) {
+    return res.status(400).json({
+      success: false,
+      message: 'Set your weekly availability with PUT /mentorship/availability to find overlapping mentors'
+    });
+  }
+
+  const { mentors, total } = await MentorAvailabilityService.findMentors({
+    skills: toList(skills),
+    focusAreas: toList(focusAreas),
+    openOnly: hasCapacity === 'true',
+    availability: overlapsWithMe === 'true' ? req.user.availability : undefined,
+    minOverlap: Number(minOverlap),
+    minRating: minRating ? Number(minRating) : undefined,
+    sortBy: sort,
+    excludeId: req.user?._id,
+    page: Number(page),
+    limit: Number(limit)
+  });
+
+  // Calculate pagination
+  const startIndex = (Number(page) - 1) * Number(limit);
+  const endIndex = Number(page) * Number(limit);
+  
+  // Pagination results
+  const pagination = {};
+  if (endIndex < total) {
+    pagination.next = {
+      page: Number(page) + 1,
+      limit: Number(limit)
+    };
+  }
+  if (startIndex > 0) {
+    pagination.prev = {
+      page: Number(page) - 1,
+      limit: Number(limit)
+    };
+  }
+  
+  res.status(200).json({
+    success: true,
+    count: mentors.length,
+    pagination,
+    totalPages: Math.ceil(total / Number(limit)),
+    data: mentors
+  });
+}));
+
+/**
+ * @swagger
+ * /mentorship/mentors/{userId}/availability:
+ *   get:
+ *     summary: Get a mentor's availability and capacity
+ *     tags: [Mentorship]
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Mentor ID
+ *     responses:
+ *       200:
+ *         description: Weekly availability, focus areas, upcoming vacations and capacity
+ *       404:
+ *         description: Mentor not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/mentors/:userId/availability', [
+  check('userId').isMongoId().withMessage('Invalid mentor ID format')
+], asyncHandler(async (req, res) => {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  const mentor = await User.findOne({ _id: req.params.userId, isMentor: true }).select('name availability mentorProfile');
+  if (!mentor) {
+    return res.status(404).json({
+      success: false,
+      message: 'Mentor not found'
+    });
+  }
+
+  const now = new Date();
+
+  res.status(200).json({
+    success: true,
+    data: {
+      availability: mentor.availability,
+      focusAreas: mentor.mentorProfile?.focusAreas || [],
+      vacations: (mentor.mentorProfile?.vacations || []).filter(vacation => vacation.end >= now),
+      capacity: await MentorAvailabilityService.getStatus(mentor)
+    }
+  });
+}));
+
+/**
+ * @swagger
+ * /mentorship/mentors/{userId}/reviews:
+ *   get:
+ *     summary: Get a mentor's rating and reviews
+ *     description: >
+ *       The rating is a Bayesian average of mentee feedback, blended with the
+ *       platform average so mentors with few reviews stay near it. Comments
+ *       under moderation are left out.
+ *     tags: [Mentorship]
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Mentor ID
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *         description: Number of items per page
+ *     responses:
+ *       200:
+ *         description: Rating with per-dimension scores, and mentee feedback newest first
+ *       404:
+ *         description: Mentor not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/mentors/:userId/reviews', [
+  check('userId').isMongoId().withMessage('Invalid mentor ID format'),
+  check('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  check('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50')
+], asyncHandler(async (req, res) => {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  const mentor = await User.findOne({ _id: req.params.userId, isMentor: true }).select('name mentorRating');
+  if (!mentor) {
+    return res.status(404).json({
+      success: false,
+      message: 'Mentor not found'
+    });
+  }
+
+  const page = Number(req.query.page) || 1;
+  const limit = Number(req.query.limit) || 10;
+  const filter = { toId: mentor._id, role: 'mentee' };
+
+  const [total, reviews] = await Promise.all([
+    MentorshipFeedback.countDocuments(filter),
+    MentorshipFeedback.find(filter)
+      .populate('fromId', 'name avatarUrl')
+      .sort('-createdAt')
+      .skip((page - 1) * limit)
+      .limit(limit)
+  ]);
+
+  res.status(200).json({
+    success: true,
+    rating: mentor.mentorRating,
+    count: reviews.length,
+    totalPages: Math.ceil(total / limit),
+    data: reviews.map(review => review.toPublicJSON())
+  });
+}));
+
+/**
+ * @swagger
+ * /mentorship/availability:
+ *   put:
+ *     summary: Set your weekly availability and mentoring preferences
+ *     description: >
+ *       Anyone can set their weekly availability, which is matched against
+ *       mentors with overlapsWithMe. Capacity, focus areas, waitlist and
+ *       vacations are for mentors only. Fields left out are unchanged.
+ *     tags: [Mentorship]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               timezone:
+ *                 type: string
+ *                 description: IANA time zone the windows are given in
+ *               windows:
+ *                 type: array
+ *                 description: Weekly windows, replacing the current ones
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     day:
+ *                       type: integer
+ *                       description: 0 (Sunday) to 6 (Saturday)
+ *                     start:
+ *                       type: string
+ *                       example: '09:00'
+ *                     end:
+ *                       type: string
+ *                       example: '12:30'
+ *               maxMentees:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: Pending and active mentees at a time; null for the platform default
+ *               focusAreas:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               waitlistEnabled:
+ *                 type: boolean
+ *               vacations:
+ *                 type: array
+ *                 description: Vacation periods, replacing the current ones
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     start:
+ *                       type: string
+ *                       format: date-time
+ *                     end:
+ *                       type: string
+ *                       format: date-time
+ *                     note:
+ *                       type: string
+ *     responses:
+ *       200:
+ *         description: Availability updated
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.put('/availability', authMiddleware, [
+  check('timezone').optional().custom(isTimeZone).withMessage('Please provide a valid IANA time zone (e.g. Europe/Berlin)'),
+  check('windows').optional().isArray({ max: 50 }).withMessage('Windows must be an array of at most 50 windows'),
+  check('windows.*.day').isInt({ min: 0, max: 6 }).withMessage('Window days must be between 0 (Sunday) and 6 (Saturday)'),
+  check('windows.*.start').matches(TIME_PATTERN).withMessage('Window times must be given as HH:mm'),
+  check('windows.*.end').matches(TIME_PATTERN).withMessage('Window times must be given as HH:mm'),
+  check('maxMentees').optional({ values: 'null' }).isInt({ min: 1, max: 50 }).withMessage('Maximum mentees must be between 1 and 50'),
+  check('focusAreas').optional().isArray().withMessage('Focus areas must be an array'),
+  check('waitlistEnabled').optional().isBoolean().withMessage('waitlistEnabled must be a boolean'),
+  check('vacations').optional().isArray({ max: 20 }).withMessage('Vacations must be an array of at most 20 periods'),
+  check('vacations.*.start').isISO8601().withMessage('Vacation dates must be valid dates'),
+  check('vacations.*.end').isISO8601().withMessage('Vacation dates must be valid dates')
+], asyncHandler(async (req, res) => {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  const { timezone, windows, maxMentees, focusAreas, waitlistEnabled, vacations } = req.body;
+  const user = await User.findById(req.user._id);
+
+  const mentorFields = [maxMentees, focusAreas, waitlistEnabled, vacations].some(value => value !== undefined);
+  if (mentorFields && !user.isMentor) {
+    return res.status(400).json({
+      success: false,
+      message: 'Only mentors can set capacity, focus areas, waitlist and vacations'
+    });
+  }
+
+  if (timezone !== undefined) user.availability.timezone = timezone;
+  if (windows !== undefined) user.availability.windows = windows;
+  if (maxMentees !== undefined) user.mentorProfile.maxMentees = maxMentees;
+  if (focusAreas !== undefined) user.mentorProfile.focusAreas = focusAreas.map(area => String(area).trim()).filter(Boolean);
+  if (waitlistEnabled !== undefined) user.mentorProfile.waitlistEnabled = waitlistEnabled;
+  if (vacations !== undefined) user.mentorProfile.vacations = vacations;
+
+  await user.save();
+
+  // A larger capacity may let waitlisted mentees through
+  if (user.isMentor) {
+    await MentorAvailabilityService.promoteWaitlist(user._id);
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      availability: user.availability,
+      mentorProfile: user.mentorProfile
+    }
+  });
+}));
+
+/**
+ * @swagger
+ * /mentorship/feedback/moderation:
+ *   get:
+ *     summary: Get feedback comments to moderate
+ *     tags: [Mentorship Feedback]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [visible, flagged, hidden]
+ *         description: Moderation status (default flagged)
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *         description: Number of items per page
+ *     responses:
+ *       200:
+ *         description: Feedback with the given status, longest waiting first
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: Forbidden
+ *       500:
+ *         description: Server error
+ */
+router.get('/feedback/moderation', authMiddleware, requirePermission('mentorship.feedback.moderate'), [
+  check('status').optional().isIn(MODERATION_STATUSES).withMessage(`Status must be one of: ${MODERATION_STATUSES.join(', ')}`),
+  check('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  check('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], asyncHandler(async (req, res) => {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  const page = Number(req.query.page) || 1;
+  const limit = Number(req.query.limit) || 20;
+  const filter = { 'moderation.status': req.query.status || 'flagged', comment: { $nin: [null, ''] } };
+
+  const [total, feedback] = await Promise.all([
+    MentorshipFeedback.countDocuments(filter),
+    MentorshipFeedback.find(filter)
+      .populate('fromId', 'name email')
+      .populate('toId', 'name email')
+      .sort('updatedAt')
+      .skip((page - 1) * limit)
+      .limit(limit)
+  ]);
+
+  res.status(200).json({
+    success: true,
+    count: feedback.length,
+    totalPages: Math.ceil(total / limit),
+    data: feedback
+  });
+}));
+
+/**
+ * @swagger
+ * /mentorship/feedback/{feedbackId}/report:
+ *   post:
+ *     summary: Report a feedback comment
+ *     description: The comment is hidden from others until a moderator reviews it.
+ *     tags: [Mentorship Feedback]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: feedbackId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Feedback ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Comment reported
+ *       400:
+ *         description: Invalid input, no comment, or already reported
+ *       401:
+ *         description: Not authorized
+ *       404:
+ *         description: Feedback not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/feedback/:feedbackId/report', authMiddleware, [
+  check('feedbackId').isMongoId().withMessage('Invalid feedback ID'),
+  check('reason').optional().isLength({ max: 500 }).withMessage('Reason cannot be more than 500 characters')
+], asyncHandler(async (req, res) => {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  const feedback = await MentorshipFeedback.findById(req.params.feedbackId);
+  if (!feedback) {
     return res.status(404).json({
       success: false,
-      message: 'Mentor not found'
+      message: 'Feedback not found'
     });
   }
 
-  if (!mentor.isMentor) {
+  if (!feedback.comment) {
     return res.status(400).json({
       success: false,
-      message: 'The selected user is not a mentor'
+      message: 'Only feedback with a comment can be reported'
     });
   }
 
-  // Check if a mentorship already exists between these users
-  const existingMentorship = await Mentorship.findOne({
-    mentorId,
-    menteeId: req.user.id,
-    status: { $in: ['pending', 'active'] }
-  });
+  if (feedback.fromId.equals(req.user._id)) {
+    return res.status(400).json({
+      success: false,
+      message: 'You cannot report your own feedback'
+    });
+  }
 
-  if (existingMentorship) {
+  if (feedback.moderation.reports.some(report => report.by?.equals(req.user._id))) {
     return res.status(400).json({
       success: false,
-      message: 'You already have a pending or active mentorship with this mentor'
+      message: 'You already reported this feedback'
     });
   }
 
-  // Create mentorship request
-  const mentorship = await Mentorship.create({
-    mentorId,
-    menteeId: req.user.id,
-    goals,
-    skills,
-    startDate: new Date(),
-    status: 'pending'
-  });
+  feedback.moderation.reports.push({ by: req.user._id, reason: req.body.reason });
+  if (feedback.moderation.status === 'visible') {
+    feedback.moderation.status = 'flagged';
+  }
+  await feedback.save();
 
-  logger.info(`New mentorship request created by: ${req.user.email} for mentor: ${mentor.email}`);
+  logger.info(`Feedback ${feedback._id} reported by: ${req.user.email}`);
 
-  res.status(201).json({
+  res.status(200).json({
     success: true,
-    data: mentorship
+    message: 'Thanks, a moderator will review this comment'
   });
 }));
 
 /**
  * @swagger
- * /mentorship:
- *   get:
- *     summary: Get all mentorships for current user
- *     tags: [Mentorship]
+ * /mentorship/feedback/{feedbackId}/moderation:
+ *   put:
+ *     summary: Moderate a feedback comment
+ *     description: Shows or hides the comment; the rating keeps counting either way.
+ *     tags: [Mentorship Feedback]
  *     security:
  *       - bearerAuth: []
  *     parameters:
- *       - in: query
- *         name: status
- *         schema:
- *           type: string
- *         description: Filter by mentorship status
- *       - in: query
- *         name: role
+ *       - in: path
+ *         name: feedbackId
+ *         required: true
  *         schema:
  *           type: string
- *         description: Filter by user role (mentor or mentee)
+ *         description: Feedback ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [visible, hidden]
+ *               note:
+ *                 type: string
  *     responses:
  *       200:
- *         description: List of mentorships
+ *         description: Feedback moderated
+ *       400:
+ *         description: Invalid input
  *       401:
  *         description: Not authorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Feedback not found
  *       500:
  *         description: Server error
  */
-router.get('/', authMiddleware, asyncHandler(async (req, res) => {
-  const { status, role } = req.query;
-  
-  // Build filter
-  const filter = {};
-  if (status) filter.status = status;
-  
-  // Filter by role (mentor or mentee)
-  if (role === 'mentor') {
-    filter.mentorId = req.user.id;
-  } else if (role === 'mentee') {
-    filter.menteeId = req.user.id;
-  } else {
-    // If no role specified, get all mentorships where user is involved
-    filter.$or = [
-      { mentorId: req.user.id },
-      { menteeId: req.user.id }
-    ];
+router.put('/feedback/:feedbackId/moderation', authMiddleware, requirePermission('mentorship.feedback.moderate'), [
+  check('feedbackId').isMongoId().withMessage('Invalid feedback ID'),
+  check('status').isIn(['visible', 'hidden']).withMessage('Status must be either visible or hidden'),
+  check('note').optional().isLength({ max: 500 }).withMessage('Note cannot be more than 500 characters')
+], asyncHandler(async (req, res) => {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
   }
-  
-  const mentorships = await Mentorship.find(filter)
-    .populate('mentorId', 'name email avatarUrl')
-    .populate('menteeId', 'name email avatarUrl')
-    .sort('-createdAt');
-  
+
+  const feedback = await MentorshipFeedback.findById(req.params.feedbackId);
+  if (!feedback) {
+    return res.status(404).json({
+      success: false,
+      message: 'Feedback not found'
+    });
+  }
+
+  feedback.moderation.status = req.body.status;
+  feedback.moderation.moderatedBy = req.user._id;
+  feedback.moderation.moderatedAt = new Date();
+  if (req.body.note !== undefined) feedback.moderation.note = req.body.note;
+  await feedback.save();
+
+  logger.info(`Feedback ${feedback._id} set to ${req.body.status} by: ${req.user.email}`);
+
   res.status(200).json({
     success: true,
-    count: mentorships.length,
-    data: mentorships
+    data: feedback
   });
 }));
 
@@ -238,7 +921,7 @@ router.get('/', authMiddleware, asyncHandler(async (req, res) => {
  *         description: Mentorship ID
  *     responses:
  *       200:
- *         description: Mentorship details
+ *         description: Mentorship details and the progress of its goals
  *       401:
  *         description: Not authorized
  *       404:
@@ -258,10 +941,8 @@ router.get('/:id', authMiddleware, asyncHandler(async (req, res) => {
     });
   }
   
-  // Check if user is part of this mentorship
-  if (mentorship.mentorId._id.toString() !== req.user.id && 
-      mentorship.menteeId._id.toString() !== req.user.id && 
-      req.user.role !== 'admin') {
+  // Check if user may view this mentorship (mentor, mentee or admin)
+  if (!can(req.user, 'mentorship.read', mentorship, req.apiToken)) {
     return res.status(401).json({
       success: false,
       message: 'Not authorized to view this mentorship'
@@ -270,7 +951,8 @@ router.get('/:id', authMiddleware, asyncHandler(async (req, res) => {
   
   res.status(200).json({
     success: true,
-    data: mentorship
+    data: mentorship,
+    progress: await MentorshipGoalService.getMentorshipProgress(mentorship._id)
   });
 }));
 
@@ -279,6 +961,9 @@ router.get('/:id', authMiddleware, asyncHandler(async (req, res) => {
  * /mentorship/{id}/respond:
  *   put:
  *     summary: Respond to a mentorship request (accept or reject)
+ *     description: >
+ *       Accepting starts the mentorship and sets its planned end date from
+ *       durationWeeks. The notes are recorded as the reason of the transition.
  *     tags: [Mentorship]
  *     security:
  *       - bearerAuth: []
@@ -337,56 +1022,37 @@ router.put('/:id/respond', authMiddleware, [
   }
   
   // Check if user is the mentor
-  if (mentorship.mentorId.toString() !== req.user.id) {
+  if (!can(req.user, 'mentorship.respond', mentorship, req.apiToken)) {
     return res.status(401).json({
       success: false,
       message: 'Only the mentor can respond to mentorship requests'
     });
   }
   
-  // Check if mentorship is in pending status
-  if (mentorship.status !== 'pending') {
+  // Check if mentorship is in pending status (waitlisted requests can only be rejected)
+  if (mentorship.status !== 'pending' && !(mentorship.status === 'waitlisted' && status === 'rejected')) {
     return res.status(400).json({
       success: false,
-      message: 'This mentorship request has already been processed'
+      message: mentorship.status === 'waitlisted'
+        ? 'Waitlisted requests can only be rejected until a slot opens'
+        : 'This mentorship request has already been processed'
     });
   }
   
-  // Update mentorship status
-  mentorship.status = status;
-  if (notes) mentorship.notes = notes;
-  
-  // Set endDate if rejected
-  if (status === 'rejected') {
-    mentorship.endDate = new Date();
-  }
-  
-  await mentorship.save();
-  
-  // If accepted, update mentor's badge if they don't have it yet
+  // A lowered capacity can leave more pending requests than slots
   if (status === 'active') {
-    try {
-      // Find the 'Mentor' badge
-      const Badge = mongoose.model('Badge');
-      const mentorBadge = await Badge.findOne({
-        title: 'Mentor',
-        'conditions.type': 'special',
-        'conditions.specialCondition': 'become_mentor'
+    const capacity = await MentorAvailabilityService.getStatus(req.user);
+    if (capacity.active >= capacity.capacity) {
+      return res.status(400).json({
+        success: false,
+        message: `You already mentor ${capacity.active} mentees, your maximum; raise it with PUT /mentorship/availability or complete a mentorship first`
       });
-      
-      if (mentorBadge) {
-        const mentor = await User.findById(req.user.id);
-        if (!mentor.badges.includes(mentorBadge._id)) {
-          mentor.badges.push(mentorBadge._id);
-          await mentor.save();
-          logger.info(`Mentor badge awarded to user: ${mentor.email}`);
-        }
-      }
-    } catch (error) {
-      logger.error(`Error awarding mentor badge: ${error.message}`);
     }
   }
   
+  if (notes) mentorship.notes = notes;
+  await MentorshipLifecycleService.transition(mentorship, status, { by: req.user._id, reason: notes });
+  
   logger.info(`Mentorship request ${status} by mentor: ${req.user.email}`);
   
   res.status(200).json({
@@ -401,6 +1067,11 @@ router.put('/:id/respond', authMiddleware, [
  * /mentorship/{id}:
  *   put:
  *     summary: Update a mentorship
+ *     description: >
+ *       Either participant can pause, resume, complete or cancel an active
+ *       mentorship; each change is recorded in its transitions. Pending and
+ *       waitlisted requests can only be cancelled (withdrawn) by the mentee,
+ *       and the mentor answers them with /respond instead.
  *     tags: [Mentorship]
  *     security:
  *       - bearerAuth: []
@@ -424,7 +1095,14 @@ router.put('/:id/respond', authMiddleware, [
  *                 type: string
  *               status:
  *                 type: string
- *                 enum: [active, completed]
+ *                 enum: [active, paused, completed, cancelled]
+ *               reason:
+ *                 type: string
+ *                 description: Reason for the status change
+ *               endDate:
+ *                 type: string
+ *                 format: date-time
+ *                 description: New planned end date of an active or paused mentorship
  *               skills:
  *                 type: array
  *                 items:
@@ -433,7 +1111,7 @@ router.put('/:id/respond', authMiddleware, [
  *       200:
  *         description: Mentorship updated successfully
  *       400:
- *         description: Invalid input
+ *         description: Invalid input, a transition that isn't allowed, or completing with open milestones
  *       401:
  *         description: Not authorized
  *       404:
@@ -444,7 +1122,10 @@ router.put('/:id/respond', authMiddleware, [
 router.put('/:id', authMiddleware, [
   check('goals').optional().isLength({ max: 500 }).withMessage('Goals cannot be more than 500 characters'),
   check('notes').optional().isLength({ max: 1000 }).withMessage('Notes cannot be more than 1000 characters'),
-  check('status').optional().isIn(['active', 'completed']).withMessage('Status must be either active or completed'),
+  check('status').optional().isIn(['active', 'paused', 'completed', 'cancelled']).withMessage('Status must be one of active, paused, completed or cancelled'),
+  check('reason').optional().isLength({ max: 500 }).withMessage('Reason cannot be more than 500 characters'),
+  check('endDate').optional().isISO8601().withMessage('End date must be a valid date')
+    .custom(value => new Date(value) > new Date()).withMessage('End date must be in the future'),
   check('skills').optional().isArray().withMessage('Skills must be an array')
 ], asyncHandler(async (req, res) => {
   // Validate request
@@ -463,30 +1144,73 @@ router.put('/:id', authMiddleware, [
   }
   
   // Check if user is part of this mentorship
-  if (mentorship.mentorId.toString() !== req.user.id && 
-      mentorship.menteeId.toString() !== req.user.id) {
+  if (!can(req.user, 'mentorship.update', mentorship, req.apiToken)) {
     return res.status(401).json({
       success: false,
       message: 'Not authorized to update this mentorship'
     });
   }
   
-  // If transitioning to completed status, set endDate
-  if (req.body.status === 'completed' && mentorship.status !== 'completed') {
-    mentorship.endDate = new Date();
+  const { goals, notes, status, reason, endDate, skills } = req.body;
+  const changingStatus = status !== undefined && status !== mentorship.status;
+  
+  if (changingStatus) {
+    // Requests are accepted by the mentor, not activated here
+    if (status === 'active' && mentorship.status !== 'paused') {
+      return res.status(400).json({
+        success: false,
+        message: mentorship.status === 'pending' || mentorship.status === 'waitlisted'
+          ? 'The mentor accepts requests with PUT /mentorship/:id/respond'
+          : `A ${mentorship.status} mentorship cannot become active`
+      });
+    }
+    
+    // The mentee withdraws a request, the mentor rejects it
+    if (status === 'cancelled' && ['pending', 'waitlisted'].includes(mentorship.status)
+      && !mentorship.menteeId.equals(req.user._id)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Only the mentee can withdraw a mentorship request; reject it with PUT /mentorship/:id/respond'
+      });
+    }
+    
+    if (!mentorship.canTransitionTo(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `A ${mentorship.status} mentorship cannot become ${status}`
+      });
+    }
+    
+    // Mentorships with milestones complete once all of them are done
+    if (status === 'completed') {
+      await MentorshipGoalService.assertCanComplete(mentorship);
+    }
+  }
+  
+  if (endDate !== undefined) {
+    const targetStatus = changingStatus ? status : mentorship.status;
+    if (!['active', 'paused'].includes(targetStatus)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only active or paused mentorships have a planned end date'
+      });
+    }
+    mentorship.endDate = new Date(endDate);
   }
   
   // Update fields if provided
-  const { goals, notes, status, skills } = req.body;
   if (goals !== undefined) mentorship.goals = goals;
   if (notes !== undefined) mentorship.notes = notes;
-  if (status !== undefined) mentorship.status = status;
   if (skills !== undefined) mentorship.skills = skills;
   
   // Update last interaction time
   mentorship.lastInteraction = new Date();
   
-  await mentorship.save();
+  if (changingStatus) {
+    await MentorshipLifecycleService.transition(mentorship, status, { by: req.user._id, reason });
+  } else {
+    await mentorship.save();
+  }
   
   logger.info(`Mentorship updated: ${mentorship._id}`);
   
@@ -498,144 +1222,121 @@ router.put('/:id', authMiddleware, [
 
 /**
  * @swagger
- * /mentorship/stats:
+ * /mentorship/{id}/timeline:
  *   get:
- *     summary: Get mentorship statistics
+ *     summary: Get the timeline of a mentorship
+ *     description: >
+ *       The request and status changes, goals, milestone due dates and
+ *       completions, linked evidence and sessions of the mentorship, oldest first.
  *     tags: [Mentorship]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Mentorship ID
  *     responses:
  *       200:
- *         description: Mentorship statistics
+ *         description: Timeline entries
  *       401:
  *         description: Not authorized
+ *       404:
+ *         description: Mentorship not found
  *       500:
  *         description: Server error
  */
-router.get('/stats', authMiddleware, authorize('admin'), asyncHandler(async (req, res) => {
-  // Get total mentorship count
-  const totalMentorships = await Mentorship.countDocuments();
-  
-  // Get mentorship counts by status
-  const statusCounts = await Mentorship.aggregate([
-    { $group: { _id: '$status', count: { $sum: 1 } } }
-  ]);
-  
-  // Format status counts into an object
-  const statusCountsObj = {};
-  statusCounts.forEach(status => {
-    statusCountsObj[status._id] = status.count;
-  });
-  
-  // Get active mentors count
-  const activeMentors = await User.countDocuments({ isMentor: true });
+router.get('/:id/timeline', authMiddleware, asyncHandler(async (req, res) => {
+  const mentorship = await Mentorship.findById(req.params.id);
   
-  // Get average mentorship duration for completed mentorships
-  const completedMentorships = await Mentorship.find({ status: 'completed' });
-  let averageDurationDays = 0;
+  if (!mentorship) {
+    return res.status(404).json({
+      success: false,
+      message: 'Mentorship not found'
+    });
+  }
   
-  if (completedMentorships.length > 0) {
-    const totalDurationMs = completedMentorships.reduce((sum, mentorship) => {
-      const start = new Date(mentorship.startDate).getTime();
-      const end = new Date(mentorship.endDate).getTime();
-      return sum + (end - start);
-    }, 0);
-    
-    averageDurationDays = Math.round(totalDurationMs / (1000 * 60 * 60 * 24) / completedMentorships.length);
+  if (!can(req.user, 'mentorship.read', mentorship, req.apiToken)) {
+    return res.status(401).json({
+      success: false,
+      message: 'Not authorized to view this mentorship'
+    });
   }
   
-  // Get new mentorships in the last 30 days
-  const thirtyDaysAgo = new Date();
-  thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
-  const newMentorshipsLast30Days = await Mentorship.countDocuments({
-    createdAt: { $gte: thirtyDaysAgo }
-  });
+  const timeline = await MentorshipGoalService.getTimeline(mentorship);
   
   res.status(200).json({
     success: true,
-    data: {
-      totalMentorships,
-      byStatus: statusCountsObj,
-      activeMentors,
-      averageDurationDays,
-      newMentorshipsLast30Days
-    }
+    count: timeline.length,
+    data: timeline
   });
 }));
 
 /**
  * @swagger
- * /mentorship/mentors:
+ * /mentorship/{id}/certificate:
  *   get:
- *     summary: Get available mentors
+ *     summary: Get the completion certificate of a mentorship
+ *     description: >
+ *       Available once the mentorship is completed. Mentees who completed a
+ *       mentorship with all its goals met also earn the Mentorship Graduate
+ *       badge, which can be shared from /credentials/me.
  *     tags: [Mentorship]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
- *       - in: query
- *         name: skills
+ *       - in: path
+ *         name: id
+ *         required: true
  *         schema:
  *           type: string
- *         description: Filter by skills (comma-separated)
- *       - in: query
- *         name: page
- *         schema:
- *           type: integer
- *         description: Page number
- *       - in: query
- *         name: limit
- *         schema:
- *           type: integer
- *         description: Number of items per page
+ *         description: Mentorship ID
  *     responses:
  *       200:
- *         description: List of available mentors
+ *         description: Certificate with participants, dates, sessions held and goals achieved
+ *       400:
+ *         description: Mentorship not completed
+ *       401:
+ *         description: Not authorized
+ *       404:
+ *         description: Mentorship not found
  *       500:
  *         description: Server error
  */
-router.get('/mentors', asyncHandler(async (req, res) => {
-  const { skills, page = 1, limit = 10 } = req.query;
-  
-  // Build filter
-  const filter = { isMentor: true };
+router.get('/:id/certificate', authMiddleware, asyncHandler(async (req, res) => {
+  const mentorship = await Mentorship.findById(req.params.id);
   
-  if (skills) {
-    const skillsArray = skills.split(',').map(skill => skill.trim());
-    filter.skills = { $in: skillsArray };
+  if (!mentorship) {
+    return res.status(404).json({
+      success: false,
+      message: 'Mentorship not found'
+    });
   }
   
-  // Calculate pagination
-  const startIndex = (Number(page) - 1) * Number(limit);
-  const endIndex = Number(page) * Number(limit);
-  const total = await User.countDocuments(filter);
-  
-  // Find mentors with filter and pagination
-  const mentors = await User.find(filter)
-    .select('name email avatarUrl bio skills level lastActive')
-    .sort('-lastActive')
-    .skip(startIndex)
-    .limit(Number(limit));
-  
-  // Pagination results
-  const pagination = {};
-  if (endIndex < total) {
-    pagination.next = {
-      page: Number(page) + 1,
-      limit: Number(limit)
-    };
+  if (!can(req.user, 'mentorship.read', mentorship, req.apiToken)) {
+    return res.status(401).json({
+      success: false,
+      message: 'Not authorized to view this mentorship'
+    });
   }
-  if (startIndex > 0) {
-    pagination.prev = {
-      page: Number(page) - 1,
-      limit: Number(limit)
-    };
+  
+  if (mentorship.status !== 'completed') {
+    return res.status(400).json({
+      success: false,
+      message: 'Certificates are issued once the mentorship is completed'
+    });
   }
   
   res.status(200).json({
     success: true,
-    count: mentors.length,
-    pagination,
-    totalPages: Math.ceil(total / Number(limit)),
-    data: mentors
+    data: await MentorshipGoalService.getCertificate(mentorship)
   });
 }));
 
-export default router;
\ No newline at end of file
+router.use('/:id/sessions', mentorshipSessionsRoutes);
+router.use('/:id/goals', mentorshipGoalsRoutes);
+router.use('/:id/feedback', mentorshipFeedbackRoutes);
+
+export default router;
@@ -0,0 +1,242 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { check, validationResult } from 'express-validator';
+import { authMiddleware } from '../middleware/auth.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import Mentorship from '../models/Mentorship.js';
+import MentorshipFeedback, { FEEDBACK_CONTEXTS, FEEDBACK_DIMENSIONS } from '../models/MentorshipFeedback.js';
+import MentorshipFeedbackService from '../services/mentorshipFeedbackService.js';
+import MentorshipSessionService from '../services/mentorshipSessionService.js';
+import { logger } from '../utils/logger.js';
+import { can, hasPermission } from '../utils/permissions.js';
+import { publish } from '../utils/eventBus.js';
+
+// Mounted at /mentorship/:id/feedback
+const router = express.Router({ mergeParams: true });
+
+/**
+ * Load the mentorship of the route and check the user may perform an action
+ * on it. Sends the error response and returns null when not.
+ */
+const loadMentorship = async (req, res, action) => {
+  const mentorship = mongoose.Types.ObjectId.isValid(req.params.id)
+    ? await Mentorship.findById(req.params.id)
+    : null;
+
+  if (!mentorship) {
+    res.status(404).json({
+      success: false,
+      message: 'Mentorship not found'
+    });
+    return null;
+  }
+
+  if (!can(req.user, action, mentorship, req.apiToken)) {
+    res.status(401).json({
+      success: false,
+      message: action === 'mentorship.read'
+        ? 'Not authorized to view the feedback of this mentorship'
+        : 'Not authorized to give feedback on this mentorship'
+    });
+    return null;
+  }
+
+  return mentorship;
+};
+
+/**
+ * @swagger
+ * /mentorship/{id}/feedback:
+ *   get:
+ *     summary: Get the feedback of a mentorship
+ *     description: >
+ *       Feedback both participants gave, and what the user can still give
+ *       feedback on. Comments under moderation are only shown to their author.
+ *     tags: [Mentorship Feedback]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Mentorship ID
+ *     responses:
+ *       200:
+ *         description: Feedback, newest first, and the sessions, milestones or completion still awaiting the user's feedback
+ *       401:
+ *         description: Not authorized
+ *       404:
+ *         description: Mentorship not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/', authMiddleware, asyncHandler(async (req, res) => {
+  const mentorship = await loadMentorship(req, res, 'mentorship.read');
+  if (!mentorship) return;
+
+  const isParticipant = Boolean(MentorshipSessionService.getRole(mentorship, req.user._id));
+  const isModerator = hasPermission(req.user, 'mentorship.feedback.moderate', req.apiToken);
+
+  const [feedback, due] = await Promise.all([
+    MentorshipFeedback.find({ mentorshipId: mentorship._id }).sort('-createdAt'),
+    isParticipant ? MentorshipFeedbackService.getDue(mentorship, req.user._id) : []
+  ]);
+
+  res.status(200).json({
+    success: true,
+    count: feedback.length,
+    due,
+    data: feedback.map(item => (isModerator || item.fromId.equals(req.user._id) ? item : item.toPublicJSON()))
+  });
+}));
+
+/**
+ * @swagger
+ * /mentorship/{id}/feedback:
+ *   post:
+ *     summary: Give feedback
+ *     description: >
+ *       Each participant gives feedback once per held session, once per
+ *       completed milestone and once on the completed mentorship. Mentees can
+ *       also score the mentor's communication, expertise and availability;
+ *       their feedback makes up the mentor's rating.
+ *     tags: [Mentorship Feedback]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Mentorship ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - context
+ *               - rating
+ *             properties:
+ *               context:
+ *                 type: string
+ *                 enum: [session, milestone, completion]
+ *               refId:
+ *                 type: string
+ *                 description: Session or milestone ID (not used for completion)
+ *               rating:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 5
+ *               scores:
+ *                 type: object
+ *                 description: Mentees only; each 1-5
+ *                 properties:
+ *                   communication:
+ *                     type: integer
+ *                   expertise:
+ *                     type: integer
+ *                   availability:
+ *                     type: integer
+ *               comment:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Feedback given
+ *       400:
+ *         description: Invalid input, nothing to give feedback on yet, or feedback already given
+ *       401:
+ *         description: Not authorized
+ *       404:
+ *         description: Mentorship, session or milestone not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/', authMiddleware, [
+  check('context').isIn(FEEDBACK_CONTEXTS).withMessage(`Context must be one of: ${FEEDBACK_CONTEXTS.join(', ')}`),
+  check('refId')
+    .if(check('context').isIn(['session', 'milestone']))
+    .isMongoId().withMessage('Please provide the ID of the session or milestone'),
+  check('rating').isInt({ min: 1, max: 5 }).withMessage('Rating must be between 1 and 5'),
+  check('scores').optional().isObject().withMessage('Scores must be an object'),
+  check('scores').optional().custom(scores => Object.keys(scores).every(key => FEEDBACK_DIMENSIONS.includes(key)))
+    .withMessage(`Scores can only be given for: ${FEEDBACK_DIMENSIONS.join(', ')}`),
+  ...FEEDBACK_DIMENSIONS.map(dimension => check(`scores.${dimension}`).optional().isInt({ min: 1, max: 5 })
+    .withMessage(`The ${dimension} score must be between 1 and 5`)),
+  check('comment').optional().isLength({ max: 1000 }).withMessage('Comment cannot be more than 1000 characters')
+], asyncHandler(async (req, res) => {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  const mentorship = await loadMentorship(req, res, 'mentorship.update');
+  if (!mentorship) return;
+
+  // Admins may manage any mentorship, but only participants give feedback
+  const role = MentorshipSessionService.getRole(mentorship, req.user._id);
+  if (!role) {
+    return res.status(401).json({
+      success: false,
+      message: 'Only the mentor and mentee can give feedback on this mentorship'
+    });
+  }
+
+  const { context, rating, scores, comment } = req.body;
+  const refId = context === 'completion' ? null : req.body.refId;
+
+  if (scores && role !== 'mentee') {
+    return res.status(400).json({
+      success: false,
+      message: 'Only mentees score the mentor\'s communication, expertise and availability'
+    });
+  }
+
+  await MentorshipFeedbackService.checkContext(mentorship, context, refId);
+
+  if (await MentorshipFeedback.exists({ mentorshipId: mentorship._id, fromId: req.user._id, context, refId })) {
+    return res.status(400).json({
+      success: false,
+      message: context === 'completion'
+        ? 'You already gave feedback on this mentorship'
+        : `You already gave feedback on this ${context}`
+    });
+  }
+
+  const feedback = await MentorshipFeedback.create({
+    mentorshipId: mentorship._id,
+    fromId: req.user._id,
+    toId: role === 'mentee' ? mentorship.mentorId : mentorship.menteeId,
+    role,
+    context,
+    refId,
+    rating,
+    scores,
+    comment
+  });
+
+  if (role === 'mentee') {
+    await MentorshipFeedbackService.updateMentorRating(mentorship.mentorId);
+  }
+
+  publish('mentorship.feedback_received', {
+    mentorshipId: mentorship._id,
+    feedbackId: feedback._id,
+    mentorId: mentorship.mentorId,
+    menteeId: mentorship.menteeId
+  });
+
+  logger.info(`Feedback on ${context} of mentorship ${mentorship._id} given by ${req.user.email}`);
+
+  res.status(201).json({
+    success: true,
+    data: feedback
+  });
+}));
+
+export default router;
@@ -0,0 +1,804 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { check, validationResult } from 'express-validator';
+import { authMiddleware } from '../middleware/auth.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import Mentorship from '../models/Mentorship.js';
+import MentorshipGoal, { EVIDENCE_TYPES } from '../models/MentorshipGoal.js';
+import MentorshipGoalService from '../services/mentorshipGoalService.js';
+import { logger } from '../utils/logger.js';
+import { can } from '../utils/permissions.js';
+
+// Mounted at /mentorship/:id/goals
+const router = express.Router({ mergeParams: true });
+
+// Goals can be changed while the mentorship is under way
+const EDITABLE_STATUSES = ['pending', 'active', 'paused'];
+
+const goalIdCheck = check('goalId').isMongoId().withMessage('Invalid goal ID');
+const milestoneIdCheck = check('milestoneId').isMongoId().withMessage('Invalid milestone ID');
+
+const milestoneChecks = (prefix) => [
+  check(`${prefix}title`).isString().trim().notEmpty().withMessage('Milestone title is required')
+    .isLength({ max: 200 }).withMessage('Title cannot be more than 200 characters'),
+  check(`${prefix}description`).optional().isLength({ max: 1000 }).withMessage('Description cannot be more than 1000 characters'),
+  check(`${prefix}targetDate`).optional({ values: 'null' }).isISO8601().withMessage('Target date must be a valid date'),
+  check(`${prefix}checklist`).optional().isArray({ max: 30 }).withMessage('Checklist must be an array of at most 30 items'),
+  check(`${prefix}checklist.*`).isString().trim().notEmpty().withMessage('Checklist items must be non-empty strings')
+];
+
+/**
+ * Load the mentorship of the route and check the user may perform an action
+ * on it. Writes also need a mentorship that is under way. Sends the error
+ * response and returns null when not allowed.
+ */
+const loadMentorship = async (req, res, action) => {
+  const mentorship = mongoose.Types.ObjectId.isValid(req.params.id)
+    ? await Mentorship.findById(req.params.id)
+    : null;
+
+  if (!mentorship) {
+    res.status(404).json({
+      success: false,
+      message: 'Mentorship not found'
+    });
+    return null;
+  }
+
+  if (!can(req.user, action, mentorship, req.apiToken)) {
+    res.status(401).json({
+      success: false,
+      message: action === 'mentorship.read'
+        ? 'Not authorized to view the goals of this mentorship'
+        : 'Not authorized to manage the goals of this mentorship'
+    });
+    return null;
+  }
+
+  if (action !== 'mentorship.read' && !EDITABLE_STATUSES.includes(mentorship.status)) {
+    res.status(400).json({
+      success: false,
+      message: `The goals of a ${mentorship.status} mentorship can no longer be changed`
+    });
+    return null;
+  }
+
+  return mentorship;
+};
+
+// Load a goal of the loaded mentorship (and a milestone of it when in the route), or send a 404
+const loadGoal = async (req, res, mentorship) => {
+  const goal = await MentorshipGoal.findOne({ _id: req.params.goalId, mentorshipId: mentorship._id });
+
+  if (!goal) {
+    res.status(404).json({
+      success: false,
+      message: 'Goal not found'
+    });
+    return {};
+  }
+
+  if (!req.params.milestoneId) return { goal };
+
+  const milestone = goal.milestones.id(req.params.milestoneId);
+  if (!milestone) {
+    res.status(404).json({
+      success: false,
+      message: 'Milestone not found'
+    });
+    return {};
+  }
+
+  return { goal, milestone };
+};
+
+// Save a changed goal and answer with it and the progress of the mentorship
+const saveGoal = async (res, mentorship, goal, status = 200) => {
+  await goal.save();
+  const progress = await MentorshipGoalService.syncCompletion(mentorship);
+
+  res.status(status).json({
+    success: true,
+    data: goal,
+    progress
+  });
+};
+
+/**
+ * @swagger
+ * /mentorship/{id}/goals:
+ *   get:
+ *     summary: Get the goals of a mentorship with their milestones
+ *     tags: [Mentorship Goals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Mentorship ID
+ *     responses:
+ *       200:
+ *         description: Goals, and the progress of the mentorship (percent complete, overdue milestones, completion eligibility)
+ *       401:
+ *         description: Not authorized
+ *       404:
+ *         description: Mentorship not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/', authMiddleware, asyncHandler(async (req, res) => {
+  const mentorship = await loadMentorship(req, res, 'mentorship.read');
+  if (!mentorship) return;
+
+  const goals = await MentorshipGoal.find({ mentorshipId: mentorship._id }).sort('createdAt');
+
+  res.status(200).json({
+    success: true,
+    count: goals.length,
+    progress: MentorshipGoalService.getProgress(goals),
+    data: goals
+  });
+}));
+
+/**
+ * @swagger
+ * /mentorship/{id}/goals:
+ *   post:
+ *     summary: Add a goal, optionally with its milestones
+ *     tags: [Mentorship Goals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Mentorship ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - title
+ *             properties:
+ *               title:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               milestones:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     title:
+ *                       type: string
+ *                     description:
+ *                       type: string
+ *                     targetDate:
+ *                       type: string
+ *                       format: date
+ *                     checklist:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *     responses:
+ *       201:
+ *         description: Goal created
+ *       400:
+ *         description: Invalid input or mentorship no longer under way
+ *       401:
+ *         description: Not authorized
+ *       404:
+ *         description: Mentorship not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/', authMiddleware, [
+  check('title').isString().trim().notEmpty().withMessage('Goal title is required')
+    .isLength({ max: 200 }).withMessage('Title cannot be more than 200 characters'),
+  check('description').optional().isLength({ max: 1000 }).withMessage('Description cannot be more than 1000 characters'),
+  check('milestones').optional().isArray({ max: 20 }).withMessage('Milestones must be an array of at most 20 milestones'),
+  ...milestoneChecks('milestones.*.')
+], asyncHandler(async (req, res) => {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  const mentorship = await loadMentorship(req, res, 'mentorship.update');
+  if (!mentorship) return;
+
+  const { title, description, milestones = [] } = req.body;
+
+  const goal = new MentorshipGoal({
+    mentorshipId: mentorship._id,
+    title,
+    description,
+    createdBy: req.user._id,
+    milestones: milestones.map(milestone => ({
+      title: milestone.title,
+      description: milestone.description,
+      targetDate: milestone.targetDate,
+      checklist: (milestone.checklist || []).map(text => ({ text })),
+      createdBy: req.user._id
+    }))
+  });
+
+  logger.info(`Mentorship goal created: ${goal._id} for mentorship ${mentorship._id}`);
+
+  await saveGoal(res, mentorship, goal, 201);
+}));
+
+/**
+ * @swagger
+ * /mentorship/{id}/goals/{goalId}:
+ *   put:
+ *     summary: Update a goal's title or description
+ *     tags: [Mentorship Goals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Mentorship ID
+ *       - in: path
+ *         name: goalId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Goal ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Goal updated
+ *       400:
+ *         description: Invalid input or mentorship no longer under way
+ *       401:
+ *         description: Not authorized
+ *       404:
+ *         description: Mentorship or goal not found
+ *       500:
+ *         description: Server error
+ */
+router.put('/:goalId', authMiddleware, [
+  goalIdCheck,
+  check('title').optional().isString().trim().notEmpty().withMessage('Goal title cannot be empty')
+    .isLength({ max: 200 }).withMessage('Title cannot be more than 200 characters'),
+  check('description').optional().isLength({ max: 1000 }).withMessage('Description cannot be more than 1000 characters')
+], asyncHandler(async (req, res) => {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  const mentorship = await loadMentorship(req, res, 'mentorship.update');
+  if (!mentorship) return;
+
+  const { goal } = await loadGoal(req, res, mentorship);
+  if (!goal) return;
+
+  if (req.body.title !== undefined) goal.title = req.body.title;
+  if (req.body.description !== undefined) goal.description = req.body.description;
+
+  await saveGoal(res, mentorship, goal);
+}));
+
+/**
+ * @swagger
+ * /mentorship/{id}/goals/{goalId}:
+ *   delete:
+ *     summary: Delete a goal and its milestones
+ *     tags: [Mentorship Goals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Mentorship ID
+ *       - in: path
+ *         name: goalId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Goal ID
+ *     responses:
+ *       200:
+ *         description: Goal deleted
+ *       400:
+ *         description: Mentorship no longer under way
+ *       401:
+ *         description: Not authorized
+ *       404:
+ *         description: Mentorship or goal not found
+ *       500:
+ *         description: Server error
+ */
+router.delete('/:goalId', authMiddleware, [goalIdCheck], asyncHandler(async (req, res) => {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  const mentorship = await loadMentorship(req, res, 'mentorship.update');
+  if (!mentorship) return;
+
+  const { goal } = await loadGoal(req, res, mentorship);
+  if (!goal) return;
+
+  await goal.deleteOne();
+  const progress = await MentorshipGoalService.syncCompletion(mentorship);
+
+  logger.info(`Mentorship goal deleted: ${goal._id}`);
+
+  res.status(200).json({
+    success: true,
+    data: {},
+    progress
+  });
+}));
+
+/**
+ * @swagger
+ * /mentorship/{id}/goals/{goalId}/milestones:
+ *   post:
+ *     summary: Add a milestone to a goal
+ *     tags: [Mentorship Goals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Mentorship ID
+ *       - in: path
+ *         name: goalId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Goal ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - title
+ *             properties:
+ *               title:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               targetDate:
+ *                 type: string
+ *                 format: date
+ *               checklist:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       201:
+ *         description: Milestone added; returns the goal
+ *       400:
+ *         description: Invalid input or mentorship no longer under way
+ *       401:
+ *         description: Not authorized
+ *       404:
+ *         description: Mentorship or goal not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/:goalId/milestones', authMiddleware, [
+  goalIdCheck,
+  ...milestoneChecks('')
+], asyncHandler(async (req, res) => {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  const mentorship = await loadMentorship(req, res, 'mentorship.update');
+  if (!mentorship) return;
+
+  const { goal } = await loadGoal(req, res, mentorship);
+  if (!goal) return;
+
+  const { title, description, targetDate, checklist = [] } = req.body;
+  goal.milestones.push({
+    title,
+    description,
+    targetDate,
+    checklist: checklist.map(text => ({ text })),
+    createdBy: req.user._id
+  });
+
+  await saveGoal(res, mentorship, goal, 201);
+}));
+
+/**
+ * @swagger
+ * /mentorship/{id}/goals/{goalId}/milestones/{milestoneId}:
+ *   put:
+ *     summary: Update a milestone, tick its checklist or mark it complete
+ *     description: >
+ *       The checklist is replaced by the one sent; send the _id of existing
+ *       items to keep when they were ticked. A milestone can only be marked
+ *       complete once its whole checklist is done.
+ *     tags: [Mentorship Goals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Mentorship ID
+ *       - in: path
+ *         name: goalId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Goal ID
+ *       - in: path
+ *         name: milestoneId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Milestone ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               targetDate:
+ *                 type: string
+ *                 format: date
+ *                 nullable: true
+ *               checklist:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     _id:
+ *                       type: string
+ *                     text:
+ *                       type: string
+ *                     done:
+ *                       type: boolean
+ *               completed:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Milestone updated; returns the goal
+ *       400:
+ *         description: Invalid input, open checklist items or mentorship no longer under way
+ *       401:
+ *         description: Not authorized
+ *       404:
+ *         description: Mentorship, goal or milestone not found
+ *       500:
+ *         description: Server error
+ */
+router.put('/:goalId/milestones/:milestoneId', authMiddleware, [
+  goalIdCheck,
+  milestoneIdCheck,
+  check('title').optional().isString().trim().notEmpty().withMessage('Milestone title cannot be empty')
+    .isLength({ max: 200 }).withMessage('Title cannot be more than 200 characters'),
+  check('description').optional().isLength({ max: 1000 }).withMessage('Description cannot be more than 1000 characters'),
+  check('targetDate').optional({ values: 'null' }).isISO8601().withMessage('Target date must be a valid date'),
+  check('checklist').optional().isArray({ max: 30 }).withMessage('Checklist must be an array of at most 30 items'),
+  check('checklist.*._id').optional().isMongoId().withMessage('Invalid checklist item ID'),
+  check('checklist.*.text').isString().trim().notEmpty().withMessage('Checklist items need a text'),
+  check('checklist.*.done').optional().isBoolean().withMessage('Checklist done must be a boolean'),
+  check('completed').optional().isBoolean().withMessage('Completed must be a boolean')
+], asyncHandler(async (req, res) => {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  const mentorship = await loadMentorship(req, res, 'mentorship.update');
+  if (!mentorship) return;
+
+  const { goal, milestone } = await loadGoal(req, res, mentorship);
+  if (!milestone) return;
+
+  const { title, description, targetDate, checklist, completed } = req.body;
+
+  if (title !== undefined) milestone.title = title;
+  if (description !== undefined) milestone.description = description;
+  if (targetDate !== undefined) milestone.targetDate = targetDate;
+
+  if (checklist !== undefined) {
+    milestone.checklist = checklist.map(item => {
+      const existing = item._id && milestone.checklist.id(item._id);
+      const done = item.done ?? existing?.done ?? false;
+      const ticked = done && !existing?.done;
+
+      return {
+        ...(existing ? { _id: existing._id } : {}),
+        text: item.text,
+        done,
+        doneAt: ticked ? new Date() : (done ? existing.doneAt : undefined),
+        doneBy: ticked ? req.user._id : (done ? existing.doneBy : undefined)
+      };
+    });
+  }
+
+  if (completed === true && !milestone.completedAt) {
+    if (milestone.checklist.some(item => !item.done)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Tick every checklist item before completing the milestone'
+      });
+    }
+    milestone.completedAt = new Date();
+    milestone.completedBy = req.user._id;
+  } else if (completed === false) {
+    milestone.completedAt = undefined;
+    milestone.completedBy = undefined;
+  }
+
+  await saveGoal(res, mentorship, goal);
+}));
+
+/**
+ * @swagger
+ * /mentorship/{id}/goals/{goalId}/milestones/{milestoneId}:
+ *   delete:
+ *     summary: Delete a milestone
+ *     tags: [Mentorship Goals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Mentorship ID
+ *       - in: path
+ *         name: goalId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Goal ID
+ *       - in: path
+ *         name: milestoneId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Milestone ID
+ *     responses:
+ *       200:
+ *         description: Milestone deleted; returns the goal
+ *       400:
+ *         description: Mentorship no longer under way
+ *       401:
+ *         description: Not authorized
+ *       404:
+ *         description: Mentorship, goal or milestone not found
+ *       500:
+ *         description: Server error
+ */
+router.delete('/:goalId/milestones/:milestoneId', authMiddleware, [goalIdCheck, milestoneIdCheck], asyncHandler(async (req, res) => {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  const mentorship = await loadMentorship(req, res, 'mentorship.update');
+  if (!mentorship) return;
+
+  const { goal, milestone } = await loadGoal(req, res, mentorship);
+  if (!milestone) return;
+
+  milestone.deleteOne();
+
+  await saveGoal(res, mentorship, goal);
+}));
+
+/**
+ * @swagger
+ * /mentorship/{id}/goals/{goalId}/milestones/{milestoneId}/evidence:
+ *   post:
+ *     summary: Link a contribution, project or badge of the mentee to a milestone
+ *     tags: [Mentorship Goals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Mentorship ID
+ *       - in: path
+ *         name: goalId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Goal ID
+ *       - in: path
+ *         name: milestoneId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Milestone ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - type
+ *               - refId
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [contribution, project, badge]
+ *               refId:
+ *                 type: string
+ *                 description: Contribution, project or badge ID
+ *               note:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Evidence linked; returns the goal
+ *       400:
+ *         description: Invalid input, not the mentee's work or mentorship no longer under way
+ *       401:
+ *         description: Not authorized
+ *       404:
+ *         description: Mentorship, goal, milestone or linked item not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/:goalId/milestones/:milestoneId/evidence', authMiddleware, [
+  goalIdCheck,
+  milestoneIdCheck,
+  check('type').isIn(EVIDENCE_TYPES).withMessage(`Evidence type must be one of: ${EVIDENCE_TYPES.join(', ')}`),
+  check('refId').isMongoId().withMessage('Invalid evidence ID'),
+  check('note').optional().isLength({ max: 300 }).withMessage('Note cannot be more than 300 characters')
+], asyncHandler(async (req, res) => {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  const mentorship = await loadMentorship(req, res, 'mentorship.update');
+  if (!mentorship) return;
+
+  const { goal, milestone } = await loadGoal(req, res, mentorship);
+  if (!milestone) return;
+
+  const { type, refId, note } = req.body;
+
+  if (milestone.evidence.some(evidence => evidence.type === type && evidence.refId.equals(refId))) {
+    return res.status(400).json({
+      success: false,
+      message: `This ${type} is already linked to the milestone`
+    });
+  }
+
+  const title = await MentorshipGoalService.resolveEvidence(mentorship, type, refId);
+  milestone.evidence.push({ type, refId, title, note, addedBy: req.user._id });
+
+  await saveGoal(res, mentorship, goal, 201);
+}));
+
+/**
+ * @swagger
+ * /mentorship/{id}/goals/{goalId}/milestones/{milestoneId}/evidence/{evidenceId}:
+ *   delete:
+ *     summary: Unlink evidence from a milestone
+ *     tags: [Mentorship Goals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Mentorship ID
+ *       - in: path
+ *         name: goalId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Goal ID
+ *       - in: path
+ *         name: milestoneId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Milestone ID
+ *       - in: path
+ *         name: evidenceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Evidence ID
+ *     responses:
+ *       200:
+ *         description: Evidence unlinked; returns the goal
+ *       400:
+ *         description: Mentorship no longer under way
+ *       401:
+ *         description: Not authorized
+ *       404:
+ *         description: Mentorship, goal, milestone or evidence not found
+ *       500:
+ *         description: Server error
+ */
+router.delete('/:goalId/milestones/:milestoneId/evidence/:evidenceId', authMiddleware, [
+  goalIdCheck,
+  milestoneIdCheck,
+  check('evidenceId').isMongoId().withMessage('Invalid evidence ID')
+], asyncHandler(async (req, res) => {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  const mentorship = await loadMentorship(req, res, 'mentorship.update');
+  if (!mentorship) return;
+
+  const { goal, milestone } = await loadGoal(req, res, mentorship);
+  if (!milestone) return;
+
+  const evidence = milestone.evidence.id(req.params.evidenceId);
+  if (!evidence) {
+    return res.status(404).json({
+      success: false,
+      message: 'Evidence not found'
+    });
+  }
+
+  evidence.deleteOne();
+
+  await saveGoal(res, mentorship, goal);
+}));
+
+export default router;
@@ -0,0 +1,863 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { check, validationResult } from 'express-validator';
+import { authMiddleware } from '../middleware/auth.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import config from '../config/index.js';
+import Mentorship from '../models/Mentorship.js';
+import MentorshipSession, { SESSION_STATUSES } from '../models/MentorshipSession.js';
+import MentorshipSessionService from '../services/mentorshipSessionService.js';
+import { logger } from '../utils/logger.js';
+import { can } from '../utils/permissions.js';
+import { publish } from '../utils/eventBus.js';
+import { isTimeZone } from '../utils/availability.js';
+
+// Mounted at /mentorship/:id/sessions
+const router = express.Router({ mergeParams: true });
+
+// Sessions that can still be changed or cancelled
+const OPEN_STATUSES = ['proposed', 'confirmed'];
+
+const futureDate = (field) => check(field)
+  .isISO8601().withMessage('Please provide a valid date and time (ISO 8601)')
+  .custom(value => new Date(value) > new Date()).withMessage('Sessions must be scheduled in the future');
+
+const timezoneCheck = check('timezone').optional().custom(isTimeZone).withMessage('Please provide a valid IANA time zone (e.g. Europe/Berlin)');
+
+const sessionIdCheck = check('sessionId').isMongoId().withMessage('Invalid session ID');
+
+/**
+ * Load the mentorship of the route and check the user may perform an action
+ * on it. Sends the error response and returns null when not.
+ */
+const loadMentorship = async (req, res, action) => {
+  const mentorship = mongoose.Types.ObjectId.isValid(req.params.id)
+    ? await Mentorship.findById(req.params.id)
+    : null;
+
+  if (!mentorship) {
+    res.status(404).json({
+      success: false,
+      message: 'Mentorship not found'
+    });
+    return null;
+  }
+
+  if (!can(req.user, action, mentorship, req.apiToken)) {
+    res.status(401).json({
+      success: false,
+      message: action === 'mentorship.read'
+        ? 'Not authorized to view the sessions of this mentorship'
+        : 'Not authorized to manage the sessions of this mentorship'
+    });
+    return null;
+  }
+
+  return mentorship;
+};
+
+// Load a session of the loaded mentorship, or send a 404
+const loadSession = async (req, res, mentorship) => {
+  const session = await MentorshipSession.findOne({ _id: req.params.sessionId, mentorshipId: mentorship._id });
+
+  if (!session) {
+    res.status(404).json({
+      success: false,
+      message: 'Session not found'
+    });
+  }
+
+  return session;
+};
+
+// The participant on the other side of the user
+const otherSide = (role) => (role === 'mentor' ? 'mentee' : 'mentor');
+
+/**
+ * @swagger
+ * /mentorship/{id}/sessions:
+ *   get:
+ *     summary: Get the sessions of a mentorship
+ *     tags: [Mentorship Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Mentorship ID
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [proposed, confirmed, done, missed, cancelled]
+ *       - in: query
+ *         name: upcoming
+ *         schema:
+ *           type: boolean
+ *         description: Only sessions that haven't started yet
+ *     responses:
+ *       200:
+ *         description: Sessions in time order, with attendance stats of the mentorship
+ *       401:
+ *         description: Not authorized
+ *       404:
+ *         description: Mentorship not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/', authMiddleware, [
+  check('status').optional().isIn(SESSION_STATUSES).withMessage(`Status must be one of: ${SESSION_STATUSES.join(', ')}`),
+  check('upcoming').optional().isBoolean().withMessage('Upcoming must be a boolean')
+], asyncHandler(async (req, res) => {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  const mentorship = await loadMentorship(req, res, 'mentorship.read');
+  if (!mentorship) return;
+
+  const filter = { mentorshipId: mentorship._id };
+  if (req.query.status) filter.status = req.query.status;
+  if (req.query.upcoming === 'true') filter.scheduledAt = { $gt: new Date() };
+
+  const [sessions, stats] = await Promise.all([
+    MentorshipSession.find(filter).sort('scheduledAt'),
+    MentorshipSessionService.getAttendanceStats({ mentorshipId: mentorship._id })
+  ]);
+
+  res.status(200).json({
+    success: true,
+    count: sessions.length,
+    stats,
+    data: sessions
+  });
+}));
+
+/**
+ * @swagger
+ * /mentorship/{id}/sessions:
+ *   post:
+ *     summary: Propose a session
+ *     description: The other participant is emailed the proposal with a calendar invitation and confirms it.
+ *     tags: [Mentorship Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Mentorship ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - scheduledAt
+ *             properties:
+ *               scheduledAt:
+ *                 type: string
+ *                 format: date-time
+ *               timezone:
+ *                 type: string
+ *                 description: IANA time zone (default UTC)
+ *               duration:
+ *                 type: integer
+ *                 description: Minutes (15-480, default 60)
+ *               agenda:
+ *                 type: string
+ *               meetingUrl:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Session proposed
+ *       400:
+ *         description: Invalid input or mentorship not active
+ *       401:
+ *         description: Not authorized
+ *       404:
+ *         description: Mentorship not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/', authMiddleware, [
+  futureDate('scheduledAt'),
+  timezoneCheck,
+  check('duration').optional().isInt({ min: 15, max: 480 }).withMessage('Duration must be between 15 and 480 minutes'),
+  check('agenda').optional().isLength({ max: 1000 }).withMessage('Agenda cannot be more than 1000 characters'),
+  check('meetingUrl').optional().isURL().withMessage('Please provide a valid meeting URL')
+], asyncHandler(async (req, res) => {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  const mentorship = await loadMentorship(req, res, 'mentorship.update');
+  if (!mentorship) return;
+
+  if (mentorship.status !== 'active') {
+    return res.status(400).json({
+      success: false,
+      message: 'Sessions can only be scheduled for active mentorships'
+    });
+  }
+
+  const { scheduledAt, timezone, duration, agenda, meetingUrl } = req.body;
+
+  const session = await MentorshipSession.create({
+    mentorshipId: mentorship._id,
+    proposedBy: req.user._id,
+    scheduledAt,
+    timezone,
+    duration,
+    agenda,
+    meetingUrl
+  });
+
+  const role = MentorshipSessionService.getRole(mentorship, req.user._id);
+  await MentorshipSessionService.notify(session, mentorship, {
+    roles: [otherSide(role)],
+    subject: 'New mentorship session proposed',
+    message: `${req.user.name} proposed a mentorship session. Please confirm it or suggest another time.`
+  });
+
+  logger.info(`Mentorship session proposed: ${session._id} for mentorship ${mentorship._id}`);
+
+  res.status(201).json({
+    success: true,
+    data: session
+  });
+}));
+
+/**
+ * @swagger
+ * /mentorship/{id}/sessions/feed:
+ *   get:
+ *     summary: Get the calendar feed URL of a mentorship
+ *     description: >
+ *       Returns a private iCalendar (.ics) URL with all sessions of the
+ *       mentorship, for subscribing from a calendar app. Anyone with the URL
+ *       can read the feed.
+ *     tags: [Mentorship Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Mentorship ID
+ *     responses:
+ *       200:
+ *         description: Feed URL
+ *       401:
+ *         description: Not authorized
+ *       404:
+ *         description: Mentorship not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/feed', authMiddleware, asyncHandler(async (req, res) => {
+  const mentorship = await loadMentorship(req, res, 'mentorship.update');
+  if (!mentorship) return;
+
+  const token = MentorshipSessionService.getFeedToken(mentorship._id, req.user._id);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      feedUrl: `${config.serverUrl}/api/v1/mentorship/${mentorship._id}/sessions/calendar.ics?token=${encodeURIComponent(token)}`
+    }
+  });
+}));
+
+/**
+ * @swagger
+ * /mentorship/{id}/sessions/calendar.ics:
+ *   get:
+ *     summary: Get the sessions of a mentorship as an iCalendar feed
+ *     tags: [Mentorship Sessions]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Mentorship ID
+ *       - in: query
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Feed token from GET /mentorship/{id}/sessions/feed
+ *     responses:
+ *       200:
+ *         description: iCalendar file
+ *       401:
+ *         description: Invalid feed token
+ *       404:
+ *         description: Mentorship not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/calendar.ics', asyncHandler(async (req, res) => {
+  const mentorship = mongoose.Types.ObjectId.isValid(req.params.id)
+    ? await Mentorship.findById(req.params.id)
+    : null;
+
+  if (!mentorship) {
+    return res.status(404).json({
+      success: false,
+      message: 'Mentorship not found'
+    });
+  }
+
+  // The token stops working once its user is no longer part of the mentorship
+  const userId = MentorshipSessionService.verifyFeedToken(mentorship._id, req.query.token);
+  if (!userId || !MentorshipSessionService.getRole(mentorship, userId)) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid calendar feed token'
+    });
+  }
+
+  const sessions = await MentorshipSession.find({ mentorshipId: mentorship._id }).sort('scheduledAt');
+  const calendar = await MentorshipSessionService.buildCalendar(mentorship, sessions);
+
+  res.status(200)
+    .type('text/calendar; charset=utf-8')
+    .set('Content-Disposition', `inline; filename="mentorship-${mentorship._id}.ics"`)
+    .send(calendar);
+}));
+
+/**
+ * @swagger
+ * /mentorship/{id}/sessions/{sessionId}:
+ *   get:
+ *     summary: Get a single session
+ *     tags: [Mentorship Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Mentorship ID
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Session ID
+ *     responses:
+ *       200:
+ *         description: Session details
+ *       401:
+ *         description: Not authorized
+ *       404:
+ *         description: Mentorship or session not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:sessionId', authMiddleware, [sessionIdCheck], asyncHandler(async (req, res) => {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  const mentorship = await loadMentorship(req, res, 'mentorship.read');
+  if (!mentorship) return;
+
+  const session = await loadSession(req, res, mentorship);
+  if (!session) return;
+
+  res.status(200).json({
+    success: true,
+    data: session
+  });
+}));
+
+/**
+ * @swagger
+ * /mentorship/{id}/sessions/{sessionId}:
+ *   put:
+ *     summary: Update a session's details or your notes
+ *     description: >
+ *       Agenda, duration and meeting URL can be changed until the session has
+ *       taken place. Notes are saved as the caller's side (mentor or mentee
+ *       notes) and can be written at any time.
+ *     tags: [Mentorship Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Mentorship ID
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Session ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               agenda:
+ *                 type: string
+ *               duration:
+ *                 type: integer
+ *               meetingUrl:
+ *                 type: string
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Session updated
+ *       400:
+ *         description: Invalid input or session already held
+ *       401:
+ *         description: Not authorized
+ *       404:
+ *         description: Mentorship or session not found
+ *       500:
+ *         description: Server error
+ */
+router.put('/:sessionId', authMiddleware, [
+  sessionIdCheck,
+  check('agenda').optional().isLength({ max: 1000 }).withMessage('Agenda cannot be more than 1000 characters'),
+  check('duration').optional().isInt({ min: 15, max: 480 }).withMessage('Duration must be between 15 and 480 minutes'),
+  check('meetingUrl').optional().isURL().withMessage('Please provide a valid meeting URL'),
+  check('notes').optional().isLength({ max: 2000 }).withMessage('Notes cannot be more than 2000 characters')
+], asyncHandler(async (req, res) => {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  const mentorship = await loadMentorship(req, res, 'mentorship.update');
+  if (!mentorship) return;
+
+  const session = await loadSession(req, res, mentorship);
+  if (!session) return;
+
+  const { agenda, duration, meetingUrl, notes } = req.body;
+  const changesDetails = [agenda, duration, meetingUrl].some(value => value !== undefined);
+
+  if (changesDetails && !OPEN_STATUSES.includes(session.status)) {
+    return res.status(400).json({
+      success: false,
+      message: `The details of a ${session.status} session can no longer be changed`
+    });
+  }
+
+  if (agenda !== undefined) session.agenda = agenda;
+  if (duration !== undefined) session.duration = duration;
+  if (meetingUrl !== undefined) session.meetingUrl = meetingUrl;
+  if (notes !== undefined) {
+    session[`${MentorshipSessionService.getRole(mentorship, req.user._id)}Notes`] = notes;
+  }
+
+  await session.save();
+
+  res.status(200).json({
+    success: true,
+    data: session
+  });
+}));
+
+/**
+ * @swagger
+ * /mentorship/{id}/sessions/{sessionId}/confirm:
+ *   post:
+ *     summary: Confirm a proposed session
+ *     description: Only the participant who didn't propose the current time can confirm it.
+ *     tags: [Mentorship Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Mentorship ID
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Session ID
+ *     responses:
+ *       200:
+ *         description: Session confirmed
+ *       400:
+ *         description: Session can't be confirmed
+ *       401:
+ *         description: Not authorized
+ *       404:
+ *         description: Mentorship or session not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/:sessionId/confirm', authMiddleware, [sessionIdCheck], asyncHandler(async (req, res) => {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  const mentorship = await loadMentorship(req, res, 'mentorship.update');
+  if (!mentorship) return;
+
+  const session = await loadSession(req, res, mentorship);
+  if (!session) return;
+
+  if (session.status !== 'proposed') {
+    return res.status(400).json({
+      success: false,
+      message: `A ${session.status} session can't be confirmed`
+    });
+  }
+
+  if (session.proposedBy.equals(req.user._id)) {
+    return res.status(400).json({
+      success: false,
+      message: 'The other participant has to confirm the session you proposed'
+    });
+  }
+
+  if (session.scheduledAt <= new Date()) {
+    return res.status(400).json({
+      success: false,
+      message: 'This session has already started; reschedule it instead'
+    });
+  }
+
+  session.status = 'confirmed';
+  session.confirmedAt = new Date();
+  await session.save();
+
+  const role = MentorshipSessionService.getRole(mentorship, req.user._id);
+  await MentorshipSessionService.notify(session, mentorship, {
+    roles: [otherSide(role)],
+    subject: 'Mentorship session confirmed',
+    message: `${req.user.name} confirmed your mentorship session.`
+  });
+
+  res.status(200).json({
+    success: true,
+    data: session
+  });
+}));
+
+/**
+ * @swagger
+ * /mentorship/{id}/sessions/{sessionId}/reschedule:
+ *   post:
+ *     summary: Propose a new time for a session
+ *     description: The session goes back to proposed until the other participant confirms the new time.
+ *     tags: [Mentorship Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Mentorship ID
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Session ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - scheduledAt
+ *             properties:
+ *               scheduledAt:
+ *                 type: string
+ *                 format: date-time
+ *               timezone:
+ *                 type: string
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Session rescheduled
+ *       400:
+ *         description: Invalid input or session can't be rescheduled
+ *       401:
+ *         description: Not authorized
+ *       404:
+ *         description: Mentorship or session not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/:sessionId/reschedule', authMiddleware, [
+  sessionIdCheck,
+  futureDate('scheduledAt'),
+  timezoneCheck,
+  check('reason').optional().isLength({ max: 500 }).withMessage('Reason cannot be more than 500 characters')
+], asyncHandler(async (req, res) => {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  const mentorship = await loadMentorship(req, res, 'mentorship.update');
+  if (!mentorship) return;
+
+  const session = await loadSession(req, res, mentorship);
+  if (!session) return;
+
+  if (!OPEN_STATUSES.includes(session.status)) {
+    return res.status(400).json({
+      success: false,
+      message: `A ${session.status} session can't be rescheduled`
+    });
+  }
+
+  const { scheduledAt, timezone, reason } = req.body;
+
+  session.reschedules.push({ from: session.scheduledAt, to: scheduledAt, by: req.user._id, reason });
+  session.scheduledAt = scheduledAt;
+  if (timezone) session.timezone = timezone;
+  session.status = 'proposed';
+  session.proposedBy = req.user._id;
+  session.confirmedAt = undefined;
+  session.reminderSentAt = null;
+  await session.save();
+
+  const role = MentorshipSessionService.getRole(mentorship, req.user._id);
+  await MentorshipSessionService.notify(session, mentorship, {
+    roles: [otherSide(role)],
+    subject: 'Mentorship session rescheduled',
+    message: `${req.user.name} proposed a new time for your mentorship session${reason ? `: ${reason}` : '.'} Please confirm it or suggest another time.`
+  });
+
+  logger.info(`Mentorship session rescheduled: ${session._id}`);
+
+  res.status(200).json({
+    success: true,
+    data: session
+  });
+}));
+
+/**
+ * @swagger
+ * /mentorship/{id}/sessions/{sessionId}/cancel:
+ *   post:
+ *     summary: Cancel a session
+ *     tags: [Mentorship Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Mentorship ID
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Session ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Session cancelled
+ *       400:
+ *         description: Session can't be cancelled
+ *       401:
+ *         description: Not authorized
+ *       404:
+ *         description: Mentorship or session not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/:sessionId/cancel', authMiddleware, [
+  sessionIdCheck,
+  check('reason').optional().isLength({ max: 500 }).withMessage('Reason cannot be more than 500 characters')
+], asyncHandler(async (req, res) => {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  const mentorship = await loadMentorship(req, res, 'mentorship.update');
+  if (!mentorship) return;
+
+  const session = await loadSession(req, res, mentorship);
+  if (!session) return;
+
+  if (!OPEN_STATUSES.includes(session.status)) {
+    return res.status(400).json({
+      success: false,
+      message: `A ${session.status} session can't be cancelled`
+    });
+  }
+
+  session.status = 'cancelled';
+  session.cancelledBy = req.user._id;
+  session.cancelledAt = new Date();
+  session.cancellationReason = req.body.reason;
+  await session.save();
+
+  const role = MentorshipSessionService.getRole(mentorship, req.user._id);
+  await MentorshipSessionService.notify(session, mentorship, {
+    roles: [otherSide(role)],
+    subject: 'Mentorship session cancelled',
+    message: `${req.user.name} cancelled your mentorship session${req.body.reason ? `: ${req.body.reason}` : '.'}`
+  });
+
+  logger.info(`Mentorship session cancelled: ${session._id}`);
+
+  res.status(200).json({
+    success: true,
+    data: session
+  });
+}));
+
+/**
+ * @swagger
+ * /mentorship/{id}/sessions/{sessionId}/attendance:
+ *   post:
+ *     summary: Record whether a confirmed session took place
+ *     tags: [Mentorship Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Mentorship ID
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Session ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [done, missed]
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Attendance recorded
+ *       400:
+ *         description: Invalid input, or session not confirmed or not started yet
+ *       401:
+ *         description: Not authorized
+ *       404:
+ *         description: Mentorship or session not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/:sessionId/attendance', authMiddleware, [
+  sessionIdCheck,
+  check('status').isIn(['done', 'missed']).withMessage('Status must be either done or missed'),
+  check('notes').optional().isLength({ max: 2000 }).withMessage('Notes cannot be more than 2000 characters')
+], asyncHandler(async (req, res) => {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  const mentorship = await loadMentorship(req, res, 'mentorship.update');
+  if (!mentorship) return;
+
+  const session = await loadSession(req, res, mentorship);
+  if (!session) return;
+
+  if (session.status !== 'confirmed') {
+    return res.status(400).json({
+      success: false,
+      message: `Attendance can only be recorded for confirmed sessions, this one is ${session.status}`
+    });
+  }
+
+  if (session.scheduledAt > new Date()) {
+    return res.status(400).json({
+      success: false,
+      message: 'This session hasn\'t started yet'
+    });
+  }
+
+  session.status = req.body.status;
+  session.completedAt = new Date();
+  if (req.body.notes !== undefined) {
+    session[`${MentorshipSessionService.getRole(mentorship, req.user._id)}Notes`] = req.body.notes;
+  }
+  await session.save();
+
+  if (session.status === 'done') {
+    mentorship.lastInteraction = session.scheduledAt;
+    await mentorship.save();
+
+    publish('mentorship.session_completed', {
+      mentorshipId: mentorship._id,
+      sessionId: session._id,
+      mentorId: mentorship.mentorId,
+      menteeId: mentorship.menteeId
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: session
+  });
+}));
+
+export default router;
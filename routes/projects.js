@@ -1,14 +1,21 @@
 import express from 'express';
 import { check, validationResult } from 'express-validator';
-import { authMiddleware, authorize, checkOwnership } from '../middleware/auth.js';
+import { authMiddleware, requireVerifiedEmail } from '../middleware/auth.js';
 import { asyncHandler } from '../utils/asyncHandler.js';
-import Project from '../models/Project.js';
+import Project, { PROJECT_ROLES } from '../models/Project.js';
 import User from '../models/User.js';
-import Badge from '../models/Badge.js';
+import ProjectTeamService from '../services/projectTeamService.js';
+import GithubWebhookService, { SUPPORTED_EVENTS } from '../services/githubWebhookService.js';
+import config from '../config/index.js';
 import { logger } from '../utils/logger.js';
+import { can } from '../utils/permissions.js';
+import { publish } from '../utils/eventBus.js';
 
 const router = express.Router();
 
+// Owner is never granted directly, only through an ownership transfer
+const INVITABLE_ROLES = PROJECT_ROLES.filter(role => role !== 'owner');
+
 /**
  * @swagger
  * /projects:
@@ -74,10 +81,12 @@ const router = express.Router();
  *         description: Invalid input
  *       401:
  *         description: Not authorized
+ *       403:
+ *         description: Email verification required
  *       500:
  *         description: Server error
  */
-router.post('/', authMiddleware, [
+router.post('/', authMiddleware, requireVerifiedEmail, [
   check('title').notEmpty().withMessage('Title is required').isLength({ max: 100 }).withMessage('Title cannot be more than 100 characters'),
   check('description').notEmpty().withMessage('Description is required').isLength({ min: 10 }).withMessage('Description must be at least 10 characters'),
   check('techStack').isArray({ min: 1 }).withMessage('At least one technology must be specified'),
@@ -101,29 +110,12 @@ router.post('/', authMiddleware, [
   const project = await Project.create({
     ...req.body,
     creatorId: req.user.id,
-    contributors: [req.user.id] // Creator is automatically a contributor
+    contributors: [req.user.id], // Creator is automatically a contributor
+    members: [{ userId: req.user.id, role: 'owner', addedBy: req.user.id }],
+    invitations: []
   });
 
-  // Check for Project Starter badge eligibility
-  const projectCount = await Project.countDocuments({ creatorId: req.user.id });
-  if (projectCount === 1) {
-    // Find the 'Project Starter' badge
-    const projectStarterBadge = await Badge.findOne({
-      title: 'Project Starter',
-      'conditions.type': 'project_count',
-      'conditions.count': 1
-    });
-
-    if (projectStarterBadge) {
-      // Add badge to user if not already awarded
-      const user = await User.findById(req.user.id);
-      if (!user.badges.includes(projectStarterBadge._id)) {
-        user.badges.push(projectStarterBadge._id);
-        await user.save();
-        logger.info(`Project Starter badge awarded to user: ${user.email}`);
-      }
-    }
-  }
+  publish('project.created', { userId: req.user._id, projectId: project._id });
 
   logger.info(`New project created: ${project.title} by user: ${req.user.email}`);
 
@@ -253,6 +245,30 @@ router.get('/', asyncHandler(async (req, res) => {
   });
 }));
 
+/**
+ * @swagger
+ * /projects/invitations:
+ *   get:
+ *     summary: List pending project team invitations for the current user
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Pending invitations with their projects
+ *       401:
+ *         description: Not authorized
+ */
+router.get('/invitations', authMiddleware, asyncHandler(async (req, res) => {
+  const invitations = await ProjectTeamService.getInvitationsForUser(req.user);
+
+  res.status(200).json({
+    success: true,
+    count: invitations.length,
+    data: invitations
+  });
+}));
+
 /**
  * @swagger
  * /projects/{id}:
@@ -278,6 +294,7 @@ router.get('/:id', asyncHandler(async (req, res) => {
   const project = await Project.findById(req.params.id)
     .populate('creatorId', 'name email avatarUrl')
     .populate('contributors', 'name email avatarUrl')
+    .populate('members.userId', 'name avatarUrl')
     .populate('usersStarred', 'name');
 
   if (!project) {
@@ -385,16 +402,19 @@ router.put('/:id', authMiddleware, [
     });
   }
 
-  // Check if user is the creator or an admin
-  if (project.creatorId.toString() !== req.user.id && req.user.role !== 'admin') {
+  // Check if user may update this project (owner, maintainer or admin)
+  if (!can(req.user, 'project.update', project, req.apiToken)) {
     return res.status(401).json({
       success: false,
       message: 'Not authorized to update this project'
     });
   }
 
+  // Team, ownership and the webhook only change through their own routes
+  const { creatorId, members, invitations, githubWebhook, ...updates } = req.body;
+
   // Update project
-  project = await Project.findByIdAndUpdate(req.params.id, req.body, {
+  project = await Project.findByIdAndUpdate(req.params.id, updates, {
     new: true,
     runValidators: true
   });
@@ -442,8 +462,8 @@ router.delete('/:id', authMiddleware, asyncHandler(async (req, res) => {
     });
   }
 
-  // Check if user is the creator or an admin
-  if (project.creatorId.toString() !== req.user.id && req.user.role !== 'admin') {
+  // Check if user may delete this project (owner or admin)
+  if (!can(req.user, 'project.delete', project, req.apiToken)) {
     return res.status(401).json({
       success: false,
       message: 'Not authorized to delete this project'
@@ -591,11 +611,11 @@ router.post('/:id/featured-issues', authMiddleware, [
     });
   }
 
-  // Check if user is the creator or an admin
-  if (project.creatorId.toString() !== req.user.id && req.user.role !== 'admin') {
+  // Check if user may manage featured issues (owner, maintainer, triager or admin)
+  if (!can(req.user, 'project.issues.manage', project, req.apiToken)) {
     return res.status(401).json({
       success: false,
-      message: 'Not authorized to update this project'
+      message: 'Not authorized to manage issues of this project'
     });
   }
 
@@ -659,11 +679,11 @@ router.delete('/:id/featured-issues/:issueId', authMiddleware, asyncHandler(asyn
     });
   }
 
-  // Check if user is the creator or an admin
-  if (project.creatorId.toString() !== req.user.id && req.user.role !== 'admin') {
+  // Check if user may manage featured issues (owner, maintainer, triager or admin)
+  if (!can(req.user, 'project.issues.manage', project, req.apiToken)) {
     return res.status(401).json({
       success: false,
-      message: 'Not authorized to update this project'
+      message: 'Not authorized to manage issues of this project'
     });
   }
 
@@ -688,6 +708,594 @@ router.delete('/:id/featured-issues/:issueId', authMiddleware, asyncHandler(asyn
   });
 }));
 
+/**
+ * Load a project for the team routes, answering 404 when it doesn't exist
+ */
+const findProject = async (req, res) => {
+  const project = await Project.findById(req.params.id);
+
+  if (!project) {
+    res.status(404).json({
+      success: false,
+      message: 'Project not found'
+    });
+  }
+
+  return project;
+};
+
+/**
+ * @swagger
+ * /projects/{id}/members:
+ *   get:
+ *     summary: List the team members of a project
+ *     tags: [Projects]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Project ID
+ *     responses:
+ *       200:
+ *         description: Team members with their roles
+ *       404:
+ *         description: Project not found
+ */
+router.get('/:id/members', asyncHandler(async (req, res) => {
+  const project = await findProject(req, res);
+  if (!project) return;
+
+  ProjectTeamService.ensureOwnerMember(project);
+  await project.populate('members.userId', 'name avatarUrl');
+
+  res.status(200).json({
+    success: true,
+    count: project.members.length,
+    data: project.members
+  });
+}));
+
+/**
+ * @swagger
+ * /projects/{id}/invitations:
+ *   get:
+ *     summary: List the invitations of a project (owner, maintainer or admin)
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Project ID
+ *     responses:
+ *       200:
+ *         description: Project invitations
+ *       401:
+ *         description: Not authorized
+ *       404:
+ *         description: Project not found
+ */
+router.get('/:id/invitations', authMiddleware, asyncHandler(async (req, res) => {
+  const project = await findProject(req, res);
+  if (!project) return;
+
+  if (!can(req.user, 'project.members.manage', project, req.apiToken)) {
+    return res.status(401).json({
+      success: false,
+      message: 'Not authorized to manage the team of this project'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    count: project.invitations.length,
+    data: project.invitations
+  });
+}));
+
+/**
+ * @swagger
+ * /projects/{id}/invitations:
+ *   post:
+ *     summary: Invite a user to the project team by user ID or email
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Project ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               userId:
+ *                 type: string
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               role:
+ *                 type: string
+ *                 enum: [maintainer, triager, contributor]
+ *     responses:
+ *       201:
+ *         description: Invitation sent
+ *       400:
+ *         description: Invalid input, already a member or already invited
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: Role above what the user may grant
+ *       404:
+ *         description: Project or user not found
+ */
+router.post('/:id/invitations', authMiddleware, [
+  check('role').isIn(INVITABLE_ROLES).withMessage('Invalid team role'),
+  check('email').optional().isEmail().withMessage('Please include a valid email'),
+  check('userId').optional().isMongoId().withMessage('Invalid user ID'),
+  check('userId').custom((userId, { req }) => Boolean(userId || req.body.email)).withMessage('Either userId or email is required')
+], asyncHandler(async (req, res) => {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  const project = await findProject(req, res);
+  if (!project) return;
+
+  if (!can(req.user, 'project.members.manage', project, req.apiToken)) {
+    return res.status(401).json({
+      success: false,
+      message: 'Not authorized to manage the team of this project'
+    });
+  }
+
+  const { userId, email, role } = req.body;
+  const invitation = await ProjectTeamService.invite(project, req.user, { userId, email, role }, req.apiToken);
+
+  res.status(201).json({
+    success: true,
+    data: invitation
+  });
+}));
+
+/**
+ * @swagger
+ * /projects/{id}/invitations/{invitationId}:
+ *   delete:
+ *     summary: Revoke a pending invitation
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Project ID
+ *       - in: path
+ *         name: invitationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Invitation ID
+ *     responses:
+ *       200:
+ *         description: Invitation revoked
+ *       401:
+ *         description: Not authorized
+ *       404:
+ *         description: Project or invitation not found
+ */
+router.delete('/:id/invitations/:invitationId', authMiddleware, asyncHandler(async (req, res) => {
+  const project = await findProject(req, res);
+  if (!project) return;
+
+  if (!can(req.user, 'project.members.manage', project, req.apiToken)) {
+    return res.status(401).json({
+      success: false,
+      message: 'Not authorized to manage the team of this project'
+    });
+  }
+
+  await ProjectTeamService.revokeInvitation(project, req.params.invitationId, req.user, req.apiToken);
+
+  res.status(200).json({
+    success: true,
+    message: 'Invitation revoked'
+  });
+}));
+
+/**
+ * Accept or decline an invitation addressed to the current user
+ */
+const respondToInvitation = (accept) => asyncHandler(async (req, res) => {
+  const project = await findProject(req, res);
+  if (!project) return;
+
+  await ProjectTeamService.respond(project, req.params.invitationId, req.user, accept);
+
+  res.status(200).json({
+    success: true,
+    message: accept ? 'You joined the project team' : 'Invitation declined',
+    data: { role: project.getMemberRole(req.user) }
+  });
+});
+
+/**
+ * @swagger
+ * /projects/{id}/invitations/{invitationId}/accept:
+ *   post:
+ *     summary: Accept an invitation to a project team
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Project ID
+ *       - in: path
+ *         name: invitationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Invitation ID
+ *     responses:
+ *       200:
+ *         description: Invitation accepted and user added to the team
+ *       400:
+ *         description: Invitation expired
+ *       403:
+ *         description: Invitation addressed to someone else or email not verified
+ *       404:
+ *         description: Project or invitation not found
+ */
+router.post('/:id/invitations/:invitationId/accept', authMiddleware, respondToInvitation(true));
+
+/**
+ * @swagger
+ * /projects/{id}/invitations/{invitationId}/decline:
+ *   post:
+ *     summary: Decline an invitation to a project team
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Project ID
+ *       - in: path
+ *         name: invitationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Invitation ID
+ *     responses:
+ *       200:
+ *         description: Invitation declined
+ *       400:
+ *         description: Invitation expired
+ *       403:
+ *         description: Invitation addressed to someone else or email not verified
+ *       404:
+ *         description: Project or invitation not found
+ */
+router.post('/:id/invitations/:invitationId/decline', authMiddleware, respondToInvitation(false));
+
+/**
+ * @swagger
+ * /projects/{id}/members/{userId}:
+ *   put:
+ *     summary: Change the team role of a member
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Project ID
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Member user ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [maintainer, triager, contributor]
+ *     responses:
+ *       200:
+ *         description: Role changed
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: Role above what the user may manage
+ *       404:
+ *         description: Project or member not found
+ */
+router.put('/:id/members/:userId', authMiddleware, [
+  check('role').isIn(INVITABLE_ROLES).withMessage('Invalid team role')
+], asyncHandler(async (req, res) => {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  const project = await findProject(req, res);
+  if (!project) return;
+
+  if (!can(req.user, 'project.members.manage', project, req.apiToken)) {
+    return res.status(401).json({
+      success: false,
+      message: 'Not authorized to manage the team of this project'
+    });
+  }
+
+  await ProjectTeamService.changeRole(project, req.user, req.params.userId, req.body.role, req.apiToken);
+
+  res.status(200).json({
+    success: true,
+    data: project.members
+  });
+}));
+
+/**
+ * @swagger
+ * /projects/{id}/members/{userId}:
+ *   delete:
+ *     summary: Remove a member from the team, or leave it yourself
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Project ID
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Member user ID
+ *     responses:
+ *       200:
+ *         description: Member removed
+ *       400:
+ *         description: The owner cannot be removed
+ *       401:
+ *         description: Not authorized
+ *       404:
+ *         description: Project or member not found
+ */
+router.delete('/:id/members/:userId', authMiddleware, asyncHandler(async (req, res) => {
+  const project = await findProject(req, res);
+  if (!project) return;
+
+  const leaving = req.params.userId === req.user.id;
+  if (!leaving && !can(req.user, 'project.members.manage', project, req.apiToken)) {
+    return res.status(401).json({
+      success: false,
+      message: 'Not authorized to manage the team of this project'
+    });
+  }
+
+  await ProjectTeamService.removeMember(project, req.user, req.params.userId, req.apiToken);
+
+  res.status(200).json({
+    success: true,
+    message: leaving ? 'You left the project team' : 'Member removed',
+    data: project.members
+  });
+}));
+
+/**
+ * @swagger
+ * /projects/{id}/transfer-ownership:
+ *   post:
+ *     summary: Transfer project ownership to another team member
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Project ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - userId
+ *             properties:
+ *               userId:
+ *                 type: string
+ *                 description: Member who becomes the owner
+ *     responses:
+ *       200:
+ *         description: Ownership transferred; the previous owner becomes a maintainer
+ *       400:
+ *         description: New owner is not a member
+ *       401:
+ *         description: Not authorized
+ *       404:
+ *         description: Project not found
+ */
+router.post('/:id/transfer-ownership', authMiddleware, [
+  check('userId').isMongoId().withMessage('Invalid user ID')
+], asyncHandler(async (req, res) => {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  const project = await findProject(req, res);
+  if (!project) return;
+
+  if (!can(req.user, 'project.ownership.transfer', project, req.apiToken)) {
+    return res.status(401).json({
+      success: false,
+      message: 'Only the project owner can transfer ownership'
+    });
+  }
+
+  await ProjectTeamService.transferOwnership(project, req.user, req.body.userId);
+
+  res.status(200).json({
+    success: true,
+    message: 'Ownership transferred',
+    data: project.members
+  });
+}));
+
+/**
+ * @swagger
+ * /projects/{id}/webhook:
+ *   post:
+ *     summary: Enable the GitHub webhook of a project, or rotate its secret
+ *     description: >
+ *       Returns the payload URL and a new secret to enter in the repository's
+ *       webhook settings (content type application/json). The secret is only
+ *       shown once; calling this again replaces it.
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Project ID
+ *     responses:
+ *       200:
+ *         description: Webhook configuration including the secret
+ *       401:
+ *         description: Not authorized
+ *       404:
+ *         description: Project not found
+ */
+router.post('/:id/webhook', authMiddleware, asyncHandler(async (req, res) => {
+  const project = await findProject(req, res);
+  if (!project) return;
+
+  if (!can(req.user, 'project.update', project, req.apiToken)) {
+    return res.status(401).json({
+      success: false,
+      message: 'Not authorized to configure webhooks for this project'
+    });
+  }
+
+  const secret = GithubWebhookService.generateSecret();
+
+  project.githubWebhook.enabled = true;
+  project.githubWebhook.secret = secret;
+  project.githubWebhook.configuredAt = new Date();
+  await project.save();
+
+  logger.info(`GitHub webhook configured for project ${project.title} by ${req.user.email}`);
+
+  res.status(200).json({
+    success: true,
+    message: 'Add this webhook to the GitHub repository. The secret will not be shown again.',
+    data: {
+      payloadUrl: `${config.serverUrl}/api/v1/webhooks/github/${project._id}`,
+      contentType: 'application/json',
+      secret,
+      events: SUPPORTED_EVENTS,
+      configuredAt: project.githubWebhook.configuredAt
+    }
+  });
+}));
+
+/**
+ * @swagger
+ * /projects/{id}/webhook:
+ *   delete:
+ *     summary: Disable the GitHub webhook of a project
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Project ID
+ *     responses:
+ *       200:
+ *         description: Webhook disabled
+ *       401:
+ *         description: Not authorized
+ *       404:
+ *         description: Project not found
+ */
+router.delete('/:id/webhook', authMiddleware, asyncHandler(async (req, res) => {
+  const project = await findProject(req, res);
+  if (!project) return;
+
+  if (!can(req.user, 'project.update', project, req.apiToken)) {
+    return res.status(401).json({
+      success: false,
+      message: 'Not authorized to configure webhooks for this project'
+    });
+  }
+
+  project.githubWebhook.enabled = false;
+  project.githubWebhook.secret = undefined;
+  await project.save();
+
+  logger.info(`GitHub webhook disabled for project ${project.title} by ${req.user.email}`);
+
+  res.status(200).json({
+    success: true,
+    message: 'GitHub webhook disabled'
+  });
+}));
+
 /**
  * @swagger
  * /projects/tech-stack:
@@ -1,133 +1,18 @@
 import express from 'express';
 import { check, validationResult } from 'express-validator';
-import { authMiddleware, authorize } from '../middleware/auth.js';
+import { authMiddleware, requirePermission } from '../middleware/auth.js';
 import { asyncHandler } from '../utils/asyncHandler.js';
 import { ApiError } from '../middleware/errorHandler.js';
 import { logger } from '../utils/logger.js';
-import mongoose from 'mongoose';
+import { hasPermission } from '../utils/permissions.js';
+import Settings from '../models/Settings.js';
 
 const router = express.Router();
 
-// Define Settings schema if not defined elsewhere
-const SettingsSchema = new mongoose.Schema({
-  key: {
-    type: String,
-    required: true,
-    unique: true,
-    trim: true
-  },
-  value: {
-    type: mongoose.Schema.Types.Mixed,
-    required: true
-  },
-  description: {
-    type: String,
-    required: false
-  },
-  isPublic: {
-    type: Boolean,
-    default: false
-  },
-  category: {
-    type: String,
-    required: true,
-    enum: ['general', 'email', 'appearance', 'security', 'advanced']
-  },
-  lastModifiedBy: {
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'User'
-  },
-  lastModifiedAt: {
-    type: Date,
-    default: Date.now
-  }
-});
-
-const Settings = mongoose.models.Settings || mongoose.model('Settings', SettingsSchema);
-
 // Initialize default settings if not exists
 const initializeDefaultSettings = async () => {
   try {
-    const defaultSettings = [
-      {
-        key: 'siteName',
-        value: 'OpenElevate',
-        description: 'Site name displayed across the platform',
-        isPublic: true,
-        category: 'general'
-      },
-      {
-        key: 'siteDescription',
-        value: 'Elevating your open source journey',
-        description: 'Site description for SEO and branding',
-        isPublic: true,
-        category: 'general'
-      },
-      {
-        key: 'contactEmail',
-        value: 'contact@openelevate.org',
-        description: 'Primary contact email for the site',
-        isPublic: true,
-        category: 'email'
-      },
-      {
-        key: 'maintenanceMode',
-        value: false,
-        description: 'Enable maintenance mode',
-        isPublic: false,
-        category: 'advanced'
-      },
-      {
-        key: 'signupEnabled',
-        value: true,
-        description: 'Allow new user registrations',
-        isPublic: true,
-        category: 'security'
-      },
-      {
-        key: 'primaryColor',
-        value: '#4A90E2',
-        description: 'Primary theme color',
-        isPublic: true,
-        category: 'appearance'
-      },
-      {
-        key: 'secondaryColor',
-        value: '#50E3C2',
-        description: 'Secondary theme color',
-        isPublic: true,
-        category: 'appearance'
-      },
-      {
-        key: 'maxProjectsPerUser',
-        value: 10,
-        description: 'Maximum number of projects a regular user can create',
-        isPublic: true,
-        category: 'general'
-      },
-      {
-        key: 'maxMentorshipsPerMentor',
-        value: 5,
-        description: 'Maximum active mentorships per mentor',
-        isPublic: true,
-        category: 'general'
-      },
-      {
-        key: 'featuredProjectsCount',
-        value: 6,
-        description: 'Number of featured projects to show on homepage',
-        isPublic: true,
-        category: 'general'
-      }
-    ];
-
-    for (const setting of defaultSettings) {
-      const exists = await Settings.findOne({ key: setting.key });
-      if (!exists) {
-        await Settings.create(setting);
-        logger.info(`Default setting created: ${setting.key}`);
-      }
-    }
+    await Settings.createDefaultSettings();
   } catch (error) {
     logger.error(`Error initializing default settings: ${error.message}`);
   }
@@ -159,15 +44,15 @@ initializeDefaultSettings();
 router.get('/', asyncHandler(async (req, res) => {
   const { category } = req.query;
   
-  // Determine if user is admin
-  const isAdmin = req.user && req.user.role === 'admin';
+  // Determine if user can see private settings
+  const canReadPrivate = hasPermission(req.user, 'settings.read.private', req.apiToken);
   
   // Build filter
   const filter = {};
   if (category) filter.category = category;
   
   // Non-admins can only see public settings
-  if (!isAdmin) {
+  if (!canReadPrivate) {
     filter.isPublic = true;
   }
   
@@ -214,8 +99,7 @@ router.get('/:key', asyncHandler(async (req, res) => {
   }
   
   // Check if user can access this setting
-  const isAdmin = req.user && req.user.role === 'admin';
-  if (!setting.isPublic && !isAdmin) {
+  if (!setting.isPublic && !hasPermission(req.user, 'settings.read.private', req.apiToken)) {
     return res.status(403).json({
       success: false,
       message: 'Not authorized to view this setting'
@@ -268,7 +152,7 @@ router.get('/:key', asyncHandler(async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.post('/', authMiddleware, authorize('admin'), [
+router.post('/', authMiddleware, requirePermission('settings.manage'), [
   check('key').notEmpty().withMessage('Key is required').trim(),
   check('value').notEmpty().withMessage('Value is required'),
   check('category').isIn(['general', 'email', 'appearance', 'security', 'advanced']).withMessage('Invalid category'),
@@ -354,7 +238,7 @@ router.post('/', authMiddleware, authorize('admin'), [
  *       500:
  *         description: Server error
  */
-router.put('/:key', authMiddleware, authorize('admin'), [
+router.put('/:key', authMiddleware, requirePermission('settings.manage'), [
   check('value').optional(),
   check('category').optional().isIn(['general', 'email', 'appearance', 'security', 'advanced']).withMessage('Invalid category'),
   check('isPublic').optional().isBoolean().withMessage('isPublic must be a boolean'),
@@ -422,7 +306,7 @@ router.put('/:key', authMiddleware, authorize('admin'), [
  *       500:
  *         description: Server error
  */
-router.delete('/:key', authMiddleware, authorize('admin'), asyncHandler(async (req, res) => {
+router.delete('/:key', authMiddleware, requirePermission('settings.manage'), asyncHandler(async (req, res) => {
   // Find setting
   const setting = await Settings.findOne({ key: req.params.key });
   if (!setting) {
@@ -481,7 +365,7 @@ router.delete('/:key', authMiddleware, authorize('admin'), asyncHandler(async (r
  *       500:
  *         description: Server error
  */
-router.put('/bulk/update', authMiddleware, authorize('admin'), [
+router.put('/bulk/update', authMiddleware, requirePermission('settings.manage'), [
   check('settings').isArray().withMessage('Settings must be an array').notEmpty().withMessage('Settings array is required')
 ], asyncHandler(async (req, res) => {
   // Validate request
@@ -551,7 +435,7 @@ router.put('/bulk/update', authMiddleware, authorize('admin'), [
  *       500:
  *         description: Server error
  */
-router.post('/restore/defaults', authMiddleware, authorize('admin'), asyncHandler(async (req, res) => {
+router.post('/restore/defaults', authMiddleware, requirePermission('settings.manage'), asyncHandler(async (req, res) => {
   try {
     // Delete all existing settings
     await Settings.deleteMany({});
@@ -1,12 +1,25 @@
 import express from 'express';
 import { check, validationResult } from 'express-validator';
-import { authMiddleware, authorize } from '../middleware/auth.js';
+import { authMiddleware, requirePermission } from '../middleware/auth.js';
 import { asyncHandler } from '../utils/asyncHandler.js';
+import crypto from 'crypto';
 import User from '../models/User.js';
+import SessionService from '../services/sessionService.js';
+import LoginProtectionService from '../services/loginProtectionService.js';
+import ApiTokenService from '../services/apiTokenService.js';
+import PointsLedgerService from '../services/pointsLedgerService.js';
+import { POINTS_SOURCES } from '../models/PointsTransaction.js';
+import { sendEmail } from '../utils/email.js';
 import { logger } from '../utils/logger.js';
+import { publish } from '../utils/eventBus.js';
+import config from '../config/index.js';
+import { getPermissions, ROLE_PERMISSIONS, can } from '../utils/permissions.js';
 
 const router = express.Router();
 
+// Fields an admin can set with PUT /users/:id
+const ADMIN_UPDATABLE_FIELDS = ['name', 'email', 'role', 'isMentor', 'isClient'];
+
 /**
  * @swagger
  * /users:
@@ -103,6 +116,32 @@ router.get('/', authMiddleware, asyncHandler(async (req, res) => {
   });
 }));
 
+/**
+ * @swagger
+ * /users/locked:
+ *   get:
+ *     summary: List accounts locked after too many failed logins (admin only)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Currently locked accounts
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/locked', authMiddleware, requirePermission('user.security.manage'), asyncHandler(async (req, res) => {
+  const users = await LoginProtectionService.getLockedAccounts();
+  
+  res.status(200).json({
+    success: true,
+    count: users.length,
+    data: users
+  });
+}));
+
 /**
  * @swagger
  * /users/{id}:
@@ -147,11 +186,218 @@ router.get('/:id', asyncHandler(async (req, res) => {
   });
 }));
 
+/**
+ * @swagger
+ * /users/{id}/permissions:
+ *   get:
+ *     summary: Get the effective permissions of a user (admin only)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: Role and permissions of the user
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: Missing permission
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id/permissions', authMiddleware, requirePermission('user.permissions.read'), asyncHandler(async (req, res) => {
+  const user = await User.findById(req.params.id).select('name email role');
+  
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+  }
+  
+  const permissions = getPermissions(user);
+  
+  res.status(200).json({
+    success: true,
+    data: {
+      id: user._id,
+      name: user.name,
+      email: user.email,
+      role: user.role,
+      // ".own" permissions only apply to resources the user owns
+      permissions: [...permissions].sort(),
+      availableRoles: Object.keys(ROLE_PERMISSIONS)
+    }
+  });
+}));
+
+/**
+ * @swagger
+ * /users/{id}/points/history:
+ *   get:
+ *     summary: Get the points history of a user (own history, or any as admin)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *       - in: query
+ *         name: source
+ *         schema:
+ *           type: string
+ *           enum: [contribution, badge, mentorship, admin_adjustment]
+ *         description: Only show points from this source
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *         description: Number of items per page
+ *     responses:
+ *       200:
+ *         description: Points total and ledger entries, newest first
+ *       401:
+ *         description: Not authorized
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id/points/history', authMiddleware, [
+  check('source').optional().isIn(POINTS_SOURCES).withMessage('Invalid points source'),
+  check('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  check('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], asyncHandler(async (req, res) => {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+  
+  const user = await User.findById(req.params.id).select('name points');
+  
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+  }
+  
+  if (!can(req.user, 'user.points.read', user, req.apiToken)) {
+    return res.status(401).json({
+      success: false,
+      message: 'Not authorized to view the points history of this user'
+    });
+  }
+  
+  const { source, page = 1, limit = 20 } = req.query;
+  const { transactions, total } = await PointsLedgerService.getHistory(user._id, { source, page, limit });
+  
+  res.status(200).json({
+    success: true,
+    count: transactions.length,
+    total,
+    totalPages: Math.ceil(total / Number(limit)),
+    data: {
+      points: user.points,
+      transactions
+    }
+  });
+}));
+
+/**
+ * @swagger
+ * /users/{id}/points/adjustments:
+ *   post:
+ *     summary: Add or remove points manually (admin only)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - amount
+ *               - reason
+ *             properties:
+ *               amount:
+ *                 type: integer
+ *                 description: Points to add; negative to remove
+ *               reason:
+ *                 type: string
+ *                 description: Why the points are adjusted (shown in the history)
+ *     responses:
+ *       201:
+ *         description: Adjustment recorded
+ *       400:
+ *         description: Invalid input or the total would become negative
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: Missing permission
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/points/adjustments', authMiddleware, requirePermission('user.points.adjust'), [
+  check('amount').isInt().withMessage('Amount must be a whole number')
+    .custom(value => Number(value) !== 0).withMessage('Amount cannot be zero'),
+  check('reason').trim().isLength({ min: 5, max: 500 }).withMessage('Reason must be between 5 and 500 characters')
+], asyncHandler(async (req, res) => {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+  
+  const transaction = await PointsLedgerService.adjust(req.params.id, Number(req.body.amount), req.body.reason, req.user);
+  const user = await User.findById(req.params.id).select('points');
+  
+  res.status(201).json({
+    success: true,
+    data: {
+      points: user.points,
+      transaction
+    }
+  });
+}));
+
 /**
  * @swagger
  * /users/{id}:
  *   put:
  *     summary: Update a user (admin only)
+ *     description: >
+ *       Only the fields below are changed. Points are adjusted with
+ *       POST /users/{id}/points/adjustments so every change is in the ledger.
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -191,7 +437,7 @@ router.get('/:id', asyncHandler(async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.put('/:id', authMiddleware, authorize('admin'), [
+router.put('/:id', authMiddleware, requirePermission('user.update.any'), [
   check('name').optional().notEmpty().withMessage('Name cannot be empty'),
   check('email').optional().isEmail().withMessage('Please include a valid email'),
   check('role').optional().isIn(['developer', 'client', 'mentor', 'admin']).withMessage('Invalid role'),
@@ -214,12 +460,20 @@ router.put('/:id', authMiddleware, authorize('admin'), [
     });
   }
   
+  // Only the validated fields; points change through POST /users/:id/points/adjustments
+  const updates = {};
+  for (const field of ADMIN_UPDATABLE_FIELDS) {
+    if (req.body[field] !== undefined) updates[field] = req.body[field];
+  }
+  
   // Update user
-  user = await User.findByIdAndUpdate(req.params.id, req.body, {
+  user = await User.findByIdAndUpdate(req.params.id, updates, {
     new: true,
     runValidators: true
   }).select('-password');
   
+  publish('profile.updated', { userId: user._id });
+  
   logger.info(`User updated by admin: ${user.email}`);
   
   res.status(200).json({
@@ -253,7 +507,7 @@ router.put('/:id', authMiddleware, authorize('admin'), [
  *       500:
  *         description: Server error
  */
-router.delete('/:id', authMiddleware, authorize('admin'), asyncHandler(async (req, res) => {
+router.delete('/:id', authMiddleware, requirePermission('user.delete.any'), asyncHandler(async (req, res) => {
   const user = await User.findById(req.params.id);
   
   if (!user) {
@@ -274,6 +528,172 @@ router.delete('/:id', authMiddleware, authorize('admin'), asyncHandler(async (re
   });
 }));
 
+/**
+ * @swagger
+ * /users/{id}/force-logout:
+ *   post:
+ *     summary: Log a user out of every device (admin only)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: All sessions, tokens and API tokens of the user revoked
+ *       401:
+ *         description: Not authorized
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/force-logout', authMiddleware, requirePermission('user.security.manage'), asyncHandler(async (req, res) => {
+  const user = await User.findById(req.params.id);
+  
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+  }
+  
+  // Stamp the user so tokens without a session are rejected too
+  user.tokensRevokedAt = Date.now();
+  await user.save({ validateBeforeSave: false });
+  
+  const revokedSessions = await SessionService.revokeAllSessions(user._id, 'forced_logout');
+  const revokedApiTokens = await ApiTokenService.revokeAllTokens(user._id);
+  
+  logger.info(`User ${user.email} force-logged out by admin: ${req.user.email}`);
+  
+  res.status(200).json({
+    success: true,
+    message: 'User logged out of all devices',
+    data: { revokedSessions, revokedApiTokens }
+  });
+}));
+
+/**
+ * @swagger
+ * /users/{id}/lock:
+ *   delete:
+ *     summary: Clear the login lockout and failed attempts of a user (admin only)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: Lockout cleared
+ *       401:
+ *         description: Not authorized
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Server error
+ */
+router.delete('/:id/lock', authMiddleware, requirePermission('user.security.manage'), asyncHandler(async (req, res) => {
+  const user = await User.findById(req.params.id);
+  
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+  }
+  
+  await LoginProtectionService.unlock(user._id);
+  
+  logger.info(`Login lockout cleared for ${user.email} by admin: ${req.user.email}`);
+  
+  res.status(200).json({
+    success: true,
+    message: 'Account unlocked'
+  });
+}));
+
+/**
+ * @swagger
+ * /users/{id}/force-password-reset:
+ *   post:
+ *     summary: Force a user to reset their password (admin only)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: Password invalidated, sessions and API tokens revoked, and reset email sent
+ *       401:
+ *         description: Not authorized
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/force-password-reset', authMiddleware, requirePermission('user.security.manage'), asyncHandler(async (req, res) => {
+  const user = await User.findById(req.params.id);
+  
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+  }
+  
+  // Replace the password with a random one; saving stamps passwordChangedAt
+  user.password = crypto.randomBytes(32).toString('hex');
+  const resetToken = user.getResetPasswordToken();
+  await user.save({ validateBeforeSave: false });
+  
+  const revokedSessions = await SessionService.revokeAllSessions(user._id, 'forced_password_reset');
+  const revokedApiTokens = await ApiTokenService.revokeAllTokens(user._id);
+  
+  const resetUrl = `${config.frontendUrl}/reset-password/${resetToken}`;
+  
+  try {
+    await sendEmail({
+      to: user.email,
+      subject: 'OpenElevate Password Reset Required',
+      text: `
+    An administrator has required you to reset your OpenElevate password.
+    You have been logged out of all devices and your personal access tokens have been revoked.
+    Please click the link below to choose a new password:
+    ${resetUrl}
+    This link will expire in 10 minutes. If it expires, use "Forgot password" to request a new one.
+  `
+    });
+  } catch (error) {
+    logger.error(`Error sending forced password reset email: ${error.message}`);
+  }
+  
+  logger.info(`Password reset forced for user ${user.email} by admin: ${req.user.email}`);
+  
+  res.status(200).json({
+    success: true,
+    message: 'Password reset forced and user logged out of all devices',
+    data: { revokedSessions, revokedApiTokens }
+  });
+}));
+
 /**
  * @swagger
  * /users/mentors:
@@ -437,7 +857,7 @@ router.get('/search', authMiddleware, asyncHandler(async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.get('/stats', authMiddleware, authorize('admin'), asyncHandler(async (req, res) => {
+router.get('/stats', authMiddleware, requirePermission('user.stats.read'), asyncHandler(async (req, res) => {
   // Get total user count
   const totalUsers = await User.countDocuments();
   
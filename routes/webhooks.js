@@ -0,0 +1,258 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { authMiddleware, requirePermission } from '../middleware/auth.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import Project from '../models/Project.js';
+import WebhookDelivery from '../models/WebhookDelivery.js';
+import GithubWebhookService from '../services/githubWebhookService.js';
+import { logger } from '../utils/logger.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /webhooks/github/{projectId}:
+ *   post:
+ *     summary: Receive a GitHub webhook delivery for a project
+ *     description: >
+ *       Called by GitHub, not by API clients. Deliveries must be signed with the
+ *       project's webhook secret (X-Hub-Signature-256). Handles pull_request,
+ *       issues and pull_request_review events and creates or updates
+ *       contributions of users who linked their GitHub account.
+ *     tags: [Webhooks]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: projectId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Project ID
+ *       - in: header
+ *         name: X-GitHub-Event
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: header
+ *         name: X-GitHub-Delivery
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: header
+ *         name: X-Hub-Signature-256
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Delivery processed, ignored or already received
+ *       400:
+ *         description: Missing GitHub headers
+ *       401:
+ *         description: Invalid signature
+ *       404:
+ *         description: Project not found or webhook not enabled
+ *       500:
+ *         description: Server error
+ */
+router.post('/github/:projectId', asyncHandler(async (req, res) => {
+  const event = req.get('X-GitHub-Event');
+  const deliveryId = req.get('X-GitHub-Delivery');
+  const signature = req.get('X-Hub-Signature-256');
+
+  if (!event || !deliveryId) {
+    return res.status(400).json({
+      success: false,
+      message: 'Missing X-GitHub-Event or X-GitHub-Delivery header'
+    });
+  }
+
+  const project = mongoose.isValidObjectId(req.params.projectId)
+    ? await Project.findById(req.params.projectId).select('+githubWebhook.secret')
+    : null;
+
+  if (!project || !project.githubWebhook?.enabled) {
+    return res.status(404).json({
+      success: false,
+      message: 'Webhook not found'
+    });
+  }
+
+  const payload = req.body || {};
+  const details = {
+    deliveryId,
+    event,
+    action: payload.action,
+    projectId: project._id,
+    repository: payload.repository?.full_name,
+    sender: payload.sender?.login
+  };
+
+  if (!GithubWebhookService.verifySignature(project.githubWebhook.secret, req.rawBody, signature)) {
+    await GithubWebhookService.logRejectedDelivery(details, 'Invalid signature');
+    logger.warn(`Rejected GitHub webhook delivery ${deliveryId} for project ${project._id}: invalid signature`);
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid signature'
+    });
+  }
+
+  const delivery = await GithubWebhookService.startDelivery(details);
+
+  // GitHub redelivery or a replayed request: acknowledge without processing again
+  if (!delivery) {
+    return res.status(200).json({
+      success: true,
+      duplicate: true,
+      message: 'Delivery already received'
+    });
+  }
+
+  try {
+    const result = await GithubWebhookService.handleEvent(project, event, payload);
+
+    delivery.status = result.status;
+    delivery.message = result.message;
+    delivery.contributionIds = (result.contributions || []).map(contribution => contribution._id);
+  } catch (error) {
+    logger.error(`Error processing GitHub webhook delivery ${deliveryId}: ${error.message}`);
+    delivery.status = 'failed';
+    delivery.message = error.message;
+  }
+
+  delivery.processedAt = new Date();
+  await delivery.save();
+
+  await Project.updateOne({ _id: project._id }, { 'githubWebhook.lastDeliveryAt': delivery.processedAt });
+
+  // GitHub only needs a 2xx; failures are kept in the delivery log
+  res.status(200).json({
+    success: delivery.status !== 'failed',
+    data: {
+      deliveryId,
+      status: delivery.status,
+      message: delivery.message,
+      contributions: delivery.contributionIds
+    }
+  });
+}));
+
+/**
+ * @swagger
+ * /webhooks/deliveries:
+ *   get:
+ *     summary: List webhook deliveries (admin only)
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: projectId
+ *         schema:
+ *           type: string
+ *         description: Filter by project
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [processing, processed, ignored, rejected, failed]
+ *         description: Filter by status
+ *       - in: query
+ *         name: event
+ *         schema:
+ *           type: string
+ *         description: Filter by GitHub event
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *         description: Number of items per page
+ *     responses:
+ *       200:
+ *         description: List of deliveries
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: Forbidden
+ *       500:
+ *         description: Server error
+ */
+router.get('/deliveries', authMiddleware, requirePermission('webhook.deliveries.read'), asyncHandler(async (req, res) => {
+  const { projectId, status, event, page = 1, limit = 20 } = req.query;
+
+  const filter = {};
+  if (projectId) filter.projectId = projectId;
+  if (status) filter.status = status;
+  if (event) filter.event = event;
+
+  const startIndex = (Number(page) - 1) * Number(limit);
+  const total = await WebhookDelivery.countDocuments(filter);
+
+  const deliveries = await WebhookDelivery.find(filter)
+    .populate('projectId', 'title githubLink')
+    .sort('-createdAt')
+    .skip(startIndex)
+    .limit(Number(limit));
+
+  res.status(200).json({
+    success: true,
+    count: deliveries.length,
+    total,
+    totalPages: Math.ceil(total / Number(limit)),
+    data: deliveries
+  });
+}));
+
+/**
+ * @swagger
+ * /webhooks/deliveries/{id}:
+ *   get:
+ *     summary: Get a webhook delivery (admin only)
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Delivery log entry ID
+ *     responses:
+ *       200:
+ *         description: Delivery details
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Delivery not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/deliveries/:id', authMiddleware, requirePermission('webhook.deliveries.read'), asyncHandler(async (req, res) => {
+  const delivery = mongoose.isValidObjectId(req.params.id)
+    ? await WebhookDelivery.findById(req.params.id)
+      .populate('projectId', 'title githubLink')
+      .populate('contributionIds', 'title type status link userId')
+    : null;
+
+  if (!delivery) {
+    return res.status(404).json({
+      success: false,
+      message: 'Delivery not found'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: delivery
+  });
+}));
+
+export default router;
@@ -0,0 +1,28 @@
+import mongoose from 'mongoose';
+import connectDB from '../config/db.js';
+import AccountLinkService from '../services/accountLinkService.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Turn off password login for accounts that were created through Google or
+ * GitHub before password login could be turned off, so their unknown random
+ * password doesn't count as a login method.
+ *
+ * Usage: npm run migrate-password-logins
+ *
+ * Run once after upgrading; running it again changes nothing.
+ */
+
+const migrate = async () => {
+  await connectDB();
+
+  const result = await AccountLinkService.migratePasswordLogins();
+  logger.info(`Migration finished: ${JSON.stringify(result)}`);
+};
+
+migrate()
+  .then(() => mongoose.disconnect().then(() => process.exit(0)))
+  .catch(error => {
+    logger.error(`Migrating password logins failed: ${error.message}`);
+    process.exit(1);
+  });
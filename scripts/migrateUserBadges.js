@@ -0,0 +1,27 @@
+import mongoose from 'mongoose';
+import connectDB from '../config/db.js';
+import BadgeService from '../services/badgeService.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Create a badge award for every badge stored in `User.badges`.
+ *
+ * Usage: npm run migrate-user-badges
+ *
+ * Run once after upgrading to award history; running it again only fills in
+ * awards that are still missing.
+ */
+
+const migrate = async () => {
+  await connectDB();
+
+  const result = await BadgeService.migrateUserBadges();
+  logger.info(`Migration finished: ${JSON.stringify(result)}`);
+};
+
+migrate()
+  .then(() => mongoose.disconnect().then(() => process.exit(0)))
+  .catch(error => {
+    logger.error(`Migrating user badges failed: ${error.message}`);
+    process.exit(1);
+  });
@@ -0,0 +1,28 @@
+import mongoose from 'mongoose';
+import connectDB from '../config/db.js';
+import Contribution from '../models/Contribution.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Rewrite the links of existing contributions in the normalized form
+ * ("https://github.com/owner/repo/pull/1") new contributions are saved in,
+ * so GitHub webhooks find the self-reported contributions they belong to.
+ *
+ * Usage: npm run normalize-contribution-links
+ *
+ * Run once after upgrading; running it again changes nothing.
+ */
+
+const migrate = async () => {
+  await connectDB();
+
+  const result = await Contribution.normalizeStoredLinks();
+  logger.info(`Migration finished: ${JSON.stringify(result)}`);
+};
+
+migrate()
+  .then(() => mongoose.disconnect().then(() => process.exit(0)))
+  .catch(error => {
+    logger.error(`Normalizing contribution links failed: ${error.message}`);
+    process.exit(1);
+  });
@@ -0,0 +1,29 @@
+import mongoose from 'mongoose';
+import connectDB from '../config/db.js';
+import '../models/Contribution.js';
+import ScoringService from '../services/scoringService.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Rescore every contribution with the current `contributionScoringRules`
+ * setting and rebuild each user's point total.
+ *
+ * Usage: npm run recompute-points
+ *
+ * Run after changing the scoring rules; contributions are otherwise only
+ * rescored when their status, type or labels change.
+ */
+
+const recompute = async () => {
+  await connectDB();
+
+  const result = await ScoringService.recomputeAll();
+  logger.info(`Recompute finished: ${JSON.stringify(result)}`);
+};
+
+recompute()
+  .then(() => mongoose.disconnect().then(() => process.exit(0)))
+  .catch(error => {
+    logger.error(`Recomputing contribution points failed: ${error.message}`);
+    process.exit(1);
+  });
@@ -0,0 +1,71 @@
+import mongoose from 'mongoose';
+import connectDB from '../config/db.js';
+import User from '../models/User.js';
+import { logger } from '../utils/logger.js';
+import {
+  encryptField,
+  decryptField,
+  getKeyId,
+  getCurrentKeyId
+} from '../utils/encryption.js';
+
+/**
+ * Re-encrypt every stored GitHub OAuth token with the current master key.
+ *
+ * Usage: npm run rotate-token-key
+ *
+ * Add the new key to TOKEN_ENCRYPTION_KEYS, point TOKEN_ENCRYPTION_KEY_ID at it,
+ * run this script, then remove the old key. Plaintext tokens left over from
+ * before encryption are encrypted as well.
+ */
+
+const TOKEN_FIELDS = ['accessToken', 'refreshToken'];
+
+const rotate = async () => {
+  await connectDB();
+
+  const currentKeyId = getCurrentKeyId();
+  logger.info(`Re-encrypting GitHub tokens with key "${currentKeyId}"`);
+
+  // Lean documents skip the schema getters, so the raw stored values come back
+  const cursor = User.find({
+    $or: TOKEN_FIELDS.map(field => ({ [`oauth.github.${field}`]: { $exists: true, $ne: null } }))
+  })
+    .select(TOKEN_FIELDS.map(field => `+oauth.github.${field}`).join(' '))
+    .lean()
+    .cursor();
+
+  let updated = 0;
+  let failed = 0;
+
+  for await (const user of cursor) {
+    const update = {};
+
+    try {
+      TOKEN_FIELDS.forEach(field => {
+        const stored = user.oauth.github[field];
+        if (stored && getKeyId(stored) !== currentKeyId) {
+          update[`oauth.github.${field}`] = encryptField(decryptField(stored));
+        }
+      });
+
+      if (Object.keys(update).length > 0) {
+        await User.updateOne({ _id: user._id }, { $set: update });
+        updated++;
+      }
+    } catch (error) {
+      failed++;
+      logger.error(`Failed to re-encrypt tokens for user ${user._id}: ${error.message}`);
+    }
+  }
+
+  logger.info(`Token key rotation finished: ${updated} users updated, ${failed} failed`);
+  return failed;
+};
+
+rotate()
+  .then(failed => mongoose.disconnect().then(() => process.exit(failed > 0 ? 1 : 0)))
+  .catch(error => {
+    logger.error(`Token key rotation failed: ${error.message}`);
+    process.exit(1);
+  });
@@ -0,0 +1,324 @@
+import jwt from 'jsonwebtoken';
+import crypto from 'crypto';
+import User from '../models/User.js';
+import GithubAnalytics from '../models/GithubAnalytics.js';
+import config from '../config/index.js';
+import { ApiError } from '../middleware/errorHandler.js';
+import { logger } from '../utils/logger.js';
+import { encryptField } from '../utils/encryption.js';
+
+export const OAUTH_PROVIDERS = ['google', 'github'];
+
+// How long a user has to finish linking or merging an OAuth account
+const LINK_STATE_EXPIRES_IN = '10m';
+const MERGE_TOKEN_TTL = 15 * 60 * 1000; // 15 minutes
+
+const hashToken = (token) => crypto
+  .createHash('sha256')
+  .update(token)
+  .digest('hex');
+
+/**
+ * Account Link Service - Links and unlinks Google, GitHub and password logins
+ * on a single account, and resolves OAuth logins that collide with an
+ * existing email address.
+ */
+class AccountLinkService {
+  /**
+   * Get the secret used for link state tokens. It is derived from the JWT
+   * secret so these tokens can never pass as access tokens.
+   * @returns {string} - Link state secret
+   */
+  static getLinkStateSecret() {
+    return crypto
+      .createHmac('sha256', config.jwtSecret || '')
+      .update('link_account')
+      .digest('hex');
+  }
+
+  /**
+   * Build the URL a logged-in user visits to link an OAuth provider
+   * @param {Object} user - User document
+   * @param {string} provider - 'google' or 'github'
+   * @returns {string} - OAuth start URL carrying a signed state
+   */
+  static buildLinkUrl(user, provider) {
+    const state = jwt.sign(
+      { id: user._id, provider, purpose: 'link_account' },
+      this.getLinkStateSecret(),
+      { expiresIn: LINK_STATE_EXPIRES_IN }
+    );
+
+    return `${config.serverUrl}/api/v1/auth/${provider}?state=${state}`;
+  }
+
+  /**
+   * Read the user ID from an OAuth state parameter, if it is a link request
+   * @param {string} state - OAuth state parameter
+   * @param {string} provider - Provider handling the callback
+   * @returns {string|null} - User ID to link to, or null for a regular login
+   */
+  static getLinkingUserId(state, provider) {
+    if (!state) return null;
+
+    try {
+      const decoded = jwt.verify(state, this.getLinkStateSecret());
+      if (decoded.purpose !== 'link_account' || decoded.provider !== provider) {
+        return null;
+      }
+      return decoded.id;
+    } catch (error) {
+      logger.warn(`Ignoring invalid ${provider} link state: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Attach provider data to a user and fill in missing profile fields
+   * @param {Object} user - User document
+   * @param {string} provider - 'google' or 'github'
+   * @param {Object} providerData - Data stored under user.oauth[provider]
+   * @param {Object} [profileDefaults] - Profile fields to set when empty
+   */
+  static applyProvider(user, provider, providerData, profileDefaults = {}) {
+    if (!user.oauth) {
+      user.oauth = {};
+    }
+
+    user.oauth[provider] = { ...(user.oauth[provider] || {}), ...providerData };
+
+    if (!user.avatarUrl && profileDefaults.avatarUrl) {
+      user.avatarUrl = profileDefaults.avatarUrl;
+    }
+
+    if (profileDefaults.githubUrl) {
+      if (!user.socialLinks) {
+        user.socialLinks = {};
+      }
+      if (!user.socialLinks.github) {
+        user.socialLinks.github = profileDefaults.githubUrl;
+      }
+    }
+  }
+
+  /**
+   * Resolve an OAuth login, link request or email collision
+   * @param {Object} req - Express request of the OAuth callback
+   * @param {string} provider - 'google' or 'github'
+   * @param {Object} details - Normalized provider details
+   * @param {Object} details.providerData - Data stored under user.oauth[provider] (must include id)
+   * @param {string} details.email - Email reported by the provider
+   * @param {boolean} details.emailVerified - Whether the provider verified the email
+   * @param {Object} details.newUser - Fields used when creating a new user
+   * @param {Object} [details.profileDefaults] - Profile fields to set when empty
+   * @returns {Object} - { user, info } where user is false when no login should happen
+   */
+  static async resolveOAuthLogin(req, provider, { providerData, email, emailVerified, newUser, profileDefaults }) {
+    const providerIdField = `oauth.${provider}.id`;
+    const linkedUser = await User.findOne({ [providerIdField]: providerData.id });
+
+    // A logged-in user asked to link this provider to their account
+    const linkingUserId = this.getLinkingUserId(req.query?.state, provider);
+    if (linkingUserId) {
+      if (linkedUser && linkedUser._id.toString() !== linkingUserId) {
+        return { user: false, info: { error: `This ${provider} account is already linked to another user` } };
+      }
+
+      const user = await User.findById(linkingUserId);
+      if (!user) {
+        return { user: false, info: { error: 'User not found' } };
+      }
+
+      this.applyProvider(user, provider, providerData, profileDefaults);
+      await user.save({ validateBeforeSave: false });
+
+      logger.info(`User ${user.email} linked ${provider} account`);
+      return { user, info: { linked: provider } };
+    }
+
+    // Returning user
+    if (linkedUser) {
+      this.applyProvider(linkedUser, provider, providerData, profileDefaults);
+      await linkedUser.save({ validateBeforeSave: false });
+
+      logger.info(`User logged in via ${provider}: ${linkedUser.email}`);
+      return { user: linkedUser, info: {} };
+    }
+
+    // First login with this provider, but the email belongs to an existing account
+    const emailUser = await User.findOne({ email });
+    if (emailUser) {
+      if (!emailVerified) {
+        return {
+          user: false,
+          info: { error: `An account with this email already exists. Log in and link your ${provider} account from your settings.` }
+        };
+      }
+
+      const mergeToken = await this.createPendingMerge(emailUser, provider, providerData, profileDefaults);
+      logger.info(`Merge offered for ${provider} login matching existing account: ${emailUser.email}`);
+
+      return {
+        user: false,
+        info: {
+          mergeToken,
+          email: emailUser.email,
+          provider,
+          loginMethods: emailUser.getLoginMethods()
+        }
+      };
+    }
+
+    // Brand new user
+    const user = await User.create({
+      ...newUser,
+      email,
+      password: crypto.randomBytes(16).toString('hex'), // Random password
+      passwordLoginEnabled: false,
+      oauth: { [provider]: providerData },
+      emailVerified
+    });
+
+    logger.info(`New user registered via ${provider}: ${user.email}`);
+    return { user, info: {} };
+  }
+
+  /**
+   * Park provider data on an existing account until its owner confirms the merge
+   * @param {Object} user - Existing user with the matching email
+   * @param {string} provider - 'google' or 'github'
+   * @param {Object} providerData - Data stored under user.oauth[provider]
+   * @param {Object} [profileDefaults] - Profile fields to set when empty
+   * @returns {string} - Merge token (only its hash is stored)
+   */
+  static async createPendingMerge(user, provider, providerData, profileDefaults = {}) {
+    const mergeToken = crypto.randomBytes(24).toString('hex');
+
+    // Mixed fields skip schema setters, so encrypt provider tokens here.
+    // They stay encrypted when applied to user.oauth later.
+    const storedProviderData = { ...providerData };
+    ['accessToken', 'refreshToken'].forEach(field => {
+      if (storedProviderData[field]) {
+        storedProviderData[field] = encryptField(storedProviderData[field]);
+      }
+    });
+
+    user.pendingOAuthLink = {
+      provider,
+      providerData: storedProviderData,
+      profileDefaults,
+      tokenHash: hashToken(mergeToken),
+      expiresAt: new Date(Date.now() + MERGE_TOKEN_TTL)
+    };
+    await user.save({ validateBeforeSave: false });
+
+    return mergeToken;
+  }
+
+  /**
+   * Confirm a pending merge with the existing account's password
+   * @param {string} mergeToken - Token from the OAuth callback redirect
+   * @param {string} password - Password of the existing account
+   * @returns {Object} - The merged user
+   */
+  static async completeMerge(mergeToken, password) {
+    const user = await User.findOne({
+      'pendingOAuthLink.tokenHash': hashToken(mergeToken),
+      'pendingOAuthLink.expiresAt': { $gt: new Date() }
+    }).select('+password +pendingOAuthLink');
+
+    if (!user) {
+      throw new ApiError(400, 'Invalid or expired merge token');
+    }
+
+    if (!user.passwordLoginEnabled) {
+      throw new ApiError(400, 'This account has no password. Log in with a linked provider and link the new one from your settings.');
+    }
+
+    const isMatch = await user.matchPassword(password);
+    if (!isMatch) {
+      throw new ApiError(401, 'Invalid credentials');
+    }
+
+    const { provider, providerData, profileDefaults } = user.pendingOAuthLink;
+
+    const linkedElsewhere = await User.findOne({
+      [`oauth.${provider}.id`]: providerData.id,
+      _id: { $ne: user._id }
+    });
+    if (linkedElsewhere) {
+      throw new ApiError(400, `This ${provider} account is already linked to another user`);
+    }
+
+    this.applyProvider(user, provider, providerData, profileDefaults);
+    user.pendingOAuthLink = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    logger.info(`User ${user.email} merged ${provider} login into existing account`);
+    return user;
+  }
+
+  /**
+   * Remove a login method, refusing to remove the last one
+   * @param {Object} user - User document
+   * @param {string} method - 'google', 'github' or 'password'
+   * @returns {Array} - Remaining login methods
+   */
+  static async unlink(user, method) {
+    const methods = user.getLoginMethods();
+
+    if (!methods.includes(method)) {
+      throw new ApiError(400, `${method} login is not linked to this account`);
+    }
+
+    if (methods.length <= 1) {
+      throw new ApiError(400, 'Cannot remove your only login method. Link another one first.');
+    }
+
+    if (method === 'password') {
+      user.passwordLoginEnabled = false;
+    } else {
+      // Replaces the whole subdocument, including the unselected tokens
+      user.oauth[method] = {};
+    }
+    await user.save({ validateBeforeSave: false });
+
+    // Keep GitHub analytics but mark them as disconnected
+    if (method === 'github') {
+      await GithubAnalytics.findOneAndUpdate(
+        { userId: user._id },
+        { $set: { disconnectedAt: new Date() } }
+      );
+    }
+
+    logger.info(`User ${user.email} unlinked ${method} login`);
+    return user.getLoginMethods();
+  }
+
+  /**
+   * Turn off password login for accounts created through OAuth before
+   * passwordLoginEnabled existed. They got a random password nobody knows,
+   * so it must not count as a login method. Accounts whose password was
+   * ever changed or reset keep it; anyone caught by mistake can still sign
+   * in with their provider and set a password again.
+   * @returns {Object} - { updated }
+   */
+  static async migratePasswordLogins() {
+    const result = await User.updateMany(
+      {
+        passwordLoginEnabled: { $exists: false },
+        passwordChangedAt: { $exists: false },
+        $or: [
+          { 'oauth.google.id': { $exists: true, $nin: [null, ''] } },
+          { 'oauth.github.id': { $exists: true, $nin: [null, ''] } }
+        ]
+      },
+      { $set: { passwordLoginEnabled: false } }
+    );
+
+    logger.info(`Disabled password login for ${result.modifiedCount} OAuth accounts`);
+    return { updated: result.modifiedCount };
+  }
+}
+
+export default AccountLinkService;
@@ -0,0 +1,203 @@
+import crypto from 'crypto';
+import ApiToken from '../models/ApiToken.js';
+import User from '../models/User.js';
+import { ApiError } from '../middleware/errorHandler.js';
+import { logger } from '../utils/logger.js';
+
+// Personal access tokens start with this so they are never mistaken for JWTs
+export const API_TOKEN_PREFIX = 'oe_pat_';
+
+// Scopes needed per API area, as [read scope, write scope].
+// Areas not listed here (such as /auth) can't be used with personal access tokens.
+export const ROUTE_SCOPES = {
+  users: ['users:read', 'users:write'],
+  projects: ['projects:read', 'projects:write'],
+  contributions: ['contributions:read', 'contributions:write'],
+  badges: ['badges:read', 'badges:write'],
+  mentorship: ['mentorship:read', 'mentorship:write'],
+  analytics: ['analytics:read', 'analytics:read'],
+  github: ['github:read', 'github:write'],
+  ai: ['ai:use', 'ai:use'],
+  emails: ['emails:send', 'emails:send'],
+  settings: ['settings:read', 'settings:write'],
+  webhooks: ['webhooks:read', 'webhooks:read'],
+  leaderboards: ['leaderboards:read', 'leaderboards:read'],
+  credentials: ['badges:read', 'badges:read']
+};
+
+// Grants admin rights on routes restricted to admins (admin users only)
+export const ADMIN_SCOPE = 'admin';
+
+export const API_TOKEN_SCOPES = [
+  ...new Set(Object.values(ROUTE_SCOPES).flat()),
+  ADMIN_SCOPE
+];
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+const MAX_TOKENS_PER_USER = 25;
+
+// Only write lastUsedAt on authenticated requests this often
+const LAST_USED_UPDATE_INTERVAL = 5 * 60 * 1000; // 5 minutes
+
+/**
+ * API Token Service - Personal access tokens with named scopes for scripts
+ * and integrations
+ */
+class ApiTokenService {
+  /**
+   * Check if a bearer token is a personal access token
+   * @param {string} token - Bearer token
+   * @returns {boolean} - Whether the token is a personal access token
+   */
+  static isApiToken(token) {
+    return typeof token === 'string' && token.startsWith(API_TOKEN_PREFIX);
+  }
+
+  /**
+   * Create a personal access token
+   * @param {Object} user - User document
+   * @param {Object} options - Token options
+   * @param {string} options.name - Label for the token
+   * @param {Array} options.scopes - Scopes granted to the token
+   * @param {number} [options.expiresInDays] - Lifetime in days (never expires if omitted)
+   * @returns {Object} - { token, apiToken } where token is only returned this once
+   */
+  static async createToken(user, { name, scopes, expiresInDays }) {
+    const unknownScopes = scopes.filter(scope => !API_TOKEN_SCOPES.includes(scope));
+    if (unknownScopes.length > 0) {
+      throw new ApiError(400, `Unknown scopes: ${unknownScopes.join(', ')}`);
+    }
+
+    if (scopes.includes(ADMIN_SCOPE) && user.role !== 'admin') {
+      throw new ApiError(403, 'Only admins can create tokens with the admin scope');
+    }
+
+    const activeCount = await ApiToken.countDocuments({
+      userId: user._id,
+      revokedAt: null,
+      $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+    });
+    if (activeCount >= MAX_TOKENS_PER_USER) {
+      throw new ApiError(400, `You can have at most ${MAX_TOKENS_PER_USER} active tokens. Revoke one first.`);
+    }
+
+    const token = API_TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+
+    const apiToken = await ApiToken.create({
+      userId: user._id,
+      name,
+      tokenHash: ApiToken.hashToken(token),
+      tokenPrefix: token.slice(0, API_TOKEN_PREFIX.length + 6),
+      scopes: [...new Set(scopes)],
+      expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000) : null
+    });
+
+    logger.info(`API token "${name}" created for user ${user._id} with scopes: ${apiToken.scopes.join(', ')}`);
+
+    return { token, apiToken };
+  }
+
+  /**
+   * Resolve a personal access token to its user
+   * @param {string} token - Token presented by the client
+   * @param {Object} req - Express request
+   * @returns {Object} - { user, apiToken }
+   */
+  static async authenticate(token, req) {
+    const apiToken = await ApiToken.findOne({ tokenHash: ApiToken.hashToken(token) });
+
+    if (!apiToken || !apiToken.isActive()) {
+      throw new ApiError(401, 'Invalid, expired or revoked API token');
+    }
+
+    const user = await User.findById(apiToken.userId).select('-password');
+    if (!user) {
+      throw new ApiError(401, 'User not found');
+    }
+
+    // A forced logout also ends tokens created before it
+    if (user.tokensRevokedAt && apiToken.createdAt <= user.tokensRevokedAt) {
+      throw new ApiError(401, 'Invalid, expired or revoked API token');
+    }
+
+    if (!apiToken.lastUsedAt || Date.now() - apiToken.lastUsedAt.getTime() > LAST_USED_UPDATE_INTERVAL) {
+      await ApiToken.updateOne(
+        { _id: apiToken._id },
+        { lastUsedAt: new Date(), lastUsedIp: req.ip }
+      );
+    }
+
+    return { user, apiToken };
+  }
+
+  /**
+   * Work out the scope a request needs from the API area and HTTP method
+   * @param {Object} req - Express request
+   * @returns {string|null} - Required scope, or null if tokens can't be used here
+   */
+  static getRequiredScope(req) {
+    const path = `${req.baseUrl || ''}${req.path || ''}`;
+    const area = path.replace(/^\/api\/v\d+\//, '').split('/')[0];
+    const scopes = ROUTE_SCOPES[area];
+
+    if (!scopes) return null;
+    return READ_METHODS.includes(req.method) ? scopes[0] : scopes[1];
+  }
+
+  /**
+   * Check that a token carries a scope
+   * @param {Object} apiToken - ApiToken document
+   * @param {string} scope - Scope to check
+   * @returns {boolean} - Whether the scope was granted
+   */
+  static hasScope(apiToken, scope) {
+    return apiToken.scopes.includes(scope);
+  }
+
+  /**
+   * List the tokens of a user (without their hashes)
+   * @param {string} userId - User ID
+   * @returns {Array} - Tokens, newest first
+   */
+  static async getUserTokens(userId) {
+    return ApiToken.find({ userId }).sort('-createdAt');
+  }
+
+  /**
+   * Revoke one token of a user
+   * @param {string} userId - User ID
+   * @param {string} tokenId - Token ID
+   * @returns {Object} - Revoked token
+   */
+  static async revokeToken(userId, tokenId) {
+    const apiToken = await ApiToken.findOne({ _id: tokenId, userId });
+
+    if (!apiToken) {
+      throw new ApiError(404, 'Token not found');
+    }
+
+    if (!apiToken.revokedAt) {
+      apiToken.revokedAt = new Date();
+      await apiToken.save();
+      logger.info(`API token "${apiToken.name}" revoked for user ${userId}`);
+    }
+
+    return apiToken;
+  }
+
+  /**
+   * Revoke every active token of a user
+   * @param {string} userId - User ID
+   * @returns {number} - Number of tokens revoked
+   */
+  static async revokeAllTokens(userId) {
+    const result = await ApiToken.updateMany(
+      { userId, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+
+    return result.modifiedCount;
+  }
+}
+
+export default ApiTokenService;
@@ -0,0 +1,320 @@
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import UserBadge from '../models/UserBadge.js';
+import Contribution from '../models/Contribution.js';
+import Project from '../models/Project.js';
+import GithubAnalytics from '../models/GithubAnalytics.js';
+import Mentorship from '../models/Mentorship.js';
+import MentorshipSession from '../models/MentorshipSession.js';
+import { getPredicates, getFactKey, evaluateRule } from '../utils/badgeRules.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Where each GitHub statistic lives in the stored analytics
+const GITHUB_STAT_FIELDS = {
+  followers: analytics => analytics.profileData?.followers,
+  public_repos: analytics => analytics.repositories?.publicCount,
+  stars: analytics => analytics.repositories?.stargazersCount,
+  top_repo_stars: analytics => Math.max(0, ...(analytics.repositories?.details || []).map(repo => repo.stargazersCount || 0)),
+  forks: analytics => analytics.repositories?.totalForks,
+  commits: analytics => analytics.contributions?.totalCommits,
+  pull_requests: analytics => analytics.pullRequests?.totalCount,
+  merged_pull_requests: analytics => analytics.pullRequests?.mergedCount,
+  issues: analytics => analytics.issues?.totalCount
+};
+
+const escapeRegExp = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const toObjectIds = ids => ids.map(id => new mongoose.Types.ObjectId(String(id)));
+
+const dateRange = ({ since, until }) => {
+  if (!since && !until) return null;
+
+  const range = {};
+  if (since) range.$gte = new Date(since);
+  if (until) range.$lte = new Date(until);
+  return range;
+};
+
+// Mongo filter for the contribution params of a predicate
+const contributionFilter = (params, userIds) => {
+  const filter = {};
+  if (userIds) filter.userId = { $in: toObjectIds(userIds) };
+  if (params.type) filter.type = { $in: [].concat(params.type) };
+  if (params.status) filter.status = { $in: [].concat(params.status) };
+  if (params.projectId) filter.projectId = new mongoose.Types.ObjectId(params.projectId);
+  if (params.labels) {
+    // Labels match case-insensitively, like scoring label bonuses
+    filter.labels = { $in: [].concat(params.labels).map(label => new RegExp(`^${escapeRegExp(label.trim())}$`, 'i')) };
+  }
+
+  const createdAt = dateRange(params);
+  if (createdAt) filter.createdAt = createdAt;
+  return filter;
+};
+
+// Length of the longest run of consecutive numbers
+const longestRun = numbers => {
+  const sorted = [...new Set(numbers)].sort((a, b) => a - b);
+  let longest = 0;
+  let current = 0;
+
+  sorted.forEach((number, index) => {
+    current = index > 0 && number === sorted[index - 1] + 1 ? current + 1 : 1;
+    longest = Math.max(longest, current);
+  });
+
+  return longest;
+};
+
+/**
+ * Badge Rule Service - Computes the facts used by badge rule expressions
+ * (see utils/badgeRules.js) and evaluates rules for one or many users
+ */
+class BadgeRuleService {
+  /**
+   * Compute a fact for a set of users
+   * @param {string} fact - Fact name
+   * @param {Object} params - Predicate params
+   * @param {Array|null} userIds - Users to compute the fact for (null for all users)
+   * @param {Map} users - User ID (string) to user document with points, createdAt, role, isMentor, skills and mentorRating
+   * @returns {Map} - User ID (string) to fact value; missing users have 0 / false
+   */
+  static async computeFact(fact, params, userIds, users) {
+    const countBy = async (model, filter, field = '$userId') => new Map(
+      (await model.aggregate([
+        { $match: filter },
+        { $group: { _id: field, value: { $sum: 1 } } }
+      ])).map(row => [String(row._id), row.value])
+    );
+
+    switch (fact) {
+      case 'contributions':
+        return countBy(Contribution, contributionFilter(params, userIds));
+
+      case 'merged_prs':
+        return countBy(Contribution, contributionFilter({ ...params, type: 'PR', status: 'merged' }, userIds));
+
+      case 'distinct_projects':
+        return new Map(
+          (await Contribution.aggregate([
+            { $match: contributionFilter(params, userIds) },
+            { $group: { _id: '$userId', projects: { $addToSet: '$projectId' } } }
+          ])).map(row => [String(row._id), row.projects.length])
+        );
+
+      case 'languages':
+        return new Map(
+          (await Contribution.aggregate([
+            { $match: contributionFilter(params, userIds) },
+            { $group: { _id: { userId: '$userId', projectId: '$projectId' } } },
+            { $lookup: { from: Project.collection.name, localField: '_id.projectId', foreignField: '_id', as: 'project' } },
+            { $unwind: '$project' },
+            { $unwind: '$project.techStack' },
+            { $group: { _id: '$_id.userId', languages: { $addToSet: { $toLower: '$project.techStack' } } } }
+          ])).map(row => [String(row._id), row.languages.length])
+        );
+
+      case 'contribution_streak': {
+        const days = await Contribution.aggregate([
+          { $match: contributionFilter(params, userIds) },
+          { $group: { _id: { userId: '$userId', day: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } } } } }
+        ]);
+
+        const periods = new Map();
+        for (const { _id } of days) {
+          const day = Math.floor(Date.parse(_id.day) / DAY);
+          // Day 0 (1970-01-01) was a Thursday; weeks start on Monday
+          const period = params.unit === 'week' ? Math.floor((day + 3) / 7) : day;
+          const userId = String(_id.userId);
+          if (!periods.has(userId)) periods.set(userId, []);
+          periods.get(userId).push(period);
+        }
+
+        return new Map([...periods].map(([userId, values]) => [userId, longestRun(values)]));
+      }
+
+      case 'mentorships': {
+        const role = params.role || 'any';
+        const filter = {};
+        if (params.mentorshipStatus) filter.status = { $in: [].concat(params.mentorshipStatus) };
+        if (params.goalsMet !== undefined) filter.goalsCompletedAt = params.goalsMet ? { $ne: null } : null;
+        const createdAt = dateRange(params);
+        if (createdAt) filter.createdAt = createdAt;
+
+        const counts = new Map();
+        for (const field of role === 'any' ? ['mentorId', 'menteeId'] : [`${role}Id`]) {
+          const roleFilter = userIds ? { ...filter, [field]: { $in: toObjectIds(userIds) } } : filter;
+          for (const [userId, value] of await countBy(Mentorship, roleFilter, `$${field}`)) {
+            counts.set(userId, (counts.get(userId) || 0) + value);
+          }
+        }
+        return counts;
+      }
+
+      case 'mentorship_sessions': {
+        const match = { status: { $in: [].concat(params.sessionStatus || 'done') } };
+        const scheduledAt = dateRange(params);
+        if (scheduledAt) match.scheduledAt = scheduledAt;
+
+        const role = params.role || 'any';
+        const counts = new Map();
+        for (const field of role === 'any' ? ['mentorId', 'menteeId'] : [`${role}Id`]) {
+          const rows = await MentorshipSession.aggregate([
+            { $match: match },
+            { $lookup: { from: Mentorship.collection.name, localField: 'mentorshipId', foreignField: '_id', as: 'mentorship' } },
+            { $unwind: '$mentorship' },
+            ...(userIds ? [{ $match: { [`mentorship.${field}`]: { $in: toObjectIds(userIds) } } }] : []),
+            { $group: { _id: `$mentorship.${field}`, value: { $sum: 1 } } }
+          ]);
+          for (const row of rows) {
+            counts.set(String(row._id), (counts.get(String(row._id)) || 0) + row.value);
+          }
+        }
+        return counts;
+      }
+
+      case 'github': {
+        const analytics = await GithubAnalytics.find(userIds ? { userId: { $in: userIds } } : {})
+          .select('userId profileData.followers repositories.publicCount repositories.stargazersCount repositories.totalForks repositories.details.stargazersCount contributions.totalCommits pullRequests issues')
+          .lean();
+
+        // A user may have analytics for more than one GitHub account; use the best
+        const values = new Map();
+        for (const entry of analytics) {
+          const userId = String(entry.userId);
+          values.set(userId, Math.max(values.get(userId) || 0, Number(GITHUB_STAT_FIELDS[params.stat](entry) || 0)));
+        }
+        return values;
+      }
+
+      case 'projects_created': {
+        const filter = userIds ? { creatorId: { $in: toObjectIds(userIds) } } : {};
+        const createdAt = dateRange(params);
+        if (createdAt) filter.createdAt = createdAt;
+        return countBy(Project, filter, '$creatorId');
+      }
+
+      case 'points':
+        return new Map([...users].map(([userId, user]) => [userId, user.points || 0]));
+
+      case 'account_age_days':
+        return new Map([...users].map(([userId, user]) => [
+          userId,
+          Math.floor((Date.now() - new Date(user.createdAt).getTime()) / DAY)
+        ]));
+
+      case 'mentor_rating': {
+        const minReviews = params.minReviews ?? 1;
+        return new Map([...users].map(([userId, user]) => [
+          userId,
+          (user.mentorRating?.count || 0) >= minReviews ? user.mentorRating.score || 0 : 0
+        ]));
+      }
+
+      case 'is_mentor':
+        return new Map([...users].map(([userId, user]) => [userId, user.role === 'mentor' || Boolean(user.isMentor)]));
+
+      case 'has_skill': {
+        const skill = params.name.trim().toLowerCase();
+        return new Map([...users].map(([userId, user]) => [
+          userId,
+          (user.skills || []).some(userSkill => userSkill.trim().toLowerCase() === skill)
+        ]));
+      }
+
+      default:
+        throw new Error(`Unknown badge rule fact: ${fact}`);
+    }
+  }
+
+  /**
+   * Evaluate several rules for a set of users, computing each distinct fact once
+   * @param {Array} rules - Valid rule expressions
+   * @param {Object} [options] - Options
+   * @param {Array} [options.userIds] - Users to evaluate (all users when omitted)
+   * @returns {Object} - { users: Map of user ID to user, facts: Map of fact key to values, qualified: Set of user IDs per rule }
+   */
+  static async evaluateMany(rules, { userIds = null } = {}) {
+    const users = new Map(
+      (await User.find(userIds ? { _id: { $in: userIds } } : {}).select('name email points createdAt role isMentor skills mentorRating').lean())
+        .map(user => [user._id.toString(), user])
+    );
+    const ids = userIds ? [...users.keys()] : null;
+
+    const facts = new Map();
+    for (const predicate of rules.flatMap(getPredicates)) {
+      const key = getFactKey(predicate);
+      if (!facts.has(key)) {
+        facts.set(key, await this.computeFact(predicate.fact, predicate.params || {}, ids, users));
+      }
+    }
+
+    const qualified = rules.map(rule => new Set(
+      [...users.keys()].filter(userId => evaluateRule(rule, key => facts.get(key).get(userId)))
+    ));
+
+    return { users, facts, qualified };
+  }
+
+  /**
+   * Evaluate a rule for a set of users
+   * @param {Object} rule - Valid rule expression
+   * @param {Object} [options] - Options
+   * @param {Array} [options.userIds] - Users to evaluate (all users when omitted)
+   * @returns {Object} - { users: Map of user ID to user, facts: Map of fact key to values, qualified: Set of user IDs }
+   */
+  static async evaluate(rule, options = {}) {
+    const { users, facts, qualified } = await this.evaluateMany([rule], options);
+    return { users, facts, qualified: qualified[0] };
+  }
+
+  /**
+   * Check whether a user satisfies a rule
+   * @param {string} userId - User ID
+   * @param {Object} rule - Valid rule expression
+   * @returns {boolean} - Whether the rule holds for the user
+   */
+  static async checkUser(userId, rule) {
+    const { qualified } = await this.evaluate(rule, { userIds: [userId] });
+    return qualified.has(String(userId));
+  }
+
+  /**
+   * Report which users would qualify for a rule, without awarding anything
+   * @param {Object} rule - Valid rule expression
+   * @param {Object} [options] - Options
+   * @param {string} [options.badgeId] - Badge whose current holders are reported separately
+   * @param {number} [options.limit] - Maximum users listed
+   * @returns {Object} - Counts and a sample of qualifying users with their fact values
+   */
+  static async dryRun(rule, { badgeId = null, limit = 50 } = {}) {
+    const { users, facts, qualified } = await this.evaluate(rule);
+
+    const holders = badgeId
+      ? new Set((await UserBadge.find({ badgeId, status: 'active' }).distinct('userId')).map(String))
+      : new Set();
+
+    const qualifyingUsers = [...qualified].map(userId => {
+      const user = users.get(userId);
+      return {
+        _id: user._id,
+        name: user.name,
+        email: user.email,
+        alreadyAwarded: holders.has(userId),
+        facts: Object.fromEntries([...facts].map(([key, values]) => [key, values.get(userId) ?? null]))
+      };
+    });
+
+    return {
+      evaluated: users.size,
+      qualifying: qualified.size,
+      alreadyAwarded: qualifyingUsers.filter(user => user.alreadyAwarded).length,
+      // Holders who would no longer qualify under this rule
+      noLongerQualifying: [...holders].filter(userId => !qualified.has(userId)).length,
+      users: qualifyingUsers.slice(0, Number(limit))
+    };
+  }
+}
+
+export default BadgeRuleService;
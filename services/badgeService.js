@@ -1,8 +1,13 @@
-import mongoose from 'mongoose';
 import Badge from '../models/Badge.js';
 import User from '../models/User.js';
-import Contribution from '../models/Contribution.js';
-import Project from '../models/Project.js';
+import UserBadge from '../models/UserBadge.js';
+import PointsTransaction from '../models/PointsTransaction.js';
+import Settings from '../models/Settings.js';
+import BadgeRuleService from './badgeRuleService.js';
+import PointsLedgerService from './pointsLedgerService.js';
+import { getRuleEvents, getRuleProgress } from '../utils/badgeRules.js';
+import { sendBadgeTierProgressEmail } from '../utils/email.js';
+import { DOMAIN_EVENTS, subscribe } from '../utils/eventBus.js';
 import { logger } from '../utils/logger.js';
 
 /**
@@ -12,61 +17,48 @@ class BadgeService {
   /**
    * Check and award badges to a user based on their contributions, projects, etc.
    * @param {string} userId - User ID to check badges for
+   * @param {Array} [badges] - Badges to check (all active badges when omitted)
+   * @param {Object} [options] - Options
+   * @param {string} [options.sourceEvent] - Domain event that triggered the check
    * @returns {Array} - Newly awarded badges
    */
-  static async checkAndAwardBadges(userId) {
+  static async checkAndAwardBadges(userId, badges = null, { sourceEvent = null } = {}) {
     try {
-      // Get user with their current badges
-      const user = await User.findById(userId);
+      const user = await User.findById(userId).select('name');
       if (!user) {
         throw new Error(`User not found with ID: ${userId}`);
       }
       
-      // Get all available badges
-      const allBadges = await Badge.find({ isActive: true });
+      // A retried event pays awards an earlier attempt created but didn't pay
+      await this.payUnpaidAwards(user._id);
       
-      // Get user's current badge IDs
-      const userBadgeIds = user.badges.map(badge => badge.badgeId.toString());
-      
-      // Get eligible badges that user doesn't already have
-      const eligibleBadges = allBadges.filter(badge => 
-        !userBadgeIds.includes(badge._id.toString())
+      // Held badges, and revoked ones, which only an admin can award again
+      const awardedBadgeIds = new Set(
+        (await UserBadge.find({ userId: user._id }).distinct('badgeId')).map(String)
       );
       
-      if (eligibleBadges.length === 0) {
-        return []; // No new badges to check
+      // Badges the user was never awarded and that can be evaluated
+      const candidates = (badges || await Badge.find({ isActive: true }))
+        .filter(badge => !awardedBadgeIds.has(badge._id.toString()) && badge.getRule());
+      
+      if (candidates.length === 0) {
+        return [];
       }
       
-      // Check each badge condition
+      const { qualified } = await BadgeRuleService.evaluateMany(
+        candidates.map(badge => badge.getRule()),
+        { userIds: [user._id] }
+      );
+      
       const newlyAwardedBadges = [];
       
-      for (const badge of eligibleBadges) {
-        const isEligible = await this.checkBadgeEligibility(user._id, badge);
-        
-        if (isEligible) {
-          // Award badge to user
-          const awardedBadge = {
-            badgeId: badge._id,
-            title: badge.title,
-            description: badge.description,
-            iconUrl: badge.iconUrl,
-            awardedAt: new Date(),
-            pointsAwarded: badge.pointsAwarded
-          };
-          
-          user.badges.push(awardedBadge);
-          user.points += badge.pointsAwarded;
-          
-          newlyAwardedBadges.push(awardedBadge);
-          
+      for (const [index, badge] of candidates.entries()) {
+        if (qualified[index].has(user._id.toString()) && await this.awardBadge(user._id, badge, { sourceEvent })) {
+          newlyAwardedBadges.push(badge);
           logger.info(`Badge "${badge.title}" awarded to user ${user.name} (${user._id})`);
         }
       }
       
-      if (newlyAwardedBadges.length > 0) {
-        await user.save();
-      }
-      
       return newlyAwardedBadges;
     } catch (error) {
       logger.error(`Error in checkAndAwardBadges: ${error.message}`);
@@ -75,201 +67,315 @@ class BadgeService {
   }
   
   /**
-   * Check if a user is eligible for a specific badge
-   * @param {string} userId - User ID to check
-   * @param {Object} badge - Badge object to check eligibility for
-   * @returns {boolean} - Whether the user is eligible for the badge
+   * Award a badge and its points. Safe to repeat: a user can only hold one
+   * active award per badge, and each award is only paid once. Automatic
+   * awards skip badges that were revoked from the user.
+   * @param {string} userId - User ID
+   * @param {Object} badge - Badge document
+   * @param {Object} [details] - Award details
+   * @param {string} [details.awardedBy] - User who awarded the badge, if awarded manually
+   * @param {string} [details.reason] - Why the badge was awarded
+   * @param {string} [details.sourceEvent] - Domain event that triggered the award
+   * @returns {Object|null} - The award, or null when the user already holds the badge (or it was revoked, for automatic awards)
    */
-  static async checkBadgeEligibility(userId, badge) {
+  static async awardBadge(userId, badge, { awardedBy = null, reason, sourceEvent = null } = {}) {
+    if (!awardedBy && await UserBadge.exists({ userId, badgeId: badge._id, status: 'revoked' })) {
+      return null;
+    }
+    
+    let award;
+    let created = true;
     try {
-      const { type, count, skill, specialCondition } = badge.conditions;
+      award = await UserBadge.create({
+        userId,
+        badgeId: badge._id,
+        awardedBy,
+        reason,
+        source: awardedBy ? 'manual' : 'event',
+        sourceEvent,
+        pointsAwarded: badge.pointsAwarded
+      });
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
       
-      switch (type) {
-        case 'contribution_count':
-          return this.checkContributionCount(userId, count);
-        
-        case 'project_count':
-          return this.checkProjectCount(userId, count);
-        
-        case 'time_active':
-          return this.checkTimeActive(userId, count);
-        
-        case 'skill_level':
-          return this.checkSkillLevel(userId, skill);
-        
-        case 'special':
-          return this.checkSpecialCondition(userId, specialCondition);
-        
-        default:
-          logger.warn(`Unknown badge condition type: ${type}`);
-          return false;
+      // Already held; still pay it in case an earlier attempt failed before paying
+      award = await UserBadge.findOne({ userId, badgeId: badge._id, status: 'active' });
+      if (!award) {
+        return null;
       }
-    } catch (error) {
-      logger.error(`Error checking badge eligibility: ${error.message}`);
-      return false;
+      created = false;
+    }
+    
+    // Keyed by the award, so paying again is a no-op (migrated awards were paid before)
+    if (award.source !== 'migration') {
+      await PointsLedgerService.recordBadgeAward(award, badge);
     }
+    
+    // User.badges mirrors the active awards for profile lookups
+    await User.updateOne({ _id: userId }, { $addToSet: { badges: badge._id } });
+    
+    return created ? award : null;
   }
   
   /**
-   * Check if a user has the required number of contributions
-   * @param {string} userId - User ID to check
-   * @param {number} requiredCount - Required number of contributions
-   * @returns {boolean} - Whether the user meets the condition
+   * Pay the points of a user's active awards that have no ledger entry,
+   * which happens when paying failed after the award was created. Migrated
+   * awards were paid before the ledger was keyed by award and are skipped.
+   * @param {string} userId - User ID
+   * @returns {number} - Number of awards paid
    */
-  static async checkContributionCount(userId, requiredCount) {
-    try {
-      // Count verified contributions for the user
-      const contributionCount = await Contribution.countDocuments({
-        userId,
-        status: 'verified'
-      });
-      
-      return contributionCount >= requiredCount;
-    } catch (error) {
-      logger.error(`Error in checkContributionCount: ${error.message}`);
-      return false;
+  static async payUnpaidAwards(userId) {
+    const awards = await UserBadge.find({
+      userId,
+      status: 'active',
+      source: { $ne: 'migration' },
+      pointsAwarded: { $gt: 0 }
+    });
+    if (awards.length === 0) {
+      return 0;
+    }
+    
+    const keyOf = award => `badge-award:${award._id}`;
+    const paidKeys = new Set(
+      await PointsTransaction.find({ idempotencyKey: { $in: awards.map(keyOf) } }).distinct('idempotencyKey')
+    );
+    const unpaid = awards.filter(award => !paidKeys.has(keyOf(award)));
+    if (unpaid.length === 0) {
+      return 0;
+    }
+    
+    const badges = await Badge.find({ _id: { $in: unpaid.map(award => award.badgeId) } });
+    let paid = 0;
+    for (const award of unpaid) {
+      const badge = badges.find(candidate => candidate._id.equals(award.badgeId));
+      if (badge && await PointsLedgerService.recordBadgeAward(award, badge)) {
+        paid++;
+        logger.warn(`Paid the points of badge award ${award._id} that had not been paid`);
+      }
     }
+    
+    return paid;
   }
   
   /**
-   * Check if a user has created the required number of projects
-   * @param {string} userId - User ID to check
-   * @param {number} requiredCount - Required number of projects
-   * @returns {boolean} - Whether the user meets the condition
+   * Revoke a user's badge. The award is kept for the audit trail and its
+   * points are taken back.
+   * @param {string} userId - User ID
+   * @param {Object} badge - Badge document
+   * @param {Object} details - Revocation details
+   * @param {string} details.revokedBy - Admin revoking the badge
+   * @param {string} [details.reason] - Why the badge was revoked
+   * @returns {Object|null} - The revoked award, or null when the user doesn't hold the badge
    */
-  static async checkProjectCount(userId, requiredCount) {
-    try {
-      // Count projects created by the user
-      const projectCount = await Project.countDocuments({
-        createdBy: userId
-      });
-      
-      return projectCount >= requiredCount;
-    } catch (error) {
-      logger.error(`Error in checkProjectCount: ${error.message}`);
-      return false;
+  static async revokeBadge(userId, badge, { revokedBy, reason }) {
+    const award = await UserBadge.findOneAndUpdate(
+      { userId, badgeId: badge._id, status: 'active' },
+      {
+        $set: {
+          status: 'revoked',
+          revokedAt: new Date(),
+          revokedBy,
+          revocationReason: reason
+        }
+      },
+      { new: true }
+    );
+    
+    if (!award) {
+      return null;
     }
+    
+    await PointsLedgerService.recordBadgeRevocation(award, badge);
+    await User.updateOne({ _id: userId }, { $pull: { badges: badge._id } });
+    
+    logger.info(`Badge "${badge.title}" revoked from user ${userId} by ${revokedBy}`);
+    return award;
   }
   
   /**
-   * Check if a user has been active for the required amount of time (in days)
-   * @param {string} userId - User ID to check
-   * @param {number} requiredDays - Required days of activity
-   * @returns {boolean} - Whether the user meets the condition
+   * Get a user's badge awards, newest first
+   * @param {string} userId - User ID
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.includeRevoked] - Include revoked awards
+   * @returns {Array} - Awards with their badge
    */
-  static async checkTimeActive(userId, requiredDays) {
-    try {
-      const user = await User.findById(userId);
-      if (!user) return false;
-      
-      const registrationDate = new Date(user.createdAt);
-      const currentDate = new Date();
+  static async getUserBadges(userId, { includeRevoked = false } = {}) {
+    const filter = { userId };
+    if (!includeRevoked) filter.status = 'active';
+    
+    return UserBadge.find(filter)
+      .populate('badgeId', 'title description iconUrl category rarity pointsAwarded')
+      .populate('awardedBy', 'name')
+      .populate('revokedBy', 'name')
+      .sort({ awardedAt: -1 });
+  }
+  
+  /**
+   * Get a user's progress through each badge series: the highest tier held
+   * and how close they are to the next one
+   * @param {string} userId - User ID
+   * @param {Object} [options] - Options
+   * @param {string} [options.eventType] - Only series whose next tier depends on this domain event
+   * @returns {Array} - { series, tiers, currentTier, nextTier, progress (0-1), requirements } per series
+   */
+  static async getSeriesProgress(userId, { eventType = null } = {}) {
+    const [badges, heldBadgeIds] = await Promise.all([
+      Badge.find({ isActive: true, series: { $type: 'string' } }).sort({ series: 1, tier: 1 }),
+      UserBadge.find({ userId, status: 'active' }).distinct('badgeId')
+    ]);
+    const held = new Set(heldBadgeIds.map(String));
+    
+    const series = new Map();
+    for (const badge of badges) {
+      if (!series.has(badge.series)) series.set(badge.series, []);
+      series.get(badge.series).push(badge);
+    }
+    
+    const ladders = [...series].map(([name, tiers]) => {
+      const currentTier = tiers.filter(badge => held.has(badge._id.toString())).pop() || null;
+      const nextTier = tiers.find(badge => badge.tier > (currentTier?.tier || 0) && badge.getRule()) || null;
+      return { series: name, tiers: tiers.length, currentTier, nextTier };
+    }).filter(({ nextTier }) => !eventType || (nextTier && getRuleEvents(nextTier.getRule()).includes(eventType)));
+    
+    const pending = ladders.filter(({ nextTier }) => nextTier);
+    const { facts } = pending.length
+      ? await BadgeRuleService.evaluateMany(pending.map(({ nextTier }) => nextTier.getRule()), { userIds: [userId] })
+      : { facts: new Map() };
+    
+    const summary = badge => badge && {
+      _id: badge._id,
+      title: badge.title,
+      iconUrl: badge.iconUrl,
+      tier: badge.tier,
+      tierName: badge.tierName
+    };
+    
+    return ladders.map(({ series: name, tiers, currentTier, nextTier }) => {
+      const { progress, requirements } = nextTier
+        ? getRuleProgress(nextTier.getRule(), key => facts.get(key).get(String(userId)))
+        : { progress: 1, requirements: [] };
       
-      const diffInTime = currentDate.getTime() - registrationDate.getTime();
-      const diffInDays = Math.floor(diffInTime / (1000 * 3600 * 24));
+      return {
+        series: name,
+        tiers,
+        currentTier: summary(currentTier),
+        nextTier: summary(nextTier),
+        progress: Math.round(progress * 100) / 100,
+        requirements
+      };
+    });
+  }
+  
+  /**
+   * Tell a user when a domain event brought them close to the next tier of a
+   * badge series. Each tier is only announced once.
+   * @param {string} userId - User ID
+   * @param {string} eventType - Domain event
+   * @returns {Array} - Badges the user was notified about
+   */
+  static async notifyNearTiers(userId, eventType) {
+    const threshold = await Settings.getValue('badgeTierNotifyThreshold', 0.8);
+    const near = (await this.getSeriesProgress(userId, { eventType }))
+      .filter(({ nextTier, progress }) => nextTier && progress >= threshold && progress < 1);
+    
+    const notified = [];
+    
+    for (const { nextTier, progress, requirements } of near) {
+      const result = await User.updateOne(
+        { _id: userId, notifiedBadgeTiers: { $ne: nextTier._id } },
+        { $addToSet: { notifiedBadgeTiers: nextTier._id } }
+      );
       
-      return diffInDays >= requiredDays;
-    } catch (error) {
-      logger.error(`Error in checkTimeActive: ${error.message}`);
-      return false;
+      if (result.modifiedCount === 1) {
+        const user = await User.findById(userId).select('name email');
+        try {
+          await sendBadgeTierProgressEmail(user, nextTier, { progress, requirements });
+        } catch (error) {
+          logger.error(`Error sending badge tier progress email: ${error.message}`);
+        }
+        notified.push(nextTier);
+      }
     }
+    
+    return notified;
   }
   
   /**
-   * Check if a user has reached the required skill level
-   * @param {string} userId - User ID to check
-   * @param {string} requiredSkill - Required skill and level
-   * @returns {boolean} - Whether the user meets the condition
+   * Create awards for the badges stored in `User.badges` before awards had
+   * their own collection. Entries may be badge IDs or the `{ badgeId, awardedAt }`
+   * objects older code pushed. Points were already paid for these badges, so
+   * none are recorded. Safe to run again; afterwards each user's array is reset
+   * to their active awards.
+   * @returns {Object} - { users, created }
    */
-  static async checkSkillLevel(userId, requiredSkill) {
-    try {
-      const user = await User.findById(userId).select('skills');
-      if (!user) return false;
+  static async migrateUserBadges() {
+    // Read the raw documents, the legacy object entries don't cast to the schema
+    const cursor = User.collection.find({ 'badges.0': { $exists: true } }, { projection: { badges: 1 } });
+    const badgePoints = new Map(
+      (await Badge.find().select('pointsAwarded').lean()).map(badge => [badge._id.toString(), badge.pointsAwarded])
+    );
+    
+    let users = 0;
+    let created = 0;
+    
+    for await (const user of cursor) {
+      users++;
       
-      // Parse the required skill (format: "javascript:3" means JavaScript at level 3)
-      const [skillName, levelStr] = requiredSkill.split(':');
-      const requiredLevel = parseInt(levelStr, 10);
-      
-      if (!skillName || isNaN(requiredLevel)) {
-        logger.warn(`Invalid skill format: ${requiredSkill}`);
-        return false;
+      for (const entry of user.badges) {
+        const badgeId = entry?.badgeId || entry;
+        if (!badgePoints.has(String(badgeId))) {
+          continue;
+        }
+        
+        // Use the date of the points entry when the award date wasn't stored
+        const awardedAt = entry?.awardedAt || (await PointsTransaction.findOne({
+          userId: user._id,
+          source: 'badge',
+          referenceId: badgeId
+        }).sort({ createdAt: 1 }).select('createdAt').lean())?.createdAt || new Date();
+        
+        const result = await UserBadge.updateOne(
+          { userId: user._id, badgeId, status: 'active' },
+          {
+            $setOnInsert: {
+              awardedAt,
+              source: 'migration',
+              pointsAwarded: entry?.pointsAwarded ?? badgePoints.get(String(badgeId))
+            }
+          },
+          { upsert: true }
+        );
+        created += result.upsertedCount;
       }
       
-      // Check if user has the skill at the required level
-      const userSkill = user.skills.find(s => 
-        s.name.toLowerCase() === skillName.toLowerCase() && 
-        s.level >= requiredLevel
-      );
-      
-      return !!userSkill;
-    } catch (error) {
-      logger.error(`Error in checkSkillLevel: ${error.message}`);
-      return false;
+      const activeBadgeIds = await UserBadge.find({ userId: user._id, status: 'active' }).distinct('badgeId');
+      await User.collection.updateOne({ _id: user._id }, { $set: { badges: activeBadgeIds } });
     }
+    
+    logger.info(`Migrated user badges: ${created} awards created for ${users} users`);
+    return { users, created };
   }
   
   /**
-   * Check if a user meets a special condition
+   * Check if a user is eligible for a specific badge
    * @param {string} userId - User ID to check
-   * @param {string} condition - Special condition to check
-   * @returns {boolean} - Whether the user meets the condition
+   * @param {Object} badge - Badge object to check eligibility for
+   * @returns {boolean} - Whether the user is eligible for the badge
    */
-  static async checkSpecialCondition(userId, condition) {
+  static async checkBadgeEligibility(userId, badge) {
     try {
-      const user = await User.findById(userId);
-      if (!user) return false;
+      const rule = badge.getRule();
       
-      switch (condition) {
-        case 'become_mentor':
-          return user.role === 'mentor';
-        
-        case 'perfect_contribution':
-          // Check if the user has any contributions with perfect scores
-          const perfectContributions = await Contribution.countDocuments({
-            userId,
-            status: 'verified',
-            rating: 5
-          });
-          return perfectContributions > 0;
-        
-        case 'mentor_rating':
-          // Check if the user has a high mentor rating (4.5+)
-          return user.role === 'mentor' && user.mentorRating >= 4.5;
-        
-        case 'github_stars':
-          // Check if the user has a GitHub project with 100+ stars
-          const githubAnalytics = await mongoose.model('GithubAnalytics').findOne({ 
-            userId, 
-            'repositories.details.stargazersCount': { $gte: 100 } 
-          });
-          return !!githubAnalytics;
-          
-        case 'diverse_contributor':
-          // Check if user has contributed to projects with different languages
-          const contributions = await Contribution.find({ userId, status: 'verified' })
-            .populate('projectId', 'mainLanguage');
-          
-          const languages = new Set();
-          contributions.forEach(c => {
-            if (c.projectId && c.projectId.mainLanguage) {
-              languages.add(c.projectId.mainLanguage);
-            }
-          });
-          
-          return languages.size >= 3; // Contributed to projects in at least 3 different languages
-          
-        case 'streak_achievement':
-          // Check if user has maintained a streak of activity for 7 consecutive days
-          // This would require a more complex implementation with a log of user activity
-          // Simplified version here
-          return user.activityStreak >= 7;
-          
-        default:
-          logger.warn(`Unknown special condition: ${condition}`);
-          return false;
+      if (!rule) {
+        logger.warn(`Badge "${badge.title}" has no rule that can be evaluated`);
+        return false;
       }
+      
+      return await BadgeRuleService.checkUser(userId, rule);
     } catch (error) {
-      logger.error(`Error in checkSpecialCondition: ${error.message}`);
+      logger.error(`Error checking badge eligibility: ${error.message}`);
       return false;
     }
   }
@@ -298,15 +404,16 @@ class BadgeService {
    */
   static async updateBadge(badgeId, updateData) {
     try {
-      const badge = await Badge.findByIdAndUpdate(badgeId, updateData, { 
-        new: true, 
-        runValidators: true 
-      });
+      const badge = await Badge.findById(badgeId);
       
       if (!badge) {
         throw new Error(`Badge not found with ID: ${badgeId}`);
       }
       
+      // Saved rather than updated in place so the rule is validated
+      badge.set(updateData);
+      await badge.save();
+      
       logger.info(`Badge updated: ${badge.title}`);
       return badge;
     } catch (error) {
@@ -316,38 +423,53 @@ class BadgeService {
   }
   
   /**
-   * Check for badge eligibility after specific events
+   * Get the active badges whose rules depend on an event
+   * @param {string} eventType - Domain event name
+   * @returns {Array} - Badges
+   */
+  static async getBadgesForEvent(eventType) {
+    const badges = await Badge.find({ isActive: true });
+    
+    return badges.filter(badge => {
+      const rule = badge.getRule();
+      return rule && getRuleEvents(rule).includes(eventType);
+    });
+  }
+  
+  /**
+   * Check for badge eligibility after a domain event, only evaluating the
+   * badges that depend on it
    * @param {string} userId - User ID
-   * @param {string} eventType - Event type (e.g., 'contribution_verified', 'project_created')
-   * @param {Object} eventData - Additional data related to the event
+   * @param {string} eventType - Domain event (e.g. 'contribution.merged', 'project.created')
    * @returns {Array} - Newly awarded badges
    */
-  static async processEvent(userId, eventType, eventData = {}) {
-    try {
-      // Process specific events that might trigger badge awards
-      switch (eventType) {
-        case 'contribution_verified':
-          // Custom logic for when a contribution is verified
-          // For example, check contribution-specific badges
-          break;
-          
-        case 'project_created':
-          // Custom logic for when a project is created
-          break;
-          
-        case 'skill_updated':
-          // Custom logic for when skills are updated
-          break;
-          
-        // Add more event types as needed
-      }
-      
-      // After any specific processing, check all badges
-      return await this.checkAndAwardBadges(userId);
-    } catch (error) {
-      logger.error(`Error processing event for badges: ${error.message}`);
-      throw error;
+  static async processEvent(userId, eventType) {
+    const badges = await this.getBadgesForEvent(eventType);
+    
+    if (badges.length === 0) {
+      return [];
+    }
+    
+    const awarded = await this.checkAndAwardBadges(userId, badges, { sourceEvent: eventType });
+    
+    if (badges.some(badge => badge.series)) {
+      await this.notifyNearTiers(userId, eventType);
     }
+    
+    return awarded;
+  }
+  
+  /**
+   * Evaluate badges for the users involved in every domain event
+   */
+  static registerEventHandlers() {
+    subscribe(DOMAIN_EVENTS, 'Badge evaluation', async (payload, { event }) => {
+      const userIds = [payload.userId, payload.mentorId, payload.menteeId].filter(Boolean);
+      
+      for (const userId of userIds) {
+        await this.processEvent(userId, event);
+      }
+    });
   }
 }
 
@@ -0,0 +1,221 @@
+import Contribution from '../models/Contribution.js';
+import Project from '../models/Project.js';
+import User from '../models/User.js';
+import GitHubService from './githubService.js';
+import GithubWebhookService from './githubWebhookService.js';
+import { logger } from '../utils/logger.js';
+
+const LINK_PATTERN = /github\.com\/([a-zA-Z0-9_.-]+)\/([a-zA-Z0-9_.-]+)\/(pull|issues)\/(\d+)/;
+
+// Contribution types that must link to a pull request or an issue
+const PULL_TYPES = ['PR', 'review'];
+const ISSUE_TYPES = ['issue'];
+
+// Give up on GitHub API errors after this many attempts
+const MAX_ATTEMPTS = 5;
+const BATCH_SIZE = 50;
+
+/**
+ * Contribution Verification Service - Checks reported contributions against
+ * the GitHub API and flags mismatches for manual review
+ */
+class ContributionVerificationService {
+  /**
+   * Parse a GitHub pull request or issue URL
+   * @param {string} link - Contribution link
+   * @returns {Object|null} - { owner, repo, fullName, kind, number }
+   */
+  static parseLink(link) {
+    const match = LINK_PATTERN.exec(link || '');
+    if (!match) return null;
+
+    const [, owner, repo, kind, number] = match;
+    return {
+      owner,
+      repo,
+      fullName: `${owner}/${repo}`.toLowerCase(),
+      kind,
+      number: Number(number)
+    };
+  }
+
+  /**
+   * Fetch what GitHub knows about the linked pull request or issue
+   * @param {Object} client - GitHubService instance
+   * @param {Object} target - Parsed link
+   * @returns {Object} - { author, state, merged, mergedAt, additions, deletions, changedFiles, labels, reviewers }
+   */
+  static async fetchGithubData(client, { owner, repo, kind, number }) {
+    if (kind === 'issues') {
+      const issue = await client.getIssue(owner, repo, number);
+      return {
+        author: issue.user?.login,
+        state: issue.state,
+        labels: (issue.labels || []).map(label => label.name),
+        isPullRequest: Boolean(issue.pull_request)
+      };
+    }
+
+    const pullRequest = await client.getPullRequest(owner, repo, number);
+    const reviews = await client.getPullRequestReviews(owner, repo, number);
+
+    return {
+      author: pullRequest.user?.login,
+      state: pullRequest.state,
+      merged: Boolean(pullRequest.merged),
+      mergedAt: pullRequest.merged_at,
+      additions: pullRequest.additions,
+      deletions: pullRequest.deletions,
+      changedFiles: pullRequest.changed_files,
+      reviewCount: reviews.length,
+      labels: (pullRequest.labels || []).map(label => label.name),
+      reviewers: reviews.map(review => review.user?.login).filter(Boolean)
+    };
+  }
+
+  /**
+   * Verify a contribution against GitHub. The author must be the user's
+   * linked GitHub account and the repository the project's repository;
+   * anything else flags the contribution instead of accepting it.
+   * @param {Object|string} contributionOrId - Contribution document or ID
+   * @returns {Object} - Updated contribution
+   */
+  static async verifyContribution(contributionOrId) {
+    const contribution = contributionOrId instanceof Contribution
+      ? contributionOrId
+      : await Contribution.findById(contributionOrId);
+
+    if (!contribution) {
+      throw new Error('Contribution not found');
+    }
+
+    const [user, project] = await Promise.all([
+      User.findById(contribution.userId).select('+oauth.github.accessToken'),
+      Project.findById(contribution.projectId)
+    ]);
+
+    const reasons = [];
+    const target = this.parseLink(contribution.link);
+    const username = user?.oauth?.github?.username;
+
+    if (!target) {
+      reasons.push('Link is not a GitHub pull request or issue');
+    } else {
+      if (PULL_TYPES.includes(contribution.type) && target.kind !== 'pull') {
+        reasons.push(`A ${contribution.type} contribution must link to a pull request`);
+      }
+      if (ISSUE_TYPES.includes(contribution.type) && target.kind !== 'issues') {
+        reasons.push('An issue contribution must link to an issue');
+      }
+
+      const projectRepo = GithubWebhookService.getRepoFullName(project?.githubLink);
+      if (target.fullName !== projectRepo) {
+        reasons.push(`Repository ${target.fullName} does not match the project repository ${projectRepo || '(none)'}`);
+      }
+    }
+
+    if (!username) {
+      reasons.push('Contributor has not linked a GitHub account');
+    }
+
+    contribution.verification.checkedAt = new Date();
+    contribution.verification.attempts = (contribution.verification.attempts || 0) + 1;
+
+    if (target) {
+      let data;
+      try {
+        const client = new GitHubService(user?.oauth?.github?.accessToken);
+        data = await this.fetchGithubData(client, target);
+      } catch (error) {
+        if (error.response?.status !== 404) {
+          // Rate limits and outages are retried by the next run
+          contribution.verification.status = 'error';
+          contribution.verification.reasons = [`GitHub API error: ${error.message}`];
+          await contribution.save();
+          return contribution;
+        }
+
+        reasons.push('Pull request or issue not found on GitHub');
+      }
+
+      if (data) {
+        const { reviewers, isPullRequest, labels, ...githubData } = data;
+        contribution.github = githubData;
+        contribution.labels = labels;
+
+        if (isPullRequest) {
+          reasons.push('Link points to a pull request, not an issue');
+        }
+
+        if (username) {
+          const login = username.toLowerCase();
+          if (contribution.type === 'review') {
+            if (!reviewers.some(reviewer => reviewer.toLowerCase() === login)) {
+              reasons.push(`No review by ${username} on this pull request`);
+            }
+          } else if (data.author?.toLowerCase() !== login) {
+            reasons.push(`Authored by ${data.author} on GitHub, not ${username}`);
+          }
+        }
+      }
+    }
+
+    contribution.verification.reasons = reasons;
+    contribution.verification.status = reasons.length ? 'flagged' : 'verified';
+
+    // Keep the status in line with GitHub once we know the contribution is genuine
+    if (!reasons.length && contribution.status !== 'approved') {
+      if (contribution.github.merged) {
+        contribution.status = 'merged';
+      } else if (contribution.github.state === 'closed') {
+        contribution.status = 'closed';
+      }
+    }
+
+    await contribution.save();
+
+    if (reasons.length) {
+      logger.warn(`Contribution ${contribution._id} flagged for review: ${reasons.join('; ')}`);
+    }
+
+    return contribution;
+  }
+
+  /**
+   * Verify contributions that haven't been checked yet, or whose last check
+   * hit a GitHub API error
+   * @param {Object} [options] - Options
+   * @param {number} [options.limit] - Maximum number of contributions to check
+   * @returns {Object} - Counts per outcome
+   */
+  static async verifyPending({ limit = BATCH_SIZE } = {}) {
+    const contributions = await Contribution.find({
+      status: { $ne: 'approved' },
+      $or: [
+        { 'verification.status': { $in: [null, 'pending'] } },
+        { 'verification.status': 'error', 'verification.attempts': { $lt: MAX_ATTEMPTS } }
+      ]
+    })
+      .sort({ createdAt: 1 })
+      .limit(limit);
+
+    const result = { checked: 0, verified: 0, flagged: 0, errors: 0 };
+
+    for (const contribution of contributions) {
+      try {
+        await this.verifyContribution(contribution);
+        result.checked++;
+        if (contribution.verification.status === 'verified') result.verified++;
+        if (contribution.verification.status === 'flagged') result.flagged++;
+        if (contribution.verification.status === 'error') result.errors++;
+      } catch (error) {
+        logger.error(`Error verifying contribution ${contribution._id}: ${error.message}`);
+        result.errors++;
+      }
+    }
+
+    return result;
+  }
+}
+
+export default ContributionVerificationService;
@@ -9,10 +9,14 @@ class GitHubService {
     this.apiClient = axios.create({
       baseURL: 'https://api.github.com',
       headers: {
-        Authorization: `token ${accessToken}`,
         Accept: 'application/vnd.github.v3+json'
       }
     });
+    
+    // Without a token only public data is available, at a lower rate limit
+    if (accessToken) {
+      this.apiClient.defaults.headers.Authorization = `token ${accessToken}`;
+    }
   }
 
   // Get user profile information
@@ -119,6 +123,42 @@ class GitHubService {
     }
   }
 
+  // Get a single pull request
+  async getPullRequest(owner, repo, number) {
+    try {
+      const { data } = await this.apiClient.get(`/repos/${owner}/${repo}/pulls/${number}`);
+      return data;
+    } catch (error) {
+      logger.error(`GitHub API - getPullRequest error: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // Get the reviews of a pull request
+  async getPullRequestReviews(owner, repo, number) {
+    try {
+      const { data } = await this.apiClient.get(`/repos/${owner}/${repo}/pulls/${number}/reviews`, {
+        params: { per_page: 100 }
+      });
+      
+      return data;
+    } catch (error) {
+      logger.error(`GitHub API - getPullRequestReviews error: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // Get a single issue
+  async getIssue(owner, repo, number) {
+    try {
+      const { data } = await this.apiClient.get(`/repos/${owner}/${repo}/issues/${number}`);
+      return data;
+    } catch (error) {
+      logger.error(`GitHub API - getIssue error: ${error.message}`);
+      throw error;
+    }
+  }
+
   // Analyze languages used in repositories
   async analyzeLanguages(repositories) {
     const languageStats = new Map();
@@ -145,7 +185,7 @@ class GitHubService {
   async collectUserAnalytics(userId) {
     try {
       // Get user from database
-      const user = await User.findById(userId);
+      const user = await User.findById(userId).select('+oauth.github.accessToken');
       if (!user || !user.oauth || !user.oauth.github || !user.oauth.github.accessToken) {
         throw new Error('User not found or GitHub not connected');
       }
@@ -307,7 +347,7 @@ class GitHubService {
   // Refresh access token if it has expired (if GitHub supports refresh tokens)
   static async refreshAccessToken(userId) {
     try {
-      const user = await User.findById(userId);
+      const user = await User.findById(userId).select('+oauth.github.accessToken +oauth.github.refreshToken');
       if (!user || !user.oauth || !user.oauth.github || !user.oauth.github.refreshToken) {
         throw new Error('Cannot refresh token: user or refresh token not found');
       }
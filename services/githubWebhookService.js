@@ -0,0 +1,344 @@
+import crypto from 'crypto';
+import Contribution from '../models/Contribution.js';
+import Project from '../models/Project.js';
+import User from '../models/User.js';
+import WebhookDelivery from '../models/WebhookDelivery.js';
+import { logger } from '../utils/logger.js';
+
+export const SUPPORTED_EVENTS = ['pull_request', 'issues', 'pull_request_review'];
+
+const TITLE_MAX_LENGTH = 100;
+const DESCRIPTION_MAX_LENGTH = 500;
+
+const truncate = (text, length) => (text && text.length > length ? `${text.slice(0, length - 1)}…` : text || '');
+const labelNames = (labels) => (labels || []).map(label => label.name);
+
+/**
+ * GitHub Webhook Service - Verifies GitHub webhook deliveries and keeps
+ * contributions of linked users in sync with pull requests, issues and reviews
+ */
+class GithubWebhookService {
+  /**
+   * Generate a new webhook secret
+   * @returns {string} - Random secret to configure on GitHub
+   */
+  static generateSecret() {
+    return crypto.randomBytes(32).toString('hex');
+  }
+
+  /**
+   * Verify the X-Hub-Signature-256 header of a delivery
+   * @param {string} secret - Project webhook secret
+   * @param {Buffer} rawBody - Raw request body
+   * @param {string} signatureHeader - Value of X-Hub-Signature-256
+   * @returns {boolean} - Whether the signature is valid
+   */
+  static verifySignature(secret, rawBody, signatureHeader) {
+    if (!secret || !rawBody || !signatureHeader || !signatureHeader.startsWith('sha256=')) {
+      return false;
+    }
+
+    const expected = Buffer.from(
+      `sha256=${crypto.createHmac('sha256', secret).update(rawBody).digest('hex')}`
+    );
+    const received = Buffer.from(signatureHeader);
+
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+  }
+
+  /**
+   * Get "owner/repo" (lowercase) from a GitHub repository URL
+   * @param {string} url - GitHub repository URL
+   * @returns {string|null} - Repository full name
+   */
+  static getRepoFullName(url) {
+    const match = /github\.com\/([a-zA-Z0-9_.-]+)\/([a-zA-Z0-9_.-]+?)(\.git)?\/?$/.exec(url || '');
+    return match ? `${match[1]}/${match[2]}`.toLowerCase() : null;
+  }
+
+  /**
+   * Record a signed delivery, or detect that it was already received
+   * @param {Object} details - Delivery details
+   * @returns {Object|null} - Delivery log entry, or null for a replay
+   */
+  static async startDelivery(details) {
+    try {
+      return await WebhookDelivery.create({ ...details, signatureValid: true, status: 'processing' });
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+
+      // Already received. GitHub redeliveries keep the delivery ID, so only
+      // a delivery that failed earlier may be processed again.
+      return WebhookDelivery.findOneAndUpdate(
+        { provider: 'github', deliveryId: details.deliveryId, signatureValid: true, status: 'failed' },
+        { status: 'processing', message: null },
+        { new: true }
+      );
+    }
+  }
+
+  /**
+   * Log a delivery that failed signature verification
+   * @param {Object} details - Delivery details
+   * @param {string} message - Why it was rejected
+   */
+  static async logRejectedDelivery(details, message) {
+    await WebhookDelivery.create({
+      ...details,
+      signatureValid: false,
+      status: 'rejected',
+      message,
+      processedAt: new Date()
+    });
+  }
+
+  /**
+   * Find the OpenElevate user linked to a GitHub account. Matched on the
+   * account ID only: logins can be renamed and then taken by someone else.
+   * @param {Object} githubUser - GitHub user object from the payload
+   * @returns {Object|null} - User document
+   */
+  static async findLinkedUser(githubUser) {
+    if (!githubUser?.id) return null;
+
+    return User.findOne({ 'oauth.github.id': String(githubUser.id) });
+  }
+
+  /**
+   * Create or update the contribution of a user for a PR, issue or review
+   * @param {Object} project - Project document
+   * @param {Object} user - Contributing user
+   * @param {Object} details - { type, link, title, description, status, labels }
+   * @returns {Object} - Contribution document
+   */
+  static async upsertContribution(project, user, { type, link, title, description, status, labels }) {
+    let contribution = await Contribution.findOne({ projectId: project._id, userId: user._id, type, link });
+
+    if (contribution) {
+      contribution.title = truncate(title, TITLE_MAX_LENGTH);
+      if (description !== undefined) {
+        contribution.description = truncate(description, DESCRIPTION_MAX_LENGTH);
+      }
+      if (status && contribution.status !== 'approved') {
+        contribution.status = status;
+      }
+      if (labels) {
+        contribution.labels = labels;
+      }
+      await contribution.save();
+      return contribution;
+    }
+
+    contribution = await Contribution.create({
+      userId: user._id,
+      projectId: project._id,
+      type,
+      title: truncate(title, TITLE_MAX_LENGTH),
+      description: truncate(description, DESCRIPTION_MAX_LENGTH),
+      link,
+      status: status || 'open',
+      labels: labels || [],
+      source: 'github_webhook'
+    });
+
+    // Same bookkeeping as a self-reported contribution
+    await Project.updateOne({ _id: project._id }, { $addToSet: { contributors: user._id } });
+    await User.updateOne({ _id: user._id }, { $addToSet: { contributions: contribution._id } });
+
+    logger.info(`Contribution tracked from GitHub: ${contribution.title} by ${user.email}`);
+    return contribution;
+  }
+
+  /**
+   * Set the status of every contribution (PR and reviews) pointing at a link
+   * @param {Object} project - Project document
+   * @param {string} link - PR or issue URL
+   * @param {string} status - New status
+   * @returns {Array} - Updated contributions
+   */
+  static async updateStatusByLink(project, link, status) {
+    const contributions = await Contribution.find({
+      projectId: project._id,
+      link,
+      status: { $nin: [status, 'approved'] }
+    });
+
+    for (const contribution of contributions) {
+      contribution.status = status;
+      await contribution.save();
+    }
+
+    return contributions;
+  }
+
+  /**
+   * Handle a pull_request event
+   * @param {Object} project - Project document
+   * @param {Object} payload - Webhook payload
+   * @returns {Object} - { status, message, contributions }
+   */
+  static async handlePullRequest(project, payload) {
+    const pullRequest = payload.pull_request;
+    const link = pullRequest.html_url;
+
+    if (payload.action === 'closed') {
+      const status = pullRequest.merged ? 'merged' : 'closed';
+      const author = await this.findLinkedUser(pullRequest.user);
+
+      const contributions = author
+        ? [await this.upsertContribution(project, author, {
+          type: 'PR',
+          link,
+          title: pullRequest.title,
+          description: pullRequest.body,
+          status,
+          labels: labelNames(pullRequest.labels)
+        })]
+        : [];
+
+      // Reviews of the PR follow its outcome
+      contributions.push(...await this.updateStatusByLink(project, link, status));
+
+      return { status: 'processed', message: `Pull request ${status}`, contributions };
+    }
+
+    if (!['opened', 'reopened', 'edited', 'ready_for_review', 'labeled', 'unlabeled'].includes(payload.action)) {
+      return { status: 'ignored', message: `Unhandled pull_request action: ${payload.action}` };
+    }
+
+    const author = await this.findLinkedUser(pullRequest.user);
+    if (!author) {
+      return { status: 'ignored', message: `No user linked to GitHub account ${pullRequest.user?.login}` };
+    }
+
+    const contribution = await this.upsertContribution(project, author, {
+      type: 'PR',
+      link,
+      title: pullRequest.title,
+      description: pullRequest.body,
+      status: 'open',
+      labels: labelNames(pullRequest.labels)
+    });
+
+    return { status: 'processed', message: `Pull request ${payload.action}`, contributions: [contribution] };
+  }
+
+  /**
+   * Handle an issues event
+   * @param {Object} project - Project document
+   * @param {Object} payload - Webhook payload
+   * @returns {Object} - { status, message, contributions }
+   */
+  static async handleIssue(project, payload) {
+    const { issue } = payload;
+
+    const statusByAction = {
+      opened: 'open',
+      reopened: 'open',
+      edited: undefined,
+      labeled: undefined,
+      unlabeled: undefined,
+      closed: 'closed'
+    };
+    if (!(payload.action in statusByAction)) {
+      return { status: 'ignored', message: `Unhandled issues action: ${payload.action}` };
+    }
+
+    const author = await this.findLinkedUser(issue.user);
+    if (!author) {
+      return { status: 'ignored', message: `No user linked to GitHub account ${issue.user?.login}` };
+    }
+
+    const contribution = await this.upsertContribution(project, author, {
+      type: 'issue',
+      link: issue.html_url,
+      title: issue.title,
+      description: issue.body,
+      status: statusByAction[payload.action],
+      labels: labelNames(issue.labels)
+    });
+
+    return { status: 'processed', message: `Issue ${payload.action}`, contributions: [contribution] };
+  }
+
+  /**
+   * Handle a pull_request_review event
+   * @param {Object} project - Project document
+   * @param {Object} payload - Webhook payload
+   * @returns {Object} - { status, message, contributions }
+   */
+  static async handlePullRequestReview(project, payload) {
+    const { review, pull_request: pullRequest } = payload;
+
+    if (payload.action !== 'submitted') {
+      return { status: 'ignored', message: `Unhandled pull_request_review action: ${payload.action}` };
+    }
+
+    const reviewer = await this.findLinkedUser(review.user);
+    if (!reviewer) {
+      return { status: 'ignored', message: `No user linked to GitHub account ${review.user?.login}` };
+    }
+
+    // Reviewing your own pull request isn't a separate contribution
+    if (String(review.user.id) === String(pullRequest.user?.id)) {
+      return { status: 'ignored', message: 'Review by the pull request author' };
+    }
+
+    let status = 'open';
+    if (pullRequest.state === 'closed') {
+      status = pullRequest.merged ? 'merged' : 'closed';
+    }
+
+    const contribution = await this.upsertContribution(project, reviewer, {
+      type: 'review',
+      link: pullRequest.html_url,
+      title: `Review: ${pullRequest.title}`,
+      description: review.body,
+      status,
+      labels: labelNames(pullRequest.labels)
+    });
+
+    return { status: 'processed', message: `Review ${review.state}`, contributions: [contribution] };
+  }
+
+  /**
+   * Process a verified delivery for a project
+   * @param {Object} project - Project document
+   * @param {string} event - X-GitHub-Event header
+   * @param {Object} payload - Webhook payload
+   * @returns {Object} - { status, message, contributions }
+   */
+  static async handleEvent(project, event, payload) {
+    if (event === 'ping') {
+      return { status: 'processed', message: 'Ping received' };
+    }
+
+    if (!SUPPORTED_EVENTS.includes(event)) {
+      return { status: 'ignored', message: `Unsupported event: ${event}` };
+    }
+
+    const repository = payload.repository?.full_name?.toLowerCase();
+    if (!repository || repository !== this.getRepoFullName(project.githubLink)) {
+      return { status: 'ignored', message: `Repository ${repository} does not match the project` };
+    }
+
+    switch (event) {
+      case 'pull_request':
+        return this.handlePullRequest(project, payload);
+      case 'issues':
+        // Issue events for pull requests are covered by pull_request events
+        if (payload.issue?.pull_request) {
+          return { status: 'ignored', message: 'Issue event for a pull request' };
+        }
+        return this.handleIssue(project, payload);
+      case 'pull_request_review':
+        return this.handlePullRequestReview(project, payload);
+      default:
+        return { status: 'ignored', message: `Unsupported event: ${event}` };
+    }
+  }
+}
+
+export default GithubWebhookService;
@@ -0,0 +1,540 @@
+import mongoose from 'mongoose';
+import PointsTransaction from '../models/PointsTransaction.js';
+import Contribution from '../models/Contribution.js';
+import User from '../models/User.js';
+import LeaderboardSnapshot from '../models/LeaderboardSnapshot.js';
+import LeaderboardEntry from '../models/LeaderboardEntry.js';
+import LeaderboardRankHistory from '../models/LeaderboardRankHistory.js';
+import { getRedisClient } from '../config/redis.js';
+import { ApiError } from '../middleware/errorHandler.js';
+import { logger } from '../utils/logger.js';
+
+export const LEADERBOARD_WINDOWS = ['all_time', 'monthly', 'weekly'];
+export const LEADERBOARD_SCOPES = ['global', 'project', 'skill', 'country'];
+
+const REDIS_PREFIX = 'leaderboard:';
+const REDIS_BOARDS_KEY = `${REDIS_PREFIX}boards`;
+const REDIS_GENERATED_AT_KEY = `${REDIS_PREFIX}generatedAt`;
+
+// Unfinished rebuilds leave their temporary Redis keys to expire
+const REDIS_TEMP_KEY_TTL = 60 * 60; // 1 hour
+
+// Mongo snapshots kept, so readers of the previous one aren't cut off mid-request
+const MONGO_SNAPSHOTS_KEPT = 2;
+
+const WRITE_BATCH_SIZE = 1000;
+const DAY = 24 * 60 * 60 * 1000;
+
+// Public profile fields shown next to leaderboard entries
+const USER_FIELDS = 'name avatarUrl level country';
+
+let rebuildInProgress = null;
+
+const startOfUtcDay = date => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+
+const chunk = (items, size) => {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+};
+
+// Sort a board by points and number it; users with the same points share a rank
+const rankEntries = totals => {
+  const entries = [...totals]
+    .filter(([, points]) => points > 0)
+    .map(([userId, points]) => ({ userId, points }))
+    .sort((a, b) => b.points - a.points || a.userId.localeCompare(b.userId));
+
+  let rank = 0;
+  return entries.map((entry, index) => {
+    if (index === 0 || entry.points !== entries[index - 1].points) rank = index + 1;
+    return { ...entry, rank, position: index + 1 };
+  });
+};
+
+// Snapshots in Redis: one sorted set per board, swapped in with RENAME
+const redisStore = client => {
+  const boardKey = board => `${REDIS_PREFIX}board:${board}`;
+
+  return {
+    name: 'redis',
+
+    async save(boards, generatedAt) {
+      const generation = generatedAt.getTime();
+      const previous = await client.sMembers(REDIS_BOARDS_KEY);
+      const multi = client.multi();
+
+      for (const [board, entries] of boards) {
+        const tempKey = `${REDIS_PREFIX}tmp:${generation}:${board}`;
+        for (const batch of chunk(entries, WRITE_BATCH_SIZE)) {
+          await client.zAdd(tempKey, batch.map(entry => ({ score: entry.points, value: entry.userId })));
+        }
+        await client.expire(tempKey, REDIS_TEMP_KEY_TTL);
+
+        multi.rename(tempKey, boardKey(board));
+        multi.persist(boardKey(board));
+      }
+
+      for (const board of previous) {
+        if (!boards.has(board)) multi.del(boardKey(board));
+      }
+      multi.del(REDIS_BOARDS_KEY);
+      if (boards.size) multi.sAdd(REDIS_BOARDS_KEY, [...boards.keys()]);
+      multi.set(REDIS_GENERATED_AT_KEY, generatedAt.toISOString());
+
+      await multi.exec();
+    },
+
+    async open() {
+      const generatedAt = await client.get(REDIS_GENERATED_AT_KEY);
+      if (!generatedAt) return null;
+
+      // Rank = 1 + number of users with more points
+      const rankOf = async (board, points) => (await client.zCount(boardKey(board), `(${points}`, '+inf')) + 1;
+
+      return {
+        generatedAt: new Date(generatedAt),
+
+        count: board => client.zCard(boardKey(board)),
+
+        async getRange(board, start, count) {
+          const members = await client.zRangeWithScores(boardKey(board), start, start + count - 1, { REV: true });
+          if (!members.length) return [];
+
+          let rank = await rankOf(board, members[0].score);
+          return members.map((member, index) => {
+            if (index > 0 && member.score !== members[index - 1].score) rank = start + index + 1;
+            return { userId: member.value, points: member.score, rank, position: start + index + 1 };
+          });
+        },
+
+        async getEntry(board, userId) {
+          const points = await client.zScore(boardKey(board), userId);
+          if (points === null) return null;
+
+          const [rank, index] = await Promise.all([
+            rankOf(board, points),
+            client.zRevRank(boardKey(board), userId)
+          ]);
+          return { userId, points, rank, position: index + 1 };
+        }
+      };
+    }
+  };
+};
+
+// Snapshots in MongoDB, used when Redis is not configured or unavailable
+const mongoStore = {
+  name: 'mongo',
+
+  async save(boards, generatedAt) {
+    const generation = new mongoose.Types.ObjectId();
+    let entries = 0;
+
+    for (const [board, boardEntries] of boards) {
+      for (const batch of chunk(boardEntries, WRITE_BATCH_SIZE)) {
+        await LeaderboardEntry.insertMany(batch.map(entry => ({ generation, board, ...entry })), { ordered: false });
+      }
+      entries += boardEntries.length;
+    }
+
+    // Readers switch over once the snapshot document exists
+    await LeaderboardSnapshot.create({ _id: generation, generatedAt, boards: boards.size, entries });
+
+    const kept = (await LeaderboardSnapshot.find().sort({ generatedAt: -1 }).limit(MONGO_SNAPSHOTS_KEPT).select('_id').lean())
+      .map(snapshot => snapshot._id);
+
+    // Older generations only; a rebuild started after this one may still be writing
+    await LeaderboardEntry.deleteMany({ generation: { $nin: kept, $lt: generation } });
+    await LeaderboardSnapshot.deleteMany({ _id: { $nin: kept } });
+  },
+
+  async open() {
+    const snapshot = await LeaderboardSnapshot.findOne().sort({ generatedAt: -1 }).lean();
+    if (!snapshot) return null;
+
+    const generation = snapshot._id;
+    const fields = 'userId points rank position -_id';
+
+    return {
+      generatedAt: snapshot.generatedAt,
+
+      count: board => LeaderboardEntry.countDocuments({ generation, board }),
+
+      getRange: (board, start, count) => LeaderboardEntry.find({
+        generation,
+        board,
+        position: { $gt: start, $lte: start + count }
+      }).sort({ position: 1 }).select(fields).lean(),
+
+      getEntry: (board, userId) => LeaderboardEntry.findOne({ generation, board, userId }).select(fields).lean()
+    };
+  }
+};
+
+/**
+ * Leaderboard Service - Ranks users by the points they earned in a time
+ * window (all time, this month, this week), globally or within a project,
+ * skill or country. Rankings are precomputed from the points ledger into
+ * snapshots, kept in Redis when configured and in MongoDB otherwise.
+ */
+class LeaderboardService {
+  /**
+   * Get the start of the current period of a window (UTC calendar month,
+   * week starting on Monday)
+   * @param {string} window - all_time, monthly or weekly
+   * @param {Date} [now] - Reference time
+   * @returns {Date|null} - Period start, or null for all time
+   */
+  static getPeriodStart(window, now = new Date()) {
+    if (window === 'monthly') {
+      return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+    }
+
+    if (window === 'weekly') {
+      const daysSinceMonday = (now.getUTCDay() + 6) % 7;
+      return new Date(startOfUtcDay(now).getTime() - daysSinceMonday * DAY);
+    }
+
+    return null;
+  }
+
+  /**
+   * Normalize the value of a scope (skills are case-insensitive, countries
+   * are upper case ISO codes)
+   * @param {string} scope - Scope
+   * @param {string} value - Project ID, skill or country
+   * @returns {string|null} - Normalized value
+   */
+  static normalizeScopeValue(scope, value) {
+    if (scope === 'global') return null;
+
+    const normalized = String(value ?? '').trim();
+    if (scope === 'skill') return normalized.toLowerCase();
+    if (scope === 'country') return normalized.toUpperCase();
+    return normalized;
+  }
+
+  /**
+   * Build the key of a leaderboard, e.g. "weekly:global" or "monthly:skill:javascript"
+   * @param {string} window - Time window
+   * @param {string} scope - Scope
+   * @param {string} [value] - Project ID, skill or country for scoped boards
+   * @returns {string} - Board key
+   */
+  static getBoardKey(window, scope, value) {
+    if (!LEADERBOARD_WINDOWS.includes(window)) {
+      throw new ApiError(400, `Window must be one of: ${LEADERBOARD_WINDOWS.join(', ')}`);
+    }
+    if (!LEADERBOARD_SCOPES.includes(scope)) {
+      throw new ApiError(400, `Scope must be one of: ${LEADERBOARD_SCOPES.join(', ')}`);
+    }
+    if (scope === 'global') return `${window}:global`;
+
+    const normalized = this.normalizeScopeValue(scope, value);
+    if (!normalized) {
+      throw new ApiError(400, `A value is required for the ${scope} scope`);
+    }
+    if (scope === 'project' && !mongoose.isValidObjectId(normalized)) {
+      throw new ApiError(400, 'Invalid project ID');
+    }
+
+    return `${window}:${scope}:${normalized}`;
+  }
+
+  /**
+   * Compute every leaderboard from the points ledger
+   * @param {Date} [now] - Time the snapshot is taken
+   * @returns {Map} - Board key to ranked entries ({ userId, points, rank, position })
+   */
+  static async computeBoards(now = new Date()) {
+    const rowsByWindow = new Map();
+    const userIds = new Set();
+    const legacyContributionIds = new Set();
+
+    for (const window of LEADERBOARD_WINDOWS) {
+      const since = this.getPeriodStart(window, now);
+      const range = since ? { $gte: since, $lte: now } : { $lte: now };
+      const rows = await PointsTransaction.aggregate([
+        // Entries recorded before effectiveAt was stored count from when they were recorded
+        { $match: { $or: [{ effectiveAt: range }, { effectiveAt: null, createdAt: range }] } },
+        {
+          $group: {
+            _id: {
+              userId: '$userId',
+              projectId: '$projectId',
+              // Contribution entries recorded before projectId was stored on the ledger
+              contributionId: {
+                $cond: [
+                  { $and: [{ $eq: ['$source', 'contribution'] }, { $eq: [{ $ifNull: ['$projectId', null] }, null] }] },
+                  '$referenceId',
+                  null
+                ]
+              }
+            },
+            points: { $sum: '$amount' }
+          }
+        }
+      ]);
+
+      rowsByWindow.set(window, rows);
+      rows.forEach(row => {
+        userIds.add(row._id.userId.toString());
+        if (row._id.contributionId) legacyContributionIds.add(row._id.contributionId.toString());
+      });
+    }
+
+    const legacyProjects = new Map(
+      (await Contribution.find({ _id: { $in: [...legacyContributionIds] } }).select('projectId').lean())
+        .map(contribution => [contribution._id.toString(), contribution.projectId])
+    );
+
+    const users = new Map(
+      (await User.find({ _id: { $in: [...userIds] } }).select('skills country').lean())
+        .map(user => [user._id.toString(), user])
+    );
+
+    const totals = new Map();
+    const add = (board, userId, points) => {
+      if (!totals.has(board)) totals.set(board, new Map());
+      const boardTotals = totals.get(board);
+      boardTotals.set(userId, (boardTotals.get(userId) || 0) + points);
+    };
+
+    for (const [window, rows] of rowsByWindow) {
+      const globalKey = this.getBoardKey(window, 'global');
+
+      for (const { _id, points } of rows) {
+        const userId = _id.userId.toString();
+        // Ledger entries of deleted accounts
+        if (!users.has(userId)) continue;
+
+        add(globalKey, userId, points);
+
+        const projectId = _id.projectId || legacyProjects.get(String(_id.contributionId));
+        if (projectId) {
+          add(this.getBoardKey(window, 'project', projectId.toString()), userId, points);
+        }
+      }
+
+      // Skill and country boards rank the users' overall totals for the window
+      for (const [userId, points] of totals.get(globalKey) || []) {
+        const user = users.get(userId);
+        const skills = new Set((user.skills || []).map(skill => this.normalizeScopeValue('skill', skill)).filter(Boolean));
+
+        for (const skill of skills) {
+          add(this.getBoardKey(window, 'skill', skill), userId, points);
+        }
+        if (user.country) {
+          add(this.getBoardKey(window, 'country', user.country), userId, points);
+        }
+      }
+    }
+
+    const boards = new Map();
+    for (const [board, boardTotals] of totals) {
+      const entries = rankEntries(boardTotals);
+      if (entries.length) boards.set(board, entries);
+    }
+
+    return boards;
+  }
+
+  /**
+   * Recompute all leaderboards and replace the current snapshot
+   * @returns {Object} - { generatedAt, boards, entries, store }
+   */
+  static async rebuildSnapshots() {
+    // Overlapping runs (startup and the hourly job) share the running rebuild
+    if (rebuildInProgress) return rebuildInProgress;
+
+    rebuildInProgress = (async () => {
+      const generatedAt = new Date();
+      const boards = await this.computeBoards(generatedAt);
+
+      const client = await getRedisClient();
+      const store = client ? redisStore(client) : mongoStore;
+
+      await store.save(boards, generatedAt);
+      await this.recordRankHistory(boards, generatedAt);
+
+      const entries = [...boards.values()].reduce((sum, board) => sum + board.length, 0);
+      logger.info(`Rebuilt ${boards.size} leaderboards with ${entries} entries (${store.name})`);
+
+      return { generatedAt, boards: boards.size, entries, store: store.name };
+    })();
+
+    try {
+      return await rebuildInProgress;
+    } finally {
+      rebuildInProgress = null;
+    }
+  }
+
+  /**
+   * Store each user's rank for the day; later rebuilds on the same day overwrite it
+   * @param {Map} boards - Computed boards
+   * @param {Date} generatedAt - Snapshot time
+   */
+  static async recordRankHistory(boards, generatedAt) {
+    const date = startOfUtcDay(generatedAt);
+
+    for (const [board, entries] of boards) {
+      for (const batch of chunk(entries, WRITE_BATCH_SIZE)) {
+        await LeaderboardRankHistory.bulkWrite(batch.map(entry => ({
+          updateOne: {
+            filter: { userId: entry.userId, board, date },
+            update: { $set: { rank: entry.rank, points: entry.points, total: entries.length } },
+            upsert: true
+          }
+        })), { ordered: false });
+      }
+    }
+  }
+
+  /**
+   * Open the current snapshot
+   * @returns {Object|null} - Snapshot reader, or null before the first rebuild
+   */
+  static async openSnapshot() {
+    const client = await getRedisClient();
+    return client ? redisStore(client).open() : mongoStore.open();
+  }
+
+  /**
+   * Add public user details to leaderboard entries
+   * @param {Array} entries - Entries ({ userId, points, rank, position })
+   * @returns {Array} - Entries with a `user` field
+   */
+  static async withUsers(entries) {
+    const users = new Map(
+      (await User.find({ _id: { $in: entries.map(entry => entry.userId) } }).select(USER_FIELDS).lean())
+        .map(user => [user._id.toString(), user])
+    );
+
+    return entries.map(({ userId, points, rank, position }) => ({
+      rank,
+      position,
+      points,
+      user: users.get(String(userId)) || { _id: userId }
+    }));
+  }
+
+  /**
+   * Describe a board of a snapshot
+   * @param {Object} board - { window, scope, value }
+   * @param {Object|null} snapshot - Snapshot reader
+   * @returns {Object} - Board, window, scope, value, periodStart and generatedAt
+   */
+  static describeBoard({ window, scope, value }, snapshot) {
+    const generatedAt = snapshot?.generatedAt || null;
+
+    return {
+      board: this.getBoardKey(window, scope, value),
+      window,
+      scope,
+      value: this.normalizeScopeValue(scope, value),
+      periodStart: this.getPeriodStart(window, generatedAt || new Date()),
+      generatedAt
+    };
+  }
+
+  /**
+   * Get a page of a leaderboard
+   * @param {Object} options - Options
+   * @param {string} [options.window] - all_time, monthly or weekly
+   * @param {string} [options.scope] - global, project, skill or country
+   * @param {string} [options.value] - Project ID, skill or country for scoped boards
+   * @param {number} [options.page] - Page number
+   * @param {number} [options.limit] - Entries per page
+   * @returns {Object} - Board description, total and entries
+   */
+  static async getLeaderboard({ window = 'all_time', scope = 'global', value, page = 1, limit = 20 } = {}) {
+    const board = this.getBoardKey(window, scope, value);
+    const snapshot = await this.openSnapshot();
+    const start = (Number(page) - 1) * Number(limit);
+
+    const [total, entries] = snapshot
+      ? await Promise.all([snapshot.count(board), snapshot.getRange(board, start, Number(limit))])
+      : [0, []];
+
+    return {
+      ...this.describeBoard({ window, scope, value }, snapshot),
+      total,
+      entries: await this.withUsers(entries)
+    };
+  }
+
+  /**
+   * Get a user's place on a leaderboard with the users around them
+   * @param {string} userId - User ID
+   * @param {Object} options - Options
+   * @param {string} [options.window] - all_time, monthly or weekly
+   * @param {string} [options.scope] - global, project, skill or country
+   * @param {string} [options.value] - Project ID, skill or country for scoped boards
+   * @param {number} [options.neighbors] - Users to include above and below
+   * @returns {Object} - Board description, total, entry (null if unranked) and neighbors
+   */
+  static async getUserPosition(userId, { window = 'all_time', scope = 'global', value, neighbors = 2 } = {}) {
+    const board = this.getBoardKey(window, scope, value);
+    const snapshot = await this.openSnapshot();
+
+    const [total, entry] = snapshot
+      ? await Promise.all([snapshot.count(board), snapshot.getEntry(board, userId.toString())])
+      : [0, null];
+
+    let nearby = [];
+    if (entry && Number(neighbors) > 0) {
+      const start = Math.max(0, entry.position - 1 - Number(neighbors));
+      nearby = await snapshot.getRange(board, start, entry.position - start + Number(neighbors));
+    }
+
+    return {
+      ...this.describeBoard({ window, scope, value }, snapshot),
+      total,
+      entry: entry
+        ? {
+          rank: entry.rank,
+          position: entry.position,
+          points: entry.points,
+          // Share of ranked users behind this user
+          percentile: Math.round(((total - entry.rank) / total) * 100)
+        }
+        : null,
+      neighbors: await this.withUsers(nearby)
+    };
+  }
+
+  /**
+   * Get a user's daily rank on a leaderboard, oldest first
+   * @param {string} userId - User ID
+   * @param {Object} options - Options
+   * @param {string} [options.window] - all_time, monthly or weekly
+   * @param {string} [options.scope] - global, project, skill or country
+   * @param {string} [options.value] - Project ID, skill or country for scoped boards
+   * @param {number} [options.days] - Number of days to return
+   * @returns {Object} - Board details and history ({ date, rank, points, total })
+   */
+  static async getRankHistory(userId, { window = 'all_time', scope = 'global', value, days = 30 } = {}) {
+    const board = this.getBoardKey(window, scope, value);
+    const since = new Date(startOfUtcDay(new Date()).getTime() - (Number(days) - 1) * DAY);
+
+    const history = await LeaderboardRankHistory.find({ userId, board, date: { $gte: since } })
+      .sort({ date: 1 })
+      .select('date rank points total -_id')
+      .lean();
+
+    return {
+      board,
+      window,
+      scope,
+      value: this.normalizeScopeValue(scope, value),
+      days: Number(days),
+      history
+    };
+  }
+}
+
+export default LeaderboardService;
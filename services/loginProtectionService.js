@@ -0,0 +1,135 @@
+import User from '../models/User.js';
+import Settings from '../models/Settings.js';
+import { sendAccountLockedEmail } from '../utils/email.js';
+import { logger } from '../utils/logger.js';
+
+// Upper bound for a single back-off delay, whatever the settings say
+const MAX_BACKOFF_SECONDS = 15 * 60;
+
+/**
+ * Login Protection Service - Per-account brute-force protection.
+ * Failed logins add an exponentially growing delay before the next attempt,
+ * and too many in a row lock the account for a while.
+ */
+class LoginProtectionService {
+  /**
+   * Read the lockout thresholds from the security settings
+   * @returns {Object} - { maxAttempts, lockoutMinutes, backoffBaseSeconds }
+   */
+  static async getPolicy() {
+    const [maxAttempts, lockoutMinutes, backoffBaseSeconds] = await Promise.all([
+      Settings.getValue('maxFailedLoginAttempts', 5),
+      Settings.getValue('accountLockoutMinutes', 15),
+      Settings.getValue('loginBackoffBaseSeconds', 1)
+    ]);
+
+    return {
+      maxAttempts: Number(maxAttempts),
+      lockoutMinutes: Number(lockoutMinutes),
+      backoffBaseSeconds: Number(backoffBaseSeconds)
+    };
+  }
+
+  /**
+   * Seconds until a locked account accepts logins again
+   * @param {Object} user - User document
+   * @returns {number} - Seconds to wait (0 if not locked)
+   */
+  static getRetryAfter(user) {
+    if (!user.isLoginLocked()) return 0;
+    return Math.ceil((user.lockUntil.getTime() - Date.now()) / 1000);
+  }
+
+  /**
+   * Record a failed login and apply back-off or lockout
+   * @param {Object} user - User document
+   * @returns {Object} - { locked, retryAfter } for the next attempt
+   */
+  static async recordFailure(user) {
+    const policy = await this.getPolicy();
+
+    // Increment atomically so parallel guesses can't share one attempt
+    const updated = await User.findByIdAndUpdate(
+      user._id,
+      { $inc: { failedLoginAttempts: 1 }, $set: { lastFailedLoginAt: new Date() } },
+      { new: true }
+    );
+    const attempts = updated.failedLoginAttempts;
+
+    if (policy.maxAttempts > 0 && attempts >= policy.maxAttempts) {
+      const lockUntil = new Date(Date.now() + policy.lockoutMinutes * 60 * 1000);
+
+      await User.updateOne(
+        { _id: user._id },
+        { $set: { lockUntil, lockedAt: new Date(), failedLoginAttempts: 0 } }
+      );
+
+      logger.warn(`Account locked after ${attempts} failed logins: ${updated.email}`);
+
+      try {
+        await sendAccountLockedEmail(updated, lockUntil);
+      } catch (error) {
+        logger.error(`Failed to send account locked email to ${updated.email}: ${error.message}`);
+      }
+
+      return { locked: true, retryAfter: policy.lockoutMinutes * 60 };
+    }
+
+    const delaySeconds = Math.min(
+      policy.backoffBaseSeconds * 2 ** (attempts - 1),
+      MAX_BACKOFF_SECONDS
+    );
+
+    if (delaySeconds > 0) {
+      await User.updateOne(
+        { _id: user._id },
+        {
+          $set: { lockUntil: new Date(Date.now() + delaySeconds * 1000) },
+          $unset: { lockedAt: '' }
+        }
+      );
+    }
+
+    return { locked: false, retryAfter: delaySeconds };
+  }
+
+  /**
+   * Clear failed attempts after a successful login
+   * @param {Object} user - User document
+   */
+  static async recordSuccess(user) {
+    if (!user.failedLoginAttempts && !user.lockUntil && !user.lockedAt) return;
+
+    await this.unlock(user._id);
+  }
+
+  /**
+   * Clear the lock and failed attempts of an account
+   * @param {string} userId - User ID
+   * @returns {Object} - Update result
+   */
+  static async unlock(userId) {
+    return User.updateOne(
+      { _id: userId },
+      {
+        $set: { failedLoginAttempts: 0 },
+        $unset: { lockUntil: '', lockedAt: '', lastFailedLoginAt: '' }
+      }
+    );
+  }
+
+  /**
+   * List accounts currently locked out
+   * @returns {Array} - Locked users, most recently locked first
+   */
+  static async getLockedAccounts() {
+    return User.find({
+      lockedAt: { $exists: true },
+      lockUntil: { $gt: new Date() }
+    })
+      .select('name email role lockedAt lockUntil lastFailedLoginAt')
+      .sort('-lockedAt');
+  }
+}
+
+export default LoginProtectionService;
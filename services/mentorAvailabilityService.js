@@ -0,0 +1,271 @@
+import mongoose from 'mongoose';
+import Mentorship from '../models/Mentorship.js';
+import User from '../models/User.js';
+import Settings from '../models/Settings.js';
+import { ApiError } from '../middleware/errorHandler.js';
+import { getCurrentVacation, getOverlapMinutes } from '../utils/availability.js';
+import { sendMentorshipWaitlistEmail } from '../utils/email.js';
+import { logger } from '../utils/logger.js';
+
+// Public mentor fields shown in listings
+const MENTOR_FIELDS = 'name email avatarUrl bio skills level lastActive availability mentorProfile mentorRating';
+
+// Case-insensitive match of a list of values
+const anyOf = (values) => values.map(value => new RegExp(`^${value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i'));
+
+/**
+ * Mentor Availability Service - Mentor capacity, vacations, focus areas,
+ * waitlists and matching of weekly availability
+ */
+class MentorAvailabilityService {
+  /**
+   * Count the pending, active and waitlisted mentorships of mentors
+   * (paused mentorships keep their slot and count as active)
+   * @param {Array} mentorIds - Mentor IDs
+   * @returns {Map} - Mentor ID => { active, pending, waitlisted }
+   */
+  static async getLoads(mentorIds) {
+    const rows = await Mentorship.aggregate([
+      {
+        $match: {
+          mentorId: { $in: mentorIds.map(id => new mongoose.Types.ObjectId(String(id))) },
+          status: { $in: ['pending', 'active', 'paused', 'waitlisted'] }
+        }
+      },
+      { $group: { _id: { mentorId: '$mentorId', status: '$status' }, count: { $sum: 1 } } }
+    ]);
+
+    const loads = new Map(mentorIds.map(id => [String(id), { active: 0, pending: 0, waitlisted: 0 }]));
+    rows.forEach(row => {
+      const status = row._id.status === 'paused' ? 'active' : row._id.status;
+      loads.get(String(row._id.mentorId))[status] += row.count;
+    });
+
+    return loads;
+  }
+
+  /**
+   * Get how many mentees a mentor takes at a time
+   * @param {Object} mentor - Mentor user document
+   * @param {number} [defaultCapacity] - maxMentorshipsPerMentor setting, if already loaded
+   * @returns {number} - Maximum active and pending mentorships
+   */
+  static async getCapacity(mentor, defaultCapacity) {
+    return mentor.mentorProfile?.maxMentees
+      || defaultCapacity
+      || await Settings.getValue('maxMentorshipsPerMentor', 5);
+  }
+
+  /**
+   * Summarize whether mentors take new mentees
+   * @param {Array} mentors - Mentor user documents
+   * @param {Date} [date] - Moment to check vacations at
+   * @returns {Map} - Mentor ID => { capacity, active, pending, waitlisted, openSlots, waitlistEnabled, onVacationUntil, acceptingRequests }
+   */
+  static async getStatuses(mentors, date = new Date()) {
+    const [loads, defaultCapacity] = await Promise.all([
+      this.getLoads(mentors.map(mentor => mentor._id)),
+      Settings.getValue('maxMentorshipsPerMentor', 5)
+    ]);
+
+    const statuses = new Map();
+    for (const mentor of mentors) {
+      const load = loads.get(String(mentor._id));
+      const capacity = await this.getCapacity(mentor, defaultCapacity);
+      const openSlots = Math.max(0, capacity - load.active - load.pending);
+      const vacation = getCurrentVacation(mentor.mentorProfile?.vacations, date);
+      const waitlistEnabled = Boolean(mentor.mentorProfile?.waitlistEnabled);
+
+      statuses.set(String(mentor._id), {
+        capacity,
+        ...load,
+        openSlots,
+        waitlistEnabled,
+        onVacationUntil: vacation ? vacation.end : null,
+        acceptingRequests: !vacation && (openSlots > 0 || waitlistEnabled)
+      });
+    }
+
+    return statuses;
+  }
+
+  /**
+   * Summarize whether a mentor takes new mentees
+   * @param {Object} mentor - Mentor user document
+   * @returns {Object} - See getStatuses
+   */
+  static async getStatus(mentor) {
+    const statuses = await this.getStatuses([mentor]);
+    return statuses.get(String(mentor._id));
+  }
+
+  /**
+   * Decide how a new mentorship request to a mentor is filed
+   * @param {Object} mentor - Mentor user document
+   * @param {Array} skills - Skills the mentee asks for help with
+   * @returns {string} - 'pending', or 'waitlisted' when the mentor is at capacity
+   * @throws {ApiError} - When the mentor doesn't take the request
+   */
+  static async checkRequest(mentor, skills = []) {
+    const status = await this.getStatus(mentor);
+
+    if (status.onVacationUntil) {
+      throw new ApiError(400, `This mentor is on vacation until ${status.onVacationUntil.toISOString().slice(0, 10)}`);
+    }
+
+    const focusAreas = mentor.mentorProfile?.focusAreas || [];
+    if (focusAreas.length > 0) {
+      const accepted = focusAreas.map(area => area.toLowerCase());
+      if (!skills.some(skill => accepted.includes(String(skill).toLowerCase()))) {
+        throw new ApiError(400, `This mentor takes requests for: ${focusAreas.join(', ')}`);
+      }
+    }
+
+    if (status.openSlots > 0) return 'pending';
+    if (status.waitlistEnabled) return 'waitlisted';
+
+    throw new ApiError(400, 'This mentor has no open mentee slots');
+  }
+
+  /**
+   * Move the oldest waitlisted requests of a mentor to pending while the
+   * mentor has open slots, and tell their mentees. Failures are logged, never thrown.
+   * @param {string} mentorId - Mentor ID
+   * @returns {number} - Number of requests moved off the waitlist
+   */
+  static async promoteWaitlist(mentorId) {
+    try {
+      const mentor = await User.findById(mentorId).select('name mentorProfile');
+      if (!mentor) return 0;
+
+      const { openSlots, waitlisted } = await this.getStatus(mentor);
+      if (!openSlots || !waitlisted) return 0;
+
+      const now = new Date();
+      const expiresAt = await Mentorship.getRequestExpiry(now);
+      const candidates = await Mentorship.find({ mentorId, status: 'waitlisted' })
+        .sort('createdAt')
+        .limit(openSlots);
+
+      let promoted = 0;
+      for (const candidate of candidates) {
+        // Skip requests withdrawn or handled since they were read
+        const mentorship = await Mentorship.findOneAndUpdate(
+          { _id: candidate._id, status: 'waitlisted' },
+          {
+            $set: { status: 'pending', expiresAt },
+            $push: { transitions: { from: 'waitlisted', to: 'pending', by: null, reason: 'A slot opened up', at: now } }
+          },
+          { new: true }
+        );
+        if (!mentorship) continue;
+        promoted++;
+
+        const mentee = await User.findById(mentorship.menteeId).select('name email');
+        if (mentee) {
+          await sendMentorshipWaitlistEmail(mentee, mentor).catch(error => {
+            logger.error(`Error sending waitlist email: ${error.message}`);
+          });
+        }
+      }
+
+      if (promoted) {
+        logger.info(`Moved ${promoted} mentorship requests off the waitlist of mentor ${mentorId}`);
+      }
+      return promoted;
+    } catch (error) {
+      logger.error(`Error promoting mentorship waitlist of mentor ${mentorId}: ${error.message}`);
+      return 0;
+    }
+  }
+
+  /**
+   * List mentors with their capacity, optionally only those taking new
+   * mentees and those whose weekly availability overlaps a mentee's
+   * @param {Object} [options] - Filter options
+   * @param {Array} [options.skills] - Mentor skills (any of)
+   * @param {Array} [options.focusAreas] - Focus areas the mentor must accept (any of)
+   * @param {boolean} [options.openOnly] - Only mentors with open slots who aren't on vacation
+   * @param {Object} [options.availability] - Mentee availability to overlap with
+   * @param {number} [options.minOverlap] - Minimum overlapping minutes per week
+   * @param {number} [options.minRating] - Minimum mentor rating
+   * @param {string} [options.sortBy] - 'recent' (last active first) or 'rating' (best rated first)
+   * @param {Object} [options.excludeId] - User to leave out (the mentee)
+   * @param {number} [options.page] - Page number
+   * @param {number} [options.limit] - Mentors per page
+   * @returns {Object} - { mentors, total }
+   */
+  static async findMentors({ skills, focusAreas, openOnly = false, availability, minOverlap = 60, minRating, sortBy = 'recent', excludeId, page = 1, limit = 10 } = {}) {
+    const now = new Date();
+    const filter = { isMentor: true };
+
+    if (excludeId) filter._id = { $ne: excludeId };
+    if (skills?.length) filter.skills = { $in: skills };
+    if (minRating) filter['mentorRating.score'] = { $gte: minRating };
+
+    // Mentors without focus areas take requests for any area
+    if (focusAreas?.length) {
+      filter.$or = [
+        { 'mentorProfile.focusAreas': { $in: anyOf(focusAreas) } },
+        { 'mentorProfile.focusAreas.0': { $exists: false } }
+      ];
+    }
+
+    if (openOnly) {
+      filter['mentorProfile.vacations'] = { $not: { $elemMatch: { start: { $lte: now }, end: { $gte: now } } } };
+    }
+
+    const sort = sortBy === 'rating' ? '-mentorRating.score -mentorRating.count -lastActive' : '-lastActive';
+    const startIndex = (page - 1) * limit;
+    let mentors;
+    let total;
+    let statuses;
+
+    if (!openOnly && !availability) {
+      total = await User.countDocuments(filter);
+      mentors = await User.find(filter)
+        .select(MENTOR_FIELDS)
+        .sort(sort)
+        .skip(startIndex)
+        .limit(limit);
+      statuses = await this.getStatuses(mentors, now);
+    } else {
+      // Capacity and overlap are computed, so filter the candidates before paginating
+      let candidates = await User.find(filter).select(MENTOR_FIELDS).sort(sort);
+      statuses = await this.getStatuses(candidates, now);
+
+      if (openOnly) {
+        candidates = candidates.filter(mentor => statuses.get(String(mentor._id)).openSlots > 0);
+      }
+      if (availability) {
+        const overlaps = new Map(candidates.map(mentor => [
+          String(mentor._id),
+          getOverlapMinutes(availability, mentor.availability, now)
+        ]));
+        candidates = candidates
+          .filter(mentor => overlaps.get(String(mentor._id)) >= minOverlap)
+          .sort((a, b) => overlaps.get(String(b._id)) - overlaps.get(String(a._id)));
+        candidates.forEach(mentor => {
+          statuses.get(String(mentor._id)).overlapMinutes = overlaps.get(String(mentor._id));
+        });
+      }
+
+      total = candidates.length;
+      mentors = candidates.slice(startIndex, startIndex + limit);
+    }
+
+    return {
+      total,
+      mentors: mentors.map(mentor => {
+        const { vacations, ...profile } = mentor.toJSON().mentorProfile || {};
+        return {
+          ...mentor.toJSON(),
+          mentorProfile: profile,
+          capacity: statuses.get(String(mentor._id))
+        };
+      })
+    };
+  }
+}
+
+export default MentorAvailabilityService;
@@ -0,0 +1,173 @@
+import mongoose from 'mongoose';
+import MentorshipFeedback, { FEEDBACK_DIMENSIONS } from '../models/MentorshipFeedback.js';
+import MentorshipGoal from '../models/MentorshipGoal.js';
+import MentorshipSession from '../models/MentorshipSession.js';
+import User from '../models/User.js';
+import Settings from '../models/Settings.js';
+import { ApiError } from '../middleware/errorHandler.js';
+import { logger } from '../utils/logger.js';
+
+const round = (value) => (value === null ? null : Math.round(value * 100) / 100);
+
+/**
+ * Blend an average with the platform average, weighted as if `weight`
+ * platform-average ratings were added. Few ratings stay close to the
+ * platform average; many ratings outweigh it.
+ * @param {number} sum - Sum of the ratings
+ * @param {number} count - Number of ratings
+ * @param {number} mean - Platform average
+ * @param {number} weight - Weight of the platform average
+ * @returns {number|null} - Bayesian average, null without ratings
+ */
+const bayesianAverage = (sum, count, mean, weight) => {
+  if (!count) return null;
+  return round((weight * mean + sum) / (weight + count));
+};
+
+/**
+ * Mentorship Feedback Service - What participants can give feedback on, and
+ * the mentor ratings computed from mentee feedback
+ */
+class MentorshipFeedbackService {
+  /**
+   * Check that a session or milestone can get feedback: it belongs to the
+   * mentorship and is over. Completion feedback needs a completed mentorship.
+   * @param {Object} mentorship - Mentorship document
+   * @param {string} context - session, milestone or completion
+   * @param {string} [refId] - Session or milestone ID
+   * @throws {ApiError} - When there's nothing to give feedback on yet
+   */
+  static async checkContext(mentorship, context, refId) {
+    if (context === 'session') {
+      const session = await MentorshipSession.findOne({ _id: refId, mentorshipId: mentorship._id }).select('status');
+      if (!session) throw new ApiError(404, 'Session not found');
+      if (session.status !== 'done') {
+        throw new ApiError(400, 'Feedback can only be given on sessions that took place');
+      }
+      return;
+    }
+
+    if (context === 'milestone') {
+      const goal = await MentorshipGoal.findOne({ mentorshipId: mentorship._id, 'milestones._id': refId });
+      const milestone = goal?.milestones.id(refId);
+      if (!milestone) throw new ApiError(404, 'Milestone not found');
+      if (!milestone.completedAt) {
+        throw new ApiError(400, 'Feedback can only be given on completed milestones');
+      }
+      return;
+    }
+
+    if (mentorship.status !== 'completed') {
+      throw new ApiError(400, 'Feedback on the whole mentorship can be given once it is completed');
+    }
+  }
+
+  /**
+   * List what a participant can still give feedback on
+   * @param {Object} mentorship - Mentorship document
+   * @param {string} userId - Participant ID
+   * @returns {Array} - { context, refId, title, at }, oldest first
+   */
+  static async getDue(mentorship, userId) {
+    const [sessions, goals, given] = await Promise.all([
+      MentorshipSession.find({ mentorshipId: mentorship._id, status: 'done' }).select('scheduledAt agenda'),
+      MentorshipGoal.find({ mentorshipId: mentorship._id }).select('milestones'),
+      MentorshipFeedback.find({ mentorshipId: mentorship._id, fromId: userId }).select('context refId')
+    ]);
+    const givenKeys = new Set(given.map(feedback => `${feedback.context}:${feedback.refId || ''}`));
+
+    const due = [
+      ...sessions.map(session => ({ context: 'session', refId: session._id, title: session.agenda, at: session.scheduledAt })),
+      ...goals.flatMap(goal => goal.milestones)
+        .filter(milestone => milestone.completedAt)
+        .map(milestone => ({ context: 'milestone', refId: milestone._id, title: milestone.title, at: milestone.completedAt }))
+    ];
+    if (mentorship.status === 'completed') {
+      due.push({ context: 'completion', refId: null, title: null, at: mentorship.endDate });
+    }
+
+    return due
+      .filter(item => !givenKeys.has(`${item.context}:${item.refId || ''}`))
+      .sort((a, b) => new Date(a.at) - new Date(b.at));
+  }
+
+  /**
+   * Recompute the ratings of mentors from the feedback of their mentees.
+   * The platform averages the ratings are blended with are recomputed as well.
+   * @param {Array|null} [mentorIds] - Mentors to update (all rated mentors when null)
+   * @returns {Object} - { updated }
+   */
+  static async updateRatings(mentorIds = null) {
+    const ids = mentorIds && mentorIds.map(id => new mongoose.Types.ObjectId(String(id)));
+    const dimensionAverages = Object.fromEntries(FEEDBACK_DIMENSIONS.map(dimension => [dimension, { $avg: `$scores.${dimension}` }]));
+    const dimensionTotals = Object.fromEntries(FEEDBACK_DIMENSIONS.flatMap(dimension => [
+      [`${dimension}Sum`, { $sum: `$scores.${dimension}` }],
+      [`${dimension}Count`, { $sum: { $cond: [{ $isNumber: `$scores.${dimension}` }, 1, 0] } }]
+    ]));
+
+    const [[platform], rows, weight] = await Promise.all([
+      MentorshipFeedback.aggregate([
+        { $match: { role: 'mentee' } },
+        { $group: { _id: null, rating: { $avg: '$rating' }, ...dimensionAverages } }
+      ]),
+      MentorshipFeedback.aggregate([
+        { $match: { role: 'mentee', ...(ids ? { toId: { $in: ids } } : {}) } },
+        { $group: { _id: '$toId', count: { $sum: 1 }, sum: { $sum: '$rating' }, ...dimensionTotals } }
+      ]),
+      Settings.getValue('mentorRatingPriorWeight', 5)
+    ]);
+
+    // Mentors that were rated before but have no feedback left are reset too
+    const targets = ids || [...new Set([
+      ...rows.map(row => String(row._id)),
+      ...(await User.find({ 'mentorRating.count': { $gt: 0 } }).distinct('_id')).map(String)
+    ])];
+    const byMentor = new Map(rows.map(row => [String(row._id), row]));
+    const now = new Date();
+
+    const operations = targets.map(mentorId => {
+      const row = byMentor.get(String(mentorId));
+      const dimensions = Object.fromEntries(FEEDBACK_DIMENSIONS.map(dimension => [
+        dimension,
+        row ? bayesianAverage(row[`${dimension}Sum`], row[`${dimension}Count`], platform?.[dimension] ?? platform?.rating, weight) : null
+      ]));
+
+      return {
+        updateOne: {
+          filter: { _id: mentorId },
+          update: {
+            $set: {
+              mentorRating: {
+                score: row ? bayesianAverage(row.sum, row.count, platform.rating, weight) : null,
+                average: row ? round(row.sum / row.count) : null,
+                count: row ? row.count : 0,
+                dimensions,
+                updatedAt: now
+              }
+            }
+          }
+        }
+      };
+    });
+
+    if (operations.length) {
+      await User.bulkWrite(operations);
+    }
+
+    return { updated: operations.length };
+  }
+
+  /**
+   * Update the rating of one mentor. Failures are logged, never thrown.
+   * @param {string} mentorId - Mentor ID
+   */
+  static async updateMentorRating(mentorId) {
+    try {
+      await this.updateRatings([mentorId]);
+    } catch (error) {
+      logger.error(`Error updating rating of mentor ${mentorId}: ${error.message}`);
+    }
+  }
+}
+
+export default MentorshipFeedbackService;
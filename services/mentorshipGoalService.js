@@ -0,0 +1,223 @@
+import MentorshipGoal from '../models/MentorshipGoal.js';
+import MentorshipSession from '../models/MentorshipSession.js';
+import Contribution from '../models/Contribution.js';
+import Project from '../models/Project.js';
+import UserBadge from '../models/UserBadge.js';
+import User from '../models/User.js';
+import { ApiError } from '../middleware/errorHandler.js';
+import { sendMentorshipGoalsCompletedEmail } from '../utils/email.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Mentorship Goal Service - Progress roll-up, evidence checks, completion
+ * eligibility and the timeline of a mentorship
+ */
+class MentorshipGoalService {
+  /**
+   * Roll up the progress of a mentorship's goals
+   * @param {Array} goals - Goal documents of one mentorship
+   * @param {Date} [date] - Moment to find overdue milestones at
+   * @returns {Object} - { goals, milestones, completedMilestones, overdueMilestones, percentComplete, eligibleForCompletion }
+   */
+  static getProgress(goals, date = new Date()) {
+    const milestones = goals.flatMap(goal => goal.milestones);
+    const completed = milestones.filter(milestone => milestone.completedAt).length;
+
+    return {
+      goals: goals.length,
+      milestones: milestones.length,
+      completedMilestones: completed,
+      overdueMilestones: milestones.filter(milestone => !milestone.completedAt && milestone.targetDate && milestone.targetDate < date).length,
+      percentComplete: milestones.length ? Math.round((completed / milestones.length) * 100) : 0,
+      eligibleForCompletion: milestones.length > 0 && completed === milestones.length
+    };
+  }
+
+  /**
+   * Get the progress of a mentorship
+   * @param {string} mentorshipId - Mentorship ID
+   * @returns {Object} - See getProgress
+   */
+  static async getMentorshipProgress(mentorshipId) {
+    const goals = await MentorshipGoal.find({ mentorshipId });
+    return this.getProgress(goals);
+  }
+
+  /**
+   * Record on the mentorship whether all its milestones are complete, and
+   * tell both participants when that happens
+   * @param {Object} mentorship - Mentorship document
+   * @returns {Object} - Progress of the mentorship
+   */
+  static async syncCompletion(mentorship) {
+    const progress = await this.getMentorshipProgress(mentorship._id);
+    const wasComplete = Boolean(mentorship.goalsCompletedAt);
+
+    if (progress.eligibleForCompletion === wasComplete) return progress;
+
+    mentorship.goalsCompletedAt = progress.eligibleForCompletion ? new Date() : undefined;
+    await mentorship.save();
+
+    if (progress.eligibleForCompletion) {
+      try {
+        const participants = await User.find({ _id: { $in: [mentorship.mentorId, mentorship.menteeId] } }).select('name email');
+        for (const user of participants) {
+          await sendMentorshipGoalsCompletedEmail(user, mentorship, progress);
+        }
+      } catch (error) {
+        logger.error(`Error sending mentorship goals email: ${error.message}`);
+      }
+    }
+
+    return progress;
+  }
+
+  /**
+   * Refuse to complete a mentorship while some of its milestones are open.
+   * Mentorships without milestones can always be completed.
+   * @param {Object} mentorship - Mentorship document
+   * @throws {ApiError} - When milestones are still open
+   */
+  static async assertCanComplete(mentorship) {
+    const progress = await this.getMentorshipProgress(mentorship._id);
+
+    if (progress.milestones > 0 && !progress.eligibleForCompletion) {
+      throw new ApiError(400, `Complete all milestones before completing the mentorship (${progress.completedMilestones} of ${progress.milestones} done)`);
+    }
+  }
+
+  /**
+   * Check that a piece of evidence exists and is the mentee's work
+   * @param {Object} mentorship - Mentorship document
+   * @param {string} type - Evidence type (contribution, project or badge)
+   * @param {string} refId - ID of the linked item
+   * @returns {string} - Title of the linked item
+   * @throws {ApiError} - When the item doesn't exist or isn't the mentee's
+   */
+  static async resolveEvidence(mentorship, type, refId) {
+    const menteeId = String(mentorship.menteeId);
+
+    if (type === 'contribution') {
+      const contribution = await Contribution.findById(refId).select('title userId');
+      if (!contribution) throw new ApiError(404, 'Contribution not found');
+      if (String(contribution.userId) !== menteeId) {
+        throw new ApiError(400, 'Only contributions of the mentee can be linked');
+      }
+      return contribution.title;
+    }
+
+    if (type === 'project') {
+      const project = await Project.findById(refId).select('title creatorId members');
+      if (!project) throw new ApiError(404, 'Project not found');
+      if (!project.getMemberRole(menteeId) && !await Contribution.exists({ projectId: project._id, userId: menteeId })) {
+        throw new ApiError(400, 'Only projects the mentee works on can be linked');
+      }
+      return project.title;
+    }
+
+    const award = await UserBadge.findOne({ userId: menteeId, badgeId: refId, status: 'active' }).populate('badgeId', 'title');
+    if (!award) throw new ApiError(400, 'Only badges the mentee holds can be linked');
+    return award.badgeId?.title;
+  }
+
+  /**
+   * Build the timeline of a mentorship: the request, status changes, goals,
+   * milestones, evidence and sessions, oldest first
+   * @param {Object} mentorship - Mentorship document
+   * @returns {Array} - Timeline entries { type, at, ... }
+   */
+  static async getTimeline(mentorship) {
+    const [goals, sessions] = await Promise.all([
+      MentorshipGoal.find({ mentorshipId: mentorship._id }),
+      MentorshipSession.find({ mentorshipId: mentorship._id, status: { $in: ['confirmed', 'done', 'missed'] } })
+    ]);
+    const now = new Date();
+
+    const entries = [{ type: 'mentorship.requested', at: mentorship.createdAt }];
+
+    // The first transition is the request itself
+    for (const transition of mentorship.transitions.filter(entry => entry.from)) {
+      entries.push({
+        type: `mentorship.${transition.to}`,
+        at: transition.at,
+        from: transition.from,
+        by: transition.by,
+        reason: transition.reason
+      });
+    }
+
+    for (const goal of goals) {
+      entries.push({ type: 'goal.created', at: goal.createdAt, goalId: goal._id, title: goal.title });
+
+      for (const milestone of goal.milestones) {
+        const ref = { goalId: goal._id, milestoneId: milestone._id, title: milestone.title };
+
+        if (milestone.completedAt) {
+          entries.push({ type: 'milestone.completed', at: milestone.completedAt, ...ref, by: milestone.completedBy });
+        } else if (milestone.targetDate) {
+          entries.push({ type: milestone.targetDate < now ? 'milestone.overdue' : 'milestone.due', at: milestone.targetDate, ...ref });
+        }
+
+        for (const evidence of milestone.evidence) {
+          entries.push({
+            type: 'evidence.added',
+            at: evidence.addedAt,
+            ...ref,
+            evidence: { type: evidence.type, refId: evidence.refId, title: evidence.title },
+            by: evidence.addedBy
+          });
+        }
+      }
+    }
+
+    for (const session of sessions) {
+      entries.push({ type: `session.${session.status}`, at: session.scheduledAt, sessionId: session._id, agenda: session.agenda });
+    }
+
+    if (mentorship.goalsCompletedAt) {
+      entries.push({ type: 'mentorship.goals_completed', at: mentorship.goalsCompletedAt });
+    }
+    // Mentorships completed before transitions were recorded
+    if (mentorship.status === 'completed' && mentorship.endDate && !mentorship.transitions.some(entry => entry.to === 'completed')) {
+      entries.push({ type: 'mentorship.completed', at: mentorship.endDate });
+    }
+
+    return entries.sort((a, b) => new Date(a.at) - new Date(b.at));
+  }
+
+  /**
+   * Build the completion certificate of a completed mentorship
+   * @param {Object} mentorship - Completed mentorship document
+   * @returns {Object} - Certificate data
+   */
+  static async getCertificate(mentorship) {
+    const [goals, participants, sessionsHeld] = await Promise.all([
+      MentorshipGoal.find({ mentorshipId: mentorship._id }).sort('createdAt'),
+      User.find({ _id: { $in: [mentorship.mentorId, mentorship.menteeId] } }).select('name'),
+      MentorshipSession.countDocuments({ mentorshipId: mentorship._id, status: 'done' })
+    ]);
+    const nameOf = (id) => participants.find(user => user._id.equals(id))?.name;
+
+    return {
+      mentorshipId: mentorship._id,
+      mentor: { id: mentorship.mentorId, name: nameOf(mentorship.mentorId) },
+      mentee: { id: mentorship.menteeId, name: nameOf(mentorship.menteeId) },
+      startDate: mentorship.startDate,
+      endDate: mentorship.endDate,
+      skills: mentorship.skills,
+      sessionsHeld,
+      goals: goals.map(goal => ({
+        title: goal.title,
+        milestones: goal.milestones.map(milestone => ({
+          title: milestone.title,
+          completedAt: milestone.completedAt,
+          evidence: milestone.evidence.map(evidence => ({ type: evidence.type, refId: evidence.refId, title: evidence.title }))
+        }))
+      })),
+      goalsCompleted: Boolean(mentorship.goalsCompletedAt),
+      issuedAt: new Date()
+    };
+  }
+}
+
+export default MentorshipGoalService;
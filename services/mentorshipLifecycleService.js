@@ -0,0 +1,176 @@
+import Mentorship, { OPEN_MENTORSHIP_STATUSES } from '../models/Mentorship.js';
+import User from '../models/User.js';
+import Settings from '../models/Settings.js';
+import PointsLedgerService from './pointsLedgerService.js';
+import MentorAvailabilityService from './mentorAvailabilityService.js';
+import MentorshipSessionService from './mentorshipSessionService.js';
+import { ApiError } from '../middleware/errorHandler.js';
+import { publish } from '../utils/eventBus.js';
+import { sendMentorshipStatusEmail } from '../utils/email.js';
+import { logger } from '../utils/logger.js';
+
+// Statuses a mentorship ends in
+const FINAL_STATUSES = ['completed', 'rejected', 'expired', 'cancelled'];
+
+// Email subject and message for each status a mentorship moves to
+const STATUS_EMAILS = {
+  waitlisted: ['Mentorship request waitlisted', 'The mentorship request is on the mentor\'s waitlist until a slot opens.'],
+  pending: ['New mentorship request', 'A mentorship request is waiting for the mentor\'s answer.'],
+  active: ['Mentorship started', 'The mentorship is now active.'],
+  paused: ['Mentorship paused', 'The mentorship has been paused.'],
+  completed: ['Mentorship completed', 'The mentorship is complete. Congratulations!'],
+  rejected: ['Mentorship request declined', 'The mentor declined the mentorship request.'],
+  expired: ['Mentorship request expired', 'The mentorship request expired without an answer from the mentor.'],
+  cancelled: ['Mentorship cancelled', 'The mentorship has been cancelled.']
+};
+
+/**
+ * Mentorship Lifecycle Service - The mentorship state machine: checked
+ * transitions with history, their side effects and notifications, request
+ * expiry and automatic completion
+ */
+class MentorshipLifecycleService {
+  /**
+   * Move a mentorship to a new status. Only transitions in
+   * MENTORSHIP_TRANSITIONS are allowed; each one is recorded.
+   * @param {Object} mentorship - Mentorship document
+   * @param {string} to - New status
+   * @param {Object} [options] - Transition options
+   * @param {string} [options.by] - User making the change (none for automatic transitions)
+   * @param {string} [options.reason] - Reason for the change
+   * @returns {Object} - The saved mentorship
+   * @throws {ApiError} - When the transition isn't allowed
+   */
+  static async transition(mentorship, to, { by = null, reason } = {}) {
+    const from = mentorship.status;
+    if (!mentorship.canTransitionTo(to)) {
+      throw new ApiError(400, `A ${from} mentorship cannot become ${to}`);
+    }
+
+    const now = new Date();
+    mentorship.status = to;
+    mentorship.transitions.push({ from, to, by, reason, at: now });
+    if (by) mentorship.lastInteraction = now;
+
+    if (to === 'pending') {
+      mentorship.expiresAt = await Mentorship.getRequestExpiry(now);
+    } else if (from === 'pending') {
+      mentorship.expiresAt = undefined;
+    }
+
+    // The mentorship starts when accepted and runs for its planned duration
+    if (from === 'pending' && to === 'active') {
+      mentorship.startDate = now;
+      if (mentorship.durationWeeks) {
+        mentorship.endDate = new Date(now.getTime() + mentorship.durationWeeks * 7 * 24 * 60 * 60 * 1000);
+      }
+    }
+
+    // Keep a planned end date that has passed, otherwise the mentorship ends now
+    if (FINAL_STATUSES.includes(to) && !(mentorship.endDate && mentorship.endDate <= now)) {
+      mentorship.endDate = now;
+    }
+
+    await mentorship.save();
+
+    logger.info(`Mentorship ${mentorship._id} moved from ${from} to ${to}${by ? ` by ${by}` : ''}`);
+
+    if (from === 'pending' && to === 'active') {
+      publish('mentorship.accepted', { mentorshipId: mentorship._id, mentorId: mentorship.mentorId, menteeId: mentorship.menteeId });
+    }
+    if (to === 'completed') {
+      await PointsLedgerService.recordMentorshipCompletion(mentorship, by);
+      publish('mentorship.completed', { mentorshipId: mentorship._id, mentorId: mentorship.mentorId, menteeId: mentorship.menteeId });
+    }
+
+    // Sessions of an ended mentorship won't take place
+    if (FINAL_STATUSES.includes(to)) {
+      await MentorshipSessionService.cancelOpenSessions(mentorship, { by, reason: `The mentorship was ${to}` });
+    }
+
+    // A freed slot may let a waitlisted mentee through
+    if (OPEN_MENTORSHIP_STATUSES.includes(from) && !OPEN_MENTORSHIP_STATUSES.includes(to)) {
+      await MentorAvailabilityService.promoteWaitlist(mentorship.mentorId);
+    }
+
+    await this.notify(mentorship, { by, reason });
+
+    return mentorship;
+  }
+
+  /**
+   * Email the participants about the current status of a mentorship, except
+   * the one who changed it. Failures are logged, never thrown.
+   * @param {Object} mentorship - Mentorship document
+   * @param {Object} [details] - Change details
+   * @param {string} [details.by] - User who made the change
+   * @param {string} [details.reason] - Reason for the change
+   */
+  static async notify(mentorship, { by = null, reason } = {}) {
+    try {
+      const [subject, message] = STATUS_EMAILS[mentorship.status];
+      const recipients = [mentorship.mentorId, mentorship.menteeId].filter(id => !by || String(id) !== String(by));
+      const users = await User.find({ _id: { $in: recipients } }).select('name email');
+
+      for (const user of users) {
+        await sendMentorshipStatusEmail(user, { subject, message, reason });
+      }
+    } catch (error) {
+      logger.error(`Error sending mentorship status email: ${error.message}`);
+    }
+  }
+
+  /**
+   * Expire pending requests the mentor didn't answer in time
+   * @returns {Object} - { expired }
+   */
+  static async expireRequests() {
+    const now = new Date();
+    const days = await Settings.getValue('mentorshipRequestExpiryDays', 14);
+    const cutoff = new Date(now.getTime() - days * 24 * 60 * 60 * 1000);
+
+    // Requests made before expiry dates were recorded expire by their age
+    const requests = await Mentorship.find({
+      status: 'pending',
+      $or: [
+        { expiresAt: { $lte: now } },
+        { expiresAt: null, createdAt: { $lte: cutoff } }
+      ]
+    });
+
+    let expired = 0;
+    for (const mentorship of requests) {
+      try {
+        await this.transition(mentorship, 'expired', { reason: `No answer within ${days} days` });
+        expired++;
+      } catch (error) {
+        logger.error(`Error expiring mentorship request ${mentorship._id}: ${error.message}`);
+      }
+    }
+
+    return { expired };
+  }
+
+  /**
+   * Complete active and paused mentorships whose planned end date has
+   * passed; pausing doesn't move the end date
+   * @returns {Object} - { completed }
+   */
+  static async completeEnded() {
+    const mentorships = await Mentorship.find({ status: { $in: ['active', 'paused'] }, endDate: { $lte: new Date() } });
+
+    let completed = 0;
+    for (const mentorship of mentorships) {
+      try {
+        await this.transition(mentorship, 'completed', { reason: 'Reached its planned end date' });
+        completed++;
+      } catch (error) {
+        logger.error(`Error completing mentorship ${mentorship._id}: ${error.message}`);
+      }
+    }
+
+    return { completed };
+  }
+}
+
+export default MentorshipLifecycleService;
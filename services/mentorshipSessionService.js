@@ -0,0 +1,249 @@
+import crypto from 'crypto';
+import config from '../config/index.js';
+import Mentorship from '../models/Mentorship.js';
+import MentorshipSession from '../models/MentorshipSession.js';
+import User from '../models/User.js';
+import Settings from '../models/Settings.js';
+import { buildCalendar } from '../utils/icalendar.js';
+import { sendMentorshipSessionEmail } from '../utils/email.js';
+import { logger } from '../utils/logger.js';
+
+// Event status of a session in calendar apps
+const CALENDAR_STATUS = {
+  proposed: 'TENTATIVE',
+  confirmed: 'CONFIRMED',
+  done: 'CONFIRMED',
+  missed: 'CONFIRMED',
+  cancelled: 'CANCELLED'
+};
+
+// Sessions that haven't taken place or been cancelled yet
+const OPEN_SESSION_STATUSES = ['proposed', 'confirmed'];
+
+/**
+ * Mentorship Session Service - Calendar output, email notifications,
+ * reminders and attendance statistics for mentorship sessions
+ */
+class MentorshipSessionService {
+  /**
+   * Get a user's side of a mentorship
+   * @param {Object} mentorship - Mentorship document
+   * @param {string} userId - User ID
+   * @returns {string|null} - 'mentor', 'mentee', or null if the user isn't a participant
+   */
+  static getRole(mentorship, userId) {
+    const id = String(userId);
+    if (String(mentorship.mentorId?._id || mentorship.mentorId) === id) return 'mentor';
+    if (String(mentorship.menteeId?._id || mentorship.menteeId) === id) return 'mentee';
+    return null;
+  }
+
+  /**
+   * Load the mentor and mentee of a mentorship
+   * @param {Object} mentorship - Mentorship document
+   * @returns {Object} - { mentor, mentee } with name and email
+   */
+  static async getParticipants(mentorship) {
+    const [mentor, mentee] = await Promise.all([
+      User.findById(mentorship.mentorId?._id || mentorship.mentorId).select('name email'),
+      User.findById(mentorship.menteeId?._id || mentorship.menteeId).select('name email')
+    ]);
+
+    return { mentor, mentee };
+  }
+
+  /**
+   * Build the calendar of a mentorship's sessions
+   * @param {Object} mentorship - Mentorship document
+   * @param {Array} sessions - Session documents
+   * @param {Object} [options] - Options
+   * @param {string} [options.method] - iTIP method for email invitations (REQUEST or CANCEL)
+   * @returns {string} - iCalendar text
+   */
+  static async buildCalendar(mentorship, sessions, { method } = {}) {
+    const { mentor, mentee } = await this.getParticipants(mentorship);
+    const host = new URL(config.serverUrl).hostname;
+    // Sessions of a mentorship that has ended no longer take place
+    const ended = !['active', 'paused'].includes(mentorship.status);
+
+    return buildCalendar({
+      name: `Mentorship: ${mentor?.name} & ${mentee?.name}`,
+      method,
+      events: sessions.map(session => ({
+        uid: `mentorship-session-${session._id}@${host}`,
+        start: session.scheduledAt,
+        end: session.endsAt,
+        summary: `Mentorship session: ${mentor?.name} & ${mentee?.name}`,
+        description: session.agenda,
+        url: session.meetingUrl,
+        status: CALENDAR_STATUS[ended && OPEN_SESSION_STATUSES.includes(session.status) ? 'cancelled' : session.status],
+        sequence: session.sequence,
+        organizer: mentor && { name: mentor.name, email: mentor.email },
+        attendees: mentee ? [{ name: mentee.name, email: mentee.email }] : []
+      }))
+    });
+  }
+
+  /**
+   * Email participants about a session, with the session as a calendar attachment.
+   * Failures are logged, never thrown.
+   * @param {Object} session - Session document
+   * @param {Object} mentorship - Mentorship document
+   * @param {Object} details - Notification details
+   * @param {Array} details.roles - Sides to notify ('mentor', 'mentee')
+   * @param {string} details.subject - Email subject
+   * @param {string} details.message - What happened to the session
+   */
+  static async notify(session, mentorship, { roles, subject, message }) {
+    try {
+      const participants = await this.getParticipants(mentorship);
+      const calendar = await this.buildCalendar(mentorship, [session], {
+        method: session.status === 'cancelled' ? 'CANCEL' : 'REQUEST'
+      });
+
+      for (const role of roles) {
+        const user = participants[role];
+        if (user) {
+          await sendMentorshipSessionEmail(user, session, { subject, message, calendar });
+        }
+      }
+    } catch (error) {
+      logger.error(`Error sending mentorship session email: ${error.message}`);
+    }
+  }
+
+  /**
+   * Cancel the sessions of a mentorship that haven't taken place, and send
+   * both participants the cancellations for their calendars
+   * @param {Object} mentorship - Mentorship document
+   * @param {Object} [details] - Cancellation details
+   * @param {string} [details.by] - User who ended the mentorship (none when automatic)
+   * @param {string} [details.reason] - Why the sessions are cancelled
+   * @returns {number} - Number of sessions cancelled
+   */
+  static async cancelOpenSessions(mentorship, { by = null, reason } = {}) {
+    const sessions = await MentorshipSession.find({ mentorshipId: mentorship._id, status: { $in: OPEN_SESSION_STATUSES } });
+    const now = new Date();
+
+    for (const session of sessions) {
+      session.status = 'cancelled';
+      session.cancelledBy = by;
+      session.cancelledAt = now;
+      session.cancellationReason = reason;
+      await session.save();
+
+      await this.notify(session, mentorship, {
+        roles: ['mentor', 'mentee'],
+        subject: 'Mentorship session cancelled',
+        message: `Your mentorship session was cancelled${reason ? `: ${reason}` : '.'}`
+      });
+    }
+
+    return sessions.length;
+  }
+
+  /**
+   * Get the token that opens a participant's calendar feed of a mentorship.
+   * Calendar apps can't send auth headers, so the feed URL carries it.
+   * @param {string} mentorshipId - Mentorship ID
+   * @param {string} userId - Participant ID
+   * @returns {string} - Feed token
+   */
+  static getFeedToken(mentorshipId, userId) {
+    const signature = crypto.createHmac('sha256', config.jwtSecret)
+      .update(`mentorship-calendar:${mentorshipId}:${userId}`)
+      .digest('base64url');
+
+    return `${userId}.${signature}`;
+  }
+
+  /**
+   * Check a calendar feed token
+   * @param {string} mentorshipId - Mentorship ID
+   * @param {string} token - Feed token
+   * @returns {string|null} - ID of the participant the token was issued to, or null if invalid
+   */
+  static verifyFeedToken(mentorshipId, token) {
+    const [userId] = String(token || '').split('.');
+    if (!userId) return null;
+
+    const expected = Buffer.from(this.getFeedToken(mentorshipId, userId));
+    const actual = Buffer.from(String(token));
+
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual) ? userId : null;
+  }
+
+  /**
+   * Email both participants of confirmed sessions starting within the
+   * `mentorshipSessionReminderHours` setting. Each session is reminded once;
+   * sessions of mentorships that aren't active are skipped.
+   * @returns {Object} - { sent }
+   */
+  static async sendReminders() {
+    const hours = await Settings.getValue('mentorshipSessionReminderHours', 24);
+    const now = new Date();
+    const until = new Date(now.getTime() + hours * 60 * 60 * 1000);
+
+    let sent = 0;
+    let session;
+
+    // Claim sessions one at a time so concurrent runs never remind twice
+    while ((session = await MentorshipSession.findOneAndUpdate(
+      { status: 'confirmed', reminderSentAt: null, scheduledAt: { $gt: now, $lte: until } },
+      { $set: { reminderSentAt: now } },
+      { new: true, sort: { scheduledAt: 1 } }
+    ))) {
+      const mentorship = await Mentorship.findById(session.mentorshipId);
+      if (mentorship?.status !== 'active') continue;
+
+      await this.notify(session, mentorship, {
+        roles: ['mentor', 'mentee'],
+        subject: 'Reminder: upcoming mentorship session',
+        message: 'This is a reminder of your upcoming mentorship session.'
+      });
+      sent++;
+    }
+
+    if (sent) {
+      logger.info(`Sent ${sent} mentorship session reminders`);
+    }
+    return { sent };
+  }
+
+  /**
+   * Summarize sessions and attendance
+   * @param {Object} [filter] - Session filter (e.g. { mentorshipId })
+   * @returns {Object} - { total, byStatus, attendanceRate, averageDurationMinutes, upcoming }
+   */
+  static async getAttendanceStats(filter = {}) {
+    const [byStatusRows, upcoming] = await Promise.all([
+      MentorshipSession.aggregate([
+        { $match: filter },
+        { $group: { _id: '$status', count: { $sum: 1 }, minutes: { $sum: '$duration' } } }
+      ]),
+      MentorshipSession.countDocuments({ ...filter, status: 'confirmed', scheduledAt: { $gt: new Date() } })
+    ]);
+
+    const byStatus = {};
+    let total = 0;
+    byStatusRows.forEach(row => {
+      byStatus[row._id] = row.count;
+      total += row.count;
+    });
+
+    const done = byStatusRows.find(row => row._id === 'done');
+    const held = done?.count || 0;
+    const missed = byStatus.missed || 0;
+
+    return {
+      total,
+      byStatus,
+      // Share of sessions that were due and took place
+      attendanceRate: held + missed > 0 ? Math.round((held / (held + missed)) * 100) / 100 : null,
+      averageDurationMinutes: held > 0 ? Math.round(done.minutes / held) : 0,
+      upcoming
+    };
+  }
+}
+
+export default MentorshipSessionService;
@@ -0,0 +1,306 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import config from '../config/index.js';
+import Badge from '../models/Badge.js';
+import User from '../models/User.js';
+import UserBadge from '../models/UserBadge.js';
+import { ApiError } from '../middleware/errorHandler.js';
+import { logger } from '../utils/logger.js';
+
+const CONTEXT = 'https://w3id.org/openbadges/v2';
+
+let signingKeys = null;
+
+// The issuer's RSA key pair. Without a configured key a temporary one is
+// generated in development, so signatures stop verifying after a restart.
+const getSigningKeys = () => {
+  if (!signingKeys) {
+    let privateKey;
+
+    if (config.openBadges.privateKey) {
+      privateKey = crypto.createPrivateKey(config.openBadges.privateKey.replace(/\\n/g, '\n'));
+    } else {
+      logger.warn('No Open Badges signing key configured. Using a temporary key; signed assertions will not verify after a restart.');
+      privateKey = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }).privateKey;
+    }
+
+    signingKeys = {
+      privateKey,
+      publicKeyPem: crypto.createPublicKey(privateKey).export({ type: 'spki', format: 'pem' })
+    };
+  }
+
+  return signingKeys;
+};
+
+// Assertions signed with a temporary key can't be verified for long; refuse to
+// start without a configured key (and check it parses) in production
+if (config.env === 'production') {
+  if (!config.openBadges.privateKey) {
+    throw new Error('OPEN_BADGES_PRIVATE_KEY must be set in production');
+  }
+  getSigningKeys();
+}
+
+// Badge icons are stored as paths served by the frontend
+const absoluteUrl = (url) => (/^https?:\/\//.test(url) ? url : `${config.frontendUrl}${url.startsWith('/') ? '' : '/'}${url}`);
+
+/**
+ * Open Badges Service - Publishes badge awards as Open Badges 2.0 assertions
+ * that other platforms (LinkedIn, Badgr, portfolios) can import and verify
+ */
+class OpenBadgesService {
+  /**
+   * Base URL of the public credential endpoints
+   * @returns {string} - URL
+   */
+  static getBaseUrl() {
+    return `${config.serverUrl}/api/v1/credentials`;
+  }
+
+  /**
+   * Get the public URL of an award's assertion
+   * @param {string} awardId - UserBadge ID
+   * @returns {string} - URL
+   */
+  static getAssertionUrl(awardId) {
+    return `${this.getBaseUrl()}/assertions/${awardId}`;
+  }
+
+  /**
+   * Get the award ID of an assertion URL issued by this platform
+   * @param {string} url - Assertion URL
+   * @returns {string|null} - UserBadge ID, or null for other URLs
+   */
+  static getAwardIdFromUrl(url) {
+    const prefix = `${this.getBaseUrl()}/assertions/`;
+    if (typeof url !== 'string' || !url.startsWith(prefix)) return null;
+
+    const awardId = url.slice(prefix.length).split(/[/?#]/)[0];
+    return mongoose.Types.ObjectId.isValid(awardId) ? awardId : null;
+  }
+
+  /**
+   * Build the issuer profile
+   * @returns {Object} - Open Badges Profile
+   */
+  static buildIssuer() {
+    const baseUrl = this.getBaseUrl();
+
+    return {
+      '@context': CONTEXT,
+      type: 'Issuer',
+      id: `${baseUrl}/issuer`,
+      name: config.openBadges.issuerName,
+      url: config.frontendUrl,
+      ...(config.openBadges.issuerEmail && { email: config.openBadges.issuerEmail }),
+      publicKey: `${baseUrl}/issuer/key`,
+      revocationList: `${baseUrl}/issuer/revocations`
+    };
+  }
+
+  /**
+   * Build the public key used to check signed assertions
+   * @returns {Object} - Open Badges CryptographicKey
+   */
+  static buildPublicKey() {
+    const baseUrl = this.getBaseUrl();
+
+    return {
+      '@context': CONTEXT,
+      type: 'CryptographicKey',
+      id: `${baseUrl}/issuer/key`,
+      owner: `${baseUrl}/issuer`,
+      publicKeyPem: getSigningKeys().publicKeyPem
+    };
+  }
+
+  /**
+   * Build the badge class of a badge
+   * @param {Object} badge - Badge document
+   * @returns {Object} - Open Badges BadgeClass
+   */
+  static buildBadgeClass(badge) {
+    const baseUrl = this.getBaseUrl();
+
+    return {
+      '@context': CONTEXT,
+      type: 'BadgeClass',
+      id: `${baseUrl}/badges/${badge._id}`,
+      name: badge.title,
+      description: badge.description,
+      image: absoluteUrl(badge.iconUrl),
+      criteria: { narrative: badge.description },
+      issuer: `${baseUrl}/issuer`,
+      tags: [badge.rarity, badge.series, badge.tierName].filter(Boolean)
+    };
+  }
+
+  /**
+   * Build the assertion of an award. The recipient is the user's email,
+   * hashed with the award ID as salt.
+   * @param {Object} award - UserBadge document
+   * @param {Object} user - User with email
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.signed] - Build the variant embedded in a signed assertion
+   * @returns {Object} - Open Badges Assertion
+   */
+  static buildAssertion(award, user, { signed = false } = {}) {
+    const baseUrl = this.getBaseUrl();
+    const salt = award._id.toString();
+    const identity = crypto.createHash('sha256').update(`${user.email.toLowerCase()}${salt}`).digest('hex');
+
+    return {
+      '@context': CONTEXT,
+      type: 'Assertion',
+      id: this.getAssertionUrl(award._id),
+      recipient: {
+        type: 'email',
+        hashed: true,
+        salt,
+        identity: `sha256$${identity}`
+      },
+      badge: `${baseUrl}/badges/${award.badgeId._id || award.badgeId}`,
+      issuedOn: new Date(award.awardedAt).toISOString(),
+      ...(award.reason && { narrative: award.reason }),
+      verification: signed
+        ? { type: 'SignedBadge', creator: `${baseUrl}/issuer/key` }
+        : { type: 'HostedBadge' }
+    };
+  }
+
+  /**
+   * Sign the assertion of an award (JWS, RS256)
+   * @param {Object} award - UserBadge document
+   * @param {Object} user - User with email
+   * @returns {string} - Signed assertion
+   */
+  static signAssertion(award, user) {
+    return jwt.sign(this.buildAssertion(award, user, { signed: true }), getSigningKeys().privateKey, {
+      algorithm: 'RS256',
+      noTimestamp: true
+    });
+  }
+
+  /**
+   * Get an award with its recipient for publishing
+   * @param {string} awardId - UserBadge ID
+   * @returns {Object} - { award, user }
+   */
+  static async getAward(awardId) {
+    const award = mongoose.Types.ObjectId.isValid(awardId) ? await UserBadge.findById(awardId) : null;
+    const user = award && await User.findById(award.userId).select('name email');
+
+    if (!award || !user) {
+      throw new ApiError(404, 'Assertion not found');
+    }
+
+    return { award, user };
+  }
+
+  /**
+   * Export a user's current awards with their hosted and signed assertions
+   * @param {string} userId - User ID
+   * @returns {Array} - { awardId, badge, assertionUrl, assertion, signedAssertion } per award
+   */
+  static async exportUserBadges(userId) {
+    const user = await User.findById(userId).select('name email');
+    const awards = await UserBadge.find({ userId, status: 'active' }).populate('badgeId').sort({ awardedAt: -1 });
+
+    return awards
+      .filter(award => award.badgeId)
+      .map(award => ({
+        awardId: award._id,
+        badge: this.buildBadgeClass(award.badgeId),
+        assertionUrl: this.getAssertionUrl(award._id),
+        assertion: this.buildAssertion(award, user),
+        signedAssertion: this.signAssertion(award, user)
+      }));
+  }
+
+  /**
+   * Get the revoked assertions of this issuer
+   * @returns {Object} - Open Badges RevocationList
+   */
+  static async buildRevocationList() {
+    const baseUrl = this.getBaseUrl();
+    const revoked = await UserBadge.find({ status: 'revoked' }).select('revocationReason').lean();
+
+    return {
+      '@context': CONTEXT,
+      type: 'RevocationList',
+      id: `${baseUrl}/issuer/revocations`,
+      issuer: `${baseUrl}/issuer`,
+      revokedAssertions: revoked.map(award => ({
+        id: this.getAssertionUrl(award._id),
+        ...(award.revocationReason && { revocationReason: award.revocationReason })
+      }))
+    };
+  }
+
+  /**
+   * Check that an assertion was issued by this platform and is still valid.
+   * Accepts a signed assertion (JWS), or the URL or ID of a hosted one.
+   * @param {string} input - Signed assertion, assertion URL or award ID
+   * @param {Object} [options] - Options
+   * @param {string} [options.email] - Recipient email to check the assertion against
+   * @returns {Object} - { valid, revoked, reason, assertion, badge, recipientMatches }
+   */
+  static async verify(input, { email } = {}) {
+    const invalid = (reason) => ({ valid: false, revoked: false, reason });
+    let awardId;
+    let signedAssertion = null;
+
+    if (input.split('.').length === 3) {
+      try {
+        signedAssertion = jwt.verify(input, getSigningKeys().publicKeyPem, { algorithms: ['RS256'] });
+      } catch (error) {
+        return invalid(`Signature check failed: ${error.message}`);
+      }
+      awardId = this.getAwardIdFromUrl(signedAssertion.id);
+    } else {
+      awardId = mongoose.Types.ObjectId.isValid(input) ? input : this.getAwardIdFromUrl(input);
+    }
+
+    if (!awardId) {
+      return invalid('Not an assertion issued by this platform');
+    }
+
+    const award = await UserBadge.findById(awardId);
+    const [badge, user] = award
+      ? await Promise.all([Badge.findById(award.badgeId), User.findById(award.userId).select('email')])
+      : [];
+
+    if (!award || !badge || !user) {
+      return invalid('Assertion not found');
+    }
+
+    const assertion = this.buildAssertion(award, user);
+
+    // A signed assertion must describe the award it points to
+    if (signedAssertion && (signedAssertion.badge !== assertion.badge ||
+        signedAssertion.recipient?.identity !== assertion.recipient.identity ||
+        signedAssertion.issuedOn !== assertion.issuedOn)) {
+      return invalid('Signed assertion does not match the issued award');
+    }
+
+    const recipientMatches = email
+      ? crypto.createHash('sha256').update(`${email.toLowerCase()}${assertion.recipient.salt}`).digest('hex') === assertion.recipient.identity.slice('sha256$'.length)
+      : undefined;
+
+    const revoked = award.status === 'revoked';
+
+    return {
+      valid: !revoked,
+      revoked,
+      reason: revoked ? award.revocationReason || 'Revoked by the issuer' : null,
+      ...(revoked && { revokedAt: award.revokedAt }),
+      assertion,
+      badge: this.buildBadgeClass(badge),
+      ...(email && { recipientMatches })
+    };
+  }
+}
+
+export default OpenBadgesService;
@@ -0,0 +1,261 @@
+import mongoose from 'mongoose';
+import PointsTransaction from '../models/PointsTransaction.js';
+import Mentorship from '../models/Mentorship.js';
+import User from '../models/User.js';
+import Settings from '../models/Settings.js';
+import { ApiError } from '../middleware/errorHandler.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Points Ledger Service - Every change to a user's points is written to the
+ * ledger first; `User.points` is a running total that must match its sum
+ */
+class PointsLedgerService {
+  /**
+   * Record a points change and apply it to the user's total
+   * @param {string} userId - User receiving or losing points
+   * @param {number} amount - Points to add (negative to remove)
+   * @param {Object} details - Transaction details
+   * @param {string} details.source - contribution, badge, mentorship or admin_adjustment
+   * @param {string} [details.referenceId] - Related document
+   * @param {string} [details.referenceModel] - Model of the related document
+   * @param {string} [details.projectId] - Project the points were earned in
+   * @param {string} [details.actorId] - User who caused the change
+   * @param {string} [details.reason] - Human readable reason
+   * @param {string} [details.idempotencyKey] - Key of an award that must only be paid once
+   * @param {Date} [details.effectiveAt] - When the points were earned (defaults to now)
+   * @returns {Object|null} - Ledger entry, or null when nothing changed (or the key was already recorded)
+   */
+  static async record(userId, amount, { source, referenceId, referenceModel, projectId = null, actorId = null, reason, idempotencyKey, effectiveAt }) {
+    if (!amount) return null;
+
+    let transaction;
+    try {
+      transaction = await PointsTransaction.create({
+        userId,
+        amount,
+        source,
+        referenceId,
+        referenceModel,
+        projectId,
+        actorId,
+        reason,
+        idempotencyKey,
+        effectiveAt
+      });
+    } catch (error) {
+      if (error.code === 11000 && idempotencyKey) {
+        return null;
+      }
+      throw error;
+    }
+
+    await User.updateOne({ _id: userId }, { $inc: { points: amount } });
+
+    return transaction;
+  }
+
+  /**
+   * Record the points of a badge award. Each award is only paid once.
+   * @param {Object} award - UserBadge document
+   * @param {Object} badge - Badge document
+   * @returns {Object|null} - Ledger entry
+   */
+  static async recordBadgeAward(award, badge) {
+    return this.record(award.userId, award.pointsAwarded, {
+      source: 'badge',
+      referenceId: badge._id,
+      referenceModel: 'Badge',
+      actorId: award.awardedBy,
+      reason: `Badge earned: ${badge.title}`,
+      idempotencyKey: `badge-award:${award._id}`
+    });
+  }
+
+  /**
+   * Take back the points of a revoked badge award
+   * @param {Object} award - Revoked UserBadge document
+   * @param {Object} badge - Badge document
+   * @returns {Object|null} - Ledger entry
+   */
+  static async recordBadgeRevocation(award, badge) {
+    return this.record(award.userId, -award.pointsAwarded, {
+      source: 'badge',
+      referenceId: badge._id,
+      referenceModel: 'Badge',
+      actorId: award.revokedBy,
+      reason: `Badge revoked: ${badge.title}${award.revocationReason ? ` (${award.revocationReason})` : ''}`,
+      idempotencyKey: `badge-revocation:${award._id}`
+    });
+  }
+
+  /**
+   * Award completion points to the mentor and mentee of a mentorship.
+   * Each side is only paid once per mentor and mentee pair, so completing
+   * one mentorship after another between the same users pays nothing more.
+   * @param {Object} mentorship - Mentorship document
+   * @param {string} [actorId] - User who completed the mentorship
+   * @returns {Array} - Ledger entries created
+   */
+  static async recordMentorshipCompletion(mentorship, actorId = null) {
+    const points = await Settings.getValue('mentorshipCompletionPoints', { mentor: 0, mentee: 0 });
+    const pairMentorshipIds = await Mentorship.find({
+      mentorId: mentorship.mentorId,
+      menteeId: mentorship.menteeId
+    }).distinct('_id');
+    const transactions = [];
+
+    for (const [role, userId] of [['mentor', mentorship.mentorId], ['mentee', mentorship.menteeId]]) {
+      const alreadyAwarded = await PointsTransaction.exists({
+        userId,
+        source: 'mentorship',
+        referenceId: { $in: pairMentorshipIds }
+      });
+
+      if (!alreadyAwarded) {
+        const transaction = await this.record(userId, Number(points[role] || 0), {
+          source: 'mentorship',
+          referenceId: mentorship._id,
+          referenceModel: 'Mentorship',
+          actorId,
+          reason: `Completed a mentorship as ${role}`,
+          idempotencyKey: `mentorship-pair:${mentorship.mentorId}:${mentorship.menteeId}:${role}`
+        });
+        if (transaction) transactions.push(transaction);
+      }
+    }
+
+    return transactions;
+  }
+
+  /**
+   * Manually add or remove points
+   * @param {string} userId - User to adjust
+   * @param {number} amount - Points to add (negative to remove)
+   * @param {string} reason - Why the adjustment was made
+   * @param {Object} actor - Admin making the adjustment
+   * @returns {Object} - Ledger entry
+   */
+  static async adjust(userId, amount, reason, actor) {
+    const user = await User.findById(userId).select('points email');
+    if (!user) {
+      throw new ApiError(404, 'User not found');
+    }
+
+    if (user.points + amount < 0) {
+      throw new ApiError(400, `Adjustment would leave the user with negative points (current total: ${user.points})`);
+    }
+
+    const transaction = await this.record(user._id, amount, {
+      source: 'admin_adjustment',
+      actorId: actor._id,
+      reason
+    });
+
+    logger.info(`Points of ${user.email} adjusted by ${amount} by ${actor.email}: ${reason}`);
+    return transaction;
+  }
+
+  /**
+   * Get the ledger entries of a user, newest first
+   * @param {string} userId - User ID
+   * @param {Object} [options] - Options
+   * @param {string} [options.source] - Only entries from this source
+   * @param {number} [options.page] - Page number
+   * @param {number} [options.limit] - Entries per page
+   * @returns {Object} - { transactions, total }
+   */
+  static async getHistory(userId, { source, page = 1, limit = 20 } = {}) {
+    const filter = { userId };
+    if (source) filter.source = source;
+
+    const [transactions, total] = await Promise.all([
+      PointsTransaction.find(filter)
+        .sort({ createdAt: -1, _id: -1 })
+        .skip((Number(page) - 1) * Number(limit))
+        .limit(Number(limit))
+        .populate('actorId', 'name email')
+        .populate('referenceId', 'title'),
+      PointsTransaction.countDocuments(filter)
+    ]);
+
+    return { transactions, total };
+  }
+
+  /**
+   * Sum of a user's ledger entries
+   * @param {string} userId - User ID
+   * @returns {number} - Ledger balance
+   */
+  static async getBalance(userId) {
+    const [result] = await PointsTransaction.aggregate([
+      { $match: { userId: new mongoose.Types.ObjectId(userId) } },
+      { $group: { _id: null, total: { $sum: '$amount' } } }
+    ]);
+
+    return result ? result.total : 0;
+  }
+
+  /**
+   * Net points recorded per referenced document for a source
+   * @param {string} source - Ledger source
+   * @returns {Map} - Reference ID (string) to net points
+   */
+  static async getBalancesByReference(source) {
+    const balances = await PointsTransaction.aggregate([
+      { $match: { source } },
+      { $group: { _id: '$referenceId', total: { $sum: '$amount' } } }
+    ]);
+
+    return new Map(balances.map(balance => [String(balance._id), balance.total]));
+  }
+
+  /**
+   * Compare every user's points total with their ledger balance
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.fix] - Reset mismatched totals to the ledger balance
+   * @returns {Object} - { checked, mismatches, fixed }
+   */
+  static async reconcile({ fix = false } = {}) {
+    const balances = new Map(
+      (await PointsTransaction.aggregate([
+        { $group: { _id: '$userId', total: { $sum: '$amount' } } }
+      ])).map(balance => [balance._id.toString(), balance.total])
+    );
+
+    const cursor = User.find().select('points email').lean().cursor();
+    const mismatches = [];
+    let checked = 0;
+    let fixed = 0;
+
+    for await (const user of cursor) {
+      checked++;
+      if ((user.points || 0) === (balances.get(user._id.toString()) || 0)) continue;
+
+      // Points may have been awarded since the balances were read; check again
+      const [current, ledger] = await Promise.all([
+        User.findById(user._id).select('points').lean(),
+        this.getBalance(user._id)
+      ]);
+      const points = current?.points || 0;
+
+      if (!current || points === ledger) continue;
+
+      mismatches.push({ userId: user._id, email: user.email, points, ledger });
+      logger.warn(`Points mismatch for ${user.email}: total ${points}, ledger ${ledger}`);
+
+      if (fix) {
+        // Only correct the total if it hasn't changed since it was read
+        const result = await User.updateOne(
+          { _id: user._id, points: current.points ?? null },
+          { $set: { points: ledger } }
+        );
+        fixed += result.modifiedCount;
+      }
+    }
+
+    return { checked, mismatches, fixed };
+  }
+}
+
+export default PointsLedgerService;
@@ -0,0 +1,330 @@
+import mongoose from 'mongoose';
+import Project, { PROJECT_ROLES } from '../models/Project.js';
+import User from '../models/User.js';
+import { ApiError } from '../middleware/errorHandler.js';
+import { sendProjectInvitationEmail } from '../utils/email.js';
+import { hasPermission } from '../utils/permissions.js';
+import { logger } from '../utils/logger.js';
+
+const INVITATION_TTL = 14 * 24 * 60 * 60 * 1000; // 14 days
+
+const toId = (value) => (value?._id ?? value)?.toString();
+const roleRank = (role) => PROJECT_ROLES.indexOf(role);
+
+/**
+ * Project Team Service - Project membership, invitations and ownership transfer
+ */
+class ProjectTeamService {
+  /**
+   * Make sure the owner is listed as a member. Projects created before teams
+   * existed only have a creatorId.
+   * @param {Object} project - Project document
+   */
+  static ensureOwnerMember(project) {
+    const hasOwner = project.members.some(member => member.role === 'owner');
+    if (!hasOwner && project.creatorId) {
+      project.members.push({ userId: project.creatorId, role: 'owner', addedBy: project.creatorId });
+    }
+  }
+
+  /**
+   * Check that the acting user may grant or take away a team role.
+   * Members can only manage roles below their own; admins can manage every
+   * role except owner, which only changes hands through a transfer.
+   * @param {Object} project - Project document
+   * @param {Object} actor - Acting user
+   * @param {string} role - Role being granted or removed
+   * @param {Object} [apiToken] - API token the request was made with
+   */
+  static assertCanManageRole(project, actor, role, apiToken = null) {
+    if (role === 'owner') {
+      throw new ApiError(400, 'Ownership can only be changed with an ownership transfer');
+    }
+
+    if (hasPermission(actor, 'project.members.manage.any', apiToken)) {
+      return;
+    }
+
+    const actorRole = project.getMemberRole(actor);
+    if (!actorRole || roleRank(actorRole) <= roleRank(role)) {
+      throw new ApiError(403, `Your project role can't manage ${role}s`);
+    }
+  }
+
+  /**
+   * Invite a user to the project team by user ID or email
+   * @param {Object} project - Project document
+   * @param {Object} actor - Inviting user
+   * @param {Object} details - Invitation details
+   * @param {string} [details.userId] - ID of a registered user
+   * @param {string} [details.email] - Email address (for people without an account too)
+   * @param {string} details.role - Team role offered
+   * @param {Object} [apiToken] - API token the request was made with
+   * @returns {Object} - Invitation subdocument
+   */
+  static async invite(project, actor, { userId, email, role }, apiToken = null) {
+    this.assertCanManageRole(project, actor, role, apiToken);
+
+    let invitee = null;
+    if (userId) {
+      invitee = mongoose.isValidObjectId(userId) ? await User.findById(userId) : null;
+      if (!invitee) {
+        throw new ApiError(404, 'User not found');
+      }
+    } else {
+      invitee = await User.findOne({ email: email.toLowerCase() });
+    }
+
+    const inviteeEmail = (invitee?.email || email).toLowerCase();
+
+    if (invitee && project.getMemberRole(invitee)) {
+      throw new ApiError(400, 'This user is already a member of the project');
+    }
+
+    const alreadyInvited = project.invitations.some(invitation => invitation.status === 'pending'
+      && invitation.expiresAt > new Date()
+      && ((invitee && toId(invitation.userId) === toId(invitee)) || invitation.email === inviteeEmail));
+    if (alreadyInvited) {
+      throw new ApiError(400, 'This user already has a pending invitation');
+    }
+
+    project.invitations.push({
+      userId: invitee?._id,
+      email: inviteeEmail,
+      role,
+      invitedBy: actor._id,
+      expiresAt: new Date(Date.now() + INVITATION_TTL)
+    });
+    await project.save();
+
+    const invitation = project.invitations[project.invitations.length - 1];
+
+    try {
+      await sendProjectInvitationEmail(inviteeEmail, project, invitation, actor);
+    } catch (error) {
+      logger.error(`Failed to send project invitation email to ${inviteeEmail}: ${error.message}`);
+    }
+
+    logger.info(`User ${actor.email} invited ${inviteeEmail} to project ${project.title} as ${role}`);
+    return invitation;
+  }
+
+  /**
+   * Find a pending, unexpired invitation on a project
+   * @param {Object} project - Project document
+   * @param {string} invitationId - Invitation ID
+   * @returns {Object} - Invitation subdocument
+   */
+  static getPendingInvitation(project, invitationId) {
+    const invitation = project.invitations.id(invitationId);
+
+    if (!invitation || invitation.status !== 'pending') {
+      throw new ApiError(404, 'Invitation not found');
+    }
+
+    if (invitation.expiresAt <= new Date()) {
+      throw new ApiError(400, 'This invitation has expired');
+    }
+
+    return invitation;
+  }
+
+  /**
+   * Check if an invitation is addressed to a user. Email invitations need a
+   * verified email so nobody can claim them by registering someone else's address.
+   * @param {Object} invitation - Invitation subdocument
+   * @param {Object} user - User document
+   * @returns {boolean} - Whether the user is the invitee
+   */
+  static isInvitee(invitation, user) {
+    if (invitation.userId) {
+      return toId(invitation.userId) === toId(user);
+    }
+
+    return invitation.email === user.email.toLowerCase() && user.emailVerified;
+  }
+
+  /**
+   * Accept or decline an invitation
+   * @param {Object} project - Project document
+   * @param {string} invitationId - Invitation ID
+   * @param {Object} user - Invited user
+   * @param {boolean} accept - Whether the invitation is accepted
+   * @returns {Object} - Updated project
+   */
+  static async respond(project, invitationId, user, accept) {
+    const invitation = this.getPendingInvitation(project, invitationId);
+
+    if (!this.isInvitee(invitation, user)) {
+      throw new ApiError(403, invitation.userId
+        ? 'This invitation is for another user'
+        : 'Verify the invited email address to respond to this invitation');
+    }
+
+    invitation.status = accept ? 'accepted' : 'declined';
+    invitation.userId = user._id;
+    invitation.respondedAt = new Date();
+
+    if (accept && !project.getMemberRole(user)) {
+      this.ensureOwnerMember(project);
+      project.members.push({ userId: user._id, role: invitation.role, addedBy: invitation.invitedBy });
+    }
+
+    await project.save();
+
+    logger.info(`User ${user.email} ${invitation.status} invitation to project ${project.title}`);
+    return project;
+  }
+
+  /**
+   * Revoke a pending invitation
+   * @param {Object} project - Project document
+   * @param {string} invitationId - Invitation ID
+   * @param {Object} actor - Acting user
+   * @param {Object} [apiToken] - API token the request was made with
+   * @returns {Object} - Revoked invitation
+   */
+  static async revokeInvitation(project, invitationId, actor, apiToken = null) {
+    const invitation = project.invitations.id(invitationId);
+
+    if (!invitation || invitation.status !== 'pending') {
+      throw new ApiError(404, 'Invitation not found');
+    }
+
+    this.assertCanManageRole(project, actor, invitation.role, apiToken);
+
+    invitation.status = 'revoked';
+    invitation.respondedAt = new Date();
+    await project.save();
+
+    return invitation;
+  }
+
+  /**
+   * Change the team role of a member
+   * @param {Object} project - Project document
+   * @param {Object} actor - Acting user
+   * @param {string} userId - Member to change
+   * @param {string} role - New role
+   * @param {Object} [apiToken] - API token the request was made with
+   * @returns {Object} - Updated project
+   */
+  static async changeRole(project, actor, userId, role, apiToken = null) {
+    this.ensureOwnerMember(project);
+
+    const member = project.members.find(m => toId(m.userId) === toId(userId));
+    if (!member) {
+      throw new ApiError(404, 'Member not found');
+    }
+
+    this.assertCanManageRole(project, actor, member.role, apiToken);
+    this.assertCanManageRole(project, actor, role, apiToken);
+
+    member.role = role;
+    await project.save();
+
+    logger.info(`User ${actor.email} changed role of ${userId} in project ${project.title} to ${role}`);
+    return project;
+  }
+
+  /**
+   * Remove a member from the team (members may always leave themselves)
+   * @param {Object} project - Project document
+   * @param {Object} actor - Acting user
+   * @param {string} userId - Member to remove
+   * @param {Object} [apiToken] - API token the request was made with
+   * @returns {Object} - Updated project
+   */
+  static async removeMember(project, actor, userId, apiToken = null) {
+    this.ensureOwnerMember(project);
+
+    const member = project.members.find(m => toId(m.userId) === toId(userId));
+    if (!member) {
+      throw new ApiError(404, 'Member not found');
+    }
+
+    if (member.role === 'owner') {
+      throw new ApiError(400, 'The owner cannot be removed. Transfer ownership first.');
+    }
+
+    if (toId(member.userId) !== toId(actor)) {
+      this.assertCanManageRole(project, actor, member.role, apiToken);
+    }
+
+    project.members.pull(member._id);
+    await project.save();
+
+    logger.info(`User ${userId} removed from project ${project.title} by ${actor.email}`);
+    return project;
+  }
+
+  /**
+   * Hand project ownership to another member. The previous owner stays on
+   * the team as a maintainer.
+   * @param {Object} project - Project document
+   * @param {Object} actor - Acting user
+   * @param {string} userId - Member becoming owner
+   * @returns {Object} - Updated project
+   */
+  static async transferOwnership(project, actor, userId) {
+    this.ensureOwnerMember(project);
+
+    const newOwner = project.members.find(m => toId(m.userId) === toId(userId));
+    if (!newOwner) {
+      throw new ApiError(400, 'Ownership can only be transferred to a project member');
+    }
+
+    if (newOwner.role === 'owner') {
+      throw new ApiError(400, 'This user already owns the project');
+    }
+
+    project.members
+      .filter(member => member.role === 'owner')
+      .forEach(member => { member.role = 'maintainer'; });
+
+    newOwner.role = 'owner';
+    project.creatorId = newOwner.userId;
+    await project.save();
+
+    logger.info(`Ownership of project ${project.title} transferred to ${userId} by ${actor.email}`);
+    return project;
+  }
+
+  /**
+   * List pending invitations addressed to a user across all projects
+   * @param {Object} user - User document
+   * @returns {Array} - Invitations with their project
+   */
+  static async getInvitationsForUser(user) {
+    const now = new Date();
+    const projects = await Project.find({
+      invitations: {
+        $elemMatch: {
+          status: 'pending',
+          expiresAt: { $gt: now },
+          $or: [{ userId: user._id }, { email: user.email.toLowerCase() }]
+        }
+      }
+    }).select('title description thumbnailUrl invitations');
+
+    return projects.flatMap(project => project.invitations
+      .filter(invitation => invitation.status === 'pending'
+        && invitation.expiresAt > now
+        && (toId(invitation.userId) === toId(user) || invitation.email === user.email.toLowerCase()))
+      .map(invitation => ({
+        id: invitation._id,
+        role: invitation.role,
+        invitedBy: invitation.invitedBy,
+        expiresAt: invitation.expiresAt,
+        createdAt: invitation.createdAt,
+        project: {
+          id: project._id,
+          title: project.title,
+          description: project.description,
+          thumbnailUrl: project.thumbnailUrl
+        }
+      })));
+  }
+}
+
+export default ProjectTeamService;
@@ -0,0 +1,183 @@
+import mongoose from 'mongoose';
+import Settings from '../models/Settings.js';
+import Project from '../models/Project.js';
+import PointsLedgerService from './pointsLedgerService.js';
+import { logger } from '../utils/logger.js';
+
+// Statuses that count as a successful contribution
+const ACCEPTED_STATUSES = ['merged', 'approved'];
+
+/**
+ * Scoring Service - Scores contributions with the rule table kept in the
+ * `contributionScoringRules` setting and records score changes in the points ledger
+ */
+class ScoringService {
+  /**
+   * Get the current scoring rules, filled in with defaults for missing keys
+   * @returns {Object} - Scoring rules
+   */
+  static async getRules() {
+    const defaults = Settings.getDefaultSettings().find(s => s.key === 'contributionScoringRules').value;
+    const rules = await Settings.getValue('contributionScoringRules', defaults);
+
+    return { ...defaults, ...rules };
+  }
+
+  /**
+   * Calculate the points of a contribution from the rules
+   * @param {Object} contribution - Contribution document or plain object
+   * @param {Object} context - Scoring context
+   * @param {Object} context.rules - Scoring rules
+   * @param {string} [context.difficulty] - Difficulty of the project
+   * @param {boolean} [context.isFirstContribution] - First accepted contribution of the user to the project
+   * @returns {number} - Points
+   */
+  static calculatePoints(contribution, { rules, difficulty, isFirstContribution = false }) {
+    const labels = (contribution.labels || []).map(label => label.toLowerCase());
+    const labelBonuses = Object.entries(rules.labelBonuses || {})
+      .filter(([label]) => labels.includes(label.toLowerCase()))
+      .reduce((sum, [, bonus]) => sum + Number(bonus), 0);
+
+    const base = Number(rules.basePoints?.[contribution.type] ?? 0) + labelBonuses;
+    const statusMultiplier = Number(rules.statusMultipliers?.[contribution.status] ?? 1);
+    const difficultyMultiplier = Number(rules.difficultyMultipliers?.[difficulty] ?? 1);
+
+    let points = Math.round(base * statusMultiplier * difficultyMultiplier);
+
+    if (isFirstContribution && ACCEPTED_STATUSES.includes(contribution.status)) {
+      points += Number(rules.firstContributionBonus || 0);
+    }
+
+    return Math.max(0, points);
+  }
+
+  /**
+   * Check if a contribution is the user's first accepted contribution to its
+   * project (no accepted contribution of theirs was created before it)
+   * @param {Object} contribution - Contribution document
+   * @returns {boolean} - Whether the first-time bonus applies
+   */
+  static async isFirstContribution(contribution) {
+    if (!ACCEPTED_STATUSES.includes(contribution.status)) {
+      return false;
+    }
+
+    const earlier = await mongoose.model('Contribution').exists({
+      _id: { $ne: contribution._id },
+      userId: contribution.userId,
+      projectId: contribution.projectId,
+      status: { $in: ACCEPTED_STATUSES },
+      createdAt: { $lt: contribution.createdAt || new Date() }
+    });
+
+    return !earlier;
+  }
+
+  /**
+   * Score a contribution with the current rules
+   * @param {Object} contribution - Contribution document
+   * @returns {number} - Points
+   */
+  static async scoreContribution(contribution) {
+    const [rules, project, isFirstContribution] = await Promise.all([
+      this.getRules(),
+      Project.findById(contribution.projectId).select('difficulty').lean(),
+      this.isFirstContribution(contribution)
+    ]);
+
+    return this.calculatePoints(contribution, {
+      rules,
+      difficulty: project?.difficulty,
+      isFirstContribution
+    });
+  }
+
+  /**
+   * Write a change in a contribution's score to the points ledger
+   * @param {Object} contribution - Contribution document
+   * @param {number} delta - Change in points
+   * @param {Object} [options] - Options
+   * @param {string} [options.actorId] - User whose action changed the score
+   * @param {string} [options.reason] - Reason shown in the points history
+   * @param {Date} [options.effectiveAt] - When the points count as earned (defaults to now)
+   * @returns {Object|null} - Ledger entry
+   */
+  static async recordScoreChange(contribution, delta, { actorId = null, reason, effectiveAt } = {}) {
+    return PointsLedgerService.record(contribution.userId, delta, {
+      source: 'contribution',
+      referenceId: contribution._id,
+      referenceModel: 'Contribution',
+      projectId: contribution.projectId,
+      actorId,
+      reason: reason || `Contribution scored (${contribution.type}, ${contribution.status})`,
+      effectiveAt
+    });
+  }
+
+  /**
+   * Rescore every contribution with the current rules. Differences are written
+   * to the ledger, then user totals are reconciled with it. Run after changing
+   * the rules.
+   * @returns {Object} - { contributions, changed, usersFixed }
+   */
+  static async recomputeAll() {
+    const Contribution = mongoose.model('Contribution');
+    const rules = await this.getRules();
+
+    const difficulties = new Map(
+      (await Project.find().select('difficulty').lean())
+        .map(project => [project._id.toString(), project.difficulty])
+    );
+    const recorded = await PointsLedgerService.getBalancesByReference('contribution');
+
+    // Oldest first, so the first accepted contribution per user and project gets the bonus
+    const cursor = Contribution.find()
+      .select('userId projectId type status labels points createdAt')
+      .sort({ createdAt: 1, _id: 1 })
+      .lean()
+      .cursor();
+
+    const firstAccepted = new Set();
+    let contributions = 0;
+    let changed = 0;
+
+    for await (const contribution of cursor) {
+      contributions++;
+
+      const pairKey = `${contribution.userId}:${contribution.projectId}`;
+      const isFirstContribution = ACCEPTED_STATUSES.includes(contribution.status) && !firstAccepted.has(pairKey);
+      if (isFirstContribution) {
+        firstAccepted.add(pairKey);
+      }
+
+      const points = this.calculatePoints(contribution, {
+        rules,
+        difficulty: difficulties.get(contribution.projectId?.toString()),
+        isFirstContribution
+      });
+
+      if (points !== contribution.points) {
+        // updateOne skips the save hooks; the ledger is updated below
+        await Contribution.updateOne({ _id: contribution._id }, { $set: { points } });
+      }
+
+      const delta = points - (recorded.get(contribution._id.toString()) || 0);
+      if (delta) {
+        // Dated with the contribution, so rescoring doesn't move points into the current week or month
+        await this.recordScoreChange({ ...contribution, points }, delta, {
+          reason: 'Rescored after a scoring rules change',
+          effectiveAt: contribution.createdAt
+        });
+        changed++;
+      }
+    }
+
+    // Totals that drifted from the ledger (or predate it) are reset to it
+    const { fixed } = await PointsLedgerService.reconcile({ fix: true });
+
+    logger.info(`Recomputed contribution points: ${changed} of ${contributions} contributions changed`);
+    return { contributions, changed, usersFixed: fixed };
+  }
+}
+
+export default ScoringService;
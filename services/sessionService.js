@@ -0,0 +1,260 @@
+import jwt from 'jsonwebtoken';
+import crypto from 'crypto';
+import Session from '../models/Session.js';
+import User from '../models/User.js';
+import config from '../config/index.js';
+import { ApiError } from '../middleware/errorHandler.js';
+import { logger } from '../utils/logger.js';
+
+// Only write lastUsedAt on authenticated requests this often
+const LAST_USED_UPDATE_INTERVAL = 5 * 60 * 1000; // 5 minutes
+
+// Time allowed between the password step and the 2FA step of a login
+const MFA_PENDING_EXPIRES_IN = '5m';
+
+/**
+ * Session Service - Issues, rotates and revokes refresh-token sessions
+ * and the short-lived tokens used between the two steps of a 2FA login
+ */
+class SessionService {
+  /**
+   * Get the secret used to sign refresh tokens. Without a configured one it
+   * is derived from the JWT secret, so refresh tokens never verify as access tokens.
+   * @returns {string} - Refresh token secret
+   */
+  static getRefreshSecret() {
+    return config.jwtRefreshSecret || crypto
+      .createHmac('sha256', config.jwtSecret || '')
+      .update('refresh')
+      .digest('hex');
+  }
+
+  /**
+   * Build a short device label from a user agent string
+   * @param {string} userAgent - Request user agent
+   * @returns {string} - Device label (e.g. "Chrome on Windows")
+   */
+  static describeDevice(userAgent = '') {
+    if (!userAgent) return 'Unknown device';
+
+    const browsers = [['Edg', 'Edge'], ['OPR', 'Opera'], ['Chrome', 'Chrome'], ['Firefox', 'Firefox'], ['Safari', 'Safari']];
+    const systems = [['Windows', 'Windows'], ['Android', 'Android'], ['iPhone', 'iOS'], ['iPad', 'iOS'], ['Mac OS', 'macOS'], ['Linux', 'Linux']];
+
+    const browser = browsers.find(([token]) => userAgent.includes(token));
+    const system = systems.find(([token]) => userAgent.includes(token));
+
+    if (!browser && !system) return 'Unknown device';
+    return [browser?.[1], system?.[1]].filter(Boolean).join(' on ');
+  }
+
+  /**
+   * Sign a refresh token bound to a session
+   * @param {string} userId - User ID
+   * @param {string} sessionId - Session ID
+   * @returns {string} - Signed refresh token
+   */
+  static signRefreshToken(userId, sessionId) {
+    return jwt.sign(
+      { id: userId, sid: sessionId, type: 'refresh', jti: crypto.randomBytes(16).toString('hex') },
+      this.getRefreshSecret(),
+      { expiresIn: config.jwtRefreshExpiresIn }
+    );
+  }
+
+  /**
+   * Get the secret used for "mfa pending" tokens. It is derived from the JWT
+   * secret so these tokens can never pass as access tokens.
+   * @returns {string} - MFA pending token secret
+   */
+  static getMfaPendingSecret() {
+    return crypto
+      .createHmac('sha256', config.jwtSecret || '')
+      .update('mfa_pending')
+      .digest('hex');
+  }
+
+  /**
+   * Sign a short-lived token proving the password step of a 2FA login passed
+   * @param {Object} user - User document
+   * @returns {string} - MFA pending token
+   */
+  static signMfaPendingToken(user) {
+    return jwt.sign(
+      { id: user._id, purpose: 'mfa_pending' },
+      this.getMfaPendingSecret(),
+      { expiresIn: MFA_PENDING_EXPIRES_IN }
+    );
+  }
+
+  /**
+   * Verify an "mfa pending" token
+   * @param {string} token - MFA pending token
+   * @returns {string} - ID of the user completing the login
+   */
+  static verifyMfaPendingToken(token) {
+    try {
+      const decoded = jwt.verify(token, this.getMfaPendingSecret());
+      if (decoded.purpose !== 'mfa_pending') {
+        throw new Error('Unexpected token purpose');
+      }
+      return decoded.id;
+    } catch (error) {
+      throw new ApiError(401, 'Invalid or expired two-factor login token. Please log in again');
+    }
+  }
+
+  /**
+   * Start a new session for a user and issue its access and refresh tokens
+   * @param {Object} user - User document
+   * @param {Object} req - Express request (used for device, IP and user agent)
+   * @returns {Object} - { token, refreshToken, session }
+   */
+  static async createSession(user, req) {
+    const userAgent = req.get('user-agent') || null;
+
+    const session = new Session({
+      userId: user._id,
+      device: req.body?.device || this.describeDevice(userAgent || ''),
+      ipAddress: req.ip,
+      userAgent
+    });
+
+    const refreshToken = this.signRefreshToken(user._id, session._id);
+    session.refreshTokenHash = Session.hashToken(refreshToken);
+    session.expiresAt = new Date(jwt.decode(refreshToken).exp * 1000);
+    await session.save();
+
+    logger.info(`Session ${session._id} started for user ${user._id} (${session.device})`);
+
+    return {
+      token: user.getSignedJwtToken(session._id),
+      refreshToken,
+      session
+    };
+  }
+
+  /**
+   * Exchange a refresh token for a new token pair, rotating the refresh token.
+   * Presenting an already rotated token revokes the whole session.
+   * @param {string} refreshToken - Refresh token presented by the client
+   * @param {Object} req - Express request
+   * @returns {Object} - { token, refreshToken, session }
+   */
+  static async rotateSession(refreshToken, req) {
+    let decoded;
+    try {
+      decoded = jwt.verify(refreshToken, this.getRefreshSecret());
+      if (decoded.type !== 'refresh') {
+        throw new Error('Unexpected token type');
+      }
+    } catch (error) {
+      throw new ApiError(401, 'Invalid or expired refresh token');
+    }
+
+    const session = await Session.findById(decoded.sid)
+      .select('+refreshTokenHash +previousTokenHashes');
+
+    if (!session || !session.isActive() || session.userId.toString() !== decoded.id) {
+      throw new ApiError(401, 'Invalid or expired refresh token');
+    }
+
+    const tokenHash = Session.hashToken(refreshToken);
+
+    if (session.refreshTokenHash !== tokenHash) {
+      if (session.previousTokenHashes.includes(tokenHash)) {
+        await this.revokeSession(session, 'refresh_token_reuse');
+        logger.warn(`Refresh token reuse detected for session ${session._id}, session revoked`);
+      }
+      throw new ApiError(401, 'Invalid or expired refresh token');
+    }
+
+    const user = await User.findById(session.userId);
+    if (!user) {
+      throw new ApiError(401, 'User not found');
+    }
+
+    const newRefreshToken = this.signRefreshToken(user._id, session._id);
+    session.previousTokenHashes.push(tokenHash);
+    session.refreshTokenHash = Session.hashToken(newRefreshToken);
+    session.expiresAt = new Date(jwt.decode(newRefreshToken).exp * 1000);
+    session.lastUsedAt = new Date();
+    session.ipAddress = req.ip;
+    await session.save();
+
+    return {
+      token: user.getSignedJwtToken(session._id),
+      refreshToken: newRefreshToken,
+      session
+    };
+  }
+
+  /**
+   * Check that a session referenced by an access token is still usable
+   * @param {string} sessionId - Session ID from the access token
+   * @param {string} userId - User ID from the access token
+   * @returns {boolean} - Whether the session is active
+   */
+  static async isSessionActive(sessionId, userId) {
+    const session = await Session.findById(sessionId);
+
+    if (!session || session.userId.toString() !== userId.toString() || !session.isActive()) {
+      return false;
+    }
+
+    if (Date.now() - session.lastUsedAt.getTime() > LAST_USED_UPDATE_INTERVAL) {
+      await Session.updateOne({ _id: session._id }, { lastUsedAt: new Date() });
+    }
+
+    return true;
+  }
+
+  /**
+   * Revoke a single session
+   * @param {Object|string} session - Session document or ID
+   * @param {string} reason - Why the session was revoked
+   * @returns {Object} - Update result
+   */
+  static async revokeSession(session, reason = 'logout') {
+    const sessionId = session._id || session;
+    return Session.updateOne(
+      { _id: sessionId, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: reason }
+    );
+  }
+
+  /**
+   * Revoke every active session of a user
+   * @param {string} userId - User ID
+   * @param {string} reason - Why the sessions were revoked
+   * @param {string} [exceptSessionId] - Session to keep alive (e.g. the current one)
+   * @returns {number} - Number of sessions revoked
+   */
+  static async revokeAllSessions(userId, reason, exceptSessionId = null) {
+    const filter = { userId, revokedAt: null };
+    if (exceptSessionId) {
+      filter._id = { $ne: exceptSessionId };
+    }
+
+    const result = await Session.updateMany(filter, {
+      revokedAt: new Date(),
+      revokedReason: reason
+    });
+
+    return result.modifiedCount;
+  }
+
+  /**
+   * List the active sessions of a user
+   * @param {string} userId - User ID
+   * @returns {Array} - Active sessions, most recently used first
+   */
+  static async getActiveSessions(userId) {
+    return Session.find({
+      userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort('-lastUsedAt');
+  }
+}
+
+export default SessionService;
@@ -0,0 +1,56 @@
+import { jest, describe, it, expect, beforeAll, afterEach } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+import mongoose from 'mongoose';
+import config from '../../config/index.js';
+import User from '../../models/User.js';
+import SessionService from '../../services/sessionService.js';
+import { authMiddleware } from '../../middleware/auth.js';
+import { errorHandler } from '../../middleware/errorHandler.js';
+
+const app = express();
+app.get('/protected', authMiddleware, (req, res) => res.status(200).json({ success: true }));
+app.use(errorHandler);
+
+const user = new User({ name: 'Ada', email: 'ada@example.com', password: 'password123' });
+const sessionId = new mongoose.Types.ObjectId();
+
+const getProtected = token => request(app).get('/protected').set('Authorization', `Bearer ${token}`);
+
+describe('authMiddleware', () => {
+  beforeAll(() => {
+    config.jwtSecret = 'test-jwt-secret';
+    config.jwtRefreshSecret = undefined;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    config.jwtRefreshSecret = undefined;
+  });
+
+  const signInUser = () => {
+    jest.spyOn(User, 'findById').mockReturnValue({ select: async () => user });
+    jest.spyOn(SessionService, 'isSessionActive').mockResolvedValue(true);
+  };
+
+  it('accepts an access token', async () => {
+    signInUser();
+    const response = await getProtected(user.getSignedJwtToken(sessionId));
+    expect(response.status).toBe(200);
+  });
+
+  it('rejects a refresh token', async () => {
+    signInUser();
+    const response = await getProtected(SessionService.signRefreshToken(user._id, sessionId));
+    expect(response.status).toBe(401);
+  });
+
+  it('rejects a refresh token even when both tokens share a secret', async () => {
+    signInUser();
+    config.jwtRefreshSecret = config.jwtSecret;
+
+    const response = await getProtected(SessionService.signRefreshToken(user._id, sessionId));
+    expect(response.status).toBe(401);
+    expect(User.findById).not.toHaveBeenCalled();
+  });
+});
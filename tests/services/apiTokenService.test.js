@@ -0,0 +1,52 @@
+import { jest, describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import ApiToken from '../../models/ApiToken.js';
+import User from '../../models/User.js';
+import ApiTokenService from '../../services/apiTokenService.js';
+
+const TOKEN = 'oe_pat_test';
+const HOUR = 60 * 60 * 1000;
+
+describe('ApiTokenService.authenticate', () => {
+  const user = new User({ name: 'Ada', email: 'ada@example.com', password: 'password123' });
+  const req = { ip: '127.0.0.1' };
+  let apiToken;
+
+  beforeEach(() => {
+    apiToken = new ApiToken({
+      userId: user._id,
+      name: 'CI',
+      tokenHash: ApiToken.hashToken(TOKEN),
+      tokenPrefix: TOKEN.slice(0, 13),
+      scopes: ['read'],
+      createdAt: new Date(Date.now() - 2 * HOUR)
+    });
+    user.tokensRevokedAt = undefined;
+
+    jest.spyOn(ApiToken, 'findOne').mockResolvedValue(apiToken);
+    jest.spyOn(ApiToken, 'updateOne').mockResolvedValue({});
+    jest.spyOn(User, 'findById').mockReturnValue({ select: async () => user });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('resolves an active token to its user', async () => {
+    await expect(ApiTokenService.authenticate(TOKEN, req)).resolves.toEqual({ user, apiToken });
+  });
+
+  it('rejects revoked tokens', async () => {
+    apiToken.revokedAt = new Date();
+    await expect(ApiTokenService.authenticate(TOKEN, req)).rejects.toMatchObject({ statusCode: 401 });
+  });
+
+  it('rejects tokens created before the user was force-logged out', async () => {
+    user.tokensRevokedAt = new Date(Date.now() - HOUR);
+    await expect(ApiTokenService.authenticate(TOKEN, req)).rejects.toMatchObject({ statusCode: 401 });
+  });
+
+  it('accepts tokens created after the user was force-logged out', async () => {
+    user.tokensRevokedAt = new Date(Date.now() - 3 * HOUR);
+    await expect(ApiTokenService.authenticate(TOKEN, req)).resolves.toEqual({ user, apiToken });
+  });
+});
@@ -0,0 +1,69 @@
+import { jest, describe, it, expect, afterEach } from '@jest/globals';
+import mongoose from 'mongoose';
+import Contribution from '../../models/Contribution.js';
+import GithubWebhookService from '../../services/githubWebhookService.js';
+
+const CANONICAL = 'https://github.com/owner/repo/pull/5';
+
+describe('contribution links', () => {
+  it.each([
+    'https://github.com/owner/repo/pull/5',
+    'http://github.com/owner/repo/pull/5',
+    'github.com/owner/repo/pull/5',
+    'www.github.com/owner/repo/pull/5',
+    'https://www.github.com/owner/repo/pull/5/',
+    'https://github.com/Owner/Repo/pull/5',
+    ' github.com/owner/repo/pull/5/ '
+  ])('stores %j in the canonical form', link => {
+    expect(new Contribution({ link }).link).toBe(CANONICAL);
+  });
+
+  it('keeps links that are not GitHub PRs or issues as they are', () => {
+    expect(Contribution.normalizeLink('https://gitlab.com/owner/repo/pull/5')).toBe('https://gitlab.com/owner/repo/pull/5');
+  });
+
+  it('normalizes links in query filters', () => {
+    const query = Contribution.find({ link: 'www.github.com/Owner/Repo/pull/5/' });
+    query.cast(Contribution);
+    expect(query.getFilter().link).toBe(CANONICAL);
+  });
+});
+
+describe('GithubWebhookService.upsertContribution', () => {
+  const project = { _id: new mongoose.Types.ObjectId() };
+  const user = { _id: new mongoose.Types.ObjectId(), email: 'ada@example.com' };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('updates a self-reported contribution whose link was entered in another form', async () => {
+    const reported = new Contribution({
+      userId: user._id,
+      projectId: project._id,
+      type: 'PR',
+      title: 'Fix the parser',
+      link: 'github.com/Owner/Repo/pull/5/'
+    });
+    jest.spyOn(reported, 'save').mockResolvedValue(reported);
+
+    // Stand in for the database: return the contribution when the filter matches it
+    jest.spyOn(Contribution, 'findOne').mockImplementation(filter => {
+      const query = Contribution.find(filter);
+      query.cast(Contribution);
+      return Promise.resolve(query.getFilter().link === reported.link ? reported : null);
+    });
+    const create = jest.spyOn(Contribution, 'create').mockRejectedValue(new Error('Created a second contribution'));
+
+    const contribution = await GithubWebhookService.upsertContribution(project, user, {
+      type: 'PR',
+      link: 'https://github.com/Owner/Repo/pull/5',
+      title: 'Fix the parser',
+      status: 'merged'
+    });
+
+    expect(contribution).toBe(reported);
+    expect(contribution.status).toBe('merged');
+    expect(create).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,87 @@
+import { jest, describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import mongoose from 'mongoose';
+import Mentorship from '../../models/Mentorship.js';
+import PointsTransaction from '../../models/PointsTransaction.js';
+import Settings from '../../models/Settings.js';
+import User from '../../models/User.js';
+import PointsLedgerService from '../../services/pointsLedgerService.js';
+
+const id = () => new mongoose.Types.ObjectId();
+const sameId = (a, b) => String(a) === String(b);
+
+describe('PointsLedgerService.recordMentorshipCompletion', () => {
+  const mentorId = id();
+  const menteeId = id();
+  let mentorships;
+  let ledger;
+
+  // In-memory stand-ins for the mentorships and ledger collections
+  const mentorship = (mentee = menteeId) => {
+    const created = { _id: id(), mentorId, menteeId: mentee };
+    mentorships.push(created);
+    return created;
+  };
+
+  beforeEach(() => {
+    mentorships = [];
+    ledger = [];
+
+    jest.spyOn(Settings, 'getValue').mockResolvedValue({ mentor: 25, mentee: 15 });
+    jest.spyOn(Mentorship, 'find').mockImplementation(filter => ({
+      distinct: async () => mentorships
+        .filter(item => sameId(item.mentorId, filter.mentorId) && sameId(item.menteeId, filter.menteeId))
+        .map(item => item._id)
+    }));
+    jest.spyOn(PointsTransaction, 'exists').mockImplementation(async filter => ledger.some(entry =>
+      sameId(entry.userId, filter.userId)
+      && entry.source === filter.source
+      && filter.referenceId.$in.some(referenceId => sameId(referenceId, entry.referenceId))
+    ));
+    jest.spyOn(PointsTransaction, 'create').mockImplementation(async entry => {
+      if (entry.idempotencyKey && ledger.some(existing => existing.idempotencyKey === entry.idempotencyKey)) {
+        throw Object.assign(new Error('Duplicate key'), { code: 11000 });
+      }
+      ledger.push(entry);
+      return entry;
+    });
+    jest.spyOn(User, 'updateOne').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('pays the mentor and the mentee for completing a mentorship', async () => {
+    const transactions = await PointsLedgerService.recordMentorshipCompletion(mentorship());
+
+    expect(transactions.map(({ userId, amount }) => [String(userId), amount])).toEqual([
+      [String(mentorId), 25],
+      [String(menteeId), 15]
+    ]);
+  });
+
+  it('pays a mentorship only once', async () => {
+    const completed = mentorship();
+    await PointsLedgerService.recordMentorshipCompletion(completed);
+
+    await expect(PointsLedgerService.recordMentorshipCompletion(completed)).resolves.toEqual([]);
+    expect(ledger).toHaveLength(2);
+  });
+
+  it('pays nothing for further mentorships between the same mentor and mentee', async () => {
+    await PointsLedgerService.recordMentorshipCompletion(mentorship());
+
+    for (let round = 0; round < 3; round++) {
+      await expect(PointsLedgerService.recordMentorshipCompletion(mentorship())).resolves.toEqual([]);
+    }
+    expect(ledger).toHaveLength(2);
+  });
+
+  it('pays the mentor again for a mentorship with another mentee', async () => {
+    await PointsLedgerService.recordMentorshipCompletion(mentorship());
+    const transactions = await PointsLedgerService.recordMentorshipCompletion(mentorship(id()));
+
+    expect(transactions).toHaveLength(2);
+    expect(ledger.filter(entry => sameId(entry.userId, mentorId))).toHaveLength(2);
+  });
+});
@@ -0,0 +1,206 @@
+import { describe, it, expect } from '@jest/globals';
+import {
+  validateRule,
+  evaluateRule,
+  getFactKey,
+  getRuleEvents,
+  getRuleProgress,
+  conditionsToRule
+} from '../../utils/badgeRules.js';
+
+const predicate = (value = 5, extra = {}) => ({ fact: 'merged_prs', op: '>=', value, ...extra });
+
+// Build a getFact function from fact values keyed by predicate
+const factsFrom = (...entries) => {
+  const facts = new Map(entries.map(([rule, value]) => [getFactKey(rule), value]));
+  return key => facts.get(key);
+};
+
+describe('validateRule', () => {
+  it('accepts the documented composite rule', () => {
+    expect(validateRule({
+      any: [
+        {
+          all: [
+            { fact: 'merged_prs', op: '>=', value: 5, params: { since: '2026-01-01' } },
+            { fact: 'distinct_projects', op: '>=', value: 2, params: { status: 'merged' } }
+          ]
+        },
+        { fact: 'contributions', value: 1, params: { labels: 'security', status: 'merged' } }
+      ]
+    })).toEqual([]);
+  });
+
+  it('defaults the operator to >=', () => {
+    expect(validateRule({ fact: 'points', value: 100 })).toEqual([]);
+  });
+
+  it.each([
+    [null, 'rule: must be an object'],
+    [[], 'rule: must be an object'],
+    [{}, 'rule: must have all, any, not or fact'],
+    [{ all: [] }, 'rule.all: must be a non-empty array'],
+    [{ any: 'merged_prs' }, 'rule.any: must be a non-empty array'],
+    [{ all: [predicate()], any: [predicate()] }, 'rule: use only one of all, any, not or fact'],
+    [{ not: predicate(), fact: 'points' }, 'rule: use only one of all, any, not or fact'],
+    [{ all: [predicate()], note: 'x' }, 'rule: unknown keys next to all'],
+    [{ not: predicate(), note: 'x' }, 'rule: unknown keys next to not'],
+    [{ not: 'x' }, 'rule.not: must be an object']
+  ])('rejects the malformed tree %j', (rule, error) => {
+    expect(validateRule(rule)).toContain(error);
+  });
+
+  it('reports errors with the path of the failing condition', () => {
+    expect(validateRule({ all: [predicate(), { any: [{ fact: 'karma', value: 1 }] }] }))
+      .toEqual([expect.stringMatching(/^rule\.all\[1\]\.any\[0\]\.fact: unknown fact "karma"/)]);
+  });
+
+  it.each([
+    [{ fact: 'points', op: '=>', value: 1 }, 'rule.op: must be one of >=, >, <=, <, ==, !='],
+    [{ fact: 'points', value: -1 }, 'rule.value: must be a non-negative number'],
+    [{ fact: 'points', value: '5' }, 'rule.value: must be a non-negative number'],
+    [{ fact: 'points', value: Infinity }, 'rule.value: must be a non-negative number'],
+    [{ fact: 'points', value: 1, extra: true }, 'rule: unknown keys extra'],
+    [{ fact: 'is_mentor', op: '>=', value: true }, 'rule.op: "is_mentor" can only be compared with == or !='],
+    [{ fact: 'is_mentor', op: '==', value: 1 }, 'rule.value: must be true or false']
+  ])('rejects the invalid predicate %j', (rule, error) => {
+    expect(validateRule(rule)).toContain(error);
+  });
+
+  it.each([
+    [{ params: [] }, 'rule.params: must be an object'],
+    [{ params: { unit: 'day' } }, 'rule.params.unit: not supported by "merged_prs"'],
+    [{ params: { since: 'yesterday' } }, 'rule.params.since: must be a date'],
+    [{ params: { projectId: '123' } }, 'rule.params.projectId: must be a project ID'],
+    [{ params: { labels: ['bug', ' '] } }, 'rule.params.labels: must be a label or an array of labels'],
+    [{ params: { since: '2026-06-01', until: '2026-01-01' } }, 'rule.params: since must be before until']
+  ])('rejects the invalid params %j', (extra, error) => {
+    expect(validateRule(predicate(5, extra))).toContain(error);
+  });
+
+  it('checks enum params given one at a time or as an array', () => {
+    expect(validateRule({ fact: 'contributions', value: 1, params: { status: ['merged', 'approved'] } })).toEqual([]);
+    expect(validateRule({ fact: 'contributions', value: 1, params: { status: [] } }))
+      .toEqual([expect.stringMatching(/^rule\.params\.status: must be one of/)]);
+    expect(validateRule({ fact: 'contributions', value: 1, params: { type: ['PR', 'commit'] } }))
+      .toEqual([expect.stringMatching(/^rule\.params\.type: must be one of/)]);
+  });
+
+  it('requires the params a fact needs', () => {
+    expect(validateRule({ fact: 'github', value: 10 })).toEqual(['rule.params.stat: is required']);
+    expect(validateRule({ fact: 'github', value: 10, params: { stat: 'karma' } }))
+      .toEqual([expect.stringMatching(/^rule\.params\.stat: must be one of/)]);
+  });
+
+  it('limits nesting to 5 levels', () => {
+    const nest = (rule, levels) => (levels ? nest({ not: rule }, levels - 1) : rule);
+
+    expect(validateRule(nest(predicate(), 4))).toEqual([]);
+    expect(validateRule(nest(predicate(), 5)))
+      .toEqual(['rule.not.not.not.not.not: rules cannot be nested more than 5 levels deep']);
+  });
+
+  it('limits rules to 20 conditions', () => {
+    const conditions = count => ({ any: Array.from({ length: count }, (_, index) => predicate(index)) });
+
+    expect(validateRule(conditions(20))).toEqual([]);
+    expect(validateRule(conditions(21))).toEqual(['rule: cannot have more than 20 conditions']);
+  });
+});
+
+describe('evaluateRule', () => {
+  it.each([
+    ['>=', 5, true], ['>=', 4, false],
+    ['>', 6, true], ['>', 5, false],
+    ['<=', 5, true], ['<=', 6, false],
+    ['<', 4, true], ['<', 5, false],
+    ['==', 5, true], ['==', 4, false],
+    ['!=', 4, true], ['!=', 5, false]
+  ])('compares %s against a target with actual %i', (op, actual, expected) => {
+    const rule = predicate(5, { op });
+    expect(evaluateRule(rule, factsFrom([rule, actual]))).toBe(expected);
+  });
+
+  it('treats missing facts as 0 or false', () => {
+    expect(evaluateRule({ fact: 'points', value: 0 }, () => undefined)).toBe(true);
+    expect(evaluateRule({ fact: 'points', value: 1 }, () => undefined)).toBe(false);
+    expect(evaluateRule({ fact: 'is_mentor', op: '!=', value: true }, () => undefined)).toBe(true);
+  });
+
+  it('combines conditions with all, any and not', () => {
+    const prs = predicate(5);
+    const mentor = { fact: 'is_mentor', op: '==', value: true };
+    const getFact = factsFrom([prs, 7], [mentor, false]);
+
+    expect(evaluateRule({ all: [prs, mentor] }, getFact)).toBe(false);
+    expect(evaluateRule({ any: [prs, mentor] }, getFact)).toBe(true);
+    expect(evaluateRule({ all: [prs, { not: mentor }] }, getFact)).toBe(true);
+    expect(evaluateRule({ not: { any: [prs, mentor] } }, getFact)).toBe(false);
+  });
+
+  it('looks facts up by fact and params, whatever the param order', () => {
+    const rule = { fact: 'contributions', value: 2, params: { status: 'merged', type: 'PR' } };
+    const getFact = factsFrom([{ fact: 'contributions', params: { type: 'PR', status: 'merged' } }, 2]);
+
+    expect(evaluateRule(rule, getFact)).toBe(true);
+    expect(evaluateRule({ ...rule, params: { status: 'merged' } }, getFact)).toBe(false);
+  });
+});
+
+describe('getRuleProgress', () => {
+  it('averages all and takes the best of any', () => {
+    const prs = predicate(10);
+    const points = { fact: 'points', value: 100 };
+    const getFact = factsFrom([prs, 5], [points, 100]);
+
+    expect(getRuleProgress({ all: [prs, points] }, getFact).progress).toBe(0.75);
+    expect(getRuleProgress({ any: [prs, predicate(20)] }, getFact).progress).toBe(0.5);
+  });
+
+  it('needs one more than the target for >', () => {
+    const rule = predicate(9, { op: '>' });
+    expect(getRuleProgress(rule, factsFrom([rule, 5])).progress).toBe(0.5);
+  });
+
+  it('only reports met or not for other comparisons and not', () => {
+    const rule = predicate(3, { op: '<=' });
+    const getFact = factsFrom([rule, 5]);
+
+    expect(getRuleProgress(rule, getFact)).toEqual({
+      progress: 0,
+      requirements: [{ fact: 'merged_prs', params: {}, op: '<=', current: 5, target: 3, met: false }]
+    });
+    expect(getRuleProgress({ not: rule }, getFact)).toEqual({ progress: 1, requirements: [] });
+  });
+});
+
+describe('getRuleEvents', () => {
+  it('lists each event that can change the rule once', () => {
+    expect(getRuleEvents({ all: [predicate(), { fact: 'contributions', value: 1 }, { fact: 'mentor_rating', value: 4 }] }))
+      .toEqual(['contribution.created', 'contribution.verified', 'contribution.merged', 'mentorship.feedback_received']);
+  });
+});
+
+describe('conditionsToRule', () => {
+  it('translates legacy conditions into valid rules', () => {
+    const conditions = [
+      { type: 'contribution_count', count: 10 },
+      { type: 'project_count' },
+      { type: 'time_active', count: 365 },
+      { type: 'skill_level', skill: 'react:advanced' },
+      { type: 'special', specialCondition: 'become_mentor' },
+      { type: 'special', specialCondition: 'mentor_rating' },
+      { type: 'special', specialCondition: 'github_stars' }
+    ];
+
+    conditions.forEach(condition => expect(validateRule(conditionsToRule(condition))).toEqual([]));
+    expect(conditionsToRule({ type: 'skill_level', skill: 'react:advanced' }).params).toEqual({ name: 'react' });
+    expect(conditionsToRule({ type: 'project_count' }).value).toBe(1);
+  });
+
+  it('returns null for conditions it cannot express', () => {
+    expect(conditionsToRule({ type: 'skill_level' })).toBeNull();
+    expect(conditionsToRule({ type: 'special', specialCondition: 'unknown' })).toBeNull();
+    expect(conditionsToRule(undefined)).toBeNull();
+  });
+});
@@ -0,0 +1,117 @@
+import { jest, describe, it, expect, afterAll } from '@jest/globals';
+
+const originalEnv = { ...process.env };
+
+// Master keys are read when the module loads, so each key setup gets a fresh copy
+const loadEncryption = async (keys, currentKeyId, env = 'development') => {
+  process.env.TOKEN_ENCRYPTION_KEYS = keys;
+  process.env.TOKEN_ENCRYPTION_KEY_ID = currentKeyId;
+  process.env.NODE_ENV = env;
+  jest.resetModules();
+  return import('../../utils/encryption.js');
+};
+
+afterAll(() => {
+  process.env = originalEnv;
+});
+
+describe('encryptField and decryptField', () => {
+  it('round-trips values through the current key', async () => {
+    const { encryptField, decryptField, getKeyId, isEncrypted } = await loadEncryption('key1:first-secret', 'key1');
+
+    for (const value of ['gho_token', 'ünïcödé ✓', 'with:colons:inside', 'x'.repeat(5000)]) {
+      const encrypted = encryptField(value);
+      expect(isEncrypted(encrypted)).toBe(true);
+      expect(getKeyId(encrypted)).toBe('key1');
+      expect(encrypted).not.toContain(value);
+      expect(decryptField(encrypted)).toBe(value);
+    }
+  });
+
+  it('uses a fresh data key and IV for every value', async () => {
+    const { encryptField } = await loadEncryption('key1:first-secret', 'key1');
+    expect(encryptField('same')).not.toBe(encryptField('same'));
+  });
+
+  it('leaves empty and already encrypted values unchanged', async () => {
+    const { encryptField } = await loadEncryption('key1:first-secret', 'key1');
+    const encrypted = encryptField('secret');
+
+    expect(encryptField(null)).toBeNull();
+    expect(encryptField(undefined)).toBeUndefined();
+    expect(encryptField('')).toBe('');
+    expect(encryptField(encrypted)).toBe(encrypted);
+  });
+
+  it('returns legacy plaintext values as they are', async () => {
+    const { decryptField, getKeyId } = await loadEncryption('key1:first-secret', 'key1');
+
+    expect(decryptField('plain_legacy_token')).toBe('plain_legacy_token');
+    expect(getKeyId('plain_legacy_token')).toBeNull();
+  });
+
+  it('rejects tampered ciphertext', async () => {
+    const { encryptField, decryptField } = await loadEncryption('key1:first-secret', 'key1');
+    const parts = encryptField('secret').split(':');
+    const ciphertext = Buffer.from(parts[6], 'base64');
+    ciphertext[0] ^= 1;
+    parts[6] = ciphertext.toString('base64');
+
+    expect(() => decryptField(parts.join(':'))).toThrow();
+  });
+
+  it('rejects values wrapped with a different secret under the same key ID', async () => {
+    const { encryptField } = await loadEncryption('key1:first-secret', 'key1');
+    const encrypted = encryptField('secret');
+
+    const { decryptField } = await loadEncryption('key1:another-secret', 'key1');
+    expect(() => decryptField(encrypted)).toThrow();
+  });
+});
+
+describe('key rotation', () => {
+  it('decrypts values written with old keys while encrypting with the new one', async () => {
+    const before = await loadEncryption('old:first-secret', 'old');
+    const oldValue = before.encryptField('secret');
+
+    const during = await loadEncryption('old:first-secret,new:second-secret', 'new');
+    const newValue = during.encryptField('secret');
+
+    expect(during.getCurrentKeyId()).toBe('new');
+    expect(during.getKeyId(newValue)).toBe('new');
+    expect(during.decryptField(oldValue)).toBe('secret');
+    expect(during.decryptField(newValue)).toBe('secret');
+
+    // Re-encrypting is how the rotation script moves values to the new key
+    const rotated = during.encryptField(during.decryptField(oldValue));
+    expect(during.getKeyId(rotated)).toBe('new');
+
+    const after = await loadEncryption('new:second-secret', 'new');
+    expect(after.decryptField(rotated)).toBe('secret');
+    expect(() => after.decryptField(oldValue)).toThrow('Encryption key "old" is not configured');
+  });
+
+  it('defaults to the first configured key', async () => {
+    const { getCurrentKeyId } = await loadEncryption('first:a, second:b', '');
+    expect(getCurrentKeyId()).toBe('first');
+  });
+
+  it('falls back to a development key outside production when the current key is not configured', async () => {
+    const { encryptField, decryptField, getCurrentKeyId } = await loadEncryption('bad-entry', 'missing');
+
+    expect(getCurrentKeyId()).toBe('dev');
+    expect(decryptField(encryptField('secret'))).toBe('secret');
+  });
+
+  it('refuses to load in production when the current key is not configured', async () => {
+    await expect(loadEncryption('', '', 'production')).rejects.toThrow('TOKEN_ENCRYPTION_KEYS must be set');
+    await expect(loadEncryption('key1:first-secret', 'missing', 'production')).rejects.toThrow('TOKEN_ENCRYPTION_KEYS must be set');
+  });
+
+  it('loads in production when the current key is configured', async () => {
+    const { encryptField, decryptField, getCurrentKeyId } = await loadEncryption('key1:first-secret', 'key1', 'production');
+
+    expect(getCurrentKeyId()).toBe('key1');
+    expect(decryptField(encryptField('secret'))).toBe('secret');
+  });
+});
@@ -0,0 +1,41 @@
+import { describe, it, expect } from '@jest/globals';
+import User from '../../models/User.js';
+import Project from '../../models/Project.js';
+import Contribution from '../../models/Contribution.js';
+import { canVerifyContribution } from '../../utils/permissions.js';
+
+const makeUser = role => new User({ name: role, email: `${role}@example.com`, password: 'password123', role });
+
+describe('canVerifyContribution', () => {
+  const owner = makeUser('developer');
+  const maintainer = makeUser('client');
+  const contributor = makeUser('developer');
+  const mentor = makeUser('mentor');
+
+  const project = new Project({
+    title: 'Project',
+    creatorId: owner._id,
+    members: [{ userId: maintainer._id, role: 'maintainer' }]
+  });
+
+  const contributionBy = user => new Contribution({ userId: user._id, projectId: project._id, type: 'PR' });
+
+  it('lets project owners and maintainers verify other users\' contributions', () => {
+    expect(canVerifyContribution(owner, contributionBy(contributor), project)).toBe(true);
+    expect(canVerifyContribution(maintainer, contributionBy(contributor), project)).toBe(true);
+  });
+
+  it('keeps project owners and maintainers from verifying their own contributions', () => {
+    expect(canVerifyContribution(owner, contributionBy(owner), project)).toBe(false);
+    expect(canVerifyContribution(maintainer, contributionBy(maintainer), project)).toBe(false);
+  });
+
+  it('lets users who may verify any contribution verify their own', () => {
+    expect(canVerifyContribution(mentor, contributionBy(mentor), project)).toBe(true);
+  });
+
+  it('keeps other users from verifying', () => {
+    expect(canVerifyContribution(contributor, contributionBy(owner), project)).toBe(false);
+    expect(canVerifyContribution(contributor, contributionBy(contributor), project)).toBe(false);
+  });
+});
@@ -0,0 +1,110 @@
+import { jest, describe, it, expect, afterEach } from '@jest/globals';
+import { generateSecret, generateCode, verifyCode, matchCodeStep, getTimeStep, buildOtpauthUri } from '../../utils/totp.js';
+
+// ASCII "12345678901234567890", the SHA-1 seed of the RFC 6238 test vectors
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+// RFC 6238 appendix B (SHA-1); our codes are the last 6 of the 8 digits
+const RFC_VECTORS = [
+  [59, '287082'],
+  [1111111109, '081804'],
+  [1111111111, '050471'],
+  [1234567890, '005924'],
+  [2000000000, '279037'],
+  [20000000000, '353130']
+];
+
+describe('generateCode', () => {
+  it.each(RFC_VECTORS)('matches the RFC 6238 vector at %i seconds', (seconds, code) => {
+    expect(generateCode(RFC_SECRET, seconds * 1000)).toBe(code);
+  });
+
+  it('accepts lowercase, spaced and padded secrets', () => {
+    const messy = `${RFC_SECRET.toLowerCase().match(/.{4}/g).join(' ')}====`;
+    expect(generateCode(messy, 59 * 1000)).toBe('287082');
+  });
+
+  it('rejects secrets that are not base32', () => {
+    expect(() => generateCode('NOT-BASE32!', 0)).toThrow('Invalid base32 character in secret');
+  });
+});
+
+describe('generateSecret', () => {
+  it('generates 160 bit base32 secrets', () => {
+    const secret = generateSecret();
+    expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+    expect(generateSecret()).not.toBe(secret);
+  });
+});
+
+describe('verifyCode', () => {
+  const now = 1111111111 * 1000;
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('accepts the current code', () => {
+    jest.spyOn(Date, 'now').mockReturnValue(now);
+    expect(verifyCode(RFC_SECRET, '050471')).toBe(true);
+  });
+
+  it('accepts codes with spaces', () => {
+    jest.spyOn(Date, 'now').mockReturnValue(now);
+    expect(verifyCode(RFC_SECRET, '050 471')).toBe(true);
+  });
+
+  it('tolerates one step of clock drift by default', () => {
+    jest.spyOn(Date, 'now').mockReturnValue(now + 30 * 1000);
+    expect(verifyCode(RFC_SECRET, '050471')).toBe(true);
+
+    Date.now.mockReturnValue(now - 30 * 1000);
+    expect(verifyCode(RFC_SECRET, '050471')).toBe(true);
+  });
+
+  it('rejects codes outside the window', () => {
+    jest.spyOn(Date, 'now').mockReturnValue(now + 90 * 1000);
+    expect(verifyCode(RFC_SECRET, '050471')).toBe(false);
+    expect(verifyCode(RFC_SECRET, '050471', 3)).toBe(true);
+    expect(verifyCode(RFC_SECRET, '050471', 0)).toBe(false);
+  });
+
+  it('rejects wrong, malformed and missing codes', () => {
+    jest.spyOn(Date, 'now').mockReturnValue(now);
+    expect(verifyCode(RFC_SECRET, '050472')).toBe(false);
+    expect(verifyCode(RFC_SECRET, '05047')).toBe(false);
+    expect(verifyCode(RFC_SECRET, '0504711')).toBe(false);
+    expect(verifyCode(RFC_SECRET, 'abcdef')).toBe(false);
+    expect(verifyCode(RFC_SECRET, '')).toBe(false);
+    expect(verifyCode(null, '050471')).toBe(false);
+  });
+
+  it('rejects replayed codes and codes from earlier steps', () => {
+    jest.spyOn(Date, 'now').mockReturnValue(now);
+    const step = matchCodeStep(RFC_SECRET, '050471');
+    expect(step).toBe(getTimeStep(now));
+
+    // Still inside the drift window, but already used
+    Date.now.mockReturnValue(now + 30 * 1000);
+    expect(verifyCode(RFC_SECRET, '050471', 1, step)).toBe(false);
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, now - 30 * 1000), 1, step)).toBe(false);
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, now + 30 * 1000), 1, step)).toBe(true);
+  });
+});
+
+describe('buildOtpauthUri', () => {
+  it('encodes the issuer, account and parameters authenticator apps expect', () => {
+    const uri = new URL(buildOtpauthUri({ secret: RFC_SECRET, accountName: 'ada@example.com' }));
+
+    expect(uri.protocol).toBe('otpauth:');
+    expect(uri.host).toBe('totp');
+    expect(decodeURIComponent(uri.pathname)).toBe('/OpenElevate:ada@example.com');
+    expect(Object.fromEntries(uri.searchParams)).toEqual({
+      secret: RFC_SECRET,
+      issuer: 'OpenElevate',
+      algorithm: 'SHA1',
+      digits: '6',
+      period: '30'
+    });
+  });
+});
@@ -0,0 +1,137 @@
+/**
+ * Weekly availability helpers. Windows are given per weekday in a user's own
+ * time zone and compared as minutes of a UTC week (0 = Sunday 00:00 UTC).
+ */
+
+const MINUTES_PER_DAY = 24 * 60;
+const MINUTES_PER_WEEK = 7 * MINUTES_PER_DAY;
+
+// 09:00, 17:30; 24:00 closes a window at midnight
+export const TIME_PATTERN = /^(([01]\d|2[0-3]):[0-5]\d|24:00)$/;
+
+// Check an IANA time zone name (e.g. Europe/Berlin)
+export const isTimeZone = (value) => {
+  try {
+    Intl.DateTimeFormat('en-US', { timeZone: value });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// Minutes since midnight of a HH:mm time
+export const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Get the offset of a time zone from UTC at a given moment
+ * @param {string} timeZone - IANA time zone
+ * @param {Date} [date] - Moment, since the offset changes with daylight saving time
+ * @returns {number} - Offset in minutes (positive east of UTC)
+ */
+export const getTimeZoneOffset = (timeZone, date = new Date()) => {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric'
+  }).formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = Number(value);
+  });
+
+  const local = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute);
+  const utc = Math.floor(date.getTime() / 60000) * 60000;
+
+  return Math.round((local - utc) / 60000);
+};
+
+// Sort and join touching or overlapping intervals
+const mergeIntervals = (intervals) => {
+  const merged = [];
+
+  [...intervals].sort((a, b) => a[0] - b[0]).forEach(([start, end]) => {
+    const last = merged[merged.length - 1];
+    if (last && start <= last[1]) {
+      last[1] = Math.max(last[1], end);
+    } else {
+      merged.push([start, end]);
+    }
+  });
+
+  return merged;
+};
+
+/**
+ * Convert weekly availability to intervals of the UTC week
+ * @param {Object} availability - { timezone, windows: [{ day, start, end }] }
+ * @param {Date} [date] - Week the conversion is for (daylight saving time)
+ * @returns {Array} - Merged [start, end] minute intervals
+ */
+export const toUtcWeekIntervals = (availability, date = new Date()) => {
+  const offset = getTimeZoneOffset(availability?.timezone || 'UTC', date);
+  const intervals = [];
+
+  for (const window of availability?.windows || []) {
+    const length = toMinutes(window.end) - toMinutes(window.start);
+    if (length <= 0) continue;
+
+    const start = ((window.day * MINUTES_PER_DAY + toMinutes(window.start) - offset) % MINUTES_PER_WEEK + MINUTES_PER_WEEK) % MINUTES_PER_WEEK;
+    const end = start + length;
+
+    // Windows crossing the end of the week continue at its start
+    if (end > MINUTES_PER_WEEK) {
+      intervals.push([start, MINUTES_PER_WEEK], [0, end - MINUTES_PER_WEEK]);
+    } else {
+      intervals.push([start, end]);
+    }
+  }
+
+  return mergeIntervals(intervals);
+};
+
+/**
+ * Count the weekly minutes two users are both available
+ * @param {Object} a - Availability of the first user
+ * @param {Object} b - Availability of the second user
+ * @param {Date} [date] - Week to compare
+ * @returns {number} - Overlapping minutes per week
+ */
+export const getOverlapMinutes = (a, b, date = new Date()) => {
+  const first = toUtcWeekIntervals(a, date);
+  const second = toUtcWeekIntervals(b, date);
+  let overlap = 0;
+
+  for (const [startA, endA] of first) {
+    for (const [startB, endB] of second) {
+      overlap += Math.max(0, Math.min(endA, endB) - Math.max(startA, startB));
+    }
+  }
+
+  return overlap;
+};
+
+/**
+ * Find the vacation period covering a moment
+ * @param {Array} vacations - [{ start, end }]
+ * @param {Date} [date] - Moment to check
+ * @returns {Object|null} - The vacation, or null if there is none
+ */
+export const getCurrentVacation = (vacations = [], date = new Date()) => (
+  vacations.find(vacation => new Date(vacation.start) <= date && new Date(vacation.end) >= date) || null
+);
+
+export default {
+  TIME_PATTERN,
+  isTimeZone,
+  toMinutes,
+  getTimeZoneOffset,
+  toUtcWeekIntervals,
+  getOverlapMinutes,
+  getCurrentVacation
+};
@@ -0,0 +1,449 @@
+import mongoose from 'mongoose';
+import { MENTORSHIP_STATUSES } from '../models/Mentorship.js';
+import { SESSION_STATUSES } from '../models/MentorshipSession.js';
+import { DOMAIN_EVENTS } from './eventBus.js';
+
+/**
+ * Badge rule expressions.
+ *
+ * A rule is a JSON tree of conditions:
+ *   { all: [rule, ...] }  every rule must hold
+ *   { any: [rule, ...] }  at least one rule must hold
+ *   { not: rule }         the rule must not hold
+ *   { fact, op, value, params }  a predicate comparing a fact about the user
+ *
+ * Example: 5 merged PRs in at least 2 projects this year, or any security fix
+ *   { any: [
+ *     { all: [
+ *       { fact: 'merged_prs', op: '>=', value: 5, params: { since: '2026-01-01' } },
+ *       { fact: 'distinct_projects', op: '>=', value: 2, params: { status: 'merged' } }
+ *     ] },
+ *     { fact: 'contributions', value: 1, params: { labels: 'security', status: 'merged' } }
+ *   ] }
+ */
+
+export const RULE_OPERATORS = ['>=', '>', '<=', '<', '==', '!='];
+
+// Limits that keep rule evaluation cheap
+const MAX_DEPTH = 5;
+const MAX_PREDICATES = 20;
+
+const CONTRIBUTION_TYPES = ['PR', 'issue', 'review', 'documentation', 'other'];
+const CONTRIBUTION_STATUSES = ['open', 'merged', 'closed', 'approved'];
+
+export const GITHUB_STATS = [
+  'followers',
+  'public_repos',
+  'stars',
+  'top_repo_stars',
+  'forks',
+  'commits',
+  'pull_requests',
+  'merged_pull_requests',
+  'issues'
+];
+
+// Validators for predicate params; each returns an error message or null
+const isDate = value => typeof value === 'string' && !Number.isNaN(Date.parse(value));
+const oneOrMany = allowed => value => {
+  const values = [].concat(value);
+  return values.length && values.every(item => allowed.includes(item))
+    ? null
+    : `must be one of: ${allowed.join(', ')} (or an array of them)`;
+};
+
+const PARAMS = {
+  type: oneOrMany(CONTRIBUTION_TYPES),
+  status: oneOrMany(CONTRIBUTION_STATUSES),
+  labels: value => ([].concat(value).every(label => typeof label === 'string' && label.trim())
+    ? null
+    : 'must be a label or an array of labels'),
+  projectId: value => (mongoose.isValidObjectId(value) ? null : 'must be a project ID'),
+  since: value => (isDate(value) ? null : 'must be a date'),
+  until: value => (isDate(value) ? null : 'must be a date'),
+  unit: value => (['day', 'week'].includes(value) ? null : 'must be day or week'),
+  role: value => (['mentor', 'mentee', 'any'].includes(value) ? null : 'must be mentor, mentee or any'),
+  mentorshipStatus: oneOrMany(MENTORSHIP_STATUSES),
+  goalsMet: value => (typeof value === 'boolean' ? null : 'must be true or false'),
+  sessionStatus: oneOrMany(SESSION_STATUSES),
+  minReviews: value => (Number.isInteger(value) && value >= 1 ? null : 'must be a positive integer'),
+  stat: value => (GITHUB_STATS.includes(value) ? null : `must be one of: ${GITHUB_STATS.join(', ')}`),
+  name: value => (typeof value === 'string' && value.trim() ? null : 'must be a non-empty string')
+};
+
+const CONTRIBUTION_FILTERS = ['type', 'status', 'labels', 'projectId', 'since', 'until'];
+
+// Domain events after which a fact may have changed
+const CONTRIBUTION_EVENTS = ['contribution.created', 'contribution.verified', 'contribution.merged'];
+const MENTORSHIP_EVENTS = ['mentorship.accepted', 'mentorship.completed'];
+
+/**
+ * Facts a predicate can test. `kind` is the type of the fact's value;
+ * `required` params must be given; `events` are the domain events that can
+ * change the fact (badges are only re-evaluated after those).
+ */
+export const RULE_FACTS = {
+  contributions: {
+    kind: 'number',
+    params: CONTRIBUTION_FILTERS,
+    events: CONTRIBUTION_EVENTS,
+    description: 'Number of contributions'
+  },
+  merged_prs: {
+    kind: 'number',
+    params: ['labels', 'projectId', 'since', 'until'],
+    events: CONTRIBUTION_EVENTS,
+    description: 'Number of merged pull requests'
+  },
+  distinct_projects: {
+    kind: 'number',
+    params: CONTRIBUTION_FILTERS.filter(param => param !== 'projectId'),
+    events: CONTRIBUTION_EVENTS,
+    description: 'Number of different projects contributed to'
+  },
+  languages: {
+    kind: 'number',
+    params: CONTRIBUTION_FILTERS.filter(param => param !== 'projectId'),
+    events: CONTRIBUTION_EVENTS,
+    description: 'Number of different technologies (project tech stack) contributed to'
+  },
+  contribution_streak: {
+    kind: 'number',
+    params: [...CONTRIBUTION_FILTERS, 'unit'],
+    events: CONTRIBUTION_EVENTS,
+    description: 'Longest run of consecutive days (or weeks, with unit "week") with a contribution'
+  },
+  mentorships: {
+    kind: 'number',
+    params: ['role', 'mentorshipStatus', 'goalsMet', 'since', 'until'],
+    events: MENTORSHIP_EVENTS,
+    description: 'Number of mentorships as mentor, mentee or either (goalsMet: only those with all milestones complete)'
+  },
+  mentorship_sessions: {
+    kind: 'number',
+    params: ['role', 'sessionStatus', 'since', 'until'],
+    events: ['mentorship.session_completed'],
+    description: 'Number of mentorship sessions (held ones unless sessionStatus is given) as mentor, mentee or either'
+  },
+  mentor_rating: {
+    kind: 'number',
+    params: ['minReviews'],
+    events: ['mentorship.feedback_received'],
+    description: 'Mentor rating from mentee feedback (Bayesian average, 1-5); 0 with fewer than minReviews reviews (default 1)'
+  },
+  github: {
+    kind: 'number',
+    params: ['stat'],
+    required: ['stat'],
+    events: ['profile.updated'],
+    description: 'A statistic from the linked GitHub account'
+  },
+  points: {
+    kind: 'number',
+    params: [],
+    events: [...CONTRIBUTION_EVENTS, 'mentorship.completed'],
+    description: 'Current points total'
+  },
+  projects_created: {
+    kind: 'number',
+    params: ['since', 'until'],
+    events: ['project.created'],
+    description: 'Number of projects created'
+  },
+  account_age_days: {
+    kind: 'number',
+    params: [],
+    // Grows on its own, so it is checked after any event
+    events: DOMAIN_EVENTS,
+    description: 'Days since the account was created'
+  },
+  is_mentor: {
+    kind: 'boolean',
+    params: [],
+    events: ['profile.updated', ...MENTORSHIP_EVENTS],
+    description: 'Whether the user is a mentor'
+  },
+  has_skill: {
+    kind: 'boolean',
+    params: ['name'],
+    required: ['name'],
+    events: ['profile.updated'],
+    description: 'Whether the user lists a skill on their profile'
+  }
+};
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const validatePredicate = (rule, path, errors) => {
+  const fact = RULE_FACTS[rule.fact];
+  if (!fact) {
+    errors.push(`${path}.fact: unknown fact "${rule.fact}" (expected one of: ${Object.keys(RULE_FACTS).join(', ')})`);
+    return;
+  }
+
+  const unknownKeys = Object.keys(rule).filter(key => !['fact', 'op', 'value', 'params'].includes(key));
+  if (unknownKeys.length) {
+    errors.push(`${path}: unknown keys ${unknownKeys.join(', ')}`);
+  }
+
+  const op = rule.op ?? '>=';
+  if (!RULE_OPERATORS.includes(op)) {
+    errors.push(`${path}.op: must be one of ${RULE_OPERATORS.join(', ')}`);
+  } else if (fact.kind === 'boolean' && !['==', '!='].includes(op)) {
+    errors.push(`${path}.op: "${rule.fact}" can only be compared with == or !=`);
+  }
+
+  if (fact.kind === 'number' && !(typeof rule.value === 'number' && Number.isFinite(rule.value) && rule.value >= 0)) {
+    errors.push(`${path}.value: must be a non-negative number`);
+  }
+  if (fact.kind === 'boolean' && typeof rule.value !== 'boolean') {
+    errors.push(`${path}.value: must be true or false`);
+  }
+
+  const params = rule.params ?? {};
+  if (!isPlainObject(params)) {
+    errors.push(`${path}.params: must be an object`);
+    return;
+  }
+
+  for (const [key, value] of Object.entries(params)) {
+    if (!fact.params.includes(key)) {
+      errors.push(`${path}.params.${key}: not supported by "${rule.fact}"`);
+      continue;
+    }
+    const error = PARAMS[key](value);
+    if (error) errors.push(`${path}.params.${key}: ${error}`);
+  }
+
+  for (const key of fact.required || []) {
+    if (params[key] === undefined) errors.push(`${path}.params.${key}: is required`);
+  }
+
+  if (isDate(params.since) && isDate(params.until) && Date.parse(params.since) > Date.parse(params.until)) {
+    errors.push(`${path}.params: since must be before until`);
+  }
+};
+
+/**
+ * Validate a rule expression
+ * @param {Object} rule - Rule expression
+ * @returns {Array} - Error messages (empty when the rule is valid)
+ */
+export const validateRule = (rule) => {
+  const errors = [];
+  let predicates = 0;
+
+  const visit = (node, path, depth) => {
+    if (depth > MAX_DEPTH) {
+      errors.push(`${path}: rules cannot be nested more than ${MAX_DEPTH} levels deep`);
+      return;
+    }
+    if (!isPlainObject(node)) {
+      errors.push(`${path}: must be an object`);
+      return;
+    }
+
+    const operators = ['all', 'any', 'not'].filter(key => key in node);
+
+    if (operators.length > 1 || (operators.length && 'fact' in node)) {
+      errors.push(`${path}: use only one of all, any, not or fact`);
+      return;
+    }
+
+    if (node.all !== undefined || node.any !== undefined) {
+      const key = operators[0];
+      if (Object.keys(node).length > 1) {
+        errors.push(`${path}: unknown keys next to ${key}`);
+      }
+      if (!Array.isArray(node[key]) || node[key].length === 0) {
+        errors.push(`${path}.${key}: must be a non-empty array`);
+        return;
+      }
+      node[key].forEach((child, index) => visit(child, `${path}.${key}[${index}]`, depth + 1));
+      return;
+    }
+
+    if (node.not !== undefined) {
+      if (Object.keys(node).length > 1) {
+        errors.push(`${path}: unknown keys next to not`);
+      }
+      visit(node.not, `${path}.not`, depth + 1);
+      return;
+    }
+
+    if (node.fact === undefined) {
+      errors.push(`${path}: must have all, any, not or fact`);
+      return;
+    }
+
+    predicates++;
+    validatePredicate(node, path, errors);
+  };
+
+  visit(rule, 'rule', 1);
+
+  if (predicates > MAX_PREDICATES) {
+    errors.push(`rule: cannot have more than ${MAX_PREDICATES} conditions`);
+  }
+
+  return errors;
+};
+
+/**
+ * List the predicates of a rule
+ * @param {Object} rule - Valid rule expression
+ * @returns {Array} - Predicates, in order of appearance
+ */
+export const getPredicates = (rule) => {
+  if (rule.all || rule.any) return (rule.all || rule.any).flatMap(getPredicates);
+  if (rule.not) return getPredicates(rule.not);
+  return [rule];
+};
+
+/**
+ * List the domain events after which a rule may change its outcome
+ * @param {Object} rule - Valid rule expression
+ * @returns {Array} - Event names
+ */
+export const getRuleEvents = (rule) => [
+  ...new Set(getPredicates(rule).flatMap(predicate => RULE_FACTS[predicate.fact].events))
+];
+
+/**
+ * Stable key of a predicate's fact and params, so equal facts are computed once
+ * @param {Object} predicate - Predicate
+ * @returns {string} - Fact key
+ */
+export const getFactKey = (predicate) => {
+  const params = predicate.params || {};
+  const sorted = Object.keys(params).sort().map(key => [key, params[key]]);
+  return `${predicate.fact}:${JSON.stringify(sorted)}`;
+};
+
+const compare = (actual, op, expected) => {
+  switch (op) {
+    case '>': return actual > expected;
+    case '<=': return actual <= expected;
+    case '<': return actual < expected;
+    case '==': return actual === expected;
+    case '!=': return actual !== expected;
+    default: return actual >= expected;
+  }
+};
+
+/**
+ * Evaluate a rule against computed facts
+ * @param {Object} rule - Valid rule expression
+ * @param {Function} getFact - Returns the value of a fact key for the user
+ * @returns {boolean} - Whether the rule holds
+ */
+export const evaluateRule = (rule, getFact) => {
+  if (rule.all) return rule.all.every(child => evaluateRule(child, getFact));
+  if (rule.any) return rule.any.some(child => evaluateRule(child, getFact));
+  if (rule.not) return !evaluateRule(rule.not, getFact);
+
+  const kind = RULE_FACTS[rule.fact].kind;
+  const actual = getFact(getFactKey(rule)) ?? (kind === 'boolean' ? false : 0);
+  return compare(actual, rule.op ?? '>=', rule.value);
+};
+
+/**
+ * Measure how far a user is from satisfying a rule. A numeric `>=`/`>`
+ * predicate counts as the share of its target reached; other predicates are
+ * met or not. `all` averages its children, `any` takes the best one.
+ * @param {Object} rule - Valid rule expression
+ * @param {Function} getFact - Returns the value of a fact key (see getFactKey)
+ * @returns {Object} - { progress: 0-1, requirements: [{ fact, params, op, current, target, met }] }
+ */
+export const getRuleProgress = (rule, getFact) => {
+  if (rule.all || rule.any) {
+    const children = (rule.all || rule.any).map(child => getRuleProgress(child, getFact));
+    const shares = children.map(child => child.progress);
+
+    return {
+      progress: rule.all ? shares.reduce((sum, share) => sum + share, 0) / shares.length : Math.max(...shares),
+      requirements: children.flatMap(child => child.requirements)
+    };
+  }
+
+  // Progress toward "not" isn't measurable; it holds or it doesn't
+  if (rule.not) {
+    return { progress: evaluateRule(rule, getFact) ? 1 : 0, requirements: [] };
+  }
+
+  const op = rule.op ?? '>=';
+  const kind = RULE_FACTS[rule.fact].kind;
+  const current = getFact(getFactKey(rule)) ?? (kind === 'boolean' ? false : 0);
+  const met = compare(current, op, rule.value);
+
+  let progress = met ? 1 : 0;
+  if (!met && kind === 'number' && ['>=', '>'].includes(op) && rule.value > 0) {
+    // "> 9" needs 10 to be met
+    progress = Math.min(1, Math.max(0, current / (op === '>' ? rule.value + 1 : rule.value)));
+  }
+
+  return {
+    progress,
+    requirements: [{
+      fact: rule.fact,
+      params: rule.params || {},
+      op,
+      current,
+      target: rule.value,
+      met
+    }]
+  };
+};
+
+/**
+ * Translate the legacy single `conditions` of a badge into a rule
+ * @param {Object} conditions - Badge conditions ({ type, count, skill, specialCondition })
+ * @returns {Object|null} - Rule, or null if the condition can't be expressed
+ */
+export const conditionsToRule = (conditions) => {
+  const count = conditions?.count ?? 1;
+
+  switch (conditions?.type) {
+    case 'contribution_count':
+      return { fact: 'contributions', op: '>=', value: count, params: { status: ['merged', 'approved'] } };
+    case 'project_count':
+      return { fact: 'projects_created', op: '>=', value: count };
+    case 'time_active':
+      return { fact: 'account_age_days', op: '>=', value: count };
+    case 'skill_level':
+      return conditions.skill
+        ? { fact: 'has_skill', op: '==', value: true, params: { name: conditions.skill.split(':')[0] } }
+        : null;
+    case 'special':
+      if (conditions.specialCondition === 'become_mentor') {
+        return { fact: 'is_mentor', op: '==', value: true };
+      }
+      if (conditions.specialCondition === 'mentor_rating') {
+        return {
+          all: [
+            { fact: 'is_mentor', op: '==', value: true },
+            { fact: 'mentor_rating', op: '>=', value: 4.5 }
+          ]
+        };
+      }
+      if (conditions.specialCondition === 'github_stars') {
+        return { fact: 'github', op: '>=', value: 100, params: { stat: 'top_repo_stars' } };
+      }
+      return null;
+    default:
+      return null;
+  }
+};
+
+export default {
+  RULE_OPERATORS,
+  RULE_FACTS,
+  GITHUB_STATS,
+  validateRule,
+  getPredicates,
+  getRuleEvents,
+  getFactKey,
+  evaluateRule,
+  getRuleProgress,
+  conditionsToRule
+};
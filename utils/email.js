@@ -9,6 +9,7 @@ import { logger } from './logger.js';
  * @param {string} options.subject - Email subject
  * @param {string} options.text - Plain text email content
  * @param {string} [options.html] - HTML email content (optional)
+ * @param {Array} [options.attachments] - Nodemailer attachments (optional)
  * @returns {Promise} - Nodemailer send mail promise
  */
 export const sendEmail = async (options) => {
@@ -37,6 +38,10 @@ export const sendEmail = async (options) => {
       mailOptions.html = options.html;
     }
     
+    if (options.attachments) {
+      mailOptions.attachments = options.attachments;
+    }
+    
     // Send email
     const info = await transporter.sendMail(mailOptions);
     logger.info(`Email sent: ${info.messageId}`);
@@ -80,6 +85,95 @@ export const sendWelcomeEmail = async (user) => {
   });
 };
 
+/**
+ * Send an email address verification link
+ * @param {Object} user - User object
+ * @param {string} verificationToken - Unhashed verification token
+ * @returns {Promise} - Nodemailer send mail promise
+ */
+export const sendVerificationEmail = async (user, verificationToken) => {
+  const verifyUrl = `${config.frontendUrl}/verify-email/${verificationToken}`;
+  
+  const text = `
+    Hello ${user.name},
+    
+    Please confirm your email address for your OpenElevate account by clicking the link below:
+    ${verifyUrl}
+    
+    This link will expire in 24 hours.
+    
+    If you did not create an OpenElevate account, you can safely ignore this email.
+    
+    The OpenElevate Team
+  `;
+  
+  return sendEmail({
+    to: user.email,
+    subject: 'Verify your OpenElevate email address',
+    text,
+  });
+};
+
+/**
+ * Send a notification email when an account is locked after failed logins
+ * @param {Object} user - User object
+ * @param {Date} lockUntil - When the lock expires
+ * @returns {Promise} - Nodemailer send mail promise
+ */
+export const sendAccountLockedEmail = async (user, lockUntil) => {
+  const resetUrl = `${config.frontendUrl}/forgot-password`;
+  
+  const text = `
+    Hello ${user.name},
+    
+    We temporarily locked your OpenElevate account after several failed login attempts.
+    You can try again after ${lockUntil.toUTCString()}.
+    
+    If this wasn't you, someone may be trying to guess your password. We recommend
+    resetting it here: ${resetUrl}
+    
+    The OpenElevate Team
+  `;
+  
+  return sendEmail({
+    to: user.email,
+    subject: 'Your OpenElevate account has been temporarily locked',
+    text,
+  });
+};
+
+/**
+ * Send an invitation to join a project team
+ * @param {string} email - Invitee email address
+ * @param {Object} project - Project object
+ * @param {Object} invitation - Invitation subdocument
+ * @param {Object} inviter - User who sent the invitation
+ * @returns {Promise} - Nodemailer send mail promise
+ */
+export const sendProjectInvitationEmail = async (email, project, invitation, inviter) => {
+  const invitationUrl = `${config.frontendUrl}/projects/${project._id}/invitations/${invitation._id}`;
+  
+  const text = `
+    Hello,
+    
+    ${inviter.name} invited you to join "${project.title}" on OpenElevate as a ${invitation.role}.
+    
+    Accept or decline the invitation here:
+    ${invitationUrl}
+    
+    If you don't have an account yet, sign up with this email address first.
+    This invitation expires on ${invitation.expiresAt.toUTCString()}.
+    
+    The OpenElevate Team
+  `;
+  
+  return sendEmail({
+    to: email,
+    subject: `You're invited to join ${project.title} on OpenElevate`,
+    text,
+  });
+};
+
 /**
  * Send a notification email about contribution status change
  * @param {Object} user - User object
@@ -114,8 +208,166 @@ export const sendContributionStatusEmail = async (user, contribution) => {
   });
 };
 
+/**
+ * Send a notification email when a user is close to the next tier of a badge series
+ * @param {Object} user - User object
+ * @param {Object} badge - Badge of the next tier
+ * @param {Object} progress - Progress toward the badge ({ progress, requirements })
+ * @returns {Promise} - Nodemailer send mail promise
+ */
+export const sendBadgeTierProgressEmail = async (user, badge, progress) => {
+  const requirements = progress.requirements
+    .filter(requirement => !requirement.met)
+    .map(requirement => `- ${requirement.fact.replace(/_/g, ' ')}: ${requirement.current}/${requirement.target}`)
+    .join('\n    ');
+  
+  const text = `
+    Hello ${user.name},
+    
+    You're ${Math.round(progress.progress * 100)}% of the way to the "${badge.title}" badge${badge.tierName ? ` (${badge.tierName})` : ''}.
+    
+    ${requirements}
+    
+    Keep up the great work!
+    
+    The OpenElevate Team
+  `;
+  
+  return sendEmail({
+    to: user.email,
+    subject: `Almost there: ${badge.title}`,
+    text,
+  });
+};
+
+/**
+ * Send an email about a mentorship session with the session as a calendar attachment
+ * @param {Object} user - Recipient
+ * @param {Object} session - Mentorship session
+ * @param {Object} details - Email details
+ * @param {string} details.subject - Email subject
+ * @param {string} details.message - What happened to the session
+ * @param {string} details.calendar - iCalendar text of the session
+ * @returns {Promise} - Nodemailer send mail promise
+ */
+export const sendMentorshipSessionEmail = async (user, session, { subject, message, calendar }) => {
+  const time = new Date(session.scheduledAt).toLocaleString('en-US', {
+    timeZone: session.timezone,
+    dateStyle: 'full',
+    timeStyle: 'short'
+  });
+  
+  const text = `
+    Hello ${user.name},
+    
+    ${message}
+    
+    When: ${time} (${session.timezone}), ${session.duration} minutes
+    ${session.agenda ? `Agenda: ${session.agenda}` : ''}
+    ${session.meetingUrl ? `Join: ${session.meetingUrl}` : ''}
+    
+    The attached invitation adds the session to your calendar.
+    
+    The OpenElevate Team
+  `;
+  
+  return sendEmail({
+    to: user.email,
+    subject,
+    text,
+    attachments: [{
+      filename: 'session.ics',
+      content: calendar,
+      contentType: 'text/calendar; charset=utf-8'
+    }]
+  });
+};
+
+/**
+ * Send an email when a waitlisted mentorship request reaches the mentor
+ * @param {Object} user - Mentee
+ * @param {Object} mentor - Mentor
+ * @returns {Promise} - Nodemailer send mail promise
+ */
+export const sendMentorshipWaitlistEmail = async (user, mentor) => {
+  const text = `
+    Hello ${user.name},
+    
+    A spot has opened up with ${mentor.name}. Your mentorship request has left the waitlist and is now waiting for ${mentor.name}'s answer.
+    
+    The OpenElevate Team
+  `;
+  
+  return sendEmail({
+    to: user.email,
+    subject: `Your mentorship request to ${mentor.name} is off the waitlist`,
+    text,
+  });
+};
+
+/**
+ * Send an email when every milestone of a mentorship is complete
+ * @param {Object} user - Mentor or mentee
+ * @param {Object} mentorship - Mentorship
+ * @param {Object} progress - Progress of the mentorship ({ goals, milestones })
+ * @returns {Promise} - Nodemailer send mail promise
+ */
+export const sendMentorshipGoalsCompletedEmail = async (user, mentorship, progress) => {
+  const text = `
+    Hello ${user.name},
+    
+    All ${progress.milestones} milestones of the ${progress.goals} goals in your mentorship are complete. Congratulations!
+    
+    The mentorship can now be completed, which earns the mentee a completion certificate.
+    
+    The OpenElevate Team
+  `;
+  
+  return sendEmail({
+    to: user.email,
+    subject: 'Mentorship goals achieved',
+    text,
+  });
+};
+
+/**
+ * Send an email when a mentorship changes status
+ * @param {Object} user - Mentor or mentee
+ * @param {Object} details - Email details
+ * @param {string} details.subject - Email subject
+ * @param {string} details.message - What happened to the mentorship
+ * @param {string} [details.reason] - Reason given for the change
+ * @returns {Promise} - Nodemailer send mail promise
+ */
+export const sendMentorshipStatusEmail = async (user, { subject, message, reason }) => {
+  const text = `
+    Hello ${user.name},
+    
+    ${message}
+    ${reason ? `Reason: ${reason}` : ''}
+    
+    You can find the mentorship in your OpenElevate dashboard.
+    
+    The OpenElevate Team
+  `;
+  
+  return sendEmail({
+    to: user.email,
+    subject,
+    text,
+  });
+};
+
 export default {
   sendEmail,
   sendWelcomeEmail,
+  sendVerificationEmail,
+  sendAccountLockedEmail,
+  sendProjectInvitationEmail,
   sendContributionStatusEmail,
+  sendBadgeTierProgressEmail,
+  sendMentorshipSessionEmail,
+  sendMentorshipWaitlistEmail,
+  sendMentorshipGoalsCompletedEmail,
+  sendMentorshipStatusEmail,
 };
@@ -0,0 +1,152 @@
+import crypto from 'crypto';
+import config from '../config/index.js';
+import { logger } from './logger.js';
+
+/**
+ * Field-level envelope encryption for secrets stored in MongoDB.
+ *
+ * Each value is encrypted with its own random data key (AES-256-GCM); the data
+ * key is then encrypted ("wrapped") with a master key from config. The master
+ * key ID is stored alongside so keys can be rotated without losing old data.
+ *
+ * Stored format: enc:v1:<keyId>:<wrappedDataKey>:<iv>:<authTag>:<ciphertext>
+ */
+
+const PREFIX = 'enc:v1:';
+const ALGORITHM = 'aes-256-gcm';
+const DEV_KEY_ID = 'dev';
+
+// Parse "keyId:secret,keyId2:secret2" into a map of 32-byte keys
+const parseMasterKeys = (value = '') => {
+  const keys = {};
+
+  value.split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+    const separator = entry.indexOf(':');
+    if (separator <= 0) {
+      logger.error('Ignoring malformed entry in TOKEN_ENCRYPTION_KEYS (expected keyId:secret)');
+      return;
+    }
+
+    const keyId = entry.slice(0, separator);
+    const secret = entry.slice(separator + 1);
+    keys[keyId] = crypto.createHash('sha256').update(secret).digest();
+  });
+
+  return keys;
+};
+
+const masterKeys = parseMasterKeys(config.encryption.keys);
+let currentKeyId = config.encryption.currentKeyId || Object.keys(masterKeys)[0];
+
+// Log warning and use a development key if no master key is configured.
+// The development key is public, so production refuses to start without one.
+if (!currentKeyId || !masterKeys[currentKeyId]) {
+  if (config.env === 'production') {
+    throw new Error('TOKEN_ENCRYPTION_KEYS must be set, and include TOKEN_ENCRYPTION_KEY_ID, in production');
+  }
+
+  logger.warn('No token encryption key configured. Using a development key; this is insecure and should only be used for development.');
+  masterKeys[DEV_KEY_ID] = crypto.createHash('sha256').update('default_encryption_key_for_development_only').digest();
+  currentKeyId = DEV_KEY_ID;
+}
+
+const encryptWithKey = (key, plaintext) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return { iv, tag: cipher.getAuthTag(), ciphertext };
+};
+
+const decryptWithKey = (key, iv, tag, ciphertext) => {
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+};
+
+/**
+ * Check if a stored value is already encrypted
+ * @param {*} value - Stored value
+ * @returns {boolean} - Whether the value is in the encrypted format
+ */
+export const isEncrypted = (value) => typeof value === 'string' && value.startsWith(PREFIX);
+
+/**
+ * Get the ID of the master key used for new encryptions
+ * @returns {string} - Current key ID
+ */
+export const getCurrentKeyId = () => currentKeyId;
+
+/**
+ * Get the master key ID an encrypted value was written with
+ * @param {string} value - Encrypted value
+ * @returns {string|null} - Key ID, or null if the value isn't encrypted
+ */
+export const getKeyId = (value) => (isEncrypted(value) ? value.slice(PREFIX.length).split(':')[0] : null);
+
+/**
+ * Encrypt a value with a fresh data key wrapped by the current master key.
+ * Empty and already encrypted values are returned unchanged.
+ * @param {string} value - Plaintext value
+ * @returns {string} - Encrypted value
+ */
+export const encryptField = (value) => {
+  if (value === null || value === undefined || value === '' || isEncrypted(value)) {
+    return value;
+  }
+
+  const dataKey = crypto.randomBytes(32);
+  const wrapped = encryptWithKey(masterKeys[currentKeyId], dataKey);
+  const encrypted = encryptWithKey(dataKey, Buffer.from(String(value), 'utf8'));
+
+  const wrappedKey = Buffer.concat([wrapped.iv, wrapped.tag, wrapped.ciphertext]).toString('base64');
+
+  return PREFIX + [
+    currentKeyId,
+    wrappedKey,
+    encrypted.iv.toString('base64'),
+    encrypted.tag.toString('base64'),
+    encrypted.ciphertext.toString('base64')
+  ].join(':');
+};
+
+/**
+ * Decrypt a value written by encryptField. Legacy plaintext values are
+ * returned unchanged so they keep working until they are re-encrypted.
+ * @param {string} value - Stored value
+ * @returns {string} - Plaintext value
+ */
+export const decryptField = (value) => {
+  if (!isEncrypted(value)) {
+    return value;
+  }
+
+  const [keyId, wrappedKey, iv, tag, ciphertext] = value.slice(PREFIX.length).split(':');
+  const masterKey = masterKeys[keyId];
+
+  if (!masterKey) {
+    throw new Error(`Encryption key "${keyId}" is not configured`);
+  }
+
+  const wrappedBuffer = Buffer.from(wrappedKey, 'base64');
+  const dataKey = decryptWithKey(
+    masterKey,
+    wrappedBuffer.subarray(0, 12),
+    wrappedBuffer.subarray(12, 28),
+    wrappedBuffer.subarray(28)
+  );
+
+  return decryptWithKey(
+    dataKey,
+    Buffer.from(iv, 'base64'),
+    Buffer.from(tag, 'base64'),
+    Buffer.from(ciphertext, 'base64')
+  ).toString('utf8');
+};
+
+export default {
+  encryptField,
+  decryptField,
+  isEncrypted,
+  getKeyId,
+  getCurrentKeyId
+};
@@ -0,0 +1,78 @@
+import { EventEmitter } from 'events';
+import { logger } from './logger.js';
+
+/**
+ * In-process domain event bus.
+ *
+ * Routes and services publish what happened (a contribution was merged, a
+ * project was created, ...) and subscribers react asynchronously, after the
+ * publishing request has moved on. A failing handler is retried with
+ * backoff, so handlers must be idempotent.
+ */
+
+export const DOMAIN_EVENTS = [
+  'contribution.created',
+  'contribution.verified',
+  'contribution.merged',
+  'project.created',
+  'mentorship.accepted',
+  'mentorship.completed',
+  'mentorship.session_completed',
+  'mentorship.feedback_received',
+  'profile.updated'
+];
+
+const MAX_ATTEMPTS = 3;
+const RETRY_DELAY = 1000; // Doubled after each failed attempt
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(50);
+
+/**
+ * Publish a domain event. Handlers run on a later tick; publishing never
+ * fails because of a handler.
+ * @param {string} event - Event name from DOMAIN_EVENTS
+ * @param {Object} payload - Event data (IDs of the documents involved)
+ */
+export const publish = (event, payload = {}) => {
+  if (!DOMAIN_EVENTS.includes(event)) {
+    throw new Error(`Unknown domain event: ${event}`);
+  }
+
+  const envelope = { event, payload, occurredAt: new Date() };
+  setImmediate(() => emitter.emit(event, envelope));
+};
+
+/**
+ * Subscribe to one or more domain events
+ * @param {string|Array} events - Event name(s)
+ * @param {string} name - Subscriber name, used in logs
+ * @param {Function} handler - async (payload, envelope) => {}
+ */
+export const subscribe = (events, name, handler) => {
+  const run = async (envelope, attempt = 1) => {
+    try {
+      await handler(envelope.payload, envelope);
+    } catch (error) {
+      if (attempt < MAX_ATTEMPTS) {
+        logger.warn(`${name} failed on ${envelope.event} (attempt ${attempt}), retrying: ${error.message}`);
+        setTimeout(() => run(envelope, attempt + 1), RETRY_DELAY * 2 ** (attempt - 1));
+      } else {
+        logger.error(`${name} failed on ${envelope.event} after ${MAX_ATTEMPTS} attempts: ${error.message}`);
+      }
+    }
+  };
+
+  for (const event of [].concat(events)) {
+    if (!DOMAIN_EVENTS.includes(event)) {
+      throw new Error(`Unknown domain event: ${event}`);
+    }
+    emitter.on(event, envelope => run(envelope));
+  }
+};
+
+export default {
+  DOMAIN_EVENTS,
+  publish,
+  subscribe
+};
@@ -0,0 +1,86 @@
+/**
+ * Minimal iCalendar (RFC 5545) writer for calendar attachments and feeds.
+ * Times are written in UTC, so no VTIMEZONE definitions are needed.
+ */
+
+const PRODUCT_ID = '-//OpenElevate//Mentorship Sessions//EN';
+
+// 20260101T090000Z
+const formatDate = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Escape a TEXT value
+const escapeText = (value = '') => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Quote a parameter value (e.g. CN); double quotes can't be escaped, so they are dropped
+const quoteParam = (value = '') => `"${String(value).replace(/"/g, '')}"`;
+
+// Lines longer than 75 octets are folded onto continuation lines starting with a space
+const foldLine = (line) => {
+  const chunks = [];
+  let chunk = '';
+
+  for (const char of line) {
+    if (Buffer.byteLength(chunk + char) > (chunks.length ? 74 : 75)) {
+      chunks.push(chunk);
+      chunk = '';
+    }
+    chunk += char;
+  }
+  chunks.push(chunk);
+
+  return chunks.join('\r\n ');
+};
+
+/**
+ * Build a calendar
+ * @param {Object} calendar - Calendar data
+ * @param {string} [calendar.name] - Calendar name shown by calendar apps
+ * @param {string} [calendar.method] - iTIP method (e.g. REQUEST, CANCEL) for email invitations
+ * @param {Array} calendar.events - Events: { uid, start, end, summary, description, url, status, sequence, organizer, attendees }
+ * @returns {string} - iCalendar text
+ */
+export const buildCalendar = ({ name, method, events }) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN'
+  ];
+
+  if (method) lines.push(`METHOD:${method}`);
+  if (name) lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+
+  for (const event of events) {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.uid}`,
+      `DTSTAMP:${formatDate(new Date())}`,
+      `DTSTART:${formatDate(event.start)}`,
+      `DTEND:${formatDate(event.end)}`,
+      `SUMMARY:${escapeText(event.summary)}`
+    );
+
+    if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    if (event.url) lines.push(`URL:${event.url}`, `LOCATION:${escapeText(event.url)}`);
+    if (event.status) lines.push(`STATUS:${event.status}`);
+    lines.push(`SEQUENCE:${event.sequence || 0}`);
+    if (event.organizer) lines.push(`ORGANIZER;CN=${quoteParam(event.organizer.name)}:mailto:${event.organizer.email}`);
+    for (const attendee of event.attendees || []) {
+      lines.push(`ATTENDEE;CN=${quoteParam(attendee.name)}:mailto:${attendee.email}`);
+    }
+
+    lines.push('END:VEVENT');
+  }
+
+  lines.push('END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+export default {
+  buildCalendar
+};
@@ -0,0 +1,209 @@
+/**
+ * Central permission policy.
+ *
+ * Roles map to named permissions. Permissions ending in `.own` only apply to
+ * resources the user owns (see OWNERSHIP_RULES); `.any` applies to all of them.
+ * Routes ask `can(user, 'project.update', project)` instead of comparing roles.
+ * On projects, members also get the permissions of their team role.
+ */
+
+// Permissions every signed-in user has
+const MEMBER_PERMISSIONS = [
+  'user.update.own',
+  'user.points.read.own',
+  'project.create',
+  'project.update.own',
+  'project.delete.own',
+  'project.issues.manage.own',
+  'project.members.manage.own',
+  'contribution.create',
+  'contribution.update.own',
+  'contribution.delete.own',
+  'mentorship.request',
+  'mentorship.read.own',
+  'mentorship.update.own',
+  'mentorship.respond.own',
+  'analytics.user.read.own'
+];
+
+// Extra permissions for mentors
+const MENTOR_PERMISSIONS = [
+  'contribution.verify',
+  'badge.award',
+  'github.analytics.read.any'
+];
+
+// Extra permissions for admins
+const ADMIN_PERMISSIONS = [
+  'user.update.any',
+  'user.delete.any',
+  'user.security.manage',
+  'user.permissions.read',
+  'user.stats.read',
+  'user.points.read.any',
+  'user.points.adjust',
+  'project.update.any',
+  'project.delete.any',
+  'project.issues.manage.any',
+  'project.members.manage.any',
+  'project.ownership.transfer.any',
+  'contribution.update.any',
+  'contribution.delete.any',
+  'contribution.status.set',
+  'badge.manage',
+  'badge.revoke',
+  'mentorship.read.any',
+  'mentorship.stats.read',
+  'mentorship.feedback.moderate',
+  'settings.read.private',
+  'settings.manage',
+  'analytics.platform.read',
+  'analytics.refresh',
+  'analytics.user.read.any',
+  'email.send',
+  'webhook.deliveries.read'
+];
+
+export const ROLE_PERMISSIONS = {
+  developer: MEMBER_PERMISSIONS,
+  client: MEMBER_PERMISSIONS,
+  mentor: [...MEMBER_PERMISSIONS, ...MENTOR_PERMISSIONS],
+  admin: [...MEMBER_PERMISSIONS, ...MENTOR_PERMISSIONS, ...ADMIN_PERMISSIONS]
+};
+
+// Permissions granted on a single project by the member's team role
+export const PROJECT_ROLE_PERMISSIONS = {
+  contributor: [],
+  triager: ['project.issues.manage'],
+  maintainer: ['project.update', 'project.issues.manage', 'project.members.manage', 'contribution.verify'],
+  owner: [
+    'project.update',
+    'project.delete',
+    'project.issues.manage',
+    'project.members.manage',
+    'project.ownership.transfer',
+    'contribution.verify'
+  ]
+};
+
+export const PERMISSIONS = [...new Set([
+  ...Object.values(ROLE_PERMISSIONS).flat(),
+  ...Object.values(PROJECT_ROLE_PERMISSIONS).flat()
+])];
+
+// Normalize an ObjectId, a populated document or a string to a string ID
+const toId = (value) => (value?._id ?? value)?.toString();
+
+// Who owns a document of each model, as a list of user IDs
+export const OWNERSHIP_RULES = {
+  User: (doc) => [doc._id],
+  Project: (doc) => [doc.creatorId],
+  Contribution: (doc) => [doc.userId],
+  Mentorship: (doc) => [doc.mentorId, doc.menteeId]
+};
+
+// Actions where only one side of a shared resource counts as its owner
+const ACTION_OWNERSHIP_RULES = {
+  'mentorship.respond': (doc) => [doc.mentorId]
+};
+
+/**
+ * Get the permissions a user effectively has
+ * @param {Object} user - User document
+ * @param {Object} [apiToken] - API token the request was made with
+ * @returns {Array} - Permission names
+ */
+export const getPermissions = (user, apiToken = null) => {
+  if (!user) return [];
+
+  // Admin rights through an API token need the admin scope
+  if (apiToken && user.role === 'admin' && !apiToken.scopes.includes('admin')) {
+    return ROLE_PERMISSIONS.developer;
+  }
+
+  return ROLE_PERMISSIONS[user.role] || [];
+};
+
+/**
+ * Check if a user has a permission
+ * @param {Object} user - User document
+ * @param {string} permission - Permission name
+ * @param {Object} [apiToken] - API token the request was made with
+ * @returns {boolean} - Whether the permission is granted
+ */
+export const hasPermission = (user, permission, apiToken = null) => getPermissions(user, apiToken).includes(permission);
+
+/**
+ * Check if a user owns a resource for the purpose of an action
+ * @param {Object} user - User document
+ * @param {string} action - Action without scope suffix (e.g. 'project.update')
+ * @param {Object} resource - Mongoose document
+ * @returns {boolean} - Whether the user counts as owner
+ */
+export const isOwner = (user, action, resource) => {
+  if (!user || !resource) return false;
+
+  const rule = ACTION_OWNERSHIP_RULES[action] || OWNERSHIP_RULES[resource.constructor?.modelName];
+  if (!rule) return false;
+
+  const userId = toId(user);
+  return rule(resource).some(ownerId => ownerId && toId(ownerId) === userId);
+};
+
+/**
+ * Check if a user may perform an action, optionally on a specific resource.
+ * `action.any` always allows it, `action.own` only on resources the user owns,
+ * and a plain `action` permission covers actions without ownership.
+ * @param {Object} user - User document
+ * @param {string} action - Action (e.g. 'project.update')
+ * @param {Object} [resource] - Mongoose document the action applies to
+ * @param {Object} [apiToken] - API token the request was made with
+ * @returns {boolean} - Whether the action is allowed
+ */
+export const can = (user, action, resource = null, apiToken = null) => {
+  const permissions = getPermissions(user, apiToken);
+
+  if (permissions.includes(action) || permissions.includes(`${action}.any`)) {
+    return true;
+  }
+
+  if (permissions.includes(`${action}.own`) && isOwner(user, action, resource)) {
+    return true;
+  }
+
+  // Project team roles apply to the project itself
+  if (user && typeof resource?.getMemberRole === 'function') {
+    const projectRole = resource.getMemberRole(user);
+    return Boolean(projectRole && PROJECT_ROLE_PERMISSIONS[projectRole].includes(action));
+  }
+
+  return false;
+};
+
+/**
+ * Check if a user may verify a contribution. Project owners and maintainers
+ * verify their project's contributions but not their own; only users who may
+ * verify any contribution (mentors and admins) can verify their own.
+ * @param {Object} user - User document
+ * @param {Object} contribution - Contribution document
+ * @param {Object} project - Project of the contribution
+ * @param {Object} [apiToken] - API token the request was made with
+ * @returns {boolean} - Whether the user may verify the contribution
+ */
+export const canVerifyContribution = (user, contribution, project, apiToken = null) => {
+  if (!can(user, 'contribution.verify', project, apiToken)) return false;
+
+  return toId(contribution.userId) !== toId(user) || hasPermission(user, 'contribution.verify', apiToken);
+};
+
+export default {
+  ROLE_PERMISSIONS,
+  PROJECT_ROLE_PERMISSIONS,
+  PERMISSIONS,
+  OWNERSHIP_RULES,
+  getPermissions,
+  hasPermission,
+  isOwner,
+  can,
+  canVerifyContribution
+};
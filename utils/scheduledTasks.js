@@ -1,4 +1,10 @@
 import { refreshAllUsersAnalytics } from '../controllers/githubController.js';
+import ContributionVerificationService from '../services/contributionVerificationService.js';
+import PointsLedgerService from '../services/pointsLedgerService.js';
+import LeaderboardService from '../services/leaderboardService.js';
+import MentorshipSessionService from '../services/mentorshipSessionService.js';
+import MentorshipLifecycleService from '../services/mentorshipLifecycleService.js';
+import MentorshipFeedbackService from '../services/mentorshipFeedbackService.js';
 import { logger } from './logger.js';
 
 /**
@@ -21,6 +27,68 @@ export const startScheduledTasks = () => {
     }
   }, 24 * 60 * 60 * 1000); // 24 hours
   
+  // Check new contributions against GitHub (hourly)
+  setInterval(async () => {
+    try {
+      const result = await ContributionVerificationService.verifyPending();
+      logger.info(`Completed contribution verification: ${JSON.stringify(result)}`);
+    } catch (error) {
+      logger.error(`Error in scheduled contribution verification: ${error.message}`);
+    }
+  }, 60 * 60 * 1000); // 1 hour
+  
+  // Check user point totals against the points ledger (once daily)
+  setInterval(async () => {
+    try {
+      const result = await PointsLedgerService.reconcile({ fix: true });
+      logger.info(`Completed points reconciliation: ${result.checked} users checked, ${result.mismatches.length} mismatches, ${result.fixed} fixed`);
+    } catch (error) {
+      logger.error(`Error in scheduled points reconciliation: ${error.message}`);
+    }
+  }, 24 * 60 * 60 * 1000); // 24 hours
+  
+  // Rebuild leaderboard snapshots (hourly, and shortly after startup)
+  const rebuildLeaderboards = async () => {
+    try {
+      const result = await LeaderboardService.rebuildSnapshots();
+      logger.info(`Completed leaderboard rebuild: ${result.boards} boards, ${result.entries} entries`);
+    } catch (error) {
+      logger.error(`Error in scheduled leaderboard rebuild: ${error.message}`);
+    }
+  };
+  setTimeout(rebuildLeaderboards, 60 * 1000); // 1 minute
+  setInterval(rebuildLeaderboards, 60 * 60 * 1000); // 1 hour
+  
+  // Remind participants of upcoming mentorship sessions (every 15 minutes)
+  setInterval(async () => {
+    try {
+      await MentorshipSessionService.sendReminders();
+    } catch (error) {
+      logger.error(`Error in scheduled mentorship session reminders: ${error.message}`);
+    }
+  }, 15 * 60 * 1000); // 15 minutes
+  
+  // Expire unanswered mentorship requests and complete mentorships past their end date (hourly)
+  setInterval(async () => {
+    try {
+      const { expired } = await MentorshipLifecycleService.expireRequests();
+      const { completed } = await MentorshipLifecycleService.completeEnded();
+      logger.info(`Completed mentorship lifecycle check: ${expired} requests expired, ${completed} mentorships completed`);
+    } catch (error) {
+      logger.error(`Error in scheduled mentorship lifecycle check: ${error.message}`);
+    }
+  }, 60 * 60 * 1000); // 1 hour
+  
+  // Recompute mentor ratings against the current platform average (once daily)
+  setInterval(async () => {
+    try {
+      const result = await MentorshipFeedbackService.updateRatings();
+      logger.info(`Completed mentor rating update: ${result.updated} mentors`);
+    } catch (error) {
+      logger.error(`Error in scheduled mentor rating update: ${error.message}`);
+    }
+  }, 24 * 60 * 60 * 1000); // 24 hours
+  
   // You can add more scheduled tasks here
 };
 
@@ -32,6 +100,27 @@ export const runTask = async (taskName) => {
     case 'refreshGithubAnalytics':
       return await refreshAllUsersAnalytics();
     
+    case 'verifyContributions':
+      return await ContributionVerificationService.verifyPending();
+    
+    case 'reconcilePoints':
+      return await PointsLedgerService.reconcile({ fix: true });
+    
+    case 'rebuildLeaderboards':
+      return await LeaderboardService.rebuildSnapshots();
+    
+    case 'sendSessionReminders':
+      return await MentorshipSessionService.sendReminders();
+    
+    case 'expireMentorshipRequests':
+      return await MentorshipLifecycleService.expireRequests();
+    
+    case 'completeEndedMentorships':
+      return await MentorshipLifecycleService.completeEnded();
+    
+    case 'updateMentorRatings':
+      return await MentorshipFeedbackService.updateRatings();
+    
     // Add more task types as needed
     
     default:
@@ -0,0 +1,173 @@
+import crypto from 'crypto';
+
+/**
+ * Time-based one-time passwords (RFC 6238) compatible with authenticator apps
+ */
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+/**
+ * Encode a buffer as base32 (no padding)
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} - Base32 string
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Decode a base32 string to a buffer
+ * @param {string} input - Base32 string
+ * @returns {Buffer} - Decoded bytes
+ */
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character in secret');
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a new random TOTP secret
+ * @returns {string} - Base32 encoded secret
+ */
+export const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Generate the code for a secret at a given time
+ * @param {string} secret - Base32 encoded secret
+ * @param {number} [timestamp] - Time in milliseconds (defaults to now)
+ * @returns {string} - Zero-padded numeric code
+ */
+export const generateCode = (secret, timestamp = Date.now()) => {
+  const counter = getTimeStep(timestamp);
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto
+    .createHmac('sha1', base32Decode(secret))
+    .update(counterBuffer)
+    .digest();
+
+  // Dynamic truncation
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = ((hmac[offset] & 0x7f) << 24)
+    | (hmac[offset + 1] << 16)
+    | (hmac[offset + 2] << 8)
+    | hmac[offset + 3];
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+/**
+ * Get the time step of the current 30 second window
+ * @param {number} [timestamp] - Time in milliseconds (defaults to now)
+ * @returns {number} - Time step counter
+ */
+export const getTimeStep = (timestamp = Date.now()) => Math.floor(timestamp / 1000 / STEP_SECONDS);
+
+/**
+ * Find the time step a code was generated for, allowing for clock drift of
+ * `window` steps either way. Steps at or before `lastUsedStep` are skipped so
+ * an accepted code cannot be replayed while it is still inside the window.
+ * @param {string} secret - Base32 encoded secret
+ * @param {string} code - Code entered by the user
+ * @param {Object} [options] - Matching options
+ * @param {number} [options.window=1] - Number of 30 second steps to tolerate
+ * @param {number} [options.lastUsedStep] - Time step of the last accepted code
+ * @returns {number|null} - Matching time step, or null if the code is invalid
+ */
+export const matchCodeStep = (secret, code, { window = 1, lastUsedStep } = {}) => {
+  if (!secret || !code) return null;
+
+  const normalized = String(code).replace(/\s/g, '');
+  if (!/^\d{6}$/.test(normalized)) return null;
+
+  const current = getTimeStep();
+  for (let step = current - window; step <= current + window; step++) {
+    if (Number.isFinite(lastUsedStep) && step <= lastUsedStep) continue;
+
+    const candidate = generateCode(secret, step * STEP_SECONDS * 1000);
+    if (crypto.timingSafeEqual(Buffer.from(candidate), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Verify a code, allowing for clock drift of `window` steps either way
+ * @param {string} secret - Base32 encoded secret
+ * @param {string} code - Code entered by the user
+ * @param {number} [window=1] - Number of 30 second steps to tolerate
+ * @param {number} [lastUsedStep] - Time step of the last accepted code; it and earlier steps are rejected
+ * @returns {boolean} - Whether the code is valid
+ */
+export const verifyCode = (secret, code, window = 1, lastUsedStep) =>
+  matchCodeStep(secret, code, { window, lastUsedStep }) !== null;
+
+/**
+ * Build an otpauth:// URI for authenticator app enrollment (QR code content)
+ * @param {Object} options - URI options
+ * @param {string} options.secret - Base32 encoded secret
+ * @param {string} options.accountName - Account label (usually the email)
+ * @param {string} [options.issuer] - Issuer shown in the authenticator app
+ * @returns {string} - otpauth URI
+ */
+export const buildOtpauthUri = ({ secret, accountName, issuer = 'OpenElevate' }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+export default {
+  generateSecret,
+  generateCode,
+  verifyCode,
+  buildOtpauthUri
+};